@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { registerSecret } = require('./logger');
+
+/**
+ * Encryption of stored API keys (AES-256-GCM)
+ *
+ * Encrypted values look like "enc1:<keyId>:<iv>:<tag>:<ciphertext>" (base64
+ * parts). The master key comes from API_KEY_ENCRYPTION_KEY; previous master
+ * keys listed in API_KEY_ENCRYPTION_OLD_KEYS can still decrypt, so a key can be
+ * rotated by moving the old one there and re-encrypting (see needsReencryption).
+ * Values without the prefix are legacy plaintext and are returned unchanged.
+ */
+
+const PREFIX = 'enc1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'telegram-url-shortener-bot/api-keys';
+
+/**
+ * Derives a 256-bit key and a short identifier from a master secret
+ * @param {string} secret - Master secret from the environment
+ * @returns {{id: string, key: Buffer}} - Derived key
+ */
+function deriveKey(secret) {
+    const key = crypto.scryptSync(secret, KEY_SALT, 32);
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return { id, key };
+}
+
+const currentKey = config.API_KEY_ENCRYPTION_KEY ? deriveKey(config.API_KEY_ENCRYPTION_KEY) : null;
+const decryptionKeys = new Map(
+    [currentKey, ...config.API_KEY_ENCRYPTION_OLD_KEYS.map(deriveKey)]
+        .filter(Boolean)
+        .map(derived => [derived.id, derived.key])
+);
+
+/**
+ * Checks whether a master key is configured
+ * @returns {boolean} - True if new API keys are stored encrypted
+ */
+function isEncryptionEnabled() {
+    return currentKey !== null;
+}
+
+/**
+ * Encrypts an API key with the current master key
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} - Encrypted value, or the plaintext if ALLOW_PLAINTEXT_KEYS is set instead of a master key
+ */
+function encryptApiKey(apiKey) {
+    registerSecret(apiKey);
+    
+    if (!currentKey) {
+        return apiKey;
+    }
+    
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, currentKey.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    
+    return [PREFIX, currentKey.id, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a stored API key
+ * @param {string} stored - Value from storage
+ * @returns {string} - Plaintext API key
+ */
+function decryptApiKey(stored) {
+    if (!stored || !stored.startsWith(`${PREFIX}:`)) {
+        registerSecret(stored);
+        return stored;
+    }
+    
+    const [, keyId, iv, tag, ciphertext] = stored.split(':');
+    const key = decryptionKeys.get(keyId);
+    if (!key) {
+        throw new Error(`API key was encrypted with unknown master key ${keyId}; add it to API_KEY_ENCRYPTION_OLD_KEYS`);
+    }
+    
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const apiKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    
+    registerSecret(apiKey);
+    return apiKey;
+}
+
+/**
+ * Checks whether a stored value should be re-encrypted with the current key
+ * @param {string} stored - Value from storage
+ * @returns {boolean} - True for plaintext or values encrypted with an old key
+ */
+function needsReencryption(stored) {
+    if (!currentKey || !stored) {
+        return false;
+    }
+    
+    return !stored.startsWith(`${PREFIX}:${currentKey.id}:`);
+}
+
+module.exports = {
+    isEncryptionEnabled,
+    encryptApiKey,
+    decryptApiKey,
+    needsReencryption
+};
@@ -0,0 +1,207 @@
+const config = require('./config');
+const { getAccountById, getAllBalanceAlerts, removeBalanceAlert, claimAlertFire, setAlertViews } = require('./storage');
+const { getProvider } = require('./shortenerProviders');
+
+/**
+ * Balance alerts
+ *
+ * Every ALERT_CHECK_INTERVAL ms each account with alerts has its balance
+ * fetched once and its alerts evaluated. An alert that holds is sent at most
+ * once per ALERT_COOLDOWN; firing is claimed in storage first (like report
+ * runs), so several instances never send the same notification twice.
+ */
+
+// CPM drops are only judged once today has this many views, so a quiet morning is not a drop
+const CPM_DROP_MIN_VIEWS = 100;
+
+/**
+ * Alert types: how the user sets them, how they are shown, and when they hold
+ *
+ *   balance  - publisher earnings reached the threshold (USD), e.g. for payout eligibility
+ *   cpm_drop - today's CPM is at least threshold % below this month's average
+ *   no_views - no new views for threshold hours
+ */
+const ALERT_TYPES = {
+    balance: {
+        command: 'balance',
+        example: '/alert balance 5',
+        validate: value => value > 0,
+        describe: (alert, t) => t('alerts.describe.balance', { threshold: alert.threshold })
+    },
+    cpm_drop: {
+        command: 'cpmdrop',
+        example: '/alert cpmdrop 30',
+        validate: value => value > 0 && value < 100,
+        describe: (alert, t) => t('alerts.describe.cpm_drop', { threshold: alert.threshold })
+    },
+    no_views: {
+        command: 'noviews',
+        example: '/alert noviews 6',
+        validate: value => value >= 1 && value <= 168,
+        describe: (alert, t) => t('alerts.describe.no_views', { count: alert.threshold })
+    }
+};
+
+/**
+ * Parses the arguments of /alert
+ * @param {string} command - Alert command, e.g. balance, cpmdrop or noviews
+ * @param {string} value - Threshold as typed, e.g. 5 or $5 or 30%
+ * @returns {{alert_type: string, threshold: number}|null} - Alert fields, or null if invalid
+ */
+function parseAlert(command, value) {
+    const alertType = Object.keys(ALERT_TYPES).find(type => ALERT_TYPES[type].command === (command || '').toLowerCase());
+    const threshold = parseFloat((value || '').replace(/^\$|[%h]$/g, ''));
+    
+    if (!alertType || !Number.isFinite(threshold) || !ALERT_TYPES[alertType].validate(threshold)) {
+        return null;
+    }
+    return { alert_type: alertType, threshold };
+}
+
+/**
+ * Describes an alert for the user
+ * @param {object} alert - Alert from storage
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - e.g. "Publisher earnings ≥ $5"
+ */
+function describeAlert(alert, t) {
+    return ALERT_TYPES[alert.alert_type].describe(alert, t);
+}
+
+/**
+ * Calculates CPM (earnings per 1000 views)
+ * @param {{views: number, earnings: number}} period - Balance period
+ * @returns {number} - CPM, 0 without views
+ */
+function cpmOf(period) {
+    const views = Number(period.views);
+    return views > 0 ? Number(period.earnings) / views * 1000 : 0;
+}
+
+/**
+ * Checks whether an alert holds
+ * @param {object} alert - Alert from storage
+ * @param {object} balanceData - Current balance of the alert's account
+ * @param {Date} now - Time of the check
+ * @returns {Promise<{key: string, params: object}|null>} - Notification message, or null if the alert does not hold
+ */
+async function evaluateAlert(alert, balanceData, now) {
+    if (alert.alert_type === 'balance') {
+        const earnings = Number(balanceData.balances && balanceData.balances.publisher_earnings);
+        return earnings >= alert.threshold
+            ? { key: 'alerts.fired.balance', params: { earnings: earnings.toFixed(3), threshold: alert.threshold } }
+            : null;
+    }
+    
+    if (alert.alert_type === 'cpm_drop') {
+        const todayCpm = cpmOf(balanceData.today);
+        const monthCpm = cpmOf(balanceData.this_month);
+        if (Number(balanceData.today.views) < CPM_DROP_MIN_VIEWS || monthCpm === 0) {
+            return null;
+        }
+        const drop = (monthCpm - todayCpm) / monthCpm * 100;
+        return drop >= alert.threshold
+            ? { key: 'alerts.fired.cpm_drop', params: { todayCpm: todayCpm.toFixed(3), drop: drop.toFixed(1), monthCpm: monthCpm.toFixed(3) } }
+            : null;
+    }
+    
+    // no_views: this month's views only grow, so any change means new views
+    const views = Number(balanceData.this_month.views);
+    if (alert.last_views === null || Number(alert.last_views) !== views) {
+        await setAlertViews(alert.id, views, now);
+        return null;
+    }
+    const hours = (now - alert.views_changed_at) / 3600000;
+    return hours >= alert.threshold
+        ? { key: 'alerts.fired.no_views', params: { count: Math.floor(hours) } }
+        : null;
+}
+
+/**
+ * Evaluates every alert and sends those that hold and are not cooling down
+ * @param {function(object, object): Promise<void>} sendAlert - Sends a notification ({ key, params }) for an alert
+ */
+async function checkAlerts(sendAlert) {
+    const now = new Date();
+    const byAccount = new Map();
+    for (const alert of await getAllBalanceAlerts()) {
+        byAccount.set(alert.account_id, [...(byAccount.get(alert.account_id) || []), alert]);
+    }
+    
+    for (const [accountId, alerts] of byAccount) {
+        const account = await getAccountById(accountId);
+        if (!account) {
+            // The account was removed; its alerts go with it
+            for (const alert of alerts) {
+                await removeBalanceAlert(alert.user_id, alert.id);
+            }
+            continue;
+        }
+        
+        const provider = getProvider(account.provider, account.provider_url);
+        if (!provider.fetchBalance) {
+            continue;
+        }
+        
+        let balanceData;
+        try {
+            balanceData = await provider.fetchBalance(account.api_key);
+        } catch (error) {
+            console.error(`Error fetching balance of account ${accountId} for alerts:`, error.message);
+            continue;
+        }
+        
+        for (const alert of alerts) {
+            const notice = await evaluateAlert(alert, balanceData, now);
+            if (!notice || (alert.last_fired_at && now - alert.last_fired_at < config.ALERT_COOLDOWN)) {
+                continue;
+            }
+            if (!(await claimAlertFire(alert.id, alert.last_fired_at, now))) {
+                continue; // Another instance sent it
+            }
+            
+            try {
+                await sendAlert(alert, notice);
+            } catch (error) {
+                console.error(`Error sending alert ${alert.id} to user ${alert.user_id}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Starts checking alerts every ALERT_CHECK_INTERVAL ms
+ * @param {function(object, object): Promise<void>} sendAlert - Sends a notification ({ key, params }) for an alert
+ * @returns {function(): void} - Stops the checker
+ */
+function startAlertChecker(sendAlert) {
+    let running = false;
+    
+    const tick = async () => {
+        if (running) {
+            return; // The previous check is still going
+        }
+        running = true;
+        try {
+            await checkAlerts(sendAlert);
+        } catch (error) {
+            console.error('Error checking balance alerts:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    
+    const timer = setInterval(tick, config.ALERT_CHECK_INTERVAL);
+    tick();
+    
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    ALERT_TYPES,
+    parseAlert,
+    describeAlert,
+    evaluateAlert,
+    checkAlerts,
+    startAlertChecker
+};
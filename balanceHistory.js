@@ -0,0 +1,233 @@
+const config = require('./config');
+const { getAllUserIds, getUserAccounts, saveBalanceSnapshot, claimBalanceSnapshot, getBalanceSnapshots } = require('./storage');
+const { getProvider } = require('./shortenerProviders');
+
+/**
+ * Balance history for /trend
+ *
+ * The balance API only reports "today" and "this month", so every account's
+ * balance is snapshotted each BALANCE_SNAPSHOT_INTERVAL ms and filed under
+ * the current day in BALANCE_TIMEZONE; the last snapshot of a day wins.
+ * Instances claim each account's fetch per day and interval in storage, so
+ * running several of them doesn't multiply the calls to balance APIs.
+ */
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Gets the date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Local date as YYYY-MM-DD
+ */
+function localDay(date = new Date(), timeZone = config.BALANCE_TIMEZONE) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Adds days to a date
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} count - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Stores a balance fetched for an account as the snapshot of the current day
+ * @param {number} accountId - Account ID
+ * @param {object} balanceData - Balance API data with today and this_month
+ * @param {Date} at - When the balance was fetched
+ */
+async function recordBalanceSnapshot(accountId, balanceData, at = new Date()) {
+    await saveBalanceSnapshot(accountId, {
+        day: localDay(at),
+        views: Number(balanceData.today.views) || 0,
+        earnings: Number(balanceData.today.earnings) || 0,
+        month_views: Number(balanceData.this_month.views) || 0,
+        month_earnings: Number(balanceData.this_month.earnings) || 0
+    });
+}
+
+/**
+ * Snapshots the balance of every account whose provider has a balance API,
+ * skipping accounts another instance already fetched in this interval
+ * @param {Date} at - Time of the run
+ * @returns {Promise<number>} - Number of snapshots stored
+ */
+async function captureBalanceSnapshots(at = new Date()) {
+    const day = localDay(at);
+    
+    // Instances tick at different moments, but agree on when the interval started
+    const interval = config.BALANCE_SNAPSHOT_INTERVAL;
+    const slot = new Date(interval > 0 ? Math.floor(at.getTime() / interval) * interval : at.getTime());
+    
+    let count = 0;
+    
+    for (const userId of await getAllUserIds()) {
+        for (const account of await getUserAccounts(userId)) {
+            const provider = getProvider(account.provider, account.provider_url);
+            if (!provider.fetchBalance) {
+                continue;
+            }
+            
+            // One at a time, so a run never bursts requests at the balance API
+            try {
+                if (!(await claimBalanceSnapshot(account.id, day, slot))) {
+                    continue; // Another instance fetches this one
+                }
+                
+                const balanceData = await provider.fetchBalance(account.api_key);
+                await recordBalanceSnapshot(account.id, balanceData);
+                count++;
+            } catch (error) {
+                console.error(`Error snapshotting balance of account ${account.id}:`, error.message);
+            }
+        }
+    }
+    
+    return count;
+}
+
+/**
+ * Starts snapshotting balances every BALANCE_SNAPSHOT_INTERVAL ms
+ * @returns {function(): void} - Stops the snapshots
+ */
+function startBalanceSnapshots() {
+    if (config.BALANCE_SNAPSHOT_INTERVAL <= 0) {
+        return () => {};
+    }
+    
+    let running = false;
+    
+    const tick = async () => {
+        if (running) {
+            return; // The previous run is still going
+        }
+        running = true;
+        try {
+            const count = await captureBalanceSnapshots();
+            console.log(`Stored ${count} balance snapshots`);
+        } catch (error) {
+            console.error('Error snapshotting balances:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    
+    const timer = setInterval(tick, config.BALANCE_SNAPSHOT_INTERVAL);
+    tick();
+    
+    return () => clearInterval(timer);
+}
+
+/**
+ * Gets an account's views and earnings for each day of a range
+ * @param {number} accountId - Account ID
+ * @param {string} fromDay - First day (YYYY-MM-DD)
+ * @param {string} toDay - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array<{day: string, views: number|null, earnings: number|null}>>} - One entry per day; null where no snapshot exists
+ */
+async function getDailyBalances(accountId, fromDay, toDay) {
+    // Not bounded by toDay: the snapshot of the day after the range completes its last day
+    const snapshots = await getBalanceSnapshots(accountId, fromDay);
+    const byDay = new Map(snapshots.map(snapshot => [snapshot.day, snapshot]));
+    
+    const days = [];
+    for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+        const snapshot = byDay.get(day);
+        if (!snapshot) {
+            days.push({ day, views: null, earnings: null });
+            continue;
+        }
+        
+        let views = snapshot.views;
+        let earnings = snapshot.earnings;
+        
+        // The last snapshot of a day can miss its final hour. The next day's
+        // "month minus today" is the month's total up to the end of this day,
+        // so within one month the exact day total is the difference of the two.
+        const next = byDay.get(addDays(day, 1));
+        if (next && next.day.slice(0, 7) === day.slice(0, 7)) {
+            const exactViews = (next.month_views - next.views) - (snapshot.month_views - snapshot.views);
+            const exactEarnings = (next.month_earnings - next.earnings) - (snapshot.month_earnings - snapshot.earnings);
+            if (exactViews >= views && exactEarnings >= earnings - 0.0005) {
+                views = exactViews;
+                earnings = exactEarnings;
+            }
+        }
+        
+        days.push({ day, views, earnings });
+    }
+    
+    return days;
+}
+
+/**
+ * Adds up days that have data
+ * @param {Array<{views: number|null, earnings: number|null}>} days - Daily balances
+ * @returns {{views: number, earnings: number, recorded: number}} - Totals and the number of days with data
+ */
+function sumDays(days) {
+    return days.reduce((totals, day) => {
+        if (day.views !== null) {
+            totals.views += day.views;
+            totals.earnings += day.earnings;
+            totals.recorded++;
+        }
+        return totals;
+    }, { views: 0, earnings: 0, recorded: 0 });
+}
+
+/**
+ * Builds an account's trend over the last `days` days, and the same period before it
+ * @param {number} accountId - Account ID
+ * @param {number} days - Period length in days, ending today
+ * @returns {Promise<{days: object[], current: object, previous: object}>} - Daily balances of the period and totals of both periods
+ */
+async function buildTrend(accountId, days) {
+    const today = localDay();
+    const periodStart = addDays(today, 1 - days);
+    const all = await getDailyBalances(accountId, addDays(periodStart, -days), today);
+    
+    const previousDays = all.slice(0, days);
+    const currentDays = all.slice(days);
+    return {
+        days: currentDays,
+        current: sumDays(currentDays),
+        previous: sumDays(previousDays)
+    };
+}
+
+/**
+ * Draws values as a one-line text chart
+ * @param {Array<number|null>} values - Values; null draws a gap
+ * @returns {string} - Sparkline, one character per value
+ */
+function sparkline(values) {
+    const known = values.filter(value => value !== null);
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    
+    return values.map(value => {
+        if (value === null) {
+            return ' ';
+        }
+        const level = max > min ? Math.round((value - min) / (max - min) * (SPARK_CHARS.length - 1)) : 0;
+        return SPARK_CHARS[level];
+    }).join('');
+}
+
+module.exports = {
+    localDay,
+    recordBalanceSnapshot,
+    captureBalanceSnapshots,
+    startBalanceSnapshots,
+    getDailyBalances,
+    buildTrend,
+    sparkline
+};
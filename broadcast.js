@@ -0,0 +1,87 @@
+const config = require('./config');
+const { setUserSetting } = require('./storage');
+
+/**
+ * Admin broadcasts: delivers one message to many users without exceeding
+ * Telegram's limits. Messages are sent one at a time, BROADCAST_RATE per
+ * second; on "Too Many Requests" the broadcast pauses for the time Telegram
+ * asks for. Users who blocked the bot are marked so later broadcasts skip them.
+ */
+
+// Telegram errors meaning the user can't be messaged any more
+const UNREACHABLE_PATTERN = /blocked by the user|user is deactivated|chat not found/i;
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends to one user, waiting and retrying when Telegram rate limits the bot
+ * @param {function(number): Promise<*>} send - Sends the message to a user ID
+ * @param {number} userId - Recipient
+ * @param {number} retries - Rate limit retries left
+ */
+async function sendWithRetry(send, userId, retries = 3) {
+    try {
+        await send(userId);
+    } catch (error) {
+        const body = error.response && error.response.body;
+        const retryAfter = body && body.parameters && body.parameters.retry_after;
+        if (body && body.error_code === 429 && retryAfter && retries > 0) {
+            console.log(`Broadcast rate limited, waiting ${retryAfter}s`);
+            await sleep(retryAfter * 1000);
+            return sendWithRetry(send, userId, retries - 1);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Sends a message to every recipient
+ * @param {number[]} userIds - Recipients
+ * @param {function(number): Promise<*>} send - Sends the message to a user ID
+ * @param {function(number, number): void} onProgress - Called with (done, total)
+ * @returns {Promise<{delivered: number, blocked: number, failed: number}>} - Counts per outcome
+ */
+async function runBroadcast(userIds, send, onProgress = () => {}) {
+    const interval = 1000 / config.BROADCAST_RATE;
+    const result = { delivered: 0, blocked: 0, failed: 0 };
+    
+    for (let i = 0; i < userIds.length; i++) {
+        const userId = userIds[i];
+        const started = Date.now();
+        
+        try {
+            await sendWithRetry(send, userId);
+            result.delivered++;
+        } catch (error) {
+            const body = error.response && error.response.body;
+            if ((body && body.error_code === 403) || UNREACHABLE_PATTERN.test(error.message)) {
+                result.blocked++;
+                await setUserSetting(userId, 'bot_blocked', true)
+                    .catch(err => console.error(`Could not mark user ${userId} as blocked:`, err.message));
+            } else {
+                result.failed++;
+                console.error(`Broadcast to user ${userId} failed:`, error.message);
+            }
+        }
+        
+        onProgress(i + 1, userIds.length);
+        
+        const elapsed = Date.now() - started;
+        if (elapsed < interval) {
+            await sleep(interval - elapsed);
+        }
+    }
+    
+    return result;
+}
+
+module.exports = {
+    runBroadcast
+};
@@ -0,0 +1,360 @@
+const { processMessage, extractUrls } = require('./messageProcessor');
+
+/**
+ * Bulk file mode: a .txt or .csv document comes back with its links
+ * shortened, for lists too long for one message. A text file keeps all the
+ * text around its links; a CSV file gets a short_url column after the last
+ * column. Each row with links (each data row for CSV) gets a line in a CSV
+ * report: ok, partial, failed, skipped or no_link.
+ */
+
+const FILE_TYPES = {
+    txt: ['text/plain'],
+    csv: ['text/csv', 'text/comma-separated-values']
+};
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Tells which kind of bulk file a document is
+ * @param {object} document - Telegram Document
+ * @returns {string|null} - txt, csv, or null for other files
+ */
+function getBulkFileType(document) {
+    const match = /\.([a-z0-9]+)$/i.exec(document.file_name || '');
+    if (match) {
+        const extension = match[1].toLowerCase();
+        return FILE_TYPES[extension] ? extension : null;
+    }
+    
+    // Files without an extension go by their MIME type
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].includes(document.mime_type)) || null;
+}
+
+/**
+ * Downloads a document, giving up once it grows past maxBytes
+ * @param {TelegramBot} bot - Bot instance
+ * @param {string} fileId - Telegram file ID
+ * @param {number} maxBytes - Largest size accepted
+ * @returns {Promise<Buffer|null>} - File contents, or null if it is too large
+ */
+function downloadDocument(bot, fileId, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const stream = bot.getFileStream(fileId);
+        const chunks = [];
+        let size = 0;
+        
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                resolve(null);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Decodes a UTF-8 text file
+ * @param {Buffer} buffer - File contents
+ * @returns {{text: string, bom: string}|null} - Text without its byte order mark (kept in bom to write back), or null for binary files
+ */
+function decodeText(buffer) {
+    let text = buffer.toString('utf8');
+    if (text.includes('\u0000')) {
+        return null;
+    }
+    
+    const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+    text = text.slice(bom.length);
+    return { text, bom };
+}
+
+/**
+ * Guesses a CSV file's delimiter from its first line
+ * @param {string} text - CSV text
+ * @returns {string} - The delimiter found most often; comma on a tie
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = delimiter => firstLine.split(delimiter).length;
+    return CSV_DELIMITERS.reduce((best, delimiter) => (count(delimiter) > count(best) ? delimiter : best));
+}
+
+/**
+ * Splits CSV text into records (RFC 4180: quoted fields may hold delimiters,
+ * line breaks and "" for a quote)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {{records: string[][], lines: number[]}} - Records of fields, and the 1-based line each record starts on
+ */
+function parseCsv(text, delimiter) {
+    const records = [];
+    const lines = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                // Line breaks inside quoted fields still move the line count on
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            lines.push(recordLine);
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    
+    // Last record without a line break at the end
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+        lines.push(recordLine);
+    }
+    return { records, lines };
+}
+
+/**
+ * Writes records as CSV, quoting only the fields that need it
+ * @param {string[][]} records - Records of fields
+ * @param {string} delimiter - Field delimiter
+ * @param {string} newline - Line break between records
+ * @returns {string} - CSV text ending in a line break
+ */
+function formatCsv(records, delimiter = ',', newline = '\r\n') {
+    const needsQuotes = field => field.includes(delimiter) || /["\r\n]/.test(field);
+    const formatField = field => (needsQuotes(field) ? `"${field.replace(/"/g, '""')}"` : field);
+    return records.map(record => record.map(field => formatField(String(field))).join(delimiter)).join(newline) + newline;
+}
+
+/**
+ * Checks whether a CSV record is an empty line
+ * @param {string[]} record - Fields
+ * @returns {boolean} - True for a record with a single empty field
+ */
+function isBlankRecord(record) {
+    return record.length === 1 && record[0].trim() === '';
+}
+
+/**
+ * Picks the column holding the links
+ * @param {string[][]} records - CSV records
+ * @param {boolean} hasHeader - Whether the first record names the columns
+ * @param {string} selector - Column name or 1-based number given by the user; empty to use the first column with links
+ * @returns {number} - Column index, or -1 if not found
+ */
+function findLinkColumn(records, hasHeader, selector) {
+    const wanted = (selector || '').trim();
+    if (/^\d+$/.test(wanted)) {
+        const index = parseInt(wanted, 10) - 1;
+        const width = Math.max(...records.map(record => record.length));
+        return index >= 0 && index < width ? index : -1;
+    }
+    
+    if (wanted) {
+        return hasHeader
+            ? records[0].findIndex(name => name.trim().toLowerCase() === wanted.toLowerCase())
+            : -1;
+    }
+    
+    const dataRecords = records.slice(hasHeader ? 1 : 0);
+    const width = Math.max(...records.map(record => record.length));
+    for (let index = 0; index < width; index++) {
+        if (dataRecords.some(record => extractUrls(record[index] || '').length > 0)) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Reads a text file for shortening; every line with links is a row
+ * @param {string} text - File text
+ * @returns {object} - Bulk file ({ type, text, rows }); rows are { row, text, urls }
+ */
+function readTextFile(text) {
+    const rows = [];
+    text.split('\n').forEach((line, i) => {
+        const urls = extractUrls(line);
+        if (urls.length > 0) {
+            rows.push({ row: i + 1, text: line, urls });
+        }
+    });
+    return { type: 'txt', text, rows };
+}
+
+/**
+ * Reads a CSV file for shortening; every non-empty data record is a row,
+ * numbered by the line it starts on (quoted fields can span lines).
+ * The first record is taken as a header if none of its fields has a link.
+ * @param {string} text - File text
+ * @param {string} selector - Column name or 1-based number; empty to find the column with links
+ * @returns {object|null} - Bulk file ({ type, rows, records, column, ... }), or null if the column is not found
+ */
+function readCsvFile(text, selector) {
+    const delimiter = detectDelimiter(text);
+    const { records, lines } = parseCsv(text, delimiter);
+    if (records.length === 0) {
+        return { type: 'csv', rows: [], records, lines };
+    }
+    
+    const hasHeader = !records[0].some(field => extractUrls(field).length > 0);
+    const column = findLinkColumn(records, hasHeader, selector);
+    if (column === -1) {
+        return null;
+    }
+    
+    const rows = [];
+    records.forEach((record, i) => {
+        if ((hasHeader && i === 0) || isBlankRecord(record)) {
+            return;
+        }
+        const field = record[column] || '';
+        rows.push({ row: lines[i], text: field, urls: extractUrls(field) });
+    });
+    
+    return {
+        type: 'csv',
+        rows,
+        records,
+        lines,
+        column,
+        hasHeader,
+        delimiter,
+        newline: /\r\n/.test(text) ? '\r\n' : '\n'
+    };
+}
+
+/**
+ * Names the columns of a CSV file, for telling the user what to choose from
+ * @param {string} text - File text
+ * @returns {string[]} - Header names, or column numbers if the file has no header
+ */
+function listCsvColumns(text) {
+    const { records } = parseCsv(text, detectDelimiter(text));
+    if (records.length === 0) {
+        return [];
+    }
+    
+    const hasHeader = !records[0].some(field => extractUrls(field).length > 0);
+    return hasHeader ? records[0] : records[0].map((field, i) => String(i + 1));
+}
+
+/**
+ * Works out how a row went
+ * @param {object} row - Row of a bulk file ({ row, urls })
+ * @param {Map<string, string>} links - Short URL by long URL
+ * @param {Set<string>} skippedUrls - URLs processMessage left as they are on purpose
+ * @returns {object} - { row, status, links, shortened, failed }; status is ok, partial, failed, skipped or no_link
+ */
+function getRowResult(row, links, skippedUrls) {
+    const shortUrls = [];
+    const failed = [];
+    let skipped = 0;
+    
+    for (const url of row.urls) {
+        if (links.has(url)) {
+            shortUrls.push(links.get(url));
+        } else if (skippedUrls.has(url)) {
+            skipped++;
+        } else {
+            failed.push(url);
+        }
+    }
+    
+    let status;
+    if (row.urls.length === 0) {
+        status = 'no_link';
+    } else if (failed.length === 0) {
+        status = shortUrls.length > 0 ? 'ok' : 'skipped';
+    } else {
+        status = shortUrls.length > 0 ? 'partial' : 'failed';
+    }
+    
+    return { row: row.row, status, links: row.urls.length, shortened: shortUrls, failed };
+}
+
+/**
+ * Shortens the links of a bulk file
+ * @param {object} file - From readTextFile or readCsvFile
+ * @param {string} apiKey - The user's API key
+ * @param {object} options - processMessage options
+ * @returns {Promise<{text: string, report: string, counts: object}>} - The new file text, the per-row report as CSV and the number of rows by status
+ */
+async function shortenBulkFile(file, apiKey, options) {
+    // One pass over all rows, so repeated links are shortened once and progress covers the whole file
+    const source = file.type === 'txt' ? file.text : file.rows.map(row => row.text).join('\n');
+    // Braces in a file are its own text, not "{alias}" markers
+    const result = await processMessage(source, apiKey, [], { ...options, aliases: false });
+    const links = new Map(result.links.map(link => [link.original_url, link.short_url]));
+    const skippedUrls = new Set(result.skippedUrls);
+    
+    const rowResults = file.rows.map(row => getRowResult(row, links, skippedUrls));
+    const counts = { ok: 0, partial: 0, failed: 0, skipped: 0, no_link: 0 };
+    rowResults.forEach(rowResult => counts[rowResult.status]++);
+    
+    let text = result.text;
+    if (file.type === 'csv') {
+        const width = Math.max(...file.records.map(record => record.length));
+        const shortUrlsByRow = new Map(rowResults.map(rowResult => [rowResult.row, rowResult.shortened.join(' ')]));
+        const records = file.records.map((record, i) => {
+            if (file.hasHeader && i === 0) {
+                return [...record, ...Array(width - record.length).fill(''), 'short_url'];
+            }
+            if (isBlankRecord(record)) {
+                return record;
+            }
+            return [...record, ...Array(width - record.length).fill(''), shortUrlsByRow.get(file.lines[i]) || ''];
+        });
+        text = formatCsv(records, file.delimiter, file.newline);
+    }
+    
+    const report = formatCsv([
+        ['row', 'status', 'links', 'shortened', 'failed_links'],
+        ...rowResults.map(rowResult => [rowResult.row, rowResult.status, rowResult.links, rowResult.shortened.length, rowResult.failed.join(' ')])
+    ]);
+    
+    return { text, report, counts };
+}
+
+module.exports = {
+    getBulkFileType,
+    downloadDocument,
+    decodeText,
+    readTextFile,
+    readCsvFile,
+    listCsvColumns,
+    shortenBulkFile
+};
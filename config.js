@@ -1,10 +1,86 @@
 require('dotenv').config();
 
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when the variable is unset or invalid
+ * @param {boolean} integer - Whether only whole numbers are valid
+ * @returns {number} - The configured value, or the default
+ */
+function readPositiveNumber(name, fallback, integer = false) {
+    if (process.env[name] === undefined || process.env[name] === '') {
+        return fallback;
+    }
+    
+    const value = Number(process.env[name]);
+    if (!(value > 0) || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        console.warn(`⚠️ ${name} must be a positive ${integer ? 'integer' : 'number'}; using ${fallback}`);
+        return fallback;
+    }
+    return value;
+}
+
 const config = {
     TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    // How updates arrive: polling, or webhook (served on PORT at WEBHOOK_PATH)
+    BOT_MODE: process.env.BOT_MODE || 'polling',
+    PORT: parseInt(process.env.PORT || '8000', 10),
+    WEBHOOK_URL: process.env.WEBHOOK_URL || '', // public origin, e.g. https://bot.example.com
+    WEBHOOK_PATH: process.env.WEBHOOK_PATH || '/telegram/webhook',
+    WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || '',
+    // Delete the webhook on shutdown; set to false on platforms that scale to zero,
+    // so Telegram's next update wakes the instance up again
+    WEBHOOK_UNREGISTER_ON_SHUTDOWN: process.env.WEBHOOK_UNREGISTER_ON_SHUTDOWN !== 'false',
+    SHUTDOWN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT || '10000', 10), // ms to let running handlers finish
     LINKARA_API_BASE_URL: 'https://linkara.xyz/api',
+    LINKARA_BALANCE_URL: 'https://linkara.xyz/api/user/balance',
     REQUEST_TIMEOUT: 10000, // 10 seconds
-    MAX_RETRIES: 3
+    MAX_RETRIES: 3,
+    // Bulk messages: URLs shortened in parallel, and API requests per second allowed per API key
+    SHORTEN_CONCURRENCY: readPositiveNumber('SHORTEN_CONCURRENCY', 4, true),
+    SHORTEN_RATE_LIMIT: readPositiveNumber('SHORTEN_RATE_LIMIT', 5),
+    // Show an "in progress" message for messages with at least this many URLs
+    PROGRESS_MIN_URLS: 5,
+    PROGRESS_EDIT_INTERVAL: 2000, // ms between progress message edits
+    MEDIA_GROUP_WAIT: 1500, // ms to wait for the remaining parts of an album
+    // Storage driver: postgres, file or memory (defaults to postgres when DATABASE_URL is set)
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER || (process.env.DATABASE_URL ? 'postgres' : 'file'),
+    STORAGE_FILE: process.env.STORAGE_FILE || './data/storage.json',
+    // Master key for encrypting stored API keys; previous keys stay usable for decryption
+    API_KEY_ENCRYPTION_KEY: process.env.API_KEY_ENCRYPTION_KEY || '',
+    API_KEY_ENCRYPTION_OLD_KEYS: (process.env.API_KEY_ENCRYPTION_OLD_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    // Without a master key the bot refuses to start, unless plaintext storage is allowed explicitly
+    ALLOW_PLAINTEXT_KEYS: ['1', 'true'].includes(process.env.ALLOW_PLAINTEXT_KEYS),
+    // Reuse short links for repeated long URLs per account; TTL in seconds, 0 keeps them forever
+    LINK_CACHE_ENABLED: process.env.LINK_CACHE_ENABLED !== 'false',
+    LINK_CACHE_TTL: parseInt(process.env.LINK_CACHE_TTL || '0', 10),
+    // Seconds an inline mode answer is reused for the same user and query
+    INLINE_CACHE_TTL: parseInt(process.env.INLINE_CACHE_TTL || '300', 10),
+    // Bulk file mode (.txt/.csv documents): largest file accepted, most rows with links per file,
+    // and most links per file (a row can hold several)
+    BULK_FILE_MAX_BYTES: parseInt(process.env.BULK_FILE_MAX_BYTES || '1048576', 10),
+    BULK_FILE_MAX_ROWS: parseInt(process.env.BULK_FILE_MAX_ROWS || '1000', 10),
+    BULK_FILE_MAX_URLS: parseInt(process.env.BULK_FILE_MAX_URLS || '2000', 10),
+    // Convert mode: links on these domains (and their subdomains) are resolved to their destination first
+    KNOWN_SHORTENER_DOMAINS: (process.env.KNOWN_SHORTENER_DOMAINS || 'bit.ly,tinyurl.com,t.co,goo.gl,ow.ly,is.gd,v.gd,buff.ly,cutt.ly,rb.gy,shorturl.at,tiny.cc,rebrand.ly,bl.ink,s.id,shorte.st,adf.ly,gplinks.co,ouo.io')
+        .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+    REDIRECT_MAX_HOPS: parseInt(process.env.REDIRECT_MAX_HOPS || '5', 10),
+    REDIRECT_TIMEOUT: parseInt(process.env.REDIRECT_TIMEOUT || '5000', 10), // ms for the whole redirect chain
+    // Delete the user's "/api <key>" message after storing the key
+    DELETE_API_KEY_MESSAGES: process.env.DELETE_API_KEY_MESSAGES !== 'false',
+    // How often (ms) each instance checks for scheduled earnings reports that are due
+    REPORT_CHECK_INTERVAL: parseInt(process.env.REPORT_CHECK_INTERVAL || '60000', 10),
+    // Balance history for /trend: ms between balance snapshots of every account (0 turns them off),
+    // and the time zone in which the provider's "today" starts
+    BALANCE_SNAPSHOT_INTERVAL: parseInt(process.env.BALANCE_SNAPSHOT_INTERVAL || '3600000', 10),
+    BALANCE_TIMEZONE: process.env.BALANCE_TIMEZONE || 'UTC',
+    // Balance alerts: ms between checks, and the least time (ms) between two notifications of one alert
+    ALERT_CHECK_INTERVAL: parseInt(process.env.ALERT_CHECK_INTERVAL || '900000', 10),
+    ALERT_COOLDOWN: parseInt(process.env.ALERT_COOLDOWN || '86400000', 10),
+    // Telegram user IDs allowed to use /stats, /user and /broadcast
+    ADMIN_IDS: (process.env.ADMIN_IDS || '').split(',').map(id => parseInt(id.trim(), 10)).filter(Number.isFinite),
+    // Broadcast messages sent per second (Telegram allows about 30)
+    BROADCAST_RATE: parseFloat(process.env.BROADCAST_RATE || '20')
 };
 
 // Validate required environment variables
@@ -13,4 +89,34 @@ if (!config.TELEGRAM_BOT_TOKEN) {
     process.exit(1);
 }
 
+// Deployments from before API key encryption stop here until they choose a key or opt out
+if (!config.API_KEY_ENCRYPTION_KEY && !config.ALLOW_PLAINTEXT_KEYS) {
+    console.error([
+        '❌ API_KEY_ENCRYPTION_KEY environment variable is required',
+        '   Stored API keys are now encrypted. To upgrade an existing deployment:',
+        '   1. Generate a key: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"',
+        '   2. Set API_KEY_ENCRYPTION_KEY to it and keep it safe; keys stored with it cannot be read without it',
+        '   3. Restart: keys already stored in plaintext are encrypted on startup',
+        '   To keep storing keys unencrypted instead, set ALLOW_PLAINTEXT_KEYS=1'
+    ].join('\n'));
+    process.exit(1);
+}
+
+if (!['polling', 'webhook'].includes(config.BOT_MODE)) {
+    console.error('❌ BOT_MODE must be "polling" or "webhook"');
+    process.exit(1);
+}
+
+if (config.BOT_MODE === 'webhook') {
+    if (!config.WEBHOOK_URL) {
+        console.error('❌ WEBHOOK_URL environment variable is required in webhook mode');
+        process.exit(1);
+    }
+    // Telegram only accepts 1-256 characters A-Z, a-z, 0-9, _ and -
+    if (!/^[A-Za-z0-9_-]{1,256}$/.test(config.WEBHOOK_SECRET)) {
+        console.error('❌ WEBHOOK_SECRET must be set to 1-256 letters, digits, _ or - in webhook mode');
+        process.exit(1);
+    }
+}
+
 module.exports = config;
@@ -1,10 +1,15 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { runMigrations, getMigrationStatus } = require('./migrations');
 
 /**
  * Database-based storage for user API keys using PostgreSQL
  * This provides persistent storage that survives bot restarts
  */
 
+// Return BIGINT columns (Telegram IDs, counts) as numbers like the other drivers.
+// Telegram IDs fit comfortably in Number.MAX_SAFE_INTEGER.
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
@@ -16,92 +21,219 @@ pool.on('error', (err) => {
 });
 
 /**
- * Initialize the database: create tables if needed
+ * Runs a function inside a transaction on a dedicated client
  */
-async function initializeDatabase() {
+async function withTransaction(fn) {
     const client = await pool.connect();
     try {
-        console.log('✅ Connected to PostgreSQL database');
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS user_api_keys (
-                user_id BIGINT PRIMARY KEY,
-                api_key TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS user_stats (
-                user_id BIGINT PRIMARY KEY,
-                total_urls_shortened INTEGER DEFAULT 0,
-                first_use TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_use TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        console.log('✅ Database tables initialized');
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
     } finally {
         client.release();
     }
 }
 
 /**
- * Sets the API key for a user
+ * Initialize the database: apply pending schema migrations (see migrations.js)
  */
-async function setUserApiKey(userId, apiKey) {
-    if (!userId || !apiKey) throw new Error('User ID and API key are required');
-
-    await pool.query(`
-        INSERT INTO user_api_keys (user_id, api_key, updated_at)
-        VALUES ($1, $2, CURRENT_TIMESTAMP)
-        ON CONFLICT (user_id)
-        DO UPDATE SET api_key = $2, updated_at = CURRENT_TIMESTAMP
-    `, [userId, apiKey.trim()]);
+async function initializeDatabase() {
+    if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL environment variable is required for the postgres storage driver');
+    }
+    
+    await pool.query('SELECT 1');
+    console.log('✅ Connected to PostgreSQL database');
+    
+    const applied = await runMigrations(pool);
+    console.log(applied.length > 0
+        ? `✅ Database schema migrated (${applied.length} migrations applied)`
+        : '✅ Database schema is up to date');
+}
 
-    await pool.query(`
-        INSERT INTO user_stats (user_id, last_use)
-        VALUES ($1, CURRENT_TIMESTAMP)
-        ON CONFLICT (user_id)
-        DO UPDATE SET last_use = CURRENT_TIMESTAMP
-    `, [userId]);
+/**
+ * Lists schema migrations with whether and when each was applied
+ */
+async function getSchemaStatus() {
+    return getMigrationStatus(pool);
+}
 
-    console.log(`✅ API key stored in database for user ${userId}`);
+/**
+ * Stores an API key as a named account and makes it the user's active one.
+ * Saving under an existing name replaces that account's key and provider, and
+ * empties its link cache: those short links earn for the previous key.
+ */
+async function setUserApiKey(userId, apiKey, provider = 'linkara', providerUrl = null, name = 'default') {
+    if (!userId || !apiKey) throw new Error('User ID and API key are required');
+    
+    const accountId = await withTransaction(async (client) => {
+        await client.query(
+            'UPDATE user_accounts SET is_active = FALSE WHERE user_id = $1',
+            [userId]
+        );
+        
+        const result = await client.query(`
+            INSERT INTO user_accounts (user_id, name, api_key, provider, provider_url, is_active, updated_at)
+            VALUES ($1, $2, $3, $4, $5, TRUE, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id, name)
+            DO UPDATE SET api_key = $3, provider = $4, provider_url = $5, is_active = TRUE, updated_at = CURRENT_TIMESTAMP
+            RETURNING id
+        `, [userId, name, apiKey.trim(), provider, providerUrl]);
+        
+        await client.query('DELETE FROM link_cache WHERE account_id = $1', [result.rows[0].id]);
+        
+        await client.query(`
+            INSERT INTO user_stats (user_id, last_use)
+            VALUES ($1, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id)
+            DO UPDATE SET last_use = CURRENT_TIMESTAMP
+        `, [userId]);
+        
+        return result.rows[0].id;
+    });
+    
+    console.log(`✅ API key stored in database for user ${userId} (account ${name})`);
+    return accountId;
 }
 
 /**
- * Gets the API key for a user
+ * Gets the API key of the user's active account
  */
 async function getUserApiKey(userId) {
     const result = await pool.query(
-        'SELECT api_key FROM user_api_keys WHERE user_id = $1',
+        'SELECT api_key FROM user_accounts WHERE user_id = $1 AND is_active',
         [userId]
     );
     return result.rows.length > 0 ? result.rows[0].api_key : null;
 }
 
+const ACCOUNT_COLUMNS = 'id, user_id, name, api_key, provider, provider_url, is_active, created_at';
+
+/**
+ * Gets the user's active account with its API key and provider settings
+ */
+async function getUserAccount(userId) {
+    const result = await pool.query(
+        `SELECT ${ACCOUNT_COLUMNS} FROM user_accounts WHERE user_id = $1 AND is_active`,
+        [userId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Gets all accounts of a user, oldest first
+ */
+async function getUserAccounts(userId) {
+    const result = await pool.query(
+        `SELECT ${ACCOUNT_COLUMNS} FROM user_accounts WHERE user_id = $1 ORDER BY created_at, id`,
+        [userId]
+    );
+    return result.rows;
+}
+
+/**
+ * Gets an account by its ID
+ */
+async function getAccountById(accountId) {
+    const result = await pool.query(
+        `SELECT ${ACCOUNT_COLUMNS} FROM user_accounts WHERE id = $1`,
+        [accountId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Makes the named account the user's active one
+ */
+async function setActiveAccount(userId, name) {
+    return withTransaction(async (client) => {
+        const exists = await client.query(
+            'SELECT 1 FROM user_accounts WHERE user_id = $1 AND name = $2',
+            [userId, name]
+        );
+        if (exists.rowCount === 0) {
+            return false;
+        }
+        
+        await client.query(
+            'UPDATE user_accounts SET is_active = (name = $2) WHERE user_id = $1',
+            [userId, name]
+        );
+        return true;
+    });
+}
+
+/**
+ * Removes one named account; if it was active, the oldest remaining account becomes active
+ */
+async function removeUserAccount(userId, name) {
+    const removed = await withTransaction(async (client) => {
+        const result = await client.query(
+            'DELETE FROM user_accounts WHERE user_id = $1 AND name = $2 RETURNING is_active',
+            [userId, name]
+        );
+        if (result.rowCount === 0) {
+            return false;
+        }
+        
+        if (result.rows[0].is_active) {
+            await client.query(`
+                UPDATE user_accounts SET is_active = TRUE
+                WHERE id = (SELECT id FROM user_accounts WHERE user_id = $1 ORDER BY created_at, id LIMIT 1)
+            `, [userId]);
+        }
+        return true;
+    });
+    
+    if (removed) {
+        console.log(`✅ Account ${name} removed from database for user ${userId}`);
+    }
+    return removed;
+}
+
+/**
+ * Gets every stored API key value as-is (used to re-encrypt keys)
+ */
+async function listStoredApiKeys() {
+    const result = await pool.query('SELECT id, api_key FROM user_accounts');
+    return result.rows;
+}
+
+/**
+ * Overwrites a stored API key value without touching other fields
+ */
+async function replaceStoredApiKey(accountId, storedKey) {
+    await pool.query(
+        'UPDATE user_accounts SET api_key = $2 WHERE id = $1',
+        [accountId, storedKey]
+    );
+}
+
 /**
  * Checks if user has API key
  */
 async function hasApiKey(userId) {
     const result = await pool.query(
-        'SELECT 1 FROM user_api_keys WHERE user_id = $1',
+        'SELECT 1 FROM user_accounts WHERE user_id = $1 LIMIT 1',
         [userId]
     );
     return result.rowCount > 0;
 }
 
 /**
- * Removes a user's API key
+ * Removes all of a user's accounts
  */
 async function removeUserApiKey(userId) {
     const result = await pool.query(
-        'DELETE FROM user_api_keys WHERE user_id = $1',
+        'DELETE FROM user_accounts WHERE user_id = $1',
         [userId]
     );
     if (result.rowCount > 0) {
-        console.log(`✅ API key removed from database for user ${userId}`);
+        console.log(`✅ API keys removed from database for user ${userId}`);
         return true;
     }
     return false;
@@ -121,6 +253,310 @@ async function updateUserStats(userId, urlCount = 1) {
     `, [userId, urlCount]);
 }
 
+/**
+ * Saves shortened links to the history
+ */
+async function recordShortenedLinks(links) {
+    for (const link of links) {
+        await pool.query(`
+            INSERT INTO shortened_links (user_id, account_id, original_url, short_url, chat_id)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [link.user_id, link.account_id, link.original_url, link.short_url, link.chat_id]);
+    }
+}
+
+/**
+ * Gets a page of a user's link history, newest first, optionally filtered by a search text
+ */
+async function getLinkHistory(userId, { search = '', limit = 10, offset = 0 } = {}) {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    
+    const countResult = await pool.query(`
+        SELECT COUNT(*) FROM shortened_links
+        WHERE user_id = $1 AND (original_url ILIKE $2 OR short_url ILIKE $2)
+    `, [userId, pattern]);
+    
+    const result = await pool.query(`
+        SELECT l.*, a.name AS account_name
+        FROM shortened_links l
+        LEFT JOIN user_accounts a ON a.id = l.account_id
+        WHERE l.user_id = $1 AND (l.original_url ILIKE $2 OR l.short_url ILIKE $2)
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT $3 OFFSET $4
+    `, [userId, pattern, limit, offset]);
+    
+    return { links: result.rows, total: countResult.rows[0].count };
+}
+
+/**
+ * Gets the cached short link for a normalised long URL, if younger than maxAgeSeconds (0 = any age)
+ */
+async function getCachedShortUrl(accountId, longUrl, maxAgeSeconds = 0) {
+    const result = await pool.query(`
+        SELECT short_url FROM link_cache
+        WHERE account_id = $1 AND long_url = $2
+            AND ($3 = 0 OR created_at > CURRENT_TIMESTAMP - $3 * INTERVAL '1 second')
+    `, [accountId, longUrl, maxAgeSeconds]);
+    return result.rows.length > 0 ? result.rows[0].short_url : null;
+}
+
+/**
+ * Caches the short link for a normalised long URL
+ */
+async function setCachedShortUrl(accountId, longUrl, shortUrl) {
+    await pool.query(`
+        INSERT INTO link_cache (account_id, long_url, short_url, created_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (account_id, long_url)
+        DO UPDATE SET short_url = $3, created_at = CURRENT_TIMESTAMP
+    `, [accountId, longUrl, shortUrl]);
+}
+
+/**
+ * Gets the domain rules of a user or channel (scope 'user' or 'channel')
+ */
+async function getDomainRules(scope, scopeId) {
+    const result = await pool.query(`
+        SELECT rule_type, domain FROM domain_rules
+        WHERE scope = $1 AND scope_id = $2
+        ORDER BY rule_type, domain
+    `, [scope, scopeId]);
+    return result.rows;
+}
+
+/**
+ * Adds a domain rule ('skip' or 'only'); returns false if it already existed
+ */
+async function addDomainRule(scope, scopeId, ruleType, domain) {
+    const result = await pool.query(`
+        INSERT INTO domain_rules (scope, scope_id, rule_type, domain)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+    `, [scope, scopeId, ruleType, domain]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Removes a domain rule; returns false if there was no such rule
+ */
+async function removeDomainRule(scope, scopeId, ruleType, domain) {
+    const result = await pool.query(`
+        DELETE FROM domain_rules
+        WHERE scope = $1 AND scope_id = $2 AND rule_type = $3 AND domain = $4
+    `, [scope, scopeId, ruleType, domain]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Gets the stored settings of a user, or null if none were ever changed
+ */
+async function getUserSettings(userId) {
+    const result = await pool.query(
+        'SELECT * FROM user_settings WHERE user_id = $1',
+        [userId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Changes one user setting; the name must be a user_settings column
+ */
+async function setUserSetting(userId, name, value) {
+    if (!/^[a-z_]+$/.test(name)) throw new Error(`Invalid setting name: ${name}`);
+    
+    await pool.query(`
+        INSERT INTO user_settings (user_id, ${name}, updated_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id)
+        DO UPDATE SET ${name} = $2, updated_at = CURRENT_TIMESTAMP
+    `, [userId, value]);
+}
+
+/**
+ * Gets the stored settings of a group chat, or null if none were ever changed
+ */
+async function getGroupSettings(chatId) {
+    const result = await pool.query(
+        'SELECT * FROM group_settings WHERE chat_id = $1',
+        [chatId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Changes one group chat setting; the name must be a group_settings column
+ */
+async function setGroupSetting(chatId, name, value) {
+    if (!/^[a-z_]+$/.test(name)) throw new Error(`Invalid setting name: ${name}`);
+    
+    await pool.query(`
+        INSERT INTO group_settings (chat_id, ${name}, updated_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (chat_id)
+        DO UPDATE SET ${name} = $2, updated_at = CURRENT_TIMESTAMP
+    `, [chatId, value]);
+}
+
+/**
+ * Creates or replaces a user's daily or weekly report subscription
+ */
+async function setReportSubscription({ user_id, frequency, weekday = null, time_of_day, timezone, next_run_at }) {
+    await pool.query(`
+        INSERT INTO report_subscriptions (user_id, frequency, weekday, time_of_day, timezone, next_run_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (user_id, frequency)
+        DO UPDATE SET weekday = $3, time_of_day = $4, timezone = $5, next_run_at = $6
+    `, [user_id, frequency, weekday, time_of_day, timezone, next_run_at]);
+}
+
+/**
+ * Gets a user's report subscriptions
+ */
+async function getReportSubscriptions(userId) {
+    const result = await pool.query(
+        'SELECT * FROM report_subscriptions WHERE user_id = $1 ORDER BY frequency',
+        [userId]
+    );
+    return result.rows;
+}
+
+/**
+ * Removes one report subscription, or all of the user's if no frequency is given
+ */
+async function removeReportSubscription(userId, frequency = null) {
+    const result = await pool.query(
+        'DELETE FROM report_subscriptions WHERE user_id = $1 AND ($2::TEXT IS NULL OR frequency = $2)',
+        [userId, frequency]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Gets subscriptions whose next run is at or before `now`
+ */
+async function getDueReportSubscriptions(now, limit = 100) {
+    const result = await pool.query(
+        'SELECT * FROM report_subscriptions WHERE next_run_at <= $1 ORDER BY next_run_at LIMIT $2',
+        [now, limit]
+    );
+    return result.rows;
+}
+
+/**
+ * Moves a subscription's next run forward if it is still expectedRunAt;
+ * returns false if another instance already claimed this run
+ */
+async function claimReportRun(userId, frequency, expectedRunAt, nextRunAt) {
+    const result = await pool.query(`
+        UPDATE report_subscriptions SET next_run_at = $4
+        WHERE user_id = $1 AND frequency = $2 AND next_run_at = $3
+    `, [userId, frequency, expectedRunAt, nextRunAt]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Stores an account's balance for a day, replacing an earlier snapshot of the same day
+ */
+async function saveBalanceSnapshot(accountId, { day, views, earnings, month_views, month_earnings }) {
+    await pool.query(`
+        INSERT INTO balance_snapshots (account_id, day, views, earnings, month_views, month_earnings, captured_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+        ON CONFLICT (account_id, day)
+        DO UPDATE SET views = $3, earnings = $4, month_views = $5, month_earnings = $6, captured_at = CURRENT_TIMESTAMP
+    `, [accountId, day, views, earnings, month_views, month_earnings]);
+}
+
+/**
+ * Claims the fetch of an account's balance for one snapshot interval;
+ * returns false if this interval or a later one of the day was already claimed
+ */
+async function claimBalanceSnapshot(accountId, day, slot) {
+    const result = await pool.query(`
+        INSERT INTO balance_snapshot_claims (account_id, day, slot)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (account_id, day)
+        DO UPDATE SET slot = $3 WHERE balance_snapshot_claims.slot < $3
+    `, [accountId, day, slot]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Gets an account's balance snapshots from fromDay (YYYY-MM-DD) on, oldest first
+ */
+async function getBalanceSnapshots(accountId, fromDay) {
+    const result = await pool.query(`
+        SELECT to_char(day, 'YYYY-MM-DD') AS day, views, earnings, month_views, month_earnings, captured_at
+        FROM balance_snapshots
+        WHERE account_id = $1 AND day >= $2
+        ORDER BY day
+    `, [accountId, fromDay]);
+    return result.rows;
+}
+
+/**
+ * Adds a balance alert and returns its ID
+ */
+async function addBalanceAlert({ user_id, account_id, alert_type, threshold }) {
+    const result = await pool.query(`
+        INSERT INTO balance_alerts (user_id, account_id, alert_type, threshold)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [user_id, account_id, alert_type, threshold]);
+    return result.rows[0].id;
+}
+
+/**
+ * Gets a user's balance alerts, oldest first
+ */
+async function getUserAlerts(userId) {
+    const result = await pool.query(
+        'SELECT * FROM balance_alerts WHERE user_id = $1 ORDER BY id',
+        [userId]
+    );
+    return result.rows;
+}
+
+/**
+ * Gets every balance alert (for the alert checker)
+ */
+async function getAllBalanceAlerts() {
+    const result = await pool.query('SELECT * FROM balance_alerts ORDER BY account_id, id');
+    return result.rows;
+}
+
+/**
+ * Removes one of a user's balance alerts; returns false if there was no such alert
+ */
+async function removeBalanceAlert(userId, alertId) {
+    const result = await pool.query(
+        'DELETE FROM balance_alerts WHERE user_id = $1 AND id = $2',
+        [userId, alertId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Records that an alert fires now if last_fired_at is still expectedFiredAt;
+ * returns false if another instance already fired it
+ */
+async function claimAlertFire(alertId, expectedFiredAt, firedAt) {
+    const result = await pool.query(`
+        UPDATE balance_alerts SET last_fired_at = $3
+        WHERE id = $1 AND last_fired_at IS NOT DISTINCT FROM $2
+    `, [alertId, expectedFiredAt, firedAt]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Stores the views last seen by a no_views alert and when they last changed
+ */
+async function setAlertViews(alertId, views, changedAt) {
+    await pool.query(
+        'UPDATE balance_alerts SET last_views = $2, views_changed_at = $3 WHERE id = $1',
+        [alertId, views, changedAt]
+    );
+}
+
 /**
  * Gets user statistics
  */
@@ -136,18 +572,141 @@ async function getUserStats(userId) {
  * Gets total number of users
  */
 async function getTotalUsers() {
-    const result = await pool.query('SELECT COUNT(*) FROM user_api_keys');
+    const result = await pool.query('SELECT COUNT(DISTINCT user_id) FROM user_accounts');
     return parseInt(result.rows[0].count, 10);
 }
 
+/**
+ * Gets bot-wide totals and the number of links shortened on each of the last `days` days (UTC)
+ */
+async function getGlobalStats(days = 7) {
+    const totals = await pool.query(`
+        SELECT
+            (SELECT COUNT(DISTINCT user_id) FROM user_accounts) AS total_users,
+            (SELECT COUNT(*) FROM user_stats WHERE last_use > CURRENT_TIMESTAMP - INTERVAL '1 day') AS active_today,
+            (SELECT COUNT(*) FROM user_stats WHERE last_use > CURRENT_TIMESTAMP - INTERVAL '7 days') AS active_week,
+            (SELECT COALESCE(SUM(total_urls_shortened), 0)::BIGINT FROM user_stats) AS total_links,
+            (SELECT COUNT(*) FROM channel_settings WHERE enabled) AS channels,
+            (SELECT COUNT(*) FROM user_settings WHERE broadcast_opt_out) AS opted_out,
+            (SELECT COUNT(*) FROM user_settings WHERE bot_blocked) AS blocked
+    `);
+    
+    const perDay = await pool.query(`
+        SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, COUNT(*) AS count
+        FROM shortened_links
+        WHERE created_at >= date_trunc('day', CURRENT_TIMESTAMP) - ($1 - 1) * INTERVAL '1 day'
+        GROUP BY day
+        ORDER BY day
+    `, [days]);
+    
+    return { ...totals.rows[0], links_per_day: perDay.rows };
+}
+
+/**
+ * Gets the users a broadcast goes to: users with an account who neither opted out nor blocked the bot
+ */
+async function getBroadcastRecipients() {
+    const result = await pool.query(`
+        SELECT DISTINCT a.user_id
+        FROM user_accounts a
+        LEFT JOIN user_settings s ON s.user_id = a.user_id
+        WHERE NOT COALESCE(s.broadcast_opt_out, FALSE) AND NOT COALESCE(s.bot_blocked, FALSE)
+        ORDER BY a.user_id
+    `);
+    return result.rows.map(row => row.user_id);
+}
+
+/**
+ * Clears all user data (for maintenance purposes)
+ */
+async function clearAllUserData() {
+    await pool.query('TRUNCATE user_accounts, user_stats, channel_settings, shortened_links, link_cache, domain_rules, user_settings, report_subscriptions, balance_snapshots, balance_snapshot_claims, balance_alerts, group_settings');
+    console.log('✅ All user data cleared from database');
+}
+
 /**
  * Gets all user IDs
  */
 async function getAllUserIds() {
-    const result = await pool.query('SELECT user_id FROM user_api_keys');
+    const result = await pool.query('SELECT DISTINCT user_id FROM user_accounts');
     return result.rows.map(row => row.user_id);
 }
 
+/**
+ * Links a channel to the user and account whose API key shortens its posts
+ */
+async function linkChannel(channelId, ownerId, title = null, accountId = null) {
+    if (!channelId || !ownerId) throw new Error('Channel ID and owner ID are required');
+    
+    await pool.query(`
+        INSERT INTO channel_settings (channel_id, owner_id, title, account_id, enabled, updated_at)
+        VALUES ($1, $2, $3, $4, TRUE, CURRENT_TIMESTAMP)
+        ON CONFLICT (channel_id)
+        DO UPDATE SET owner_id = $2, title = $3, account_id = $4, enabled = TRUE, updated_at = CURRENT_TIMESTAMP
+    `, [channelId, ownerId, title, accountId]);
+    
+    console.log(`✅ Channel ${channelId} linked to user ${ownerId}`);
+}
+
+/**
+ * Gets the settings of a linked channel
+ */
+async function getChannel(channelId) {
+    const result = await pool.query(
+        'SELECT * FROM channel_settings WHERE channel_id = $1',
+        [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Gets all channels linked by a user
+ */
+async function getUserChannels(ownerId) {
+    const result = await pool.query(
+        'SELECT * FROM channel_settings WHERE owner_id = $1 ORDER BY created_at',
+        [ownerId]
+    );
+    return result.rows;
+}
+
+/**
+ * Turns auto-shortening on or off for a channel
+ */
+async function setChannelEnabled(channelId, enabled) {
+    const result = await pool.query(
+        'UPDATE channel_settings SET enabled = $2, updated_at = CURRENT_TIMESTAMP WHERE channel_id = $1',
+        [channelId, enabled]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Unlinks a channel
+ */
+async function unlinkChannel(channelId) {
+    const result = await pool.query(
+        'DELETE FROM channel_settings WHERE channel_id = $1',
+        [channelId]
+    );
+    await pool.query(
+        "DELETE FROM domain_rules WHERE scope = 'channel' AND scope_id = $1",
+        [channelId]
+    );
+    if (result.rowCount > 0) {
+        console.log(`✅ Channel ${channelId} unlinked`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Checks that the database answers (readiness probe)
+ */
+async function ping() {
+    await pool.query('SELECT 1');
+}
+
 /**
  * Closes pool (cleanup on shutdown)
  */
@@ -158,13 +717,55 @@ async function closeDatabase() {
 
 module.exports = {
     initializeDatabase,
+    getSchemaStatus,
     setUserApiKey,
     getUserApiKey,
+    getUserAccount,
+    getUserAccounts,
+    getAccountById,
+    setActiveAccount,
+    removeUserAccount,
+    listStoredApiKeys,
+    replaceStoredApiKey,
     hasApiKey,
     removeUserApiKey,
     updateUserStats,
+    recordShortenedLinks,
+    getLinkHistory,
+    getCachedShortUrl,
+    setCachedShortUrl,
+    getDomainRules,
+    addDomainRule,
+    removeDomainRule,
+    getUserSettings,
+    setUserSetting,
+    getGroupSettings,
+    setGroupSetting,
+    setReportSubscription,
+    getReportSubscriptions,
+    removeReportSubscription,
+    getDueReportSubscriptions,
+    claimReportRun,
+    saveBalanceSnapshot,
+    claimBalanceSnapshot,
+    getBalanceSnapshots,
+    addBalanceAlert,
+    getUserAlerts,
+    getAllBalanceAlerts,
+    removeBalanceAlert,
+    claimAlertFire,
+    setAlertViews,
     getUserStats,
     getTotalUsers,
+    getGlobalStats,
+    getBroadcastRecipients,
+    clearAllUserData,
     getAllUserIds,
+    linkChannel,
+    getChannel,
+    getUserChannels,
+    setChannelEnabled,
+    unlinkChannel,
+    ping,
     closeDatabase
 };
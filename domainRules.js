@@ -0,0 +1,88 @@
+const { getHostname } = require('./shortenerProviders');
+
+/**
+ * Per-user and per-channel domain rules deciding which URLs get shortened
+ *
+ *   skip - URLs on these domains are left untouched (e.g. t.me invites)
+ *   only - if any exist, only URLs on these domains are shortened
+ *
+ * A pattern is a domain ("t.me", matching only that host) or a wildcard
+ * ("*.example.com", matching example.com and all of its subdomains).
+ * A leading "www." is ignored on both sides.
+ */
+
+const RULE_TYPES = ['skip', 'only'];
+
+const DOMAIN_LABELS = /^([a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+/**
+ * Normalises a domain pattern typed by a user. Accepts plain domains,
+ * "*." wildcards and full URLs, of which only the host is kept.
+ * @param {string} input - e.g. "t.me", "*.Example.com" or "https://t.me/joinchat/x"
+ * @returns {string|null} - Normalised pattern, or null if it is not a domain
+ */
+function parseDomainPattern(input) {
+    if (!input) {
+        return null;
+    }
+    
+    let pattern = input.trim().toLowerCase();
+    const wildcard = pattern.startsWith('*.');
+    if (wildcard) {
+        pattern = pattern.slice(2);
+    }
+    
+    // getHostname drops scheme, path and "www.", and punycodes IDN domains
+    const hostname = getHostname(pattern);
+    if (!hostname || !hostname.includes('.') || !DOMAIN_LABELS.test(hostname)) {
+        return null;
+    }
+    
+    return wildcard ? `*.${hostname}` : hostname;
+}
+
+/**
+ * Checks whether a hostname matches a domain pattern
+ * @param {string} hostname - Hostname from getHostname
+ * @param {string} pattern - Normalised pattern
+ * @returns {boolean} - True if it matches
+ */
+function matchesDomain(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        const domain = pattern.slice(2);
+        return hostname === domain || hostname.endsWith('.' + domain);
+    }
+    return hostname === pattern;
+}
+
+/**
+ * Decides whether a URL should be shortened under a set of rules
+ * @param {string} url - URL found in a message
+ * @param {object[]} rules - Rules ({ rule_type, domain }) from storage
+ * @returns {boolean} - False if the rules leave the URL untouched
+ */
+function shouldShortenUrl(url, rules) {
+    if (!rules || rules.length === 0) {
+        return true;
+    }
+    
+    const hostname = getHostname(url);
+    if (!hostname) {
+        return true;
+    }
+    
+    const matches = type => rules.some(rule => rule.rule_type === type && matchesDomain(hostname, rule.domain));
+    const hasOnlyRules = rules.some(rule => rule.rule_type === 'only');
+    
+    if (hasOnlyRules && !matches('only')) {
+        return false;
+    }
+    return !matches('skip');
+}
+
+module.exports = {
+    RULE_TYPES,
+    parseDomainPattern,
+    matchesDomain,
+    shouldShortenUrl
+};
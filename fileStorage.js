@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const memoryStorage = require('./userStorage');
+
+/**
+ * File-backed storage driver for small deployments
+ * Keeps the in-memory driver's state and writes a JSON snapshot to
+ * STORAGE_FILE shortly after every change, so data survives restarts
+ * without a database server.
+ */
+
+// Delay before writing, so bursts of changes produce a single write
+const WRITE_DELAY = 200;
+
+// ISO timestamps are revived as Date objects to match the other drivers
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+let writeTimer = null;
+let writing = Promise.resolve();
+
+/**
+ * Writes the current state to disk atomically (temp file + rename)
+ */
+function writeSnapshot() {
+    writeTimer = null;
+    const data = JSON.stringify(memoryStorage.exportState());
+    const tempFile = `${config.STORAGE_FILE}.tmp`;
+    
+    writing = writing
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(config.STORAGE_FILE), { recursive: true });
+            await fs.promises.writeFile(tempFile, data);
+            await fs.promises.rename(tempFile, config.STORAGE_FILE);
+        })
+        .catch(error => console.error('❌ Failed to write storage file:', error.message));
+    
+    return writing;
+}
+
+/**
+ * Schedules a snapshot write after the current burst of changes
+ */
+function scheduleWrite() {
+    if (!writeTimer) {
+        writeTimer = setTimeout(writeSnapshot, WRITE_DELAY);
+    }
+}
+
+/**
+ * Loads the storage file (if any) and starts persisting changes
+ */
+async function initializeDatabase() {
+    try {
+        const data = await fs.promises.readFile(config.STORAGE_FILE, 'utf8');
+        const state = JSON.parse(data, (key, value) => (
+            typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+        ));
+        memoryStorage.importState(state);
+        console.log(`✅ Loaded storage file ${config.STORAGE_FILE}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        console.log(`✅ Starting new storage file ${config.STORAGE_FILE}`);
+    }
+    
+    memoryStorage.onChange(scheduleWrite);
+}
+
+/**
+ * Flushes pending changes to disk (cleanup on shutdown)
+ */
+async function closeDatabase() {
+    if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeSnapshot();
+    }
+    await writing;
+    console.log('✅ Storage file saved');
+}
+
+module.exports = {
+    ...memoryStorage,
+    initializeDatabase,
+    closeDatabase
+};
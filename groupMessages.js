@@ -0,0 +1,91 @@
+const { containsUrls, replaceRange } = require('./messageProcessor');
+
+/**
+ * Group chats
+ *
+ * In groups the bot only answers when asked, so members without a key are
+ * not told to set one under every link they post. A message asks when it
+ * mentions the bot's @username anywhere, replies to one of the bot's
+ * messages, or the group has auto mode on. /short is handled with the
+ * other commands.
+ */
+
+const GROUP_CHAT_TYPES = ['group', 'supergroup'];
+
+/**
+ * Finds the bot's @username in a text, case-insensitively. It has to start
+ * the text or follow whitespace, so a link like medium.com/@name is not a mention.
+ * @param {string} text - Message text or caption
+ * @param {string} username - The bot's username, without the @
+ * @returns {{offset: number, length: number}|null} - Position of the mention, or null
+ */
+function findMention(text, username) {
+    const match = new RegExp(`(^|\\s)@${username}(?!\\w)`, 'i').exec(text);
+    if (!match) {
+        return null;
+    }
+    return { offset: match.index + match[1].length, length: username.length + 1 };
+}
+
+/**
+ * Removes a mention from a text, with the whitespace after it (or before it
+ * at the end), and moves the entities to match
+ * @param {string} text - Message text or caption
+ * @param {object[]} entities - Entities of the text
+ * @param {{offset: number, length: number}} mention - Position from findMention
+ * @returns {{text: string, entities: object[]}} - The text without the mention
+ */
+function removeMention(text, entities, { offset, length }) {
+    let start = offset;
+    let end = offset + length;
+    end += /^\s*/.exec(text.slice(end))[0].length;
+    if (end === text.length) {
+        start -= /\s*$/.exec(text.slice(0, start))[0].length;
+    }
+    
+    const rest = (entities || []).map(entity => ({ ...entity }));
+    return { text: replaceRange(text, rest, start, end - start, ''), entities: rest };
+}
+
+/**
+ * Decides whether a group message asks to be shortened, and what to shorten
+ * @param {object} msg - Telegram message
+ * @param {string} text - Message text or caption
+ * @param {object[]} entities - Entities of the text
+ * @param {object} context - me: the bot's own user ({ id, username }); isAutoShorten: resolves whether the group has auto mode on, asked only when needed
+ * @returns {Promise<{text: string, entities: object[], explicit: boolean}|null>} - What to shorten, and whether someone asked rather than auto mode; null to stay quiet
+ */
+async function getGroupRequest(msg, text, entities, { me, isAutoShorten }) {
+    if (!text) {
+        return null;
+    }
+    
+    const mention = findMention(text, me.username);
+    if (mention) {
+        const rest = removeMention(text, entities, mention);
+        const replied = msg.reply_to_message;
+        // A mention on its own shortens the message it replies to
+        if (!rest.text.trim() && replied) {
+            return {
+                text: replied.text || replied.caption,
+                entities: (replied.text ? replied.entities : replied.caption_entities) || [],
+                explicit: true
+            };
+        }
+        return { ...rest, explicit: true };
+    }
+    
+    if (msg.reply_to_message && msg.reply_to_message.from && msg.reply_to_message.from.id === me.id) {
+        return { text, entities: entities || [], explicit: true };
+    }
+    
+    if (containsUrls(text, entities) && await isAutoShorten()) {
+        return { text, entities: entities || [], explicit: false };
+    }
+    return null;
+}
+
+module.exports = {
+    GROUP_CHAT_TYPES,
+    getGroupRequest
+};
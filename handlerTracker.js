@@ -0,0 +1,59 @@
+/**
+ * Keeps track of update handlers that are still running, so shutdown can
+ * wait for them (graceful drain) instead of cutting off half-sent replies
+ */
+
+/**
+ * Wraps bot.on and bot.onText so every handler registered afterwards is tracked.
+ * Must be called before any handler is registered.
+ * @param {TelegramBot} bot - Bot instance
+ * @returns {{pending: function(): number, drain: function(number): Promise<boolean>}} - Tracker
+ */
+function trackHandlers(bot) {
+    const running = new Set();
+    
+    const track = handler => function trackedHandler(...args) {
+        const result = Promise.resolve().then(() => handler.apply(this, args));
+        running.add(result);
+        result
+            .catch(error => console.error('Unhandled error in update handler:', error))
+            .then(() => running.delete(result));
+        return result;
+    };
+    
+    const on = bot.on.bind(bot);
+    const onText = bot.onText.bind(bot);
+    bot.on = (event, listener) => on(event, track(listener));
+    bot.onText = (regexp, callback) => onText(regexp, track(callback));
+    
+    /**
+     * Waits until all running handlers have finished
+     * @param {number} timeout - Maximum wait in ms
+     * @returns {Promise<boolean>} - False if handlers were still running at the timeout
+     */
+    async function drain(timeout) {
+        const deadline = Date.now() + timeout;
+        while (running.size > 0) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return false;
+            }
+            let timer;
+            const timeoutReached = new Promise(resolve => {
+                timer = setTimeout(resolve, remaining);
+            });
+            await Promise.race([Promise.allSettled(Array.from(running)), timeoutReached]);
+            clearTimeout(timer);
+        }
+        return true;
+    }
+    
+    return {
+        pending: () => running.size,
+        drain
+    };
+}
+
+module.exports = {
+    trackHandlers
+};
@@ -0,0 +1,111 @@
+const http = require('http');
+const config = require('./config');
+const { ping } = require('./storage');
+const { pollStatus, renderMetrics } = require('./metrics');
+
+/**
+ * The bot's HTTP server (no express needed)
+ *
+ *   GET  /healthz  - Liveness: the process is up
+ *   GET  /readyz   - Readiness: storage answers and, when polling, the last poll succeeded
+ *   GET  /metrics  - Prometheus metrics
+ *   POST WEBHOOK_PATH - Telegram updates in webhook mode
+ *   GET  /         - Plain "running" message, kept for existing uptime checks
+ */
+
+// Readiness fails if the database takes longer than this to answer
+const PING_TIMEOUT = 2000;
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - JSON body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Pings storage, failing after PING_TIMEOUT
+ * @returns {Promise<{ok: boolean, error?: string}>} - Database status
+ */
+async function checkDatabase() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${PING_TIMEOUT}ms`)), PING_TIMEOUT);
+    });
+    
+    try {
+        await Promise.race([ping(), timeout]);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Builds the readiness report
+ * @returns {Promise<{ready: boolean, report: object}>} - Whether the bot is ready, and details
+ */
+async function checkReadiness() {
+    const database = await checkDatabase();
+    const report = { database };
+    let ready = database.ok;
+    
+    if (config.BOT_MODE === 'polling') {
+        report.polling = {
+            ok: pollStatus.ok === true,
+            last_poll_at: pollStatus.at ? pollStatus.at.toISOString() : null,
+            error: pollStatus.error
+        };
+        ready = ready && report.polling.ok;
+    }
+    
+    return { ready, report: { status: ready ? 'ok' : 'unavailable', ...report } };
+}
+
+/**
+ * Creates the HTTP server
+ * @param {object} webhook - Webhook handler from createWebhookHandler, or null when polling
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createHttpServer(webhook) {
+    return http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+        
+        if (webhook && path === config.WEBHOOK_PATH) {
+            webhook.handle(req, res);
+            return;
+        }
+        
+        try {
+            if (path === '/healthz') {
+                sendJson(res, 200, { status: 'ok' });
+            } else if (path === '/readyz') {
+                const { ready, report } = await checkReadiness();
+                sendJson(res, ready ? 200 : 503, report);
+            } else if (path === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(renderMetrics());
+            } else if (path === '/') {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('✅ Telegram URL Shortener Bot is running');
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+            }
+        } catch (error) {
+            console.error('Error handling HTTP request:', error);
+            res.writeHead(500);
+            res.end();
+        }
+    });
+}
+
+module.exports = {
+    createHttpServer
+};
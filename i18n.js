@@ -0,0 +1,78 @@
+/**
+ * Message catalogues
+ *
+ * Every user-facing text lives in locales/<language>.js under a dotted key.
+ * Values may contain {name} placeholders; a value that is an object holds
+ * plural forms ({ one, other, ... }), picked by the `count` parameter with the
+ * language's plural rules. Keys missing from a catalogue fall back to English.
+ */
+
+// Languages users can choose with /language, with the locale used for dates
+const SUPPORTED_LANGUAGES = {
+    en: { name: 'English', locale: 'en-GB', catalogue: require('./locales/en') },
+    hi: { name: 'हिन्दी', locale: 'hi-IN', catalogue: require('./locales/hi') }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Picks the language to answer in
+ * @param {string|null} chosen - Language saved with /language
+ * @param {string} languageCode - IETF tag of the user's Telegram app, e.g. hi or en-US
+ * @returns {string} - A key of SUPPORTED_LANGUAGES
+ */
+function resolveLanguage(chosen, languageCode) {
+    if (chosen && SUPPORTED_LANGUAGES[chosen]) {
+        return chosen;
+    }
+    
+    const base = (languageCode || '').toLowerCase().split('-')[0];
+    return SUPPORTED_LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Looks up and fills in a message
+ * @param {string} language - A key of SUPPORTED_LANGUAGES
+ * @param {string} key - Message key, e.g. balance.unavailable
+ * @param {object} params - Placeholder values; `count` also selects the plural form
+ * @returns {string} - The message, or the key itself if no catalogue has it
+ */
+function translate(language, key, params = {}) {
+    const lang = SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    let message = SUPPORTED_LANGUAGES[lang].catalogue[key];
+    if (message === undefined) {
+        message = SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE].catalogue[key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(SUPPORTED_LANGUAGES[lang].locale).select(Number(params.count) || 0);
+        message = message[form] !== undefined ? message[form] : message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Creates a translate function bound to one language
+ * @param {string} language - A key of SUPPORTED_LANGUAGES
+ * @returns {function(string, object): string} - t(key, params), with t.language and t.locale
+ */
+function getTranslator(language) {
+    const lang = SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    const t = (key, params) => translate(lang, key, params);
+    t.language = lang;
+    t.locale = SUPPORTED_LANGUAGES[lang].locale;
+    return t;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLanguage,
+    translate,
+    getTranslator
+};
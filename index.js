@@ -1,26 +1,56 @@
 const TelegramBot = require('node-telegram-bot-api');
-const axios = require('axios');
 const config = require('./config');
-const { shortenUrl } = require('./urlShortener');
-const { processMessage } = require('./messageProcessor');
-const { setUserApiKey, getUserApiKey, hasApiKey, updateUserStats, getTotalUsers, initializeDatabase } = require('./databaseStorage');
+const { installConsoleRedaction, registerSecret } = require('./logger');
+
+// Scrub API keys and the bot token from everything written to the console
+installConsoleRedaction();
+registerSecret(config.TELEGRAM_BOT_TOKEN, true);
+
+const { shortenUrl, isValidAlias } = require('./urlShortener');
+const { getProvider, isValidProviderUrl } = require('./shortenerProviders');
+const { processMessage, containsUrls, extractUrls } = require('./messageProcessor');
+const { getMediaInfo, sendMedia, toInputMedia, collectMediaGroup } = require('./mediaMessage');
+const { createProgressReporter } = require('./progressMessage');
+const { parseDomainPattern } = require('./domainRules');
+const { runBroadcast } = require('./broadcast');
+const { trackHandlers } = require('./handlerTracker');
+const { createWebhookHandler, registerWebhook, unregisterWebhook } = require('./webhook');
+const { createHttpServer } = require('./httpServer');
+const { trackPolling } = require('./metrics');
+const { WEEKDAYS, isValidTimeZone, parseTimeOfDay, computeNextRun, startReportScheduler } = require('./reportScheduler');
+const { recordBalanceSnapshot, startBalanceSnapshots, buildTrend, sparkline } = require('./balanceHistory');
+const { ALERT_TYPES, parseAlert, describeAlert, startAlertChecker } = require('./balanceAlerts');
+const { buildInlineAnswer } = require('./inlineMode');
+const { GROUP_CHAT_TYPES, getGroupRequest } = require('./groupMessages');
+const { getBulkFileType, downloadDocument, decodeText, readTextFile, readCsvFile, listCsvColumns, shortenBulkFile } = require('./bulkFile');
+const { SUPPORTED_LANGUAGES, resolveLanguage, getTranslator } = require('./i18n');
+const {
+    setUserApiKey, getUserAccount, getUserAccounts, getAccountById, setActiveAccount, removeUserAccount, hasApiKey, updateUserStats, getTotalUsers, initializeDatabase, closeDatabase,
+    getLinkHistory,
+    linkChannel, getChannel, getUserChannels, setChannelEnabled, unlinkChannel,
+    getDomainRules, addDomainRule, removeDomainRule, getUserSettings, setUserSetting,
+    getUserStats, getGlobalStats, getBroadcastRecipients,
+    setReportSubscription, getReportSubscriptions, removeReportSubscription,
+    addBalanceAlert, getUserAlerts, removeBalanceAlert,
+    getGroupSettings, setGroupSetting
+} = require('./storage');
 
 /**
- * Fetches user balance from Linkara.xyz API
+ * Fetches user balance from the provider's balance API
  * @param {string} apiKey - The user's API key
+ * @param {object} provider - Shortener provider adapter
  * @returns {Promise<object|null>} - The balance data or null if failed
  */
-async function fetchUserBalance(apiKey) {
+async function fetchUserBalance(apiKey, provider = getProvider()) {
+    if (!provider.fetchBalance) {
+        return null;
+    }
+    
     try {
-        const response = await axios.get(`https://linkara.xyz/api/user/balance?api=${apiKey}`, {
-            timeout: config.REQUEST_TIMEOUT,
-            headers: {
-                'User-Agent': 'Telegram-URL-Shortener-Bot/1.0'
-            }
-        });
+        const balanceData = await provider.fetchBalance(apiKey);
         
-        console.log('Balance API response:', response.data);
-        return response.data;
+        console.log(`Balance fetched from ${provider.name} for ${balanceData && balanceData.username}`);
+        return balanceData;
     } catch (error) {
         console.error('Error fetching balance:', error.message);
         if (error.response) {
@@ -30,312 +60,2113 @@ async function fetchUserBalance(apiKey) {
     }
 }
 
-// Initialize bot
-const bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, { polling: true });
+/**
+ * Calculates the CPM (earnings per 1000 views) of a balance period
+ * @param {{views: number, earnings: number}} period - e.g. balanceData.today
+ * @returns {string} - CPM with three decimals
+ */
+function calculateCpm(period) {
+    return period.views > 0 ? (period.earnings / period.views * 1000).toFixed(3) : '0.000';
+}
+
+/**
+ * Turns a stored account into its API key and provider adapter
+ * @param {object|null} account - Account row from storage
+ * @returns {{apiKey: string, provider: object, account: object}|null} - Null if no account
+ */
+function toShortener(account) {
+    if (!account) {
+        return null;
+    }
+    
+    return {
+        apiKey: account.api_key,
+        provider: getProvider(account.provider, account.provider_url),
+        account
+    };
+}
+
+/**
+ * Gets the API key and provider of a user's active account
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<{apiKey: string, provider: object, account: object}|null>} - Null if no key is set
+ */
+async function getUserShortener(userId) {
+    return toShortener(await getUserAccount(userId));
+}
+
+/**
+ * Gets the translator for a user: the language chosen with /language, or
+ * else the language of their Telegram app, or English
+ * @param {object} user - Telegram user (msg.from); only { id } when the app language is unknown
+ * @returns {Promise<function(string, object): string>} - t(key, params)
+ */
+async function getUserTranslator(user) {
+    let language = null;
+    try {
+        ({ language } = await getUserSettings(user.id));
+    } catch (error) {
+        console.error('Error loading language setting:', error.message);
+    }
+    return getTranslator(resolveLanguage(language, user.language_code));
+}
+
+// The bot's own user, from getMe; fetched once
+let botInfo = null;
+
+/**
+ * Gets the bot's own user (id, username)
+ * @returns {Promise<object>} - Telegram User of the bot
+ */
+async function getBotInfo() {
+    if (!botInfo) {
+        botInfo = await bot.getMe();
+    }
+    return botInfo;
+}
+
+// Initialize bot; polling starts once storage is ready, and in webhook mode
+// updates come in through the HTTP server below
+const bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, {
+    polling: config.BOT_MODE === 'polling' ? { autoStart: false } : false
+});
+const handlers = trackHandlers(bot);
+trackPolling(bot);
+const webhook = config.BOT_MODE === 'webhook' ? createWebhookHandler(bot, config.WEBHOOK_SECRET) : null;
+if (webhook) {
+    registerSecret(config.WEBHOOK_SECRET, true);
+}
+
+// Stop the earnings report scheduler, balance snapshots and alert checker; set once storage is ready
+let stopReportScheduler = () => {};
+let stopBalanceSnapshots = () => {};
+let stopAlertChecker = () => {};
 
 // Initialize database on startup
 (async () => {
     try {
         await initializeDatabase();
-        console.log('✅ Telegram URL Shortener Bot started with database...');
+        console.log(`✅ Telegram URL Shortener Bot started with ${config.STORAGE_DRIVER} storage...`);
     } catch (error) {
         console.error('❌ Failed to initialize database:', error);
         process.exit(1);
     }
+    
+    if (webhook) {
+        try {
+            webhook.setAccepting(true);
+            const url = await registerWebhook(bot);
+            console.log(`✅ Webhook registered at ${url}`);
+        } catch (error) {
+            console.error('❌ Failed to register webhook:', error.message);
+            process.exit(1);
+        }
+    } else {
+        bot.startPolling();
+    }
+    
+    stopReportScheduler = startReportScheduler(sendScheduledReport);
+    stopBalanceSnapshots = startBalanceSnapshots();
+    stopAlertChecker = startAlertChecker(sendAlert);
 })();
-// --- Health check server (no express needed) ---
-const http = require("http");
 
-const PORT = process.env.PORT || 8000;
-
-http.createServer((req, res) => {
-  res.writeHead(200, { "Content-Type": "text/plain" });
-  res.end("✅ Telegram URL Shortener Bot is running");
-}).listen(PORT, () => {
-  console.log(`🌍 Health check server running on port ${PORT}`);
+// HTTP server: health, readiness, metrics, and Telegram updates in webhook mode
+const server = createHttpServer(webhook).listen(config.PORT, () => {
+    console.log(`🌍 HTTP server running on port ${config.PORT}${webhook ? ` (webhook at ${config.WEBHOOK_PATH})` : ''}`);
 });
 
-
-
 // Command handlers
-bot.onText(/\/start/, (msg) => {
+bot.onText(/\/start/, async (msg) => {
     const chatId = msg.chat.id;
-    const welcomeMessage = `
-🔗 Welcome to URL Shortener Bot!
-
-This bot helps you shorten URLs using Linkara.xyz API.
-
-Available commands:
-/start - Show this welcome message
-/api <your-api-key> - Set your Linkara.xyz API key
-/balance - Check your account balance
-/help - Show help information
-
-To get started:
-1. Get your API key from Linkara.xyz
-2. Set it using /api command
-3. Send any message with URLs and I'll shorten them for you!
-
-The bot preserves your original message structure while replacing URLs with shortened versions.
-    `;
     
-    bot.sendMessage(chatId, welcomeMessage);
+    // Someone who blocked the bot and came back can get broadcasts again
+    try {
+        if ((await getUserSettings(msg.from.id)).bot_blocked) {
+            await setUserSetting(msg.from.id, 'bot_blocked', false);
+        }
+    } catch (error) {
+        console.error('Error clearing blocked flag:', error.message);
+    }
+    
+    const t = await getUserTranslator(msg.from);
+    const botUsername = (await getBotInfo()).username;
+    bot.sendMessage(chatId, t('start.welcome', { botUsername }));
 });
 
-bot.onText(/\/help/, (msg) => {
+bot.onText(/\/help/, async (msg) => {
     const chatId = msg.chat.id;
-    const helpMessage = `
-📚 Help - URL Shortener Bot
+    const t = await getUserTranslator(msg.from);
+    const botUsername = (await getBotInfo()).username;
+    bot.sendMessage(chatId, t('help.text', { botUsername, languages: Object.keys(SUPPORTED_LANGUAGES).join('|') }));
+});
 
-Commands:
-• /start - Welcome message and setup instructions
-• /api <key> - Set your Linkara.xyz API key
-• /balance - Check your account balance
-• /help - Show this help message
+/**
+ * Builds the /language message with a button per language
+ * @param {function(string, object): string} t - Translator of the current language
+ * @param {boolean} chosen - Whether the language was chosen with /language rather than taken from the app
+ * @returns {{text: string, options: object}} - Message text and send options
+ */
+function buildLanguageMessage(t, chosen) {
+    const languages = Object.keys(SUPPORTED_LANGUAGES).join('|');
+    const inline_keyboard = [Object.entries(SUPPORTED_LANGUAGES).map(([code, { name }]) => ({
+        text: code === t.language ? `✅ ${name}` : name,
+        callback_data: `lang:${code}`
+    }))];
+    
+    return {
+        text: t(chosen ? 'language.current' : 'language.currentAuto', { language: SUPPORTED_LANGUAGES[t.language].name, languages }),
+        options: { reply_markup: { inline_keyboard } }
+    };
+}
 
-Usage:
-1. Set your API key: /api your-api-key-here
-2. Send any message containing URLs
-3. Bot will reply with the same message but URLs shortened
+bot.onText(/^\/language(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const choice = (match[1] || '').toLowerCase();
+    const t = await getUserTranslator(msg.from);
+    
+    if (!choice) {
+        try {
+            const { language } = await getUserSettings(userId);
+            const { text, options } = buildLanguageMessage(t, Boolean(language));
+            bot.sendMessage(chatId, text, options);
+        } catch (error) {
+            console.error('Error loading language setting:', error.message);
+            bot.sendMessage(chatId, t('common.settingError'));
+        }
+        return;
+    }
+    
+    if (choice !== 'auto' && !SUPPORTED_LANGUAGES[choice]) {
+        bot.sendMessage(chatId, t('language.usage', { languages: Object.keys(SUPPORTED_LANGUAGES).join('|') }));
+        return;
+    }
+    
+    try {
+        await setUserSetting(userId, 'language', choice === 'auto' ? null : choice);
+        // Confirm in the new language
+        const confirm = await getUserTranslator(msg.from);
+        bot.sendMessage(chatId, confirm(choice === 'auto' ? 'language.auto' : 'language.changed'));
+    } catch (error) {
+        console.error('Error saving language setting:', error.message);
+        bot.sendMessage(chatId, t('common.settingError'));
+    }
+});
 
-Features:
-✅ Single URL shortening
-✅ Bulk URL shortening (multiple URLs in one message)
-✅ Preserves original message format
-✅ Supports all URL types (HTTP, HTTPS, FTP, etc.)
-✅ Custom aliases support (if provided in URL)
+/**
+ * Handles the language buttons of the /language message
+ * @param {object} callbackQuery - Telegram callback query with lang:<code> data
+ */
+async function handleLanguageCallback(callbackQuery) {
+    const userId = callbackQuery.from.id;
+    const language = callbackQuery.data.split(':')[1];
+    
+    if (!SUPPORTED_LANGUAGES[language]) {
+        bot.answerCallbackQuery(callbackQuery.id);
+        return;
+    }
+    
+    await setUserSetting(userId, 'language', language);
+    const t = await getUserTranslator(callbackQuery.from);
+    bot.answerCallbackQuery(callbackQuery.id, { text: t('language.changed') });
+    
+    // Refresh the message in place, now in the chosen language
+    const { text, options } = buildLanguageMessage(t, true);
+    await bot.editMessageText(text, {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id,
+        ...options
+    });
+}
 
-Example:
-You: "Check out https://example.com and https://google.com"
-Bot: "Check out https://linkara.xyz/xxxxx and https://linkara.xyz/yyyyy"
+// Account names are used in commands and callback data, so keep them short and simple
+const ACCOUNT_NAME_PATTERN = /^[\w-]{1,32}$/;
 
-Need an API key? Visit: https://linkara.xyz
-    `;
-    
-    bot.sendMessage(chatId, helpMessage);
-});
+/**
+ * Deletes a message that contains an API key so it doesn't stay in the chat history
+ * @param {object} msg - Telegram message with the key
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {Promise<string>} - Notice to append to the reply
+ */
+async function deleteKeyMessage(msg, t) {
+    if (config.DELETE_API_KEY_MESSAGES) {
+        try {
+            await bot.deleteMessage(msg.chat.id, msg.message_id);
+            return t('keys.deleted');
+        } catch (error) {
+            console.error('Could not delete API key message:', error.message);
+        }
+    }
+    return t('keys.pleaseDelete');
+}
 
-bot.onText(/\/api (.+)/, async (msg, match) => {
+/**
+ * Verifies an API key with its provider and stores it as a named account,
+ * which becomes the user's active account
+ * @param {object} msg - Telegram message with the key
+ * @param {string} name - Account name
+ * @param {string} apiKey - API key to store
+ * @param {string} providerUrl - Optional AdLinkFly-style API URL
+ */
+async function saveAccount(msg, name, apiKey, providerUrl) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const apiKey = match[1].trim();
+    registerSecret(apiKey);
     
-    console.log(`API key command received from user ${userId}`);
+    const t = await getUserTranslator(msg.from);
+    const keyNotice = await deleteKeyMessage(msg, t);
     
-    if (!apiKey) {
-        bot.sendMessage(chatId, '❌ Please provide a valid API key.\nUsage: /api your-api-key');
+    if (providerUrl && !isValidProviderUrl(providerUrl)) {
+        bot.sendMessage(chatId, t('keys.invalidProviderUrl', { notice: keyNotice }));
         return;
     }
     
     try {
+        // Without an API URL the key is a Linkara.xyz key
+        const providerId = providerUrl ? 'adlinkfly' : 'linkara';
+        const provider = getProvider(providerId, providerUrl);
+        
+        // Check the key before saving it, where the provider lets us
+        let username = null;
+        if (provider.fetchBalance) {
+            const balanceData = await fetchUserBalance(apiKey, provider);
+            if (!balanceData || !balanceData.username) {
+                bot.sendMessage(chatId, t('keys.rejected', { provider: provider.name, notice: keyNotice }));
+                return;
+            }
+            username = balanceData.username;
+        }
+        
         // Store the API key for the user in database
-        await setUserApiKey(userId, apiKey);
+        await setUserApiKey(userId, apiKey, providerId, providerUrl || null, name);
         const totalUsers = await getTotalUsers();
         console.log(`API key stored for user ${userId}. Total users: ${totalUsers}`);
         
-        bot.sendMessage(chatId, '✅ API key set successfully! You can now send messages with URLs to shorten them.');
+        const verified = username ? t('keys.loggedIn', { username }) : t('keys.unverified');
+        bot.sendMessage(chatId, t('keys.saved', { provider: provider.name, name, verified, notice: keyNotice }));
+    } catch (error) {
+        console.error('Error storing API key:', error);
+        bot.sendMessage(chatId, t('keys.error', { notice: keyNotice }));
+    }
+}
+
+bot.onText(/\/api (.+)/, async (msg, match) => {
+    const userId = msg.from.id;
+    const [apiKey, providerUrl] = match[1].trim().split(/\s+/);
+    
+    console.log(`API key command received from user ${userId}`);
+    const t = await getUserTranslator(msg.from);
+    
+    if (!apiKey) {
+        bot.sendMessage(msg.chat.id, t('keys.usage'));
+        return;
+    }
+    
+    try {
+        // /api replaces the key of the active account
+        const active = await getUserAccount(userId);
+        await saveAccount(msg, active ? active.name : 'default', apiKey, providerUrl);
     } catch (error) {
         console.error('Error storing API key:', error);
-        bot.sendMessage(chatId, '❌ Error storing API key. Please try again.');
+        bot.sendMessage(msg.chat.id, t('keys.error', { notice: '' }));
+    }
+});
+
+bot.onText(/^\/addaccount(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const [name, apiKey, providerUrl] = (match[1] || '').trim().split(/\s+/);
+    
+    if (!name || !apiKey || !ACCOUNT_NAME_PATTERN.test(name)) {
+        const t = await getUserTranslator(msg.from);
+        bot.sendMessage(msg.chat.id, t('accounts.addUsage'));
+        return;
+    }
+    
+    await saveAccount(msg, name, apiKey, providerUrl);
+});
+
+/**
+ * Builds the /accounts list with buttons to switch to or remove each account
+ * @param {object[]} accounts - The user's accounts
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {{text: string, options: object}} - Message text and send options
+ */
+function buildAccountsMessage(accounts, t) {
+    const lines = accounts.map(account => {
+        const provider = getProvider(account.provider, account.provider_url);
+        return `${account.is_active ? '✅' : '▫️'} ${account.name} — ${provider.name}`;
+    });
+    
+    const inline_keyboard = accounts.map(account => [
+        { text: account.is_active ? `✅ ${account.name}` : t('accounts.useButton', { name: account.name }), callback_data: `acct_use:${account.name}` },
+        { text: t('accounts.removeButton'), callback_data: `acct_del:${account.name}` }
+    ]);
+    
+    return {
+        text: t('accounts.list', { list: lines.join('\n') }),
+        options: { reply_markup: { inline_keyboard } }
+    };
+}
+
+bot.onText(/^\/accounts(?:@\w+)?$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const t = await getUserTranslator(msg.from);
+    
+    try {
+        const accounts = await getUserAccounts(msg.from.id);
+        if (accounts.length === 0) {
+            bot.sendMessage(chatId, t('common.noApiKey'));
+            return;
+        }
+        
+        const { text, options } = buildAccountsMessage(accounts, t);
+        bot.sendMessage(chatId, text, options);
+    } catch (error) {
+        console.error('Error listing accounts:', error);
+        bot.sendMessage(chatId, t('accounts.loadError'));
+    }
+});
+
+bot.onText(/^\/use(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const name = match[1];
+    const t = await getUserTranslator(msg.from);
+    
+    if (!name) {
+        bot.sendMessage(chatId, t('accounts.useUsage'));
+        return;
+    }
+    
+    try {
+        if (await setActiveAccount(msg.from.id, name)) {
+            bot.sendMessage(chatId, t('accounts.switched', { name }));
+        } else {
+            bot.sendMessage(chatId, t('accounts.notFound', { name }));
+        }
+    } catch (error) {
+        console.error('Error switching account:', error);
+        bot.sendMessage(chatId, t('accounts.switchError'));
+    }
+});
+
+bot.onText(/^\/removeaccount(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const name = match[1];
+    const t = await getUserTranslator(msg.from);
+    
+    if (!name) {
+        bot.sendMessage(chatId, t('accounts.removeUsage'));
+        return;
+    }
+    
+    try {
+        if (await removeUserAccount(msg.from.id, name)) {
+            bot.sendMessage(chatId, t('accounts.removed', { name }));
+        } else {
+            bot.sendMessage(chatId, t('accounts.notFound', { name }));
+        }
+    } catch (error) {
+        console.error('Error removing account:', error);
+        bot.sendMessage(chatId, t('accounts.removeError'));
     }
 });
 
+/**
+ * Handles the switch/remove buttons of the /accounts list
+ * @param {object} callbackQuery - Telegram callback query with acct_use:/acct_del: data
+ */
+async function handleAccountCallback(callbackQuery) {
+    const userId = callbackQuery.from.id;
+    const [action, name] = callbackQuery.data.split(':');
+    
+    const changed = action === 'acct_use'
+        ? await setActiveAccount(userId, name)
+        : await removeUserAccount(userId, name);
+    
+    const t = await getUserTranslator(callbackQuery.from);
+    bot.answerCallbackQuery(callbackQuery.id, {
+        text: changed ? t(action === 'acct_use' ? 'accounts.switchedShort' : 'accounts.removedShort', { name }) : t('accounts.notFoundShort')
+    });
+    
+    // Refresh the list in place
+    const accounts = await getUserAccounts(userId);
+    const target = { chat_id: callbackQuery.message.chat.id, message_id: callbackQuery.message.message_id };
+    if (accounts.length === 0) {
+        await bot.editMessageText(t('accounts.noneLeft'), target);
+        return;
+    }
+    
+    const { text, options } = buildAccountsMessage(accounts, t);
+    await bot.editMessageText(text, { ...target, ...options });
+}
+
 bot.onText(/\/balance/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const t = await getUserTranslator(msg.from);
     
     console.log(`Balance command received from user ${userId}`);
     
     // Check if user has set API key
     if (!(await hasApiKey(userId))) {
-        bot.sendMessage(chatId, '❌ Please set your API key first using /api command.\nExample: /api your-api-key');
+        bot.sendMessage(chatId, t('common.noApiKey'));
         return;
     }
     
     try {
-        const apiKey = await getUserApiKey(userId);
-        const balanceData = await fetchUserBalance(apiKey);
+        const { apiKey, provider, account } = await getUserShortener(userId);
+        if (!provider.fetchBalance) {
+            bot.sendMessage(chatId, t('balance.unavailable', { provider: provider.name }));
+            return;
+        }
+        
+        const balanceData = await fetchUserBalance(apiKey, provider);
         
         if (balanceData) {
-            const message = `💰 Account Overview\n\n👤 Username: ${balanceData.username}\n💵 Currency: ${balanceData.currency}`;
+            saveSnapshot(account.id, balanceData);
+            
+            const message = t('balance.overview', { username: balanceData.username, currency: balanceData.currency });
             
             // Calculate CPM values
-            const todayCPM = balanceData.today.views > 0 ? (balanceData.today.earnings / balanceData.today.views * 1000).toFixed(3) : '0.000';
-            const monthCPM = balanceData.this_month.views > 0 ? (balanceData.this_month.earnings / balanceData.this_month.views * 1000).toFixed(3) : '0.000';
+            const todayCPM = calculateCpm(balanceData.today);
+            const monthCPM = calculateCpm(balanceData.this_month);
             
             const keyboard = {
                 inline_keyboard: [
                     [
-                        { text: `📈 Today: ${balanceData.today.views} views`, callback_data: `today_${userId}` },
-                        { text: `💰 Today: $${balanceData.today.earnings}`, callback_data: `today_earnings_${userId}` }
+                        { text: t('balance.todayViewsButton', { count: balanceData.today.views }), callback_data: `today_${userId}` },
+                        { text: t('balance.todayEarningsButton', { earnings: balanceData.today.earnings }), callback_data: `today_earnings_${userId}` }
                     ],
                     [
-                        { text: `📊 Today CPM: $${todayCPM}`, callback_data: `today_cpm_${userId}` }
+                        { text: t('balance.todayCpmButton', { cpm: todayCPM }), callback_data: `today_cpm_${userId}` }
                     ],
                     [
-                        { text: `📅 Month: ${balanceData.this_month.views} views`, callback_data: `month_${userId}` },
-                        { text: `💵 Month: $${balanceData.this_month.earnings}`, callback_data: `month_earnings_${userId}` }
+                        { text: t('balance.monthViewsButton', { count: balanceData.this_month.views }), callback_data: `month_${userId}` },
+                        { text: t('balance.monthEarningsButton', { earnings: balanceData.this_month.earnings }), callback_data: `month_earnings_${userId}` }
                     ],
                     [
-                        { text: `📈 Month CPM: $${monthCPM}`, callback_data: `month_cpm_${userId}` }
+                        { text: t('balance.monthCpmButton', { cpm: monthCPM }), callback_data: `month_cpm_${userId}` }
                     ],
                     [
-                        { text: `💰 Balance Details`, callback_data: `balance_${userId}` }
+                        { text: t('balance.detailsButton'), callback_data: `balance_${userId}` }
                     ]
                 ]
             };
             
             console.log('Sending message with inline keyboard:', JSON.stringify(keyboard, null, 2));
             
-            const options = {
-                reply_markup: {
-                    inline_keyboard: [
-                        [
-                            { text: `📈 Today: ${balanceData.today.views} views`, callback_data: `today_${userId}` },
-                            { text: `💰 Today: $${balanceData.today.earnings}`, callback_data: `today_earnings_${userId}` }
-                        ],
-                        [
-                            { text: `📊 Today CPM: $${todayCPM}`, callback_data: `today_cpm_${userId}` }
-                        ],
-                        [
-                            { text: `📅 Month: ${balanceData.this_month.views} views`, callback_data: `month_${userId}` },
-                            { text: `💵 Month: $${balanceData.this_month.earnings}`, callback_data: `month_earnings_${userId}` }
-                        ],
-                        [
-                            { text: `📈 Month CPM: $${monthCPM}`, callback_data: `month_cpm_${userId}` }
-                        ],
-                        [
-                            { text: `💰 Balance Details`, callback_data: `balance_${userId}` }
-                        ]
-                    ]
-                }
-            };
-            
-            bot.sendMessage(chatId, message, options);
+            bot.sendMessage(chatId, message, { reply_markup: keyboard });
         } else {
-            bot.sendMessage(chatId, '❌ Unable to fetch balance. Please check your API key.');
+            bot.sendMessage(chatId, t('balance.fetchFailed'));
         }
     } catch (error) {
         console.error('Error fetching balance:', error);
-        bot.sendMessage(chatId, '❌ Error fetching balance. Please try again or check your API key.');
+        bot.sendMessage(chatId, t('balance.error'));
     }
 });
 
-// Handle inline keyboard button clicks
-bot.on('callback_query', async (callbackQuery) => {
-    const chatId = callbackQuery.message.chat.id;
-    const userId = callbackQuery.from.id;
-    const data = callbackQuery.data;
+const HISTORY_PAGE_SIZE = 10;
+
+// Callback data is limited to 64 bytes, so the search text kept in pager buttons is capped
+const HISTORY_SEARCH_MAX_BYTES = 48;
+
+/**
+ * Builds one page of the /history list with a pager keyboard
+ * @param {number} userId - Telegram user ID
+ * @param {number} page - Zero-based page number
+ * @param {string} search - Optional search text
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {Promise<{text: string, options: object}>} - Message text and send options
+ */
+async function buildHistoryPage(userId, page, search, t) {
+    const { links, total } = await getLinkHistory(userId, {
+        search,
+        limit: HISTORY_PAGE_SIZE,
+        offset: page * HISTORY_PAGE_SIZE
+    });
     
-    console.log(`Callback query received: ${data} from user ${userId}`);
+    const title = search ? t('history.searchTitle', { search }) : t('history.title');
+    if (total === 0) {
+        return {
+            text: t(search ? 'history.noMatches' : 'history.empty', { title }),
+            options: {}
+        };
+    }
     
-    // Check if user has set API key
-    if (!(await hasApiKey(userId))) {
-        bot.answerCallbackQuery(callbackQuery.id, { text: 'Please set your API key first using /api command' });
-        return;
+    const pages = Math.ceil(total / HISTORY_PAGE_SIZE);
+    const lines = links.map(link => {
+        const when = new Date(link.created_at).toISOString().slice(0, 16).replace('T', ' ');
+        const account = link.account_name ? ` · ${link.account_name}` : '';
+        const original = link.original_url.length > 100 ? link.original_url.slice(0, 97) + '...' : link.original_url;
+        return `🕒 ${when}${account}\n🔗 ${original}\n➡️ ${link.short_url}`;
+    });
+    
+    const pager = [];
+    if (page > 0) {
+        pager.push({ text: t('history.newer'), callback_data: `hist:${page - 1}:${search}` });
+    }
+    if (page < pages - 1) {
+        pager.push({ text: t('history.older'), callback_data: `hist:${page + 1}:${search}` });
     }
     
-    try {
-        const apiKey = await getUserApiKey(userId);
-        const balanceData = await fetchUserBalance(apiKey);
-        
-        if (!balanceData) {
-            bot.answerCallbackQuery(callbackQuery.id, { text: 'Error fetching balance data' });
-            return;
-        }
-        
-        let responseText = '';
-        
-        if (data.startsWith('today_')) {
-            if (data.includes('earnings')) {
-                responseText = `📈 Today's Performance:\n\n💰 Earnings: $${balanceData.today.earnings}\n📊 Views: ${balanceData.today.views}\n📈 Average per view: $${balanceData.today.views > 0 ? (balanceData.today.earnings / balanceData.today.views).toFixed(6) : '0.000000'}`;
-            } else if (data.includes('cpm')) {
-                const cpm = balanceData.today.views > 0 ? (balanceData.today.earnings / balanceData.today.views * 1000).toFixed(3) : '0.000';
-                responseText = `📊 Today's CPM Analysis:\n\n💵 CPM: $${cpm}\n📈 Views: ${balanceData.today.views}\n💰 Earnings: $${balanceData.today.earnings}\n\nCPM = Cost Per Mille (per 1000 views)`;
-            } else {
-                responseText = `📈 Today's Views:\n\n👁️ Total Views: ${balanceData.today.views}\n💰 Earnings: $${balanceData.today.earnings}\n📊 Revenue per view: $${balanceData.today.views > 0 ? (balanceData.today.earnings / balanceData.today.views).toFixed(6) : '0.000000'}`;
-            }
-        } else if (data.startsWith('month_')) {
-            if (data.includes('earnings')) {
-                responseText = `📅 This Month's Performance:\n\n💰 Total Earnings: $${balanceData.this_month.earnings}\n📊 Total Views: ${balanceData.this_month.views}\n📈 Average per view: $${balanceData.this_month.views > 0 ? (balanceData.this_month.earnings / balanceData.this_month.views).toFixed(6) : '0.000000'}`;
-            } else if (data.includes('cpm')) {
-                const cpm = balanceData.this_month.views > 0 ? (balanceData.this_month.earnings / balanceData.this_month.views * 1000).toFixed(3) : '0.000';
-                responseText = `📊 This Month's CPM Analysis:\n\n💵 CPM: $${cpm}\n📈 Total Views: ${balanceData.this_month.views}\n💰 Total Earnings: $${balanceData.this_month.earnings}\n\nCPM = Cost Per Mille (per 1000 views)`;
-            } else {
-                responseText = `📅 This Month's Views:\n\n👁️ Total Views: ${balanceData.this_month.views}\n💰 Earnings: $${balanceData.this_month.earnings}\n📊 Revenue per view: $${balanceData.this_month.views > 0 ? (balanceData.this_month.earnings / balanceData.this_month.views).toFixed(6) : '0.000000'}`;
-            }
-        } else if (data.startsWith('balance_')) {
-            responseText = `💰 Balance Details:\n\n📊 Publisher Earnings: $${balanceData.balances.publisher_earnings}\n🤝 Referral Earnings: $${balanceData.balances.referral_earnings}\n📢 Advertiser Balance: $${balanceData.balances.advertiser_balance}\n💳 Wallet Money: $${balanceData.balances.wallet_money}\n\n💵 Total Available: $${(balanceData.balances.publisher_earnings + balanceData.balances.referral_earnings + balanceData.balances.advertiser_balance + balanceData.balances.wallet_money).toFixed(3)}`;
+    return {
+        text: t('history.page', { title, page: page + 1, pages, count: total, list: lines.join('\n\n') }),
+        options: {
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: pager.length > 0 ? [pager] : [] }
         }
-        
-        // Send the detailed response
-        bot.sendMessage(chatId, responseText);
-        bot.answerCallbackQuery(callbackQuery.id);
-        
+    };
+}
+
+bot.onText(/^\/history(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    let search = (match[1] || '').trim();
+    while (Buffer.byteLength(search) > HISTORY_SEARCH_MAX_BYTES) {
+        search = search.slice(0, -1);
+    }
+    const t = await getUserTranslator(msg.from);
+    
+    try {
+        const { text, options } = await buildHistoryPage(msg.from.id, 0, search, t);
+        bot.sendMessage(chatId, text, options);
     } catch (error) {
-        console.error('Error handling callback query:', error);
-        bot.answerCallbackQuery(callbackQuery.id, { text: 'Error processing request' });
+        console.error('Error loading history:', error);
+        bot.sendMessage(chatId, t('history.error'));
     }
 });
 
-// Message handler for URL shortening
-bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const messageText = msg.text;
+/**
+ * Handles the pager buttons of the /history list
+ * @param {object} callbackQuery - Telegram callback query with hist:<page>:<search> data
+ */
+async function handleHistoryCallback(callbackQuery) {
+    const [, page, ...searchParts] = callbackQuery.data.split(':');
+    const t = await getUserTranslator(callbackQuery.from);
+    const { text, options } = await buildHistoryPage(callbackQuery.from.id, parseInt(page, 10), searchParts.join(':'), t);
     
-    // Skip if it's a command
-    if (messageText && messageText.startsWith('/')) {
-        return;
+    await bot.editMessageText(text, {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id,
+        ...options
+    });
+    bot.answerCallbackQuery(callbackQuery.id);
+}
+
+/**
+ * Resolves a channel argument and checks that both the bot and the user are
+ * admins there, so nobody can link a channel they don't manage
+ * @param {string} target - @username or numeric chat ID
+ * @param {number} userId - Telegram user ID of the requester
+ * @returns {Promise<object>} - The channel chat object
+ */
+async function resolveManagedChannel(target, userId) {
+    const chat = await bot.getChat(target);
+    if (chat.type !== 'channel') {
+        throw createUserError('channel.notChannel', { target });
     }
     
-    // Check if user has set API key
-    const userHasKey = await hasApiKey(userId);
-    console.log(`Checking API key for user ${userId}. Has key: ${userHasKey}`);
-    if (!userHasKey) {
-        bot.sendMessage(chatId, '❌ Please set your API key first using /api command.\nExample: /api your-api-key');
-        return;
+    const me = await bot.getMe();
+    const botMember = await bot.getChatMember(chat.id, me.id);
+    if (botMember.status !== 'administrator' || !botMember.can_edit_messages) {
+        throw createUserError('channel.botNotAdmin', { target });
     }
     
-    // Check if message contains URLs
-    const urlRegex = /(https?:\/\/[^\s]+|ftp:\/\/[^\s]+|www\.[^\s]+)/gi;
-    if (!messageText || !urlRegex.test(messageText)) {
-        return; // No URLs found, ignore the message
+    const userMember = await bot.getChatMember(chat.id, userId);
+    if (!['creator', 'administrator'].includes(userMember.status)) {
+        throw createUserError('channel.userNotAdmin', { target });
     }
     
-    try {
-        const apiKey = await getUserApiKey(userId);
-        const processedMessage = await processMessage(messageText, apiKey);
-        
-        if (processedMessage !== messageText) {
-            bot.sendMessage(chatId, processedMessage);
-        } else {
-            bot.sendMessage(chatId, '❌ No URLs could be shortened. Please check your message and API key.');
-        }
-    } catch (error) {
-        console.error('Error processing message:', error);
-        bot.sendMessage(chatId, '❌ Error processing URLs. Please try again or check your API key.');
-    }
-});
-
-// Error handling
-bot.on('polling_error', (error) => {
-    console.error('Polling error:', error);
-});
+    return chat;
+}
+
+/**
+ * Creates an error that is shown to the user, translated
+ * @param {string} key - Translation key of the message
+ * @param {object} params - Values for the message placeholders
+ * @returns {Error} - Error carrying translationKey and translationParams
+ */
+function createUserError(key, params = {}) {
+    const error = new Error(key);
+    error.translationKey = key;
+    error.translationParams = params;
+    return error;
+}
+
+/**
+ * Builds the reply for an error from a channel command. Internal error
+ * messages are logged only; the user gets a generic message instead.
+ * @param {Error} error - Error thrown while handling the command
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @param {string} fallbackKey - Translation key for unexpected errors
+ * @returns {string} - Message text
+ */
+function describeChannelError(error, t, fallbackKey) {
+    if (error.translationKey) {
+        return `❌ ${t(error.translationKey, error.translationParams)}`;
+    }
+    
+    // Telegram rejects getChat/getChatMember for unknown chats and chats the bot isn't in
+    if (error.response) {
+        return `❌ ${t('common.channelNotFound')}`;
+    }
+    
+    return t(fallbackKey);
+}
+
+bot.onText(/^\/channel(?:@\w+)?(?:\s+(\w+)(?:\s+(\S+))?)?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const action = match[1];
+    const target = match[2];
+    const t = await getUserTranslator(msg.from);
+    
+    if (msg.chat.type !== 'private') {
+        bot.sendMessage(chatId, t('channel.privateOnly'));
+        return;
+    }
+    
+    try {
+        if (!action) {
+            const channels = await getUserChannels(userId);
+            if (channels.length === 0) {
+                bot.sendMessage(chatId, t('channel.none'));
+                return;
+            }
+            
+            const lines = channels.map(c => `${c.enabled ? '✅' : '⏸'} ${c.title || c.channel_id} (${c.channel_id})`);
+            bot.sendMessage(chatId, t('channel.list', { list: lines.join('\n') }));
+            return;
+        }
+        
+        if (!target) {
+            bot.sendMessage(chatId, t('channel.specify', { action }));
+            return;
+        }
+        
+        if (action === 'add') {
+            if (!(await hasApiKey(userId))) {
+                bot.sendMessage(chatId, t('common.noApiKey'));
+                return;
+            }
+            
+            const channel = await resolveManagedChannel(target, userId);
+            const account = await getUserAccount(userId);
+            await linkChannel(channel.id, userId, channel.title, account.id);
+            bot.sendMessage(chatId, t('channel.linked', { title: channel.title, account: account.name }));
+        } else if (action === 'on' || action === 'off' || action === 'remove') {
+            const channel = await resolveManagedChannel(target, userId);
+            const settings = await getChannel(channel.id);
+            if (!settings) {
+                bot.sendMessage(chatId, t('channel.notLinked', { title: channel.title, target }));
+                return;
+            }
+            
+            if (action === 'remove') {
+                await unlinkChannel(channel.id);
+                bot.sendMessage(chatId, t('channel.unlinked', { title: channel.title }));
+            } else {
+                await setChannelEnabled(channel.id, action === 'on');
+                bot.sendMessage(chatId, t(action === 'on' ? 'channel.enabled' : 'channel.disabled', { title: channel.title }));
+            }
+        } else {
+            bot.sendMessage(chatId, t('channel.unknownAction'));
+        }
+    } catch (error) {
+        console.error('Error handling channel command:', error.message);
+        bot.sendMessage(chatId, describeChannelError(error, t, 'channel.error'));
+    }
+});
+
+// Convert mode: resolve links from other shorteners and shorten their destination
+bot.onText(/^\/convert(?:@\w+)?(?:\s+(\w+))?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const action = match[1];
+    const t = await getUserTranslator(msg.from);
+    
+    try {
+        if (!action) {
+            const { convert_links } = await getUserSettings(userId);
+            bot.sendMessage(chatId, t('convert.status', { state: t(convert_links ? 'common.on' : 'common.off') }));
+            return;
+        }
+        
+        if (action !== 'on' && action !== 'off') {
+            bot.sendMessage(chatId, t('convert.usage'));
+            return;
+        }
+        
+        await setUserSetting(userId, 'convert_links', action === 'on');
+        bot.sendMessage(chatId, t(action === 'on' ? 'convert.enabled' : 'convert.disabled'));
+    } catch (error) {
+        console.error('Error handling convert command:', error.message);
+        bot.sendMessage(chatId, t('common.settingError'));
+    }
+});
+
+// Users can opt out of admin broadcasts
+bot.onText(/^\/broadcasts(?:@\w+)?(?:\s+(\w+))?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const action = match[1];
+    const t = await getUserTranslator(msg.from);
+    
+    try {
+        if (!action) {
+            const { broadcast_opt_out } = await getUserSettings(userId);
+            bot.sendMessage(chatId, t('broadcasts.status', { state: t(broadcast_opt_out ? 'common.off' : 'common.on') }));
+            return;
+        }
+        
+        if (action !== 'on' && action !== 'off') {
+            bot.sendMessage(chatId, t('broadcasts.usage'));
+            return;
+        }
+        
+        await setUserSetting(userId, 'broadcast_opt_out', action === 'off');
+        bot.sendMessage(chatId, t(action === 'off' ? 'broadcasts.optedOut' : 'broadcasts.optedIn'));
+    } catch (error) {
+        console.error('Error handling broadcasts command:', error.message);
+        bot.sendMessage(chatId, t('common.settingError'));
+    }
+});
+
+/**
+ * Builds the list of domain rules for /skip and /only
+ * @param {object[]} rules - Rules ({ rule_type, domain }) from storage
+ * @param {string} owner - "your messages" or the channel title
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - Message text
+ */
+function buildDomainRulesMessage(rules, owner, t) {
+    const skip = rules.filter(rule => rule.rule_type === 'skip').map(rule => rule.domain);
+    const only = rules.filter(rule => rule.rule_type === 'only').map(rule => rule.domain);
+    
+    return t('rules.list', {
+        owner,
+        skip: skip.length > 0 ? skip.join(', ') : t('common.none'),
+        only: only.length > 0 ? only.join(', ') : t('rules.anyDomain')
+    });
+}
+
+// Domain rules: /skip leaves domains untouched, /only shortens nothing but the listed domains
+bot.onText(/^\/(skip|only)(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const ruleType = match[1];
+    const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+    const t = await getUserTranslator(msg.from);
+    
+    if (msg.chat.type !== 'private') {
+        bot.sendMessage(chatId, t('rules.privateOnly'));
+        return;
+    }
+    
+    // A trailing @channel or chat ID applies the rule to a linked channel instead of the user
+    const target = args.length > 0 && /^(@\w+|-\d+)$/.test(args[args.length - 1]) ? args.pop() : null;
+    const [action, domainArg] = args;
+    
+    try {
+        let scope = 'user';
+        let scopeId = userId;
+        let owner = t('rules.yourMessages');
+        
+        if (target) {
+            const channel = await resolveManagedChannel(target, userId);
+            if (!(await getChannel(channel.id))) {
+                bot.sendMessage(chatId, t('channel.notLinked', { title: channel.title, target }));
+                return;
+            }
+            scope = 'channel';
+            scopeId = channel.id;
+            owner = channel.title;
+        }
+        
+        if (!action) {
+            bot.sendMessage(chatId, buildDomainRulesMessage(await getDomainRules(scope, scopeId), owner, t));
+            return;
+        }
+        
+        if (action !== 'add' && action !== 'remove') {
+            bot.sendMessage(chatId, t('rules.unknownAction', { command: ruleType }));
+            return;
+        }
+        
+        const domain = parseDomainPattern(domainArg);
+        if (!domain) {
+            bot.sendMessage(chatId, t('rules.specifyDomain', { command: ruleType, action }));
+            return;
+        }
+        
+        if (action === 'add') {
+            const added = await addDomainRule(scope, scopeId, ruleType, domain);
+            bot.sendMessage(chatId, t(`rules.${ruleType}.${added ? 'added' : 'exists'}`, { domain, owner }));
+        } else {
+            const removed = await removeDomainRule(scope, scopeId, ruleType, domain);
+            bot.sendMessage(chatId, t(`rules.${ruleType}.${removed ? 'removed' : 'missing'}`, { domain, owner }));
+        }
+    } catch (error) {
+        console.error('Error handling domain rule command:', error.message);
+        bot.sendMessage(chatId, describeChannelError(error, t, 'rules.error'));
+    }
+});
+
+/**
+ * Builds a scheduled earnings report from balance data
+ * @param {object} balanceData - Data from fetchUserBalance
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - Message text
+ */
+function formatEarningsReport(balanceData, frequency, t) {
+    const { today, this_month: month } = balanceData;
+    
+    return t('report.body', {
+        title: t(`report.title.${frequency}`),
+        username: balanceData.username,
+        currency: balanceData.currency,
+        todayViews: today.views,
+        todayEarnings: today.earnings,
+        todayCpm: calculateCpm(today),
+        monthViews: month.views,
+        monthEarnings: month.earnings,
+        monthCpm: calculateCpm(month)
+    });
+}
+
+/**
+ * Sends one scheduled report; called by the report scheduler
+ * @param {object} subscription - Report subscription from storage
+ */
+async function sendScheduledReport(subscription) {
+    const userId = subscription.user_id;
+    const shortener = await getUserShortener(userId);
+    if (!shortener) {
+        await removeReportSubscription(userId);
+        console.log(`Removed report subscriptions of user ${userId}, who has no account any more`);
+        return;
+    }
+    
+    // Only the language chosen with /language is known outside a chat update
+    const t = await getUserTranslator({ id: userId });
+    const balanceData = await fetchUserBalance(shortener.apiKey, shortener.provider);
+    if (!balanceData) {
+        await bot.sendMessage(userId, t(`report.fetchFailed.${subscription.frequency}`, { provider: shortener.provider.name }));
+        return;
+    }
+    
+    saveSnapshot(shortener.account.id, balanceData);
+    await bot.sendMessage(userId, formatEarningsReport(balanceData, subscription.frequency, t));
+}
+
+/**
+ * Stores a fetched balance for /trend without holding up the reply
+ * @param {number} accountId - Account the balance belongs to
+ * @param {object} balanceData - Data from fetchUserBalance
+ */
+function saveSnapshot(accountId, balanceData) {
+    recordBalanceSnapshot(accountId, balanceData)
+        .catch(error => console.error('Error saving balance snapshot:', error.message));
+}
+
+/**
+ * Formats a change between two values as a percentage
+ * @param {number} current - Value of this period
+ * @param {number} previous - Value of the period before
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - e.g. "+12.5%", or "n/a" without a previous value
+ */
+function formatChange(current, previous, t) {
+    if (!previous) {
+        return t('trend.noChange');
+    }
+    const change = (current - previous) / previous * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+/**
+ * Builds the /trend message
+ * @param {object} trend - Result of buildTrend
+ * @param {number} days - Period length in days
+ * @param {string} accountName - Account the trend belongs to
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - Message text
+ */
+function formatTrend(trend, days, accountName, t) {
+    const { current, previous } = trend;
+    
+    let message = `${t('trend.title', { days, account: accountName })}\n\n`;
+    for (const day of trend.days) {
+        const label = new Date(`${day.day}T00:00:00Z`).toLocaleDateString(t.locale, { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+        message += day.views === null
+            ? `${t('trend.noData', { label })}\n`
+            : `${t('trend.day', { label, count: day.views, earnings: day.earnings.toFixed(3), cpm: calculateCpm(day) })}\n`;
+    }
+    
+    message += `\n${t('trend.earningsChart', { chart: sparkline(trend.days.map(day => day.earnings)) })}\n`;
+    message += `${t('trend.cpmChart', { chart: sparkline(trend.days.map(day => (day.views ? day.earnings / day.views * 1000 : null))) })}\n\n`;
+    
+    const currentCpm = current.views > 0 ? current.earnings / current.views * 1000 : 0;
+    const previousCpm = previous.views > 0 ? previous.earnings / previous.views * 1000 : 0;
+    message += `${t('trend.compared', { days })}\n`;
+    message += `${t('trend.views', { views: current.views, change: formatChange(current.views, previous.views, t) })}\n`;
+    message += `${t('trend.earnings', { earnings: current.earnings.toFixed(3), change: formatChange(current.earnings, previous.earnings, t) })}\n`;
+    message += t('trend.cpm', { cpm: currentCpm.toFixed(3), change: formatChange(currentCpm, previousCpm, t) });
+    
+    if (current.recorded < days || previous.recorded < days) {
+        message += `\n\n${t('trend.partial', { recorded: current.recorded, days, previous: previous.recorded })}`;
+    }
+    return message;
+}
+
+// Earnings trend from stored balance snapshots
+bot.onText(/^\/trend(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const period = (match[1] || '7d').toLowerCase();
+    const t = await getUserTranslator(msg.from);
+    
+    if (period !== '7d' && period !== '30d') {
+        bot.sendMessage(chatId, t('trend.usage'));
+        return;
+    }
+    
+    try {
+        const shortener = await getUserShortener(userId);
+        if (!shortener) {
+            bot.sendMessage(chatId, t('common.noApiKey'));
+            return;
+        }
+        if (!shortener.provider.fetchBalance) {
+            bot.sendMessage(chatId, t('trend.notAvailable', { provider: shortener.provider.name }));
+            return;
+        }
+        
+        const days = parseInt(period, 10);
+        const trend = await buildTrend(shortener.account.id, days);
+        if (trend.current.recorded === 0) {
+            bot.sendMessage(chatId, t('trend.noHistory'));
+            return;
+        }
+        
+        bot.sendMessage(chatId, formatTrend(trend, days, shortener.account.name, t));
+    } catch (error) {
+        console.error('Error building trend:', error);
+        bot.sendMessage(chatId, t('trend.error'));
+    }
+});
+
+// Alerts a user may have at once
+const MAX_ALERTS_PER_USER = 10;
+
+/**
+ * Sends a balance alert notification; called by the alert checker
+ * @param {object} alert - Alert from storage
+ * @param {{key: string, params: object}} notice - Notification message
+ */
+async function sendAlert(alert, notice) {
+    const t = await getUserTranslator({ id: alert.user_id });
+    await bot.sendMessage(alert.user_id, t('alerts.notification', { text: t(notice.key, notice.params), alert: describeAlert(alert, t) }));
+}
+
+/**
+ * Builds the /alerts list with a delete button per alert
+ * @param {object[]} alerts - The user's alerts
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {{text: string, options: object}} - Message text and send options
+ */
+function buildAlertsMessage(alerts, t) {
+    const lines = alerts.map((alert, i) => `${i + 1}. ${describeAlert(alert, t)}`);
+    const inline_keyboard = alerts.map((alert, i) => [
+        { text: t('alerts.deleteButton', { number: i + 1, alert: describeAlert(alert, t) }), callback_data: `alert_del:${alert.id}` }
+    ]);
+    
+    return {
+        text: t('alerts.list', { list: lines.join('\n'), count: Math.round(config.ALERT_COOLDOWN / 3600000) }),
+        options: { reply_markup: { inline_keyboard } }
+    };
+}
+
+bot.onText(/^\/alert(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const examples = Object.values(ALERT_TYPES).map(type => type.example).join('\n');
+    const t = await getUserTranslator(msg.from);
+    
+    const alert = parseAlert(match[1], match[2]);
+    if (!alert) {
+        bot.sendMessage(chatId, t('alerts.usage', { examples }));
+        return;
+    }
+    
+    try {
+        const shortener = await getUserShortener(userId);
+        if (!shortener) {
+            bot.sendMessage(chatId, t('common.noApiKey'));
+            return;
+        }
+        if (!shortener.provider.fetchBalance) {
+            bot.sendMessage(chatId, t('alerts.notAvailable', { provider: shortener.provider.name }));
+            return;
+        }
+        if ((await getUserAlerts(userId)).length >= MAX_ALERTS_PER_USER) {
+            bot.sendMessage(chatId, t('alerts.limit', { count: MAX_ALERTS_PER_USER }));
+            return;
+        }
+        
+        await addBalanceAlert({ user_id: userId, account_id: shortener.account.id, ...alert });
+        bot.sendMessage(chatId, t('alerts.added', { account: shortener.account.name, alert: describeAlert(alert, t) }));
+    } catch (error) {
+        console.error('Error adding alert:', error);
+        bot.sendMessage(chatId, t('alerts.addError'));
+    }
+});
+
+bot.onText(/^\/alerts(?:@\w+)?$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const t = await getUserTranslator(msg.from);
+    
+    try {
+        const alerts = await getUserAlerts(msg.from.id);
+        if (alerts.length === 0) {
+            bot.sendMessage(chatId, t('alerts.none', { examples: Object.values(ALERT_TYPES).map(type => type.example).join('\n') }));
+            return;
+        }
+        
+        const { text, options } = buildAlertsMessage(alerts, t);
+        bot.sendMessage(chatId, text, options);
+    } catch (error) {
+        console.error('Error listing alerts:', error);
+        bot.sendMessage(chatId, t('alerts.loadError'));
+    }
+});
+
+/**
+ * Handles the delete buttons of the /alerts list
+ * @param {object} callbackQuery - Telegram callback query with alert_del: data
+ */
+async function handleAlertCallback(callbackQuery) {
+    const userId = callbackQuery.from.id;
+    const alertId = parseInt(callbackQuery.data.split(':')[1], 10);
+    
+    const removed = await removeBalanceAlert(userId, alertId);
+    const t = await getUserTranslator(callbackQuery.from);
+    bot.answerCallbackQuery(callbackQuery.id, { text: t(removed ? 'alerts.deleted' : 'alerts.notFound') });
+    
+    // Refresh the list in place
+    const alerts = await getUserAlerts(userId);
+    const target = { chat_id: callbackQuery.message.chat.id, message_id: callbackQuery.message.message_id };
+    if (alerts.length === 0) {
+        await bot.editMessageText(t('alerts.noneLeft'), target);
+        return;
+    }
+    
+    const { text, options } = buildAlertsMessage(alerts, t);
+    await bot.editMessageText(text, { ...target, ...options });
+}
+
+/**
+ * Describes a report subscription for the user
+ * @param {object} subscription - Report subscription from storage
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - e.g. "Weekly on Mon at 09:00 (Europe/Berlin)"
+ */
+function describeSubscription(subscription, t) {
+    // 7 January 2024 was a Sunday, so this is the subscription's weekday in the user's language
+    const weekday = subscription.frequency === 'weekly'
+        ? new Date(Date.UTC(2024, 0, 7 + subscription.weekday)).toLocaleDateString(t.locale, { timeZone: 'UTC', weekday: 'short' })
+        : null;
+    return t(`report.schedule.${subscription.frequency}`, { weekday, time: subscription.time_of_day, timezone: subscription.timezone });
+}
+
+// Scheduled earnings reports
+bot.onText(/^\/report(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const frequency = (args.shift() || '').toLowerCase();
+    const t = await getUserTranslator(msg.from);
+    const usage = t('report.usage');
+    
+    if (msg.chat.type !== 'private') {
+        bot.sendMessage(chatId, t('report.privateOnly'));
+        return;
+    }
+    
+    try {
+        if (!frequency) {
+            const subscriptions = await getReportSubscriptions(userId);
+            const lines = subscriptions.map(sub => `• ${describeSubscription(sub, t)}`);
+            bot.sendMessage(chatId, subscriptions.length > 0
+                ? t('report.list', { list: lines.join('\n'), usage })
+                : t('report.none', { usage }));
+            return;
+        }
+        
+        if (frequency === 'off') {
+            const which = (args[0] || '').toLowerCase() || null;
+            if (which && which !== 'daily' && which !== 'weekly') {
+                bot.sendMessage(chatId, t('report.invalid', { usage }));
+                return;
+            }
+            const removed = await removeReportSubscription(userId, which);
+            bot.sendMessage(chatId, t(removed ? 'report.stopped' : 'report.noneToStop'));
+            return;
+        }
+        
+        if (frequency !== 'daily' && frequency !== 'weekly') {
+            bot.sendMessage(chatId, t('report.invalid', { usage }));
+            return;
+        }
+        
+        let weekday = null;
+        if (frequency === 'weekly') {
+            weekday = WEEKDAYS.indexOf((args.shift() || '').toLowerCase().slice(0, 3));
+            if (weekday === -1) {
+                bot.sendMessage(chatId, t('report.weekdayMissing'));
+                return;
+            }
+        }
+        
+        const timeOfDay = parseTimeOfDay(args[0]);
+        if (!timeOfDay) {
+            bot.sendMessage(chatId, t('report.timeInvalid', { usage }));
+            return;
+        }
+        
+        const timezone = args[1] || 'UTC';
+        if (!isValidTimeZone(timezone)) {
+            bot.sendMessage(chatId, t('report.timezoneUnknown', { timezone }));
+            return;
+        }
+        
+        const shortener = await getUserShortener(userId);
+        if (!shortener) {
+            bot.sendMessage(chatId, t('common.noApiKey'));
+            return;
+        }
+        if (!shortener.provider.fetchBalance) {
+            bot.sendMessage(chatId, t('report.notAvailable', { provider: shortener.provider.name }));
+            return;
+        }
+        
+        const subscription = { user_id: userId, frequency, weekday, time_of_day: timeOfDay, timezone };
+        subscription.next_run_at = computeNextRun(subscription);
+        await setReportSubscription(subscription);
+        
+        bot.sendMessage(chatId, t('report.scheduled', {
+            schedule: describeSubscription(subscription, t),
+            next: subscription.next_run_at.toISOString().slice(0, 16).replace('T', ' ')
+        }));
+    } catch (error) {
+        console.error('Error handling report command:', error);
+        bot.sendMessage(chatId, t('report.error'));
+    }
+});
+
+/**
+ * Checks whether a user may use the admin commands
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} - True if the user is listed in ADMIN_IDS
+ */
+function isAdmin(userId) {
+    return config.ADMIN_IDS.includes(userId);
+}
+
+/**
+ * Formats a date for admin output
+ * @param {Date} date - Date or null
+ * @param {function(string, object): string} t - Translator of the admin's language
+ * @returns {string} - e.g. "2024-05-01 14:03 UTC", or "never"
+ */
+function formatDate(date, t) {
+    return date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : t('admin.never');
+}
+
+bot.onText(/^\/stats(?:@\w+)?\s*$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const t = await getUserTranslator(msg.from);
+    if (!isAdmin(msg.from.id)) {
+        bot.sendMessage(chatId, t('admin.only'));
+        return;
+    }
+    
+    try {
+        const stats = await getGlobalStats(7);
+        const counts = new Map(stats.links_per_day.map(({ day, count }) => [day, count]));
+        
+        // List every day, including those without links
+        const days = [];
+        for (let i = 6; i >= 0; i--) {
+            const day = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+            days.push(`${day}: ${counts.get(day) || 0}`);
+        }
+        
+        bot.sendMessage(chatId, t('admin.stats', {
+            users: stats.total_users,
+            activeToday: stats.active_today,
+            activeWeek: stats.active_week,
+            links: stats.total_links,
+            channels: stats.channels,
+            optedOut: stats.opted_out,
+            blocked: stats.blocked,
+            days: days.join('\n')
+        }));
+    } catch (error) {
+        console.error('Error fetching global stats:', error);
+        bot.sendMessage(chatId, t('admin.statsError'));
+    }
+});
+
+bot.onText(/^\/user(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const t = await getUserTranslator(msg.from);
+    if (!isAdmin(msg.from.id)) {
+        bot.sendMessage(chatId, t('admin.only'));
+        return;
+    }
+    
+    const userId = parseInt(match[1], 10);
+    if (!Number.isFinite(userId)) {
+        bot.sendMessage(chatId, t('admin.userUsage'));
+        return;
+    }
+    
+    try {
+        const [accounts, stats, channels, settings, history] = await Promise.all([
+            getUserAccounts(userId),
+            getUserStats(userId),
+            getUserChannels(userId),
+            getUserSettings(userId),
+            getLinkHistory(userId, { limit: 1 })
+        ]);
+        
+        if (accounts.length === 0 && !stats) {
+            bot.sendMessage(chatId, t('admin.userNotFound', { userId }));
+            return;
+        }
+        
+        bot.sendMessage(chatId, t('admin.user', {
+            userId,
+            links: stats ? stats.total_urls_shortened : 0,
+            history: history.total,
+            firstUse: formatDate(stats && stats.first_use, t),
+            lastUse: formatDate(stats && stats.last_use, t),
+            broadcasts: (settings.broadcast_opt_out ? t('admin.userOptedOut') : t('common.on')) + (settings.bot_blocked ? t('admin.userBlocked') : ''),
+            convert: t(settings.convert_links ? 'common.on' : 'common.off'),
+            accountCount: accounts.length,
+            // Never show API keys, not even to admins
+            accounts: accounts.map(a => `${a.is_active ? '✅' : '▫️'} ${a.name} — ${getProvider(a.provider, a.provider_url).name}`).join('\n') || t('common.none'),
+            channelCount: channels.length,
+            channels: channels.map(c => `${c.enabled ? '✅' : '⏸'} ${c.title || c.channel_id} (${c.channel_id})`).join('\n') || t('common.none')
+        }));
+    } catch (error) {
+        console.error('Error looking up user:', error);
+        bot.sendMessage(chatId, t('admin.userError'));
+    }
+});
+
+// Only one broadcast at a time, so two can't double the sending rate
+let broadcastRunning = false;
+
+// /broadcast <text>, or /broadcast as a reply to the message to send (keeps media and formatting)
+bot.onText(/^\/broadcast(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const t = await getUserTranslator(msg.from);
+    if (!isAdmin(msg.from.id)) {
+        bot.sendMessage(chatId, t('admin.only'));
+        return;
+    }
+    
+    const text = match[1];
+    const source = msg.reply_to_message;
+    if (!text && !source) {
+        bot.sendMessage(chatId, t('admin.broadcastUsage'));
+        return;
+    }
+    
+    if (broadcastRunning) {
+        bot.sendMessage(chatId, t('admin.broadcastRunning'));
+        return;
+    }
+    broadcastRunning = true;
+    
+    try {
+        let send;
+        if (source) {
+            send = userId => bot.copyMessage(userId, chatId, source.message_id);
+        } else {
+            // Entities are relative to the full message, so shift them past the command
+            const prefixLength = msg.text.length - text.length;
+            const entities = (msg.entities || [])
+                .filter(entity => entity.offset >= prefixLength)
+                .map(entity => ({ ...entity, offset: entity.offset - prefixLength }));
+            send = userId => bot.sendMessage(userId, text, { entities });
+        }
+        
+        const recipients = await getBroadcastRecipients();
+        bot.sendMessage(chatId, t('admin.broadcastStarted', { count: recipients.length }));
+        
+        const progress = createProgressReporter(bot, chatId, t('admin.broadcastProgress'));
+        const result = await runBroadcast(recipients, send, progress.update);
+        await progress.discard();
+        
+        bot.sendMessage(chatId, t('admin.broadcastFinished', result));
+    } catch (error) {
+        console.error('Error broadcasting:', error);
+        bot.sendMessage(chatId, t('admin.broadcastError'));
+    } finally {
+        broadcastRunning = false;
+    }
+});
+
+// Handle inline keyboard button clicks
+bot.on('callback_query', async (callbackQuery) => {
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+    const data = callbackQuery.data;
+    
+    console.log(`Callback query received: ${data} from user ${userId}`);
+    const t = await getUserTranslator(callbackQuery.from);
+    
+    if (data.startsWith('lang:')) {
+        try {
+            await handleLanguageCallback(callbackQuery);
+        } catch (error) {
+            console.error('Error handling language callback:', error);
+            bot.answerCallbackQuery(callbackQuery.id, { text: t('common.requestError') });
+        }
+        return;
+    }
+    
+    if (data.startsWith('hist:')) {
+        try {
+            await handleHistoryCallback(callbackQuery);
+        } catch (error) {
+            console.error('Error handling history callback:', error);
+            bot.answerCallbackQuery(callbackQuery.id, { text: t('common.requestError') });
+        }
+        return;
+    }
+    
+    if (data.startsWith('alert_del:')) {
+        try {
+            await handleAlertCallback(callbackQuery);
+        } catch (error) {
+            console.error('Error handling alert callback:', error);
+            bot.answerCallbackQuery(callbackQuery.id, { text: t('common.requestError') });
+        }
+        return;
+    }
+    
+    if (data.startsWith('acct_')) {
+        try {
+            await handleAccountCallback(callbackQuery);
+        } catch (error) {
+            console.error('Error handling account callback:', error);
+            bot.answerCallbackQuery(callbackQuery.id, { text: t('common.requestError') });
+        }
+        return;
+    }
+    
+    // Check if user has set API key
+    if (!(await hasApiKey(userId))) {
+        bot.answerCallbackQuery(callbackQuery.id, { text: t('balance.callbackNoKey') });
+        return;
+    }
+    
+    try {
+        const { apiKey, provider } = await getUserShortener(userId);
+        const balanceData = await fetchUserBalance(apiKey, provider);
+        
+        if (!balanceData) {
+            bot.answerCallbackQuery(callbackQuery.id, { text: t('balance.callbackFetchError') });
+            return;
+        }
+        
+        let responseText = '';
+        
+        if (data.startsWith('today_') || data.startsWith('month_')) {
+            const period = data.startsWith('today_') ? 'today' : 'month';
+            const { views, earnings } = period === 'today' ? balanceData.today : balanceData.this_month;
+            const perView = views > 0 ? (earnings / views).toFixed(6) : '0.000000';
+            
+            if (data.includes('earnings')) {
+                responseText = t(`balance.${period}Earnings`, { earnings, views, perView });
+            } else if (data.includes('cpm')) {
+                const cpm = views > 0 ? (earnings / views * 1000).toFixed(3) : '0.000';
+                responseText = t(`balance.${period}Cpm`, { cpm, views, earnings });
+            } else {
+                responseText = t(`balance.${period}Views`, { views, earnings, perView });
+            }
+        } else if (data.startsWith('balance_')) {
+            const { publisher_earnings, referral_earnings, advertiser_balance, wallet_money } = balanceData.balances;
+            responseText = t('balance.details', {
+                publisher: publisher_earnings,
+                referral: referral_earnings,
+                advertiser: advertiser_balance,
+                wallet: wallet_money,
+                total: (publisher_earnings + referral_earnings + advertiser_balance + wallet_money).toFixed(3)
+            });
+        }
+        
+        // Send the detailed response
+        bot.sendMessage(chatId, responseText);
+        bot.answerCallbackQuery(callbackQuery.id);
+    
+    } catch (error) {
+        console.error('Error handling callback query:', error);
+        bot.answerCallbackQuery(callbackQuery.id, { text: t('common.requestError') });
+    }
+});
+
+/**
+ * Builds the message telling the user which custom aliases could not be used
+ * @param {object[]} failures - Failed aliases ({ url, alias, error }) from processMessage
+ * @param {function(string, object): string} t - Translator of the user's language
+ * @returns {string} - Message text
+ */
+function formatAliasFailures(failures, t) {
+    const lines = failures.map(({ url, alias, error }) => t('shorten.aliasFailure', { url, alias, error }));
+    return t('shorten.aliasFailures', { list: lines.join('\n') });
+}
+
+/**
+ * Shortens the captions of a complete album and sends it back as one album
+ * @param {object[]} messages - The album's messages, ordered by message_id
+ */
+async function handleMediaGroup(messages) {
+    const chatId = messages[0].chat.id;
+    const userId = messages[0].from.id;
+    
+    const hasCaptionUrls = messages.some(m => containsUrls(m.caption, m.caption_entities));
+    if (!hasCaptionUrls) {
+        return; // No URLs in any caption, ignore the album
+    }
+    
+    const t = await getUserTranslator(messages[0].from);
+    if (!(await hasApiKey(userId))) {
+        bot.sendMessage(chatId, t('common.noApiKey'));
+        return;
+    }
+    
+    try {
+        const { apiKey, provider, account } = await getUserShortener(userId);
+        const options = {
+            provider,
+            accountId: account.id,
+            convert: (await getUserSettings(userId)).convert_links,
+            domainRules: await getDomainRules('user', userId),
+            history: { userId, chatId }
+        };
+        const album = [];
+        const failures = [];
+        let shortened = 0;
+        
+        for (const m of messages) {
+            const media = getMediaInfo(m);
+            if (!media) {
+                continue;
+            }
+            
+            let caption = m.caption;
+            let captionEntities = m.caption_entities;
+            if (containsUrls(caption, captionEntities)) {
+                const result = await processMessage(caption, apiKey, captionEntities, options);
+                caption = result.text;
+                captionEntities = result.entities;
+                shortened += result.shortened;
+                failures.push(...result.failures);
+            }
+            
+            const inputMedia = toInputMedia(media, caption, captionEntities);
+            if (inputMedia) {
+                album.push(inputMedia);
+            }
+        }
+        
+        if (shortened > 0 && album.length > 0) {
+            await bot.sendMediaGroup(chatId, album);
+        } else if (failures.length === 0) {
+            bot.sendMessage(chatId, t('shorten.noneShortened'));
+        }
+        
+        if (failures.length > 0) {
+            bot.sendMessage(chatId, formatAliasFailures(failures, t));
+        }
+    } catch (error) {
+        console.error('Error processing media group:', error);
+        bot.sendMessage(chatId, t('shorten.error'));
+    }
+}
+
+/**
+ * Puts a result in place of the progress message, or sends it as a new
+ * message when none was shown or it can no longer be edited
+ * @param {object} progress - Reporter from createProgressReporter
+ * @param {number|string} chatId - Chat to reply in
+ * @param {string} text - Result text
+ * @param {object} options - Message options (entities, ...)
+ */
+async function replyWithResult(progress, chatId, text, options = {}) {
+    try {
+        if (await progress.finish(text, options)) {
+            return;
+        }
+    } catch (error) {
+        // e.g. the user deleted the progress message meanwhile
+        console.error('Error editing progress message:', error.message);
+        await progress.discard();
+    }
+    
+    await bot.sendMessage(chatId, text, options);
+}
+
+/**
+ * Shortens the URLs in a private message and replies with the result
+ * @param {object} msg - Telegram message
+ * @param {string} messageText - Text or caption to process
+ * @param {object[]} messageEntities - Entities of that text
+ * @param {object} options - { fresh: true } skips the short link cache
+ */
+async function shortenAndReply(msg, messageText, messageEntities, options = {}) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Check if user has set API key
+    const t = await getUserTranslator(msg.from);
+    const userHasKey = await hasApiKey(userId);
+    console.log(`Checking API key for user ${userId}. Has key: ${userHasKey}`);
+    if (!userHasKey) {
+        bot.sendMessage(chatId, t('common.noApiKey'));
+        return;
+    }
+    
+    // Check if message contains URLs, visible or hidden behind text links
+    if (!messageText || !containsUrls(messageText, messageEntities)) {
+        return; // No URLs found, ignore the message
+    }
+    
+    const progress = createProgressReporter(bot, chatId, t('shorten.progress'));
+    
+    try {
+        const { apiKey, provider, account } = await getUserShortener(userId);
+        const result = await processMessage(messageText, apiKey, messageEntities, {
+            provider,
+            accountId: account.id,
+            fresh: options.fresh,
+            convert: (await getUserSettings(userId)).convert_links,
+            domainRules: await getDomainRules('user', userId),
+            history: { userId, chatId },
+            onProgress: progress.update
+        });
+        
+        if (result.shortened > 0) {
+            const media = getMediaInfo(msg);
+            if (media) {
+                // Re-send the same file with the new caption
+                await progress.discard();
+                await sendMedia(bot, chatId, media, result.text, result.entities);
+            } else {
+                // Send back with entities so bold, italic, code and hidden links survive
+                await replyWithResult(progress, chatId, result.text, { entities: result.entities });
+            }
+        } else {
+            let failure = t('shorten.noneShortened');
+            if (result.failures.length > 0) {
+                failure = formatAliasFailures(result.failures, t);
+            } else if (result.skipped > 0) {
+                failure = t('shorten.allSkipped');
+            }
+            await replyWithResult(progress, chatId, failure);
+            return;
+        }
+        
+        if (result.failures.length > 0) {
+            bot.sendMessage(chatId, formatAliasFailures(result.failures, t));
+        }
+    } catch (error) {
+        console.error('Error processing message:', error);
+        await progress.discard();
+        bot.sendMessage(chatId, t('shorten.error'));
+    }
+}
+
+/**
+ * Shortens the links in a .txt or .csv document and sends the file back,
+ * with a per-row report. For CSV files the caption may name the column
+ * with the links (header name or 1-based number).
+ * @param {object} msg - Telegram message with the document
+ * @param {string} type - txt or csv
+ */
+async function handleBulkFile(msg, type) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const document = msg.document;
+    const t = await getUserTranslator(msg.from);
+    
+    if (!(await hasApiKey(userId))) {
+        bot.sendMessage(chatId, t('common.noApiKey'));
+        return;
+    }
+    
+    const maxSize = { size: Math.floor(config.BULK_FILE_MAX_BYTES / 1024) };
+    if (document.file_size > config.BULK_FILE_MAX_BYTES) {
+        bot.sendMessage(chatId, t('bulk.tooLarge', maxSize));
+        return;
+    }
+    
+    const progress = createProgressReporter(bot, chatId, t('shorten.progress'));
+    
+    try {
+        const buffer = await downloadDocument(bot, document.file_id, config.BULK_FILE_MAX_BYTES);
+        if (!buffer) {
+            bot.sendMessage(chatId, t('bulk.tooLarge', maxSize));
+            return;
+        }
+        
+        const decoded = decodeText(buffer);
+        if (!decoded) {
+            bot.sendMessage(chatId, t('bulk.readError'));
+            return;
+        }
+        
+        const selector = type === 'csv' ? (msg.caption || '').trim() : '';
+        const file = type === 'csv' ? readCsvFile(decoded.text, selector) : readTextFile(decoded.text);
+        if (!file) {
+            bot.sendMessage(chatId, selector
+                ? t('bulk.columnNotFound', { column: selector, columns: listCsvColumns(decoded.text).join(', ') })
+                : t('bulk.noLinkColumn'));
+            return;
+        }
+        
+        if (file.rows.length === 0) {
+            bot.sendMessage(chatId, t('bulk.noLinks'));
+            return;
+        }
+        
+        if (file.rows.length > config.BULK_FILE_MAX_ROWS) {
+            bot.sendMessage(chatId, t('bulk.tooManyRows', { rows: file.rows.length, max: config.BULK_FILE_MAX_ROWS }));
+            return;
+        }
+        
+        const urlCount = file.rows.reduce((count, row) => count + row.urls.length, 0);
+        if (urlCount > config.BULK_FILE_MAX_URLS) {
+            bot.sendMessage(chatId, t('bulk.tooManyUrls', { urls: urlCount, max: config.BULK_FILE_MAX_URLS }));
+            return;
+        }
+        
+        const { apiKey, provider, account } = await getUserShortener(userId);
+        const result = await shortenBulkFile(file, apiKey, {
+            provider,
+            accountId: account.id,
+            convert: (await getUserSettings(userId)).convert_links,
+            domainRules: await getDomainRules('user', userId),
+            history: { userId, chatId },
+            onProgress: progress.update
+        });
+        await progress.discard();
+        
+        const { counts } = result;
+        let summary = t('bulk.summary', { rows: file.rows.length, ...counts });
+        if (counts.no_link > 0) {
+            summary += '\n' + t('bulk.summaryNoLink', { count: counts.no_link });
+        }
+        
+        const baseName = (document.file_name || `links.${type}`).replace(/\.[^.]*$/, '');
+        const contentType = type === 'csv' ? 'text/csv' : 'text/plain';
+        if (counts.ok + counts.partial > 0) {
+            await bot.sendDocument(chatId, Buffer.from(decoded.bom + result.text), { caption: summary, reply_to_message_id: msg.message_id }, {
+                filename: `${baseName}-short.${type}`,
+                contentType
+            });
+        } else {
+            await bot.sendMessage(chatId, `${t('bulk.noneShortened')}\n\n${summary}`, { reply_to_message_id: msg.message_id });
+        }
+        await bot.sendDocument(chatId, Buffer.from(result.report), { caption: t('bulk.report') }, {
+            filename: `${baseName}-report.csv`,
+            contentType: 'text/csv'
+        });
+    } catch (error) {
+        console.error('Error processing bulk file:', error);
+        await progress.discard();
+        bot.sendMessage(chatId, t('bulk.error'));
+    }
+}
+
+// Inline mode: "@bot <link>" in any chat
+bot.on('inline_query', async (query) => {
+    const userId = query.from.id;
+    const t = await getUserTranslator(query.from);
+    
+    try {
+        const shortener = await getUserShortener(userId);
+        const answer = await buildInlineAnswer(query.query, userId, shortener, shortener ? {
+            convert: (await getUserSettings(userId)).convert_links,
+            domainRules: await getDomainRules('user', userId),
+            fullMessageTitle: t('inline.fullMessage')
+        } : {
+            setKeyText: t('inline.setKey')
+        });
+        await bot.answerInlineQuery(query.id, answer.results, answer.options);
+    } catch (error) {
+        console.error('Error answering inline query:', error.message);
+    }
+});
+
+/**
+ * Drops the entities of a removed text prefix and moves the rest to match
+ * @param {object[]} entities - Entities of the full text
+ * @param {number} prefixLength - Length of the removed prefix
+ * @returns {object[]} - Entities relative to the remaining text
+ */
+function shiftEntities(entities, prefixLength) {
+    return (entities || [])
+        .filter(entity => entity.offset >= prefixLength)
+        .map(entity => ({ ...entity, offset: entity.offset - prefixLength }));
+}
+
+/**
+ * Checks whether the sender of a group message is an admin of the group
+ * @param {object} msg - Telegram message
+ * @returns {Promise<boolean>} - True for the creator, admins and anonymous admins
+ */
+async function isChatAdmin(msg) {
+    // Anonymous admins post as the group itself
+    if (msg.sender_chat && msg.sender_chat.id === msg.chat.id) {
+        return true;
+    }
+    
+    const member = await bot.getChatMember(msg.chat.id, msg.from.id);
+    return ['creator', 'administrator'].includes(member.status);
+}
+
+/**
+ * Shortens text in a group and replies to the message that asked for it.
+ * Uses the account bound to the group, or else the sender's own.
+ * @param {object} msg - Message to reply to
+ * @param {string} text - Text to shorten
+ * @param {object[]} entities - Entities of the text
+ * @param {boolean} explicit - Whether someone asked (mention, reply, /short) rather than auto mode
+ */
+async function shortenInGroup(msg, text, entities, explicit) {
+    const chatId = msg.chat.id;
+    const settings = await getGroupSettings(chatId);
+    // Auto mode never posts failures; it would answer every message with a link
+    const notify = explicit && !settings.silent_failures;
+    const t = await getUserTranslator(msg.from);
+    const reply = message => bot.sendMessage(chatId, message, { reply_to_message_id: msg.message_id });
+    
+    if (!text || !containsUrls(text, entities)) {
+        if (notify) {
+            await reply(t('group.noLinks'));
+        }
+        return;
+    }
+    
+    // A bound account that was removed since falls back to the sender's key
+    const bound = settings.account_id ? toShortener(await getAccountById(settings.account_id)) : null;
+    const shortener = bound || await getUserShortener(msg.from.id);
+    if (!shortener) {
+        if (notify) {
+            await reply(t('group.noKey'));
+        }
+        return;
+    }
+    
+    const ownerId = shortener.account.user_id;
+    try {
+        const result = await processMessage(text, shortener.apiKey, entities, {
+            provider: shortener.provider,
+            accountId: shortener.account.id,
+            convert: (await getUserSettings(ownerId)).convert_links,
+            domainRules: await getDomainRules('user', ownerId),
+            history: { userId: ownerId, chatId }
+        });
+        
+        if (result.shortened > 0) {
+            await bot.sendMessage(chatId, result.text, { entities: result.entities, reply_to_message_id: msg.message_id });
+        } else if (notify) {
+            await reply(result.failures.length > 0 ? formatAliasFailures(result.failures, t) : t('group.noneShortened'));
+        }
+    } catch (error) {
+        console.error(`Error shortening in group ${chatId}:`, error);
+        if (notify) {
+            await reply(t('group.error'));
+        }
+    }
+}
+
+/**
+ * Shortens a group message if it asks for it (see groupMessages.js)
+ * @param {object} msg - Telegram message
+ * @param {string} text - Message text or caption
+ * @param {object[]} entities - Entities of the text
+ */
+async function handleGroupMessage(msg, text, entities) {
+    const request = await getGroupRequest(msg, text, entities, {
+        me: await getBotInfo(),
+        isAutoShorten: async () => (await getGroupSettings(msg.chat.id)).auto_shorten
+    });
+    if (request) {
+        await shortenInGroup(msg, request.text, request.entities, request.explicit);
+    }
+}
+
+// Message handler for URL shortening
+bot.on('message', async (msg) => {
+    // Media messages carry their text and formatting in caption/caption_entities
+    const messageText = msg.text || msg.caption;
+    const messageEntities = msg.text ? msg.entities : msg.caption_entities;
+    
+    // Skip if it's a command
+    if (messageText && messageText.startsWith('/')) {
+        return;
+    }
+    
+    // Groups only get answers when they ask for them
+    if (GROUP_CHAT_TYPES.includes(msg.chat.type)) {
+        await handleGroupMessage(msg, messageText, messageEntities);
+        return;
+    }
+    
+    // .txt and .csv files come back with their links shortened
+    const bulkFileType = msg.document ? getBulkFileType(msg.document) : null;
+    if (bulkFileType) {
+        await handleBulkFile(msg, bulkFileType);
+        return;
+    }
+    
+    // Album parts arrive as separate messages; answer once for the whole album
+    if (msg.media_group_id) {
+        collectMediaGroup(msg, handleMediaGroup);
+        return;
+    }
+    
+    await shortenAndReply(msg, messageText, messageEntities);
+});
+
+// /fresh <text>: shorten without reusing cached short links
+bot.onText(/^\/fresh(?:@\w+)?\s+([\s\S]+)/, async (msg, match) => {
+    const text = match[1];
+    
+    // Entities are relative to the full message, so shift them past the command
+    const entities = shiftEntities(msg.entities, msg.text.length - text.length);
+    
+    await shortenAndReply(msg, text, entities, { fresh: true });
+});
+
+// /short <text>, or /short in reply to a message: the way to ask for links in groups
+bot.onText(/^\/short(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    const replied = msg.reply_to_message;
+    let text;
+    let entities;
+    
+    if (match[1]) {
+        text = match[1];
+        entities = shiftEntities(msg.entities, msg.text.length - text.length);
+    } else if (replied) {
+        text = replied.text || replied.caption;
+        entities = (replied.text ? replied.entities : replied.caption_entities) || [];
+    } else {
+        const t = await getUserTranslator(msg.from);
+        bot.sendMessage(msg.chat.id, t('short.usage'));
+        return;
+    }
+    
+    if (GROUP_CHAT_TYPES.includes(msg.chat.type)) {
+        await shortenInGroup(msg, text, entities, true);
+    } else {
+        await shortenAndReply(msg, text, entities);
+    }
+});
+
+/**
+ * Builds the /group settings overview
+ * @param {object} settings - Group settings
+ * @param {function(string, object): string} t - Translator of the asking member's language
+ * @returns {Promise<string>} - Message text
+ */
+async function buildGroupSettingsMessage(settings, t) {
+    const account = settings.account_id ? await getAccountById(settings.account_id) : null;
+    const key = account
+        ? t('group.boundAccount', { name: account.name, provider: getProvider(account.provider, account.provider_url).name })
+        : t('group.memberKeys');
+    
+    return t('group.settings', {
+        key,
+        auto: t(settings.auto_shorten ? 'common.on' : 'common.off'),
+        silent: t(settings.silent_failures ? 'common.on' : 'common.off')
+    });
+}
+
+bot.onText(/^\/group(?:@\w+)?(?:\s+(\w+)(?:\s+(\S+))?)?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [, action, value] = match;
+    const t = await getUserTranslator(msg.from);
+    
+    if (!GROUP_CHAT_TYPES.includes(msg.chat.type)) {
+        bot.sendMessage(chatId, t('group.onlyInGroups'));
+        return;
+    }
+    
+    try {
+        if (!action) {
+            bot.sendMessage(chatId, await buildGroupSettingsMessage(await getGroupSettings(chatId), t));
+            return;
+        }
+        
+        if (!(await isChatAdmin(msg))) {
+            bot.sendMessage(chatId, t('group.adminOnly'));
+            return;
+        }
+        
+        if (action === 'bind') {
+            const accounts = await getUserAccounts(msg.from.id);
+            const account = value ? accounts.find(a => a.name === value) : accounts.find(a => a.is_active);
+            if (!account) {
+                bot.sendMessage(chatId, value ? t('group.noAccountNamed', { name: value }) : t('group.noAccount'));
+                return;
+            }
+            await setGroupSetting(chatId, 'account_id', account.id);
+            bot.sendMessage(chatId, t('group.bound', { name: account.name }));
+        } else if (action === 'unbind') {
+            await setGroupSetting(chatId, 'account_id', null);
+            bot.sendMessage(chatId, t('group.unbound'));
+        } else if ((action === 'auto' || action === 'silent') && (value === 'on' || value === 'off')) {
+            await setGroupSetting(chatId, action === 'auto' ? 'auto_shorten' : 'silent_failures', value === 'on');
+            bot.sendMessage(chatId, t(`group.${action}`, { state: t(value === 'on' ? 'common.on' : 'common.off') }));
+        } else {
+            bot.sendMessage(chatId, t('group.usage'));
+        }
+    } catch (error) {
+        console.error('Error handling group command:', error);
+        bot.sendMessage(chatId, t('group.saveError'));
+    }
+});
+
+// One-off link with a custom alias
+bot.onText(/^\/alias(?:@\w+)?(?:\s+(\S+)(?:\s+(\S+))?)?\s*$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [, url, alias] = match;
+    const t = await getUserTranslator(msg.from);
+    
+    if (!url || !alias) {
+        bot.sendMessage(chatId, t('alias.usage'));
+        return;
+    }
+    
+    // The whole argument must be one link, as the message would be tokenized
+    const urls = extractUrls(url);
+    if (urls.length !== 1 || urls[0] !== url) {
+        bot.sendMessage(chatId, t('alias.invalidUrl', { url }));
+        return;
+    }
+    
+    if (!isValidAlias(alias)) {
+        bot.sendMessage(chatId, t('alias.invalid'));
+        return;
+    }
+    
+    // Same path as an in-message "{alias}" marker
+    await shortenAndReply(msg, `${url} {${alias}}`, [], { fresh: true });
+});
+
+// Channel auto-shortening: edit linked channels' posts in place
+bot.on('channel_post', async (post) => {
+    const channelId = post.chat.id;
+    const postText = post.text || post.caption;
+    const postEntities = post.text ? post.entities : post.caption_entities;
+    
+    if (!postText || !containsUrls(postText, postEntities)) {
+        return;
+    }
+    
+    try {
+        const channel = await getChannel(channelId);
+        if (!channel || !channel.enabled) {
+            return;
+        }
+        
+        // Use the account the channel was linked with, or the owner's active one if it was removed
+        const linkedAccount = channel.account_id ? await getAccountById(channel.account_id) : null;
+        const shortener = toShortener(linkedAccount) || await getUserShortener(channel.owner_id);
+        if (!shortener) {
+            console.log(`Channel ${channelId} owner has no API key, skipping post ${post.message_id}`);
+            return;
+        }
+        
+        const result = await processMessage(postText, shortener.apiKey, postEntities, {
+            provider: shortener.provider,
+            accountId: shortener.account.id,
+            convert: (await getUserSettings(channel.owner_id)).convert_links,
+            domainRules: await getDomainRules('channel', channelId),
+            history: { userId: channel.owner_id, chatId: channelId }
+        });
+        if (result.shortened === 0) {
+            return;
+        }
+        
+        const target = { chat_id: channelId, message_id: post.message_id };
+        if (post.text) {
+            await bot.editMessageText(result.text, { ...target, entities: result.entities });
+        } else {
+            await bot.editMessageCaption(result.text, { ...target, caption_entities: result.entities });
+        }
+        console.log(`Shortened ${result.shortened} URLs in channel ${channelId} post ${post.message_id}`);
+    } catch (error) {
+        console.error(`Error processing channel post in ${channelId}:`, error.message);
+    }
+});
+
+// Error handling
+bot.on('polling_error', (error) => {
+    console.error('Polling error:', error);
+});
 
 bot.on('error', (error) => {
     console.error('Bot error:', error);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down bot...');
-    bot.stopPolling();
-    process.exit(0);
-});
+// Graceful shutdown: stop taking updates, let running handlers finish, then close storage
+let shuttingDown = false;
 
-process.on('SIGTERM', () => {
+async function shutdown() {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
     console.log('Shutting down bot...');
-    bot.stopPolling();
+    
+    if (webhook) {
+        webhook.setAccepting(false);
+        if (config.WEBHOOK_UNREGISTER_ON_SHUTDOWN) {
+            try {
+                await unregisterWebhook(bot);
+                console.log('✅ Webhook unregistered');
+            } catch (error) {
+                console.error('Error unregistering webhook:', error.message);
+            }
+        }
+    } else {
+        await bot.stopPolling();
+    }
+    
+    stopReportScheduler();
+    stopBalanceSnapshots();
+    stopAlertChecker();
+    console.log(`Waiting for ${handlers.pending()} running handlers...`);
+    if (!(await handlers.drain(config.SHUTDOWN_TIMEOUT))) {
+        console.warn(`⚠️ ${handlers.pending()} handlers still running after ${config.SHUTDOWN_TIMEOUT}ms, exiting anyway`);
+    }
+    
+    server.close();
+    try {
+        await closeDatabase();
+    } catch (error) {
+        console.error('Error closing storage:', error);
+    }
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
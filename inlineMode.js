@@ -0,0 +1,183 @@
+const config = require('./config');
+const { processMessage, extractUrls } = require('./messageProcessor');
+const { shortenUrlWithRetry } = require('./urlShortener');
+const { getCachedLink, cacheLink } = require('./linkCache');
+const { shouldShortenUrl } = require('./domainRules');
+const { mapWithConcurrency } = require('./throttle');
+
+/**
+ * Inline mode: "@bot <text with links>" in any chat offers each link
+ * shortened, plus the whole text with every link replaced. Inline mode has
+ * to be switched on for the bot with BotFather (/setinline).
+ */
+
+// Links offered as separate results; Telegram shows about this many anyway
+const MAX_INLINE_LINKS = 10;
+
+// Answers kept per user and query, so retyping or scrolling back costs no API calls
+const MAX_CACHED_ANSWERS = 1000;
+const answerCache = new Map();
+
+/**
+ * Checks whether a URL looks finished, so queries typed letter by letter
+ * (https://exa, https://example.c) do not create short links for fragments
+ * @param {string} url - URL from the query
+ * @returns {boolean} - True if the host ends in a top-level domain of 2+ letters
+ */
+function looksComplete(url) {
+    try {
+        const { hostname } = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url);
+        return /\.(?:[a-z]{2,}|xn--[a-z0-9-]+)$/i.test(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Gets a cached answer for a user's query
+ * @param {string} key - Cache key (user, account and query)
+ * @returns {object[]|null} - Inline results, or null on a miss
+ */
+function getCachedAnswer(key) {
+    const entry = answerCache.get(key);
+    if (!entry || entry.expires < Date.now()) {
+        answerCache.delete(key);
+        return null;
+    }
+    return entry.results;
+}
+
+/**
+ * Caches an answer for INLINE_CACHE_TTL seconds
+ * @param {string} key - Cache key (user, account and query)
+ * @param {object[]} results - Inline results
+ */
+function cacheAnswer(key, results) {
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (answerCache.size >= MAX_CACHED_ANSWERS) {
+        answerCache.delete(answerCache.keys().next().value);
+    }
+    answerCache.set(key, { results, expires: Date.now() + config.INLINE_CACHE_TTL * 1000 });
+}
+
+/**
+ * Shortens one link of the query with the account's key
+ * @param {string} url - Long URL
+ * @param {object} shortener - { apiKey, provider, account } of the user
+ * @returns {Promise<string|null>} - Short URL, or null if it failed
+ */
+async function shortenLink(url, { apiKey, provider, account }) {
+    const cachedUrl = await getCachedLink(account.id, url);
+    if (cachedUrl) {
+        return cachedUrl;
+    }
+    
+    const shortUrl = await shortenUrlWithRetry(url, apiKey, '', config.MAX_RETRIES, provider);
+    if (shortUrl === url) {
+        return null;
+    }
+    
+    await cacheLink(account.id, url, shortUrl);
+    return shortUrl;
+}
+
+/**
+ * Builds the inline results for a query
+ * @param {string} query - Text typed after the bot's username
+ * @param {number} userId - Telegram user ID
+ * @param {object} shortener - { apiKey, provider, account } of the user
+ * @param {object} options - processMessage options for the full text (convert, domainRules), and fullMessageTitle for its result
+ * @returns {Promise<object[]>} - InlineQueryResultArticle objects
+ */
+async function buildInlineResults(query, userId, shortener, { fullMessageTitle = '📝 Full message', ...options } = {}) {
+    const text = query.trim();
+    // The title is in the user's language, which /language can change
+    const cacheKey = `${userId}|${shortener.account.id}|${fullMessageTitle}|${text}`;
+    const cached = getCachedAnswer(cacheKey);
+    if (cached) {
+        return cached;
+    }
+    
+    const urls = Array.from(new Set(extractUrls(text)))
+        .filter(url => looksComplete(url) && !shortener.provider.isShortened(url) && shouldShortenUrl(url, options.domainRules))
+        .slice(0, MAX_INLINE_LINKS);
+    if (urls.length === 0) {
+        return [];
+    }
+    
+    const results = [];
+    const shortUrls = await mapWithConcurrency(urls, config.SHORTEN_CONCURRENCY, url => shortenLink(url, shortener).catch(error => {
+        console.error(`Error shortening ${url} inline:`, error.message);
+        return null;
+    }));
+    
+    urls.forEach((url, i) => {
+        if (shortUrls[i]) {
+            results.push({
+                type: 'article',
+                id: `link:${i}`,
+                title: shortUrls[i],
+                description: url,
+                input_message_content: { message_text: shortUrls[i] }
+            });
+        }
+    });
+    
+    // Only worth offering when the query is more than a single link, and not
+    // while a link is still being typed: the full text would shorten the fragment
+    if (results.length > 0 && (urls.length > 1 || text !== urls[0]) && extractUrls(text).every(looksComplete)) {
+        // With the link cache on, the links above are reused instead of shortened again
+        const full = await processMessage(text, shortener.apiKey, [], {
+            ...options,
+            provider: shortener.provider,
+            accountId: shortener.account.id
+        });
+        if (full.shortened > 0) {
+            results.push({
+                type: 'article',
+                id: 'full',
+                title: fullMessageTitle,
+                description: full.text,
+                input_message_content: { message_text: full.text, entities: full.entities }
+            });
+        }
+    }
+    
+    if (results.length > 0) {
+        cacheAnswer(cacheKey, results);
+    }
+    return results;
+}
+
+/**
+ * Builds the whole answer to an inline query
+ * @param {string} query - Text typed after the bot's username
+ * @param {number} userId - Telegram user ID
+ * @param {object|null} shortener - { apiKey, provider, account } of the user, or null without an API key
+ * @param {object} options - buildInlineResults options, and setKeyText for the button shown without an API key
+ * @returns {Promise<{results: object[], options: object}>} - Results and options for answerInlineQuery
+ */
+async function buildInlineAnswer(query, userId, shortener, { setKeyText = '🔑 Set your API key to shorten links', ...options } = {}) {
+    if (!shortener) {
+        // Not cached, so the links work as soon as the key is set
+        return {
+            results: [],
+            options: {
+                is_personal: true,
+                cache_time: 0,
+                button: JSON.stringify({ text: setKeyText, start_parameter: 'inline' })
+            }
+        };
+    }
+    
+    // Answers depend on the user's key and settings, so Telegram must not share them between users
+    return {
+        results: await buildInlineResults(query, userId, shortener, options),
+        options: { is_personal: true, cache_time: config.INLINE_CACHE_TTL }
+    };
+}
+
+module.exports = {
+    buildInlineResults,
+    buildInlineAnswer
+};
@@ -0,0 +1,73 @@
+const config = require('./config');
+const { getCachedShortUrl, setCachedShortUrl } = require('./storage');
+
+/**
+ * Per-account cache of short links, so a long URL that was already shortened
+ * with an account gets the same short link back instead of a new API call.
+ * Entries live in storage and expire after LINK_CACHE_TTL seconds (0 = never).
+ */
+
+/**
+ * Normalises a URL for use as a cache key: adds the protocol, lowercases the
+ * scheme and host, drops default ports and an empty root path
+ * @param {string} url - Long URL as found in the message
+ * @returns {string} - Normalised URL
+ */
+function normalizeUrl(url) {
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+    
+    try {
+        const parsed = new URL(withProtocol);
+        let normalized = parsed.href;
+        // "https://example.com/" and "https://example.com" are the same page
+        if (parsed.pathname === '/' && !parsed.search && !parsed.hash && normalized.endsWith('/')) {
+            normalized = normalized.slice(0, -1);
+        }
+        return normalized;
+    } catch (error) {
+        return withProtocol;
+    }
+}
+
+/**
+ * Looks up the short link previously created for a URL with an account
+ * @param {number} accountId - Account ID
+ * @param {string} url - Long URL
+ * @returns {Promise<string|null>} - Cached short URL, or null on a miss
+ */
+async function getCachedLink(accountId, url) {
+    if (!config.LINK_CACHE_ENABLED || !accountId) {
+        return null;
+    }
+    
+    try {
+        return await getCachedShortUrl(accountId, normalizeUrl(url), config.LINK_CACHE_TTL);
+    } catch (error) {
+        console.error('Error reading link cache:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Remembers the short link created for a URL with an account
+ * @param {number} accountId - Account ID
+ * @param {string} url - Long URL
+ * @param {string} shortUrl - Short URL returned by the provider
+ */
+async function cacheLink(accountId, url, shortUrl) {
+    if (!config.LINK_CACHE_ENABLED || !accountId) {
+        return;
+    }
+    
+    try {
+        await setCachedShortUrl(accountId, normalizeUrl(url), shortUrl);
+    } catch (error) {
+        console.error('Error writing link cache:', error.message);
+    }
+}
+
+module.exports = {
+    normalizeUrl,
+    getCachedLink,
+    cacheLink
+};
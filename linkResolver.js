@@ -0,0 +1,94 @@
+const axios = require('axios');
+const config = require('./config');
+const { getHostname } = require('./shortenerProviders');
+const { matchesDomain } = require('./domainRules');
+
+/**
+ * Convert mode: finds where links from other shorteners lead, so the
+ * destination can be shortened with the user's own key instead
+ */
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'Telegram-URL-Shortener-Bot/1.0'
+};
+
+/**
+ * Checks whether a URL belongs to a known third-party shortener
+ * @param {string} url - URL found in a message
+ * @param {string[]} domains - Shortener domains; subdomains match too
+ * @returns {boolean} - True if the URL should be resolved in convert mode
+ */
+function isKnownShortener(url, domains = config.KNOWN_SHORTENER_DOMAINS) {
+    const hostname = getHostname(url);
+    return Boolean(hostname) && domains.some(domain => matchesDomain(hostname, `*.${domain}`));
+}
+
+/**
+ * Makes one request without following redirects. HEAD is tried first;
+ * servers that don't support it get a GET whose body is never read.
+ * @param {string} url - URL to request
+ * @param {number} timeout - Time left in ms
+ * @returns {Promise<object>} - Axios response
+ */
+async function requestOnce(url, timeout) {
+    const options = {
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: REQUEST_HEADERS
+    };
+    
+    const response = await axios.head(url, options);
+    if (response.status !== 405 && response.status !== 501) {
+        return response;
+    }
+    
+    const getResponse = await axios.get(url, { ...options, responseType: 'stream' });
+    getResponse.data.destroy();
+    return getResponse;
+}
+
+/**
+ * Follows a URL's redirects to its final destination
+ * @param {string} url - URL to resolve
+ * @param {object} options - Limits
+ * @param {number} options.maxHops - Maximum number of redirects to follow
+ * @param {number} options.timeout - Time limit in ms for the whole chain
+ * @param {function(string): boolean} options.follow - Called with each URL after the first; false stops there without requesting it
+ * @returns {Promise<string>} - The destination URL
+ */
+async function resolveRedirects(url, { maxHops = config.REDIRECT_MAX_HOPS, timeout = config.REDIRECT_TIMEOUT, follow = () => true } = {}) {
+    const deadline = Date.now() + timeout;
+    let current = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+    
+    for (let hop = 0; hop <= maxHops; hop++) {
+        if (hop > 0 && !follow(current)) {
+            return current;
+        }
+        
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            throw new Error(`Timed out resolving ${url}`);
+        }
+        
+        const response = await requestOnce(current, remaining);
+        const location = response.headers.location;
+        
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return current;
+        }
+        
+        const next = new URL(location, current);
+        if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+            throw new Error(`Unsupported redirect to ${next.protocol} from ${url}`);
+        }
+        current = next.href;
+    }
+    
+    throw new Error(`Too many redirects resolving ${url} (more than ${maxHops})`);
+}
+
+module.exports = {
+    isKnownShortener,
+    resolveRedirects
+};
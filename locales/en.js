@@ -0,0 +1,342 @@
+/**
+ * English messages; also the fallback for keys missing from other catalogues.
+ * See i18n.js for placeholders and plural forms.
+ */
+module.exports = {
+    // Shared
+    'common.on': 'on',
+    'common.off': 'off',
+    'common.none': 'none',
+    'common.noApiKey': '❌ Please set your API key first using /api command.\nExample: /api your-api-key',
+    'common.settingError': '❌ Error saving your setting. Please try again.',
+    'common.requestError': 'Error processing request',
+    'common.channelNotFound': 'I could not find that channel or I am not a member.',
+
+    // /start and /help
+    'start.welcome': `🔗 Welcome to URL Shortener Bot!
+
+This bot helps you shorten URLs using Linkara.xyz API.
+
+Available commands:
+/start - Show this welcome message
+/api <your-api-key> - Set your Linkara.xyz API key
+/api <your-api-key> <api-url> - Use another AdLinkFly-style shortener
+/balance - Check your account balance
+/report - Get daily or weekly earnings reports
+/trend - Earnings trend of the last 7 or 30 days
+/alerts - Get notified about earnings, CPM drops and missing views
+/accounts - Manage several named accounts
+/history - Browse and search your shortened links
+/channel - Auto-shorten posts in your channels
+/language - Choose the language I talk to you in
+/help - Show help information
+
+To get started:
+1. Get your API key from Linkara.xyz
+2. Set it using /api command
+3. Send any message with URLs and I'll shorten them for you!
+
+You can also shorten links in any chat: type @{botUsername} followed by a link.
+
+The bot preserves your original message structure while replacing URLs with shortened versions.`,
+    'help.text': `📚 Help - URL Shortener Bot
+
+Commands:
+• /start - Welcome message and setup instructions
+• /api <key> - Set your Linkara.xyz API key
+• /api <key> <api-url> - Use another AdLinkFly-style shortener (e.g. /api abc123 https://example.com/api)
+• /balance - Check your account balance
+• /addaccount <name> <key> [api-url] - Add another named account
+• /accounts - List your accounts, switch or remove them
+• /use <name> - Switch the active account
+• /removeaccount <name> - Remove an account
+• /history [text] - Browse your shortened links, or search them
+• /fresh <text> - Shorten with new links instead of reusing earlier ones
+• /short <text> - Shorten the text, or reply /short to a message to shorten that one
+• /alias <url> <alias> - Shorten one URL with a custom alias
+• /channel - List your linked channels
+• /channel add @channel - Auto-shorten new posts in a channel
+• /channel on|off @channel - Turn auto-shortening on or off
+• /channel remove @channel - Unlink a channel
+• /report daily <HH:MM> [time zone] - Daily earnings report (e.g. /report daily 21:00 Asia/Kolkata)
+• /report weekly <day> <HH:MM> [time zone] - Weekly report (e.g. /report weekly mon 09:00 Europe/Berlin)
+• /report off - Stop scheduled reports
+• /trend 7d|30d - Day-by-day views, earnings and CPM, compared with the period before
+• /alert balance <amount> - Notify me when publisher earnings reach the amount
+• /alert cpmdrop <percent> - Notify me when today's CPM is that much below the month average
+• /alert noviews <hours> - Notify me when there were no views for that long
+• /alerts - List and delete your alerts
+• /convert on|off - Replace links from other shorteners with your own
+• /broadcasts on|off - Receive or stop announcements from the bot team
+• /skip add|remove <domain> - Never shorten links to a domain (e.g. t.me)
+• /only add|remove <domain> - Shorten only links to the listed domains
+  (add @channel to either to set a channel's rules; *.example.com covers subdomains)
+• /language [{languages}|auto] - Choose my language, or follow your Telegram app again
+• /help - Show this help message
+
+In groups I only answer when asked: /short, a message that mentions @{botUsername}, or a reply to one of my messages.
+• /group - Show the group's settings
+• /group bind [account] - Shorten with your account for everyone (admins)
+• /group unbind - Members use their own keys again (admins)
+• /group auto on|off - Shorten every message with links (admins)
+• /group silent on|off - Don't post error messages (admins)
+
+Usage:
+1. Set your API key: /api your-api-key-here
+2. Send any message containing URLs
+3. Bot will reply with the same message but URLs shortened
+
+Features:
+✅ Single URL shortening
+✅ Bulk URL shortening (multiple URLs in one message)
+✅ Repeated URLs reuse the short link you already have
+✅ Convert mode for links from bit.ly, t.co and other shorteners
+✅ Domain rules to leave invite, payment or your own links untouched
+✅ Preserves original message format
+✅ Photos, videos, documents and albums (URLs in captions)
+✅ .txt and .csv files: send one and get it back with short links and a report for each row (for CSV, put the column name or number in the caption if needed)
+✅ Supports all URL types (HTTP, HTTPS, FTP, etc.)
+✅ Custom aliases: put {alias} right after a URL, e.g. https://example.com {my-link}
+
+Example:
+You: "Check out https://example.com and https://google.com"
+Bot: "Check out https://linkara.xyz/xxxxx and https://linkara.xyz/yyyyy"
+
+Need an API key? Visit: https://linkara.xyz`,
+
+    // /language
+    'language.current': '🌐 I talk to you in {language}.\n\nChoose a language below, or use /language {languages}. /language auto follows your Telegram app again.',
+    'language.currentAuto': '🌐 I talk to you in {language}, the language of your Telegram app.\n\nChoose a language below, or use /language {languages}.',
+    'language.changed': '✅ I will talk to you in English from now on.',
+    'language.auto': '✅ I will follow the language of your Telegram app again.',
+    'language.usage': '❌ Usage: /language {languages}|auto',
+
+    // API keys and accounts
+    'keys.deleted': '\n\n🔒 I deleted your message so the key does not stay in the chat history.',
+    'keys.pleaseDelete': '\n\n🔒 Please delete your message with the key so it does not stay in the chat history.',
+    'keys.invalidProviderUrl': '❌ Please provide the shortener API URL with https:// and a public host name.\nUsage: /api your-api-key https://example.com/api{notice}',
+    'keys.rejected': '❌ {provider} did not accept this API key. Please check it and try again.{notice}',
+    'keys.loggedIn': '\n👤 Logged in as: {username}',
+    'keys.unverified': '\nℹ️ This provider has no balance API, so the key could not be verified.',
+    'keys.saved': '✅ API key for {provider} saved as account "{name}"!{verified}\n\nYou can now send messages with URLs to shorten them.{notice}',
+    'keys.error': '❌ Error storing API key. Please try again.{notice}',
+    'keys.usage': '❌ Please provide a valid API key.\nUsage: /api your-api-key',
+    'accounts.addUsage': '❌ Usage: /addaccount <name> <api-key> [api-url]\nNames may use letters, digits, _ and - (up to 32 characters).',
+    'accounts.list': '👥 Your accounts:\n\n{list}\n\nThe ✅ account is used for shortening.',
+    'accounts.useButton': 'Use {name}',
+    'accounts.removeButton': '🗑 Remove',
+    'accounts.loadError': '❌ Error loading your accounts. Please try again.',
+    'accounts.useUsage': '❌ Usage: /use <account-name>\nSee /accounts for your accounts.',
+    'accounts.switched': '✅ Now using account "{name}".',
+    'accounts.notFound': '❌ You have no account named "{name}". See /accounts.',
+    'accounts.switchError': '❌ Error switching account. Please try again.',
+    'accounts.removeUsage': '❌ Usage: /removeaccount <account-name>\nSee /accounts for your accounts.',
+    'accounts.removed': '✅ Account "{name}" removed.',
+    'accounts.removeError': '❌ Error removing account. Please try again.',
+    'accounts.switchedShort': 'Now using "{name}"',
+    'accounts.removedShort': 'Removed "{name}"',
+    'accounts.notFoundShort': 'Account not found',
+    'accounts.noneLeft': '👥 No accounts left. Add one with /api your-api-key',
+
+    // /balance and its buttons
+    'balance.unavailable': 'ℹ️ Balance is not available for {provider}.',
+    'balance.overview': '💰 Account Overview\n\n👤 Username: {username}\n💵 Currency: {currency}',
+    'balance.todayViewsButton': { one: '📈 Today: {count} view', other: '📈 Today: {count} views' },
+    'balance.todayEarningsButton': '💰 Today: ${earnings}',
+    'balance.todayCpmButton': '📊 Today CPM: ${cpm}',
+    'balance.monthViewsButton': { one: '📅 Month: {count} view', other: '📅 Month: {count} views' },
+    'balance.monthEarningsButton': '💵 Month: ${earnings}',
+    'balance.monthCpmButton': '📈 Month CPM: ${cpm}',
+    'balance.detailsButton': '💰 Balance Details',
+    'balance.fetchFailed': '❌ Unable to fetch balance. Please check your API key.',
+    'balance.error': '❌ Error fetching balance. Please try again or check your API key.',
+    'balance.callbackNoKey': 'Please set your API key first using /api command',
+    'balance.callbackFetchError': 'Error fetching balance data',
+    'balance.todayEarnings': "📈 Today's Performance:\n\n💰 Earnings: ${earnings}\n📊 Views: {views}\n📈 Average per view: ${perView}",
+    'balance.todayCpm': "📊 Today's CPM Analysis:\n\n💵 CPM: ${cpm}\n📈 Views: {views}\n💰 Earnings: ${earnings}\n\nCPM = Cost Per Mille (per 1000 views)",
+    'balance.todayViews': "📈 Today's Views:\n\n👁️ Total Views: {views}\n💰 Earnings: ${earnings}\n📊 Revenue per view: ${perView}",
+    'balance.monthEarnings': "📅 This Month's Performance:\n\n💰 Total Earnings: ${earnings}\n📊 Total Views: {views}\n📈 Average per view: ${perView}",
+    'balance.monthCpm': "📊 This Month's CPM Analysis:\n\n💵 CPM: ${cpm}\n📈 Total Views: {views}\n💰 Total Earnings: ${earnings}\n\nCPM = Cost Per Mille (per 1000 views)",
+    'balance.monthViews': "📅 This Month's Views:\n\n👁️ Total Views: {views}\n💰 Earnings: ${earnings}\n📊 Revenue per view: ${perView}",
+    'balance.details': '💰 Balance Details:\n\n📊 Publisher Earnings: ${publisher}\n🤝 Referral Earnings: ${referral}\n📢 Advertiser Balance: ${advertiser}\n💳 Wallet Money: ${wallet}\n\n💵 Total Available: ${total}',
+
+    // /history
+    'history.title': '🕘 Your shortened links',
+    'history.searchTitle': '🔎 Links matching "{search}"',
+    'history.noMatches': '{title}\n\nNo links found.',
+    'history.empty': '{title}\n\nNothing shortened yet.',
+    'history.page': '{title} (page {page}/{pages}, {count} total)\n\n{list}',
+    'history.newer': '◀️ Newer',
+    'history.older': 'Older ▶️',
+    'history.error': '❌ Error loading your link history. Please try again.',
+
+    // /channel
+    'channel.notChannel': '{target} is not a channel.',
+    'channel.botNotAdmin': 'Add me to {target} as an admin with the "Edit messages" right first.',
+    'channel.userNotAdmin': 'Only admins of {target} can manage it.',
+    'channel.privateOnly': '❌ Please manage channels from a private chat with me.',
+    'channel.none': '📢 No channels linked yet.\nUsage: /channel add @yourchannel',
+    'channel.list': '📢 Your channels:\n\n{list}',
+    'channel.specify': '❌ Please specify a channel.\nUsage: /channel {action} @yourchannel',
+    'channel.linked': '✅ {title} linked! New posts with URLs will be shortened in place using your account "{account}".',
+    'channel.notLinked': '❌ {title} is not linked. Use /channel add {target} first.',
+    'channel.unlinked': '✅ {title} unlinked.',
+    'channel.enabled': '✅ Auto-shortening enabled for {title}.',
+    'channel.disabled': '✅ Auto-shortening disabled for {title}.',
+    'channel.unknownAction': '❌ Unknown action.\nUsage: /channel add|on|off|remove @yourchannel',
+    'channel.error': '❌ Something went wrong while managing the channel. Please try again.',
+
+    // /convert and /broadcasts
+    'convert.status': '🔄 Convert mode is {state}.\n\nWhen it is on, links from other shorteners (bit.ly, t.co, ...) in your messages and channels are followed to where they lead, and that destination is shortened with your key.\n\nUsage: /convert on|off',
+    'convert.usage': '❌ Usage: /convert on|off',
+    'convert.enabled': '✅ Convert mode enabled.',
+    'convert.disabled': '✅ Convert mode disabled.',
+    'broadcasts.status': '📣 Announcements are {state}.\nUsage: /broadcasts on|off',
+    'broadcasts.usage': '❌ Usage: /broadcasts on|off',
+    'broadcasts.optedOut': '✅ You will no longer receive announcements.',
+    'broadcasts.optedIn': '✅ You will receive announcements again.',
+
+    // /skip and /only
+    'rules.list': '🌐 Domain rules for {owner}:\n\n🚫 Never shortened: {skip}\n✅ Only shortened: {only}\n\nUsage:\n/skip add|remove <domain> [@channel]\n/only add|remove <domain> [@channel]\nUse *.example.com to include all subdomains.',
+    'rules.anyDomain': 'any domain',
+    'rules.yourMessages': 'your messages',
+    'rules.privateOnly': '❌ Please manage domain rules from a private chat with me.',
+    'rules.unknownAction': '❌ Unknown action.\nUsage: /{command} add|remove <domain> [@channel]',
+    'rules.specifyDomain': '❌ Please specify a domain.\nExample: /{command} {action} t.me or /{command} {action} *.example.com',
+    'rules.skip.added': '✅ {domain} added to the never shortened domains for {owner}.',
+    'rules.skip.exists': 'ℹ️ {domain} is already in the never shortened domains for {owner}.',
+    'rules.skip.removed': '✅ {domain} removed from the never shortened domains for {owner}.',
+    'rules.skip.missing': '❌ {domain} is not in the never shortened domains for {owner}.',
+    'rules.only.added': '✅ {domain} added to the only shortened domains for {owner}.',
+    'rules.only.exists': 'ℹ️ {domain} is already in the only shortened domains for {owner}.',
+    'rules.only.removed': '✅ {domain} removed from the only shortened domains for {owner}.',
+    'rules.only.missing': '❌ {domain} is not in the only shortened domains for {owner}.',
+    'rules.error': '❌ Something went wrong while updating the domain rules. Please try again.',
+
+    // Scheduled reports
+    'report.title.daily': '📊 Daily Earnings Report',
+    'report.title.weekly': '📊 Weekly Earnings Report',
+    'report.body': '{title}\n\n👤 Username: {username}\n💵 Currency: {currency}\n\n📈 Today\nViews: {todayViews}\nEarnings: ${todayEarnings}\nCPM: ${todayCpm}\n\n📅 This month\nViews: {monthViews}\nEarnings: ${monthEarnings}\nCPM: ${monthCpm}\n\nChange or stop these reports with /report.',
+    'report.fetchFailed.daily': '⚠️ Your daily earnings report is not available: I could not fetch your balance from {provider}.',
+    'report.fetchFailed.weekly': '⚠️ Your weekly earnings report is not available: I could not fetch your balance from {provider}.',
+    'report.schedule.daily': 'Daily at {time} ({timezone})',
+    'report.schedule.weekly': 'Weekly on {weekday} at {time} ({timezone})',
+    'report.usage': 'Usage:\n/report daily 21:00 Asia/Kolkata\n/report weekly mon 09:00 Europe/Berlin\n/report off [daily|weekly]',
+    'report.privateOnly': '❌ Please set up reports from a private chat with me.',
+    'report.list': '📊 Your scheduled reports:\n\n{list}\n\n{usage}',
+    'report.none': '📊 You have no scheduled reports.\n\n{usage}',
+    'report.invalid': '❌ {usage}',
+    'report.stopped': '✅ Scheduled reports stopped.',
+    'report.noneToStop': 'ℹ️ You have no scheduled reports.',
+    'report.weekdayMissing': '❌ Please give a day for weekly reports, e.g. /report weekly mon 09:00 Europe/Berlin',
+    'report.timeInvalid': '❌ Please give a time as HH:MM (24-hour).\n\n{usage}',
+    'report.timezoneUnknown': '❌ Unknown time zone "{timezone}". Use a name like Asia/Kolkata, Europe/London or America/New_York.',
+    'report.notAvailable': 'ℹ️ Earnings reports are not available for {provider}.',
+    'report.scheduled': '✅ Report scheduled: {schedule}.\nNext report: {next} UTC',
+    'report.error': '❌ Error saving your report schedule. Please try again.',
+
+    // /trend
+    'trend.usage': '❌ Usage: /trend 7d or /trend 30d',
+    'trend.notAvailable': 'ℹ️ Earnings history is not available for {provider}.',
+    'trend.noHistory': 'ℹ️ No earnings history yet. Balances are recorded regularly and whenever you use /balance, so check back tomorrow.',
+    'trend.error': '❌ Error loading your earnings history. Please try again.',
+    'trend.title': '📈 Earnings trend: last {days} days (account "{account}")',
+    'trend.day': { one: '{label}: {count} view · ${earnings} · CPM ${cpm}', other: '{label}: {count} views · ${earnings} · CPM ${cpm}' },
+    'trend.noData': '{label}: no data',
+    'trend.earningsChart': 'Earnings: {chart}',
+    'trend.cpmChart': 'CPM:      {chart}',
+    'trend.compared': 'Compared with the {days} days before:',
+    'trend.views': '👁 Views: {views} ({change})',
+    'trend.earnings': '💰 Earnings: ${earnings} ({change})',
+    'trend.cpm': '📊 CPM: ${cpm} ({change})',
+    'trend.noChange': 'n/a',
+    'trend.partial': 'ℹ️ Data recorded for {recorded} of {days} days ({previous} in the period before). History builds up from when balances were first recorded.',
+
+    // Balance alerts
+    'alerts.describe.balance': 'Publisher earnings ≥ ${threshold}',
+    'alerts.describe.cpm_drop': "Today's CPM {threshold}% below the month average",
+    'alerts.describe.no_views': { one: 'No views for {count} hour', other: 'No views for {count} hours' },
+    'alerts.fired.balance': '💰 Your publisher earnings reached ${earnings} (alert: ≥ ${threshold}).',
+    'alerts.fired.cpm_drop': "📉 Today's CPM is ${todayCpm}, {drop}% below this month's average of ${monthCpm}.",
+    'alerts.fired.no_views': { one: '👀 Your links have had no new views for {count} hour.', other: '👀 Your links have had no new views for {count} hours.' },
+    'alerts.notification': '🔔 {text}\n\nAlert: {alert}. Manage your alerts with /alerts.',
+    'alerts.list': { one: '🔔 Your alerts:\n\n{list}\n\nEach alert notifies you at most once every hour while it holds.', other: '🔔 Your alerts:\n\n{list}\n\nEach alert notifies you at most once every {count} hours while it holds.' },
+    'alerts.deleteButton': '🗑 Delete {number}. {alert}',
+    'alerts.usage': '❌ Usage:\n{examples}\n\n(earnings in $, CPM drop in %, 1-168 hours without views)',
+    'alerts.notAvailable': 'ℹ️ Alerts are not available for {provider}.',
+    'alerts.limit': '❌ You already have {count} alerts. Delete one with /alerts first.',
+    'alerts.added': '✅ Alert added for account "{account}": {alert}.\nSee all your alerts with /alerts.',
+    'alerts.addError': '❌ Error saving your alert. Please try again.',
+    'alerts.none': '🔔 You have no alerts. Add one with:\n{examples}',
+    'alerts.loadError': '❌ Error loading your alerts. Please try again.',
+    'alerts.deleted': 'Alert deleted',
+    'alerts.notFound': 'Alert not found',
+    'alerts.noneLeft': '🔔 No alerts left. Add one with /alert.',
+
+    // Admin commands
+    'admin.only': '❌ This command is for admins only.',
+    'admin.never': 'never',
+    'admin.stats': '📊 Bot Statistics\n\n👥 Users: {users}\n🟢 Active today: {activeToday}\n📅 Active this week: {activeWeek}\n🔗 Links shortened: {links}\n📢 Active channels: {channels}\n🔕 Opted out of broadcasts: {optedOut}\n🚫 Blocked the bot: {blocked}\n\nLinks per day (UTC):\n{days}',
+    'admin.statsError': '❌ Error fetching statistics.',
+    'admin.userUsage': '❌ Usage: /user <telegram-user-id>',
+    'admin.userNotFound': '❌ No data for user {userId}.',
+    'admin.user': '👤 User {userId}\n\n🔗 Links shortened: {links} ({history} in history)\n📅 First use: {firstUse}\n🕒 Last use: {lastUse}\n📣 Broadcasts: {broadcasts}\n🔄 Convert mode: {convert}\n\nAccounts ({accountCount}):\n{accounts}\n\nChannels ({channelCount}):\n{channels}',
+    'admin.userOptedOut': 'opted out',
+    'admin.userBlocked': ' (blocked the bot)',
+    'admin.userError': '❌ Error looking up the user.',
+    'admin.broadcastUsage': '❌ Usage: /broadcast <message>, or reply to a message with /broadcast',
+    'admin.broadcastRunning': '❌ A broadcast is already running. Please wait until it finishes.',
+    'admin.broadcastStarted': { one: '📣 Broadcasting to {count} user…', other: '📣 Broadcasting to {count} users…' },
+    'admin.broadcastProgress': 'Broadcasting',
+    'admin.broadcastFinished': '✅ Broadcast finished.\n\n📬 Delivered: {delivered}\n🚫 Blocked the bot: {blocked}\n❌ Failed: {failed}',
+    'admin.broadcastError': '❌ Error while broadcasting. Check the logs.',
+
+    // Shortening messages
+    'shorten.progress': 'Shortening',
+    'shorten.aliasFailure': '• {{alias}} for {url}: {error}',
+    'shorten.aliasFailures': '❌ Some custom aliases could not be used, so those URLs were not shortened:\n{list}\n\nTry again with a different alias.',
+    'shorten.noneShortened': '❌ No URLs could be shortened. Please check your message and API key.',
+    'shorten.allSkipped': 'ℹ️ All URLs in this message are excluded by your domain rules (see /skip and /only).',
+    'shorten.error': '❌ Error processing URLs. Please try again or check your API key.',
+    'short.usage': '❌ Usage: /short <text with links>, or reply /short to a message with links.',
+    'alias.usage': '❌ Usage: /alias <url> <alias>\nExample: /alias https://example.com/page my-page',
+    'alias.invalidUrl': '❌ "{url}" is not a valid URL.',
+    'alias.invalid': '❌ Invalid alias. Use 1-30 letters, digits, - or _.',
+
+    // Bulk files (.txt/.csv documents)
+    'bulk.tooLarge': '❌ The file is too large. Send files of up to {size} KB.',
+    'bulk.readError': '❌ Could not read the file. Send a UTF-8 encoded .txt or .csv file.',
+    'bulk.noLinks': 'ℹ️ I found no links to shorten in this file.',
+    'bulk.columnNotFound': '❌ There is no column "{column}". Columns: {columns}\n\nSend the file again with the column name or number as caption.',
+    'bulk.noLinkColumn': '❌ I found no column with links. Send the file again with the column name or number as caption.',
+    'bulk.tooManyRows': '❌ The file has {rows} rows with links, but I shorten at most {max} per file. Please split it into smaller files.',
+    'bulk.tooManyUrls': '❌ The file has {urls} links, but I shorten at most {max} per file. Please split it into smaller files.',
+    'bulk.summary': '📄 Rows with links: {rows}\n✅ Shortened: {ok}\n⚠️ Partly shortened: {partial}\n❌ Failed: {failed}\n⏭ Skipped (domain rules, already short or nothing to convert): {skipped}',
+    'bulk.summaryNoLink': { one: '➖ {count} row has no link in the chosen column', other: '➖ {count} rows have no link in the chosen column' },
+    'bulk.noneShortened': '❌ No links in the file could be shortened. The report shows what happened to each row.',
+    'bulk.report': '📋 Report for each row',
+    'bulk.error': '❌ Error processing the file. Please try again or check your API key.',
+
+    // Inline mode
+    'inline.setKey': '🔑 Set your API key to shorten links',
+    'inline.fullMessage': '📝 Full message',
+
+    // Groups
+    'group.noLinks': 'ℹ️ I found no links to shorten there.',
+    'group.noKey': '❌ There is no API key to shorten with here. A group admin can bind one with /group bind, or set your own in a private chat with me.',
+    'group.noneShortened': '❌ No URLs could be shortened.',
+    'group.error': '❌ Error processing URLs. Please try again.',
+    'group.boundAccount': 'account "{name}" ({provider}), bound by an admin',
+    'group.memberKeys': "each member's own key",
+    'group.settings': "⚙️ Group settings\n\n🔑 Shortening with: {key}\n🤖 Auto mode: {auto}\n🔕 Silent failures: {silent}\n\nAdmins can change them:\n/group bind [account] - Shorten with your account for everyone\n/group unbind - Members use their own keys\n/group auto on|off - Shorten every message with links\n/group silent on|off - Don't post error messages\n\nAuto mode only sees every message if privacy mode is off for me (BotFather /setprivacy) or I am an admin.",
+    'group.onlyInGroups': '❌ Use /group inside a group chat to change how I behave there.',
+    'group.adminOnly': '❌ Only group admins can change these settings.',
+    'group.noAccountNamed': '❌ You have no account named "{name}". See /accounts in a private chat with me.',
+    'group.noAccount': '❌ You have no API key yet. Set one in a private chat with me first, then bind it here.',
+    'group.bound': '✅ Links in this group are now shortened with account "{name}".',
+    'group.unbound': "✅ No account is bound any more; members' own keys are used.",
+    'group.auto': '✅ Auto mode {state}.',
+    'group.silent': '✅ Silent failures {state}.',
+    'group.usage': '❌ Usage: /group [bind [account] | unbind | auto on|off | silent on|off]',
+    'group.saveError': '❌ Error updating group settings. Please try again.'
+};
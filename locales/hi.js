@@ -0,0 +1,342 @@
+/**
+ * Hindi messages. Commands, placeholders and technical terms (API key, URL,
+ * CPM) stay as they are; missing keys fall back to English.
+ */
+module.exports = {
+    // Shared
+    'common.on': 'चालू',
+    'common.off': 'बंद',
+    'common.none': 'कोई नहीं',
+    'common.noApiKey': '❌ पहले /api कमांड से अपनी API key सेट करें।\nउदाहरण: /api your-api-key',
+    'common.settingError': '❌ आपकी सेटिंग सेव नहीं हो सकी। कृपया फिर से कोशिश करें।',
+    'common.requestError': 'अनुरोध पूरा नहीं हो सका',
+    'common.channelNotFound': 'मुझे वह चैनल नहीं मिला, या मैं उसका सदस्य नहीं हूँ।',
+
+    // /start and /help
+    'start.welcome': `🔗 URL Shortener Bot में आपका स्वागत है!
+
+यह बॉट Linkara.xyz API से आपके URL छोटे करता है।
+
+उपलब्ध कमांड:
+/start - यह स्वागत संदेश दिखाएँ
+/api <your-api-key> - अपनी Linkara.xyz API key सेट करें
+/api <your-api-key> <api-url> - कोई दूसरा AdLinkFly जैसा shortener इस्तेमाल करें
+/balance - अपने अकाउंट का बैलेंस देखें
+/report - रोज़ाना या साप्ताहिक कमाई की रिपोर्ट पाएँ
+/trend - पिछले 7 या 30 दिनों की कमाई का ट्रेंड
+/alerts - कमाई, CPM में गिरावट और व्यू न आने पर सूचना पाएँ
+/accounts - कई नाम वाले अकाउंट संभालें
+/history - अपने छोटे किए गए लिंक देखें और खोजें
+/channel - अपने चैनलों की पोस्ट अपने-आप छोटी करें
+/language - वह भाषा चुनें जिसमें मैं आपसे बात करूँ
+/help - मदद की जानकारी दिखाएँ
+
+शुरू करने के लिए:
+1. Linkara.xyz से अपनी API key लें
+2. उसे /api कमांड से सेट करें
+3. URL वाला कोई भी संदेश भेजें, मैं उन्हें छोटा कर दूँगा!
+
+आप किसी भी चैट में लिंक छोटे कर सकते हैं: @{botUsername} लिखें और उसके बाद लिंक।
+
+बॉट आपके संदेश की बनावट वैसी ही रखता है और सिर्फ़ URL को छोटे URL से बदलता है।`,
+    'help.text': `📚 मदद - URL Shortener Bot
+
+कमांड:
+• /start - स्वागत संदेश और सेटअप के निर्देश
+• /api <key> - अपनी Linkara.xyz API key सेट करें
+• /api <key> <api-url> - कोई दूसरा AdLinkFly जैसा shortener इस्तेमाल करें (जैसे /api abc123 https://example.com/api)
+• /balance - अपने अकाउंट का बैलेंस देखें
+• /addaccount <name> <key> [api-url] - एक और नाम वाला अकाउंट जोड़ें
+• /accounts - अपने अकाउंट देखें, बदलें या हटाएँ
+• /use <name> - सक्रिय अकाउंट बदलें
+• /removeaccount <name> - कोई अकाउंट हटाएँ
+• /history [text] - अपने छोटे किए गए लिंक देखें या खोजें
+• /fresh <text> - पुराने लिंक दोबारा इस्तेमाल करने के बजाय नए लिंक बनाएँ
+• /short <text> - टेक्स्ट छोटा करें, या किसी संदेश के जवाब में /short भेजकर उसे छोटा करें
+• /alias <url> <alias> - एक URL को अपने चुने हुए alias से छोटा करें
+• /channel - अपने जुड़े हुए चैनल देखें
+• /channel add @channel - किसी चैनल की नई पोस्ट अपने-आप छोटी करें
+• /channel on|off @channel - अपने-आप छोटा करना चालू या बंद करें
+• /channel remove @channel - चैनल हटाएँ
+• /report daily <HH:MM> [time zone] - रोज़ाना कमाई की रिपोर्ट (जैसे /report daily 21:00 Asia/Kolkata)
+• /report weekly <day> <HH:MM> [time zone] - साप्ताहिक रिपोर्ट (जैसे /report weekly mon 09:00 Europe/Berlin)
+• /report off - रिपोर्ट बंद करें
+• /trend 7d|30d - हर दिन के व्यू, कमाई और CPM, पिछली अवधि से तुलना के साथ
+• /alert balance <amount> - publisher कमाई इस रकम तक पहुँचने पर सूचना दें
+• /alert cpmdrop <percent> - आज का CPM महीने के औसत से इतना कम होने पर सूचना दें
+• /alert noviews <hours> - इतने घंटे कोई व्यू न आने पर सूचना दें
+• /alerts - अपने अलर्ट देखें और हटाएँ
+• /convert on|off - दूसरे shorteners के लिंक को अपने लिंक से बदलें
+• /broadcasts on|off - बॉट टीम की घोषणाएँ पाएँ या बंद करें
+• /skip add|remove <domain> - किसी डोमेन के लिंक कभी छोटे न करें (जैसे t.me)
+• /only add|remove <domain> - सिर्फ़ सूची वाले डोमेन के लिंक छोटे करें
+  (चैनल के नियम सेट करने के लिए अंत में @channel जोड़ें; *.example.com में सारे सबडोमेन आते हैं)
+• /language [{languages}|auto] - मेरी भाषा चुनें, या फिर से Telegram ऐप की भाषा अपनाएँ
+• /help - यह मदद संदेश दिखाएँ
+
+ग्रुप में मैं तभी जवाब देता हूँ जब पूछा जाए: /short, @{botUsername} का ज़िक्र करने वाला संदेश, या मेरे किसी संदेश का जवाब।
+• /group - ग्रुप की सेटिंग देखें
+• /group bind [account] - सबके लिए अपने अकाउंट से छोटा करें (एडमिन)
+• /group unbind - सदस्य फिर से अपनी key इस्तेमाल करें (एडमिन)
+• /group auto on|off - लिंक वाला हर संदेश छोटा करें (एडमिन)
+• /group silent on|off - गड़बड़ी के संदेश न भेजें (एडमिन)
+
+इस्तेमाल का तरीका:
+1. अपनी API key सेट करें: /api your-api-key-here
+2. URL वाला कोई भी संदेश भेजें
+3. बॉट वही संदेश छोटे URL के साथ वापस भेजेगा
+
+सुविधाएँ:
+✅ एक URL छोटा करना
+✅ एक साथ कई URL छोटे करना (एक संदेश में कई URL)
+✅ दोहराए गए URL के लिए पहले से बना छोटा लिंक
+✅ bit.ly, t.co और दूसरे shorteners के लिंक के लिए convert mode
+✅ invite, पेमेंट या अपने लिंक वैसे ही छोड़ने के लिए डोमेन नियम
+✅ संदेश की मूल फ़ॉर्मैटिंग बनी रहती है
+✅ फ़ोटो, वीडियो, डॉक्यूमेंट और एल्बम (caption में URL)
+✅ .txt और .csv फ़ाइलें: फ़ाइल भेजें और छोटे लिंक के साथ हर पंक्ति की रिपोर्ट वापस पाएँ (CSV में ज़रूरत हो तो caption में कॉलम का नाम या नंबर लिखें)
+✅ हर तरह के URL (HTTP, HTTPS, FTP आदि)
+✅ अपना alias: URL के ठीक बाद {alias} लिखें, जैसे https://example.com {my-link}
+
+उदाहरण:
+आप: "Check out https://example.com and https://google.com"
+बॉट: "Check out https://linkara.xyz/xxxxx and https://linkara.xyz/yyyyy"
+
+API key चाहिए? यहाँ जाएँ: https://linkara.xyz`,
+
+    // /language
+    'language.current': '🌐 मैं आपसे {language} में बात करता हूँ।\n\nनीचे कोई भाषा चुनें, या /language {languages} इस्तेमाल करें। /language auto से फिर से आपके Telegram ऐप की भाषा अपनाई जाएगी।',
+    'language.currentAuto': '🌐 मैं आपसे {language} में बात करता हूँ, जो आपके Telegram ऐप की भाषा है।\n\nनीचे कोई भाषा चुनें, या /language {languages} इस्तेमाल करें।',
+    'language.changed': '✅ अब से मैं आपसे हिन्दी में बात करूँगा।',
+    'language.auto': '✅ अब मैं फिर से आपके Telegram ऐप की भाषा अपनाऊँगा।',
+    'language.usage': '❌ इस्तेमाल: /language {languages}|auto',
+
+    // API keys and accounts
+    'keys.deleted': '\n\n🔒 मैंने आपका संदेश मिटा दिया ताकि key चैट हिस्ट्री में न रहे।',
+    'keys.pleaseDelete': '\n\n🔒 कृपया key वाला अपना संदेश मिटा दें ताकि वह चैट हिस्ट्री में न रहे।',
+    'keys.invalidProviderUrl': '❌ कृपया shortener का API URL https:// और सार्वजनिक host name के साथ दें।\nइस्तेमाल: /api your-api-key https://example.com/api{notice}',
+    'keys.rejected': '❌ {provider} ने यह API key स्वीकार नहीं की। कृपया जाँचकर फिर से कोशिश करें।{notice}',
+    'keys.loggedIn': '\n👤 लॉग इन: {username}',
+    'keys.unverified': '\nℹ️ इस provider का कोई balance API नहीं है, इसलिए key की जाँच नहीं हो सकी।',
+    'keys.saved': '✅ {provider} की API key अकाउंट "{name}" के नाम से सेव हो गई!{verified}\n\nअब आप URL वाले संदेश भेजकर उन्हें छोटा कर सकते हैं।{notice}',
+    'keys.error': '❌ API key सेव नहीं हो सकी। कृपया फिर से कोशिश करें।{notice}',
+    'keys.usage': '❌ कृपया सही API key दें।\nइस्तेमाल: /api your-api-key',
+    'accounts.addUsage': '❌ इस्तेमाल: /addaccount <name> <api-key> [api-url]\nनाम में अक्षर, अंक, _ और - हो सकते हैं (ज़्यादा से ज़्यादा 32)।',
+    'accounts.list': '👥 आपके अकाउंट:\n\n{list}\n\n✅ वाले अकाउंट से लिंक छोटे होते हैं।',
+    'accounts.useButton': '{name} चुनें',
+    'accounts.removeButton': '🗑 हटाएँ',
+    'accounts.loadError': '❌ आपके अकाउंट लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+    'accounts.useUsage': '❌ इस्तेमाल: /use <account-name>\nअपने अकाउंट /accounts में देखें।',
+    'accounts.switched': '✅ अब अकाउंट "{name}" इस्तेमाल हो रहा है।',
+    'accounts.notFound': '❌ "{name}" नाम का आपका कोई अकाउंट नहीं है। /accounts देखें।',
+    'accounts.switchError': '❌ अकाउंट नहीं बदल सका। कृपया फिर से कोशिश करें।',
+    'accounts.removeUsage': '❌ इस्तेमाल: /removeaccount <account-name>\nअपने अकाउंट /accounts में देखें।',
+    'accounts.removed': '✅ अकाउंट "{name}" हटा दिया गया।',
+    'accounts.removeError': '❌ अकाउंट नहीं हटा सका। कृपया फिर से कोशिश करें।',
+    'accounts.switchedShort': 'अब "{name}" इस्तेमाल हो रहा है',
+    'accounts.removedShort': '"{name}" हटा दिया गया',
+    'accounts.notFoundShort': 'अकाउंट नहीं मिला',
+    'accounts.noneLeft': '👥 कोई अकाउंट नहीं बचा। /api your-api-key से एक जोड़ें',
+
+    // /balance and its buttons
+    'balance.unavailable': 'ℹ️ {provider} के लिए बैलेंस उपलब्ध नहीं है।',
+    'balance.overview': '💰 अकाउंट का सारांश\n\n👤 यूज़रनेम: {username}\n💵 मुद्रा: {currency}',
+    'balance.todayViewsButton': { one: '📈 आज: {count} व्यू', other: '📈 आज: {count} व्यू' },
+    'balance.todayEarningsButton': '💰 आज: ${earnings}',
+    'balance.todayCpmButton': '📊 आज का CPM: ${cpm}',
+    'balance.monthViewsButton': { one: '📅 महीना: {count} व्यू', other: '📅 महीना: {count} व्यू' },
+    'balance.monthEarningsButton': '💵 महीना: ${earnings}',
+    'balance.monthCpmButton': '📈 महीने का CPM: ${cpm}',
+    'balance.detailsButton': '💰 बैलेंस का विवरण',
+    'balance.fetchFailed': '❌ बैलेंस नहीं मिल सका। कृपया अपनी API key जाँचें।',
+    'balance.error': '❌ बैलेंस लाने में गड़बड़ी हुई। कृपया फिर से कोशिश करें या अपनी API key जाँचें।',
+    'balance.callbackNoKey': 'पहले /api कमांड से अपनी API key सेट करें',
+    'balance.callbackFetchError': 'बैलेंस का डेटा नहीं मिल सका',
+    'balance.todayEarnings': '📈 आज का प्रदर्शन:\n\n💰 कमाई: ${earnings}\n📊 व्यू: {views}\n📈 प्रति व्यू औसत: ${perView}',
+    'balance.todayCpm': '📊 आज के CPM का विश्लेषण:\n\n💵 CPM: ${cpm}\n📈 व्यू: {views}\n💰 कमाई: ${earnings}\n\nCPM = Cost Per Mille (हर 1000 व्यू पर कमाई)',
+    'balance.todayViews': '📈 आज के व्यू:\n\n👁️ कुल व्यू: {views}\n💰 कमाई: ${earnings}\n📊 प्रति व्यू कमाई: ${perView}',
+    'balance.monthEarnings': '📅 इस महीने का प्रदर्शन:\n\n💰 कुल कमाई: ${earnings}\n📊 कुल व्यू: {views}\n📈 प्रति व्यू औसत: ${perView}',
+    'balance.monthCpm': '📊 इस महीने के CPM का विश्लेषण:\n\n💵 CPM: ${cpm}\n📈 कुल व्यू: {views}\n💰 कुल कमाई: ${earnings}\n\nCPM = Cost Per Mille (हर 1000 व्यू पर कमाई)',
+    'balance.monthViews': '📅 इस महीने के व्यू:\n\n👁️ कुल व्यू: {views}\n💰 कमाई: ${earnings}\n📊 प्रति व्यू कमाई: ${perView}',
+    'balance.details': '💰 बैलेंस का विवरण:\n\n📊 Publisher कमाई: ${publisher}\n🤝 Referral कमाई: ${referral}\n📢 Advertiser बैलेंस: ${advertiser}\n💳 Wallet राशि: ${wallet}\n\n💵 कुल उपलब्ध: ${total}',
+
+    // /history
+    'history.title': '🕘 आपके छोटे किए गए लिंक',
+    'history.searchTitle': '🔎 "{search}" से मिलते लिंक',
+    'history.noMatches': '{title}\n\nकोई लिंक नहीं मिला।',
+    'history.empty': '{title}\n\nअभी तक कुछ छोटा नहीं किया गया।',
+    'history.page': '{title} (पेज {page}/{pages}, कुल {count})\n\n{list}',
+    'history.newer': '◀️ नए',
+    'history.older': 'पुराने ▶️',
+    'history.error': '❌ आपकी लिंक हिस्ट्री लोड नहीं हो सकी। कृपया फिर से कोशिश करें।',
+
+    // /channel
+    'channel.notChannel': '{target} कोई चैनल नहीं है।',
+    'channel.botNotAdmin': 'पहले मुझे {target} में "Edit messages" अधिकार के साथ एडमिन बनाएँ।',
+    'channel.userNotAdmin': 'सिर्फ़ {target} के एडमिन इसे संभाल सकते हैं।',
+    'channel.privateOnly': '❌ कृपया चैनल मेरे साथ निजी चैट में संभालें।',
+    'channel.none': '📢 अभी कोई चैनल नहीं जुड़ा है।\nइस्तेमाल: /channel add @yourchannel',
+    'channel.list': '📢 आपके चैनल:\n\n{list}',
+    'channel.specify': '❌ कृपया चैनल बताएँ।\nइस्तेमाल: /channel {action} @yourchannel',
+    'channel.linked': '✅ {title} जुड़ गया! URL वाली नई पोस्ट आपके अकाउंट "{account}" से वहीं छोटी कर दी जाएँगी।',
+    'channel.notLinked': '❌ {title} जुड़ा नहीं है। पहले /channel add {target} इस्तेमाल करें।',
+    'channel.unlinked': '✅ {title} हटा दिया गया।',
+    'channel.enabled': '✅ {title} के लिए अपने-आप छोटा करना चालू हो गया।',
+    'channel.disabled': '✅ {title} के लिए अपने-आप छोटा करना बंद हो गया।',
+    'channel.unknownAction': '❌ अनजान action।\nइस्तेमाल: /channel add|on|off|remove @yourchannel',
+    'channel.error': '❌ चैनल संभालते समय कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+
+    // /convert and /broadcasts
+    'convert.status': '🔄 Convert mode {state} है।\n\nचालू होने पर आपके संदेशों और चैनलों में दूसरे shorteners (bit.ly, t.co, ...) के लिंक खोलकर देखा जाता है कि वे कहाँ ले जाते हैं, और उस पते को आपकी key से छोटा किया जाता है।\n\nइस्तेमाल: /convert on|off',
+    'convert.usage': '❌ इस्तेमाल: /convert on|off',
+    'convert.enabled': '✅ Convert mode चालू हो गया।',
+    'convert.disabled': '✅ Convert mode बंद हो गया।',
+    'broadcasts.status': '📣 घोषणाएँ {state} हैं।\nइस्तेमाल: /broadcasts on|off',
+    'broadcasts.usage': '❌ इस्तेमाल: /broadcasts on|off',
+    'broadcasts.optedOut': '✅ अब आपको घोषणाएँ नहीं मिलेंगी।',
+    'broadcasts.optedIn': '✅ अब आपको फिर से घोषणाएँ मिलेंगी।',
+
+    // /skip and /only
+    'rules.list': '🌐 {owner} के लिए डोमेन नियम:\n\n🚫 कभी छोटे नहीं होते: {skip}\n✅ सिर्फ़ ये छोटे होते हैं: {only}\n\nइस्तेमाल:\n/skip add|remove <domain> [@channel]\n/only add|remove <domain> [@channel]\nसारे सबडोमेन के लिए *.example.com लिखें।',
+    'rules.anyDomain': 'कोई भी डोमेन',
+    'rules.yourMessages': 'आपके संदेशों',
+    'rules.privateOnly': '❌ कृपया डोमेन नियम मेरे साथ निजी चैट में संभालें।',
+    'rules.unknownAction': '❌ अनजान action।\nइस्तेमाल: /{command} add|remove <domain> [@channel]',
+    'rules.specifyDomain': '❌ कृपया डोमेन बताएँ।\nउदाहरण: /{command} {action} t.me या /{command} {action} *.example.com',
+    'rules.skip.added': '✅ {domain} को {owner} के कभी छोटे न होने वाले डोमेन में जोड़ दिया गया।',
+    'rules.skip.exists': 'ℹ️ {domain} पहले से {owner} के कभी छोटे न होने वाले डोमेन में है।',
+    'rules.skip.removed': '✅ {domain} को {owner} के कभी छोटे न होने वाले डोमेन से हटा दिया गया।',
+    'rules.skip.missing': '❌ {domain} {owner} के कभी छोटे न होने वाले डोमेन में नहीं है।',
+    'rules.only.added': '✅ {domain} को {owner} के सिर्फ़ छोटे होने वाले डोमेन में जोड़ दिया गया।',
+    'rules.only.exists': 'ℹ️ {domain} पहले से {owner} के सिर्फ़ छोटे होने वाले डोमेन में है।',
+    'rules.only.removed': '✅ {domain} को {owner} के सिर्फ़ छोटे होने वाले डोमेन से हटा दिया गया।',
+    'rules.only.missing': '❌ {domain} {owner} के सिर्फ़ छोटे होने वाले डोमेन में नहीं है।',
+    'rules.error': '❌ डोमेन नियम बदलते समय कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+
+    // Scheduled reports
+    'report.title.daily': '📊 रोज़ाना कमाई की रिपोर्ट',
+    'report.title.weekly': '📊 साप्ताहिक कमाई की रिपोर्ट',
+    'report.body': '{title}\n\n👤 यूज़रनेम: {username}\n💵 मुद्रा: {currency}\n\n📈 आज\nव्यू: {todayViews}\nकमाई: ${todayEarnings}\nCPM: ${todayCpm}\n\n📅 इस महीने\nव्यू: {monthViews}\nकमाई: ${monthEarnings}\nCPM: ${monthCpm}\n\nइन रिपोर्ट को /report से बदलें या बंद करें।',
+    'report.fetchFailed.daily': '⚠️ आपकी रोज़ाना कमाई की रिपोर्ट उपलब्ध नहीं है: मैं {provider} से आपका बैलेंस नहीं ला सका।',
+    'report.fetchFailed.weekly': '⚠️ आपकी साप्ताहिक कमाई की रिपोर्ट उपलब्ध नहीं है: मैं {provider} से आपका बैलेंस नहीं ला सका।',
+    'report.schedule.daily': 'रोज़ {time} बजे ({timezone})',
+    'report.schedule.weekly': 'हर {weekday} को {time} बजे ({timezone})',
+    'report.usage': 'इस्तेमाल:\n/report daily 21:00 Asia/Kolkata\n/report weekly mon 09:00 Europe/Berlin\n/report off [daily|weekly]',
+    'report.privateOnly': '❌ कृपया रिपोर्ट मेरे साथ निजी चैट में सेट करें।',
+    'report.list': '📊 आपकी तय रिपोर्ट:\n\n{list}\n\n{usage}',
+    'report.none': '📊 आपकी कोई तय रिपोर्ट नहीं है।\n\n{usage}',
+    'report.invalid': '❌ {usage}',
+    'report.stopped': '✅ तय रिपोर्ट बंद कर दी गईं।',
+    'report.noneToStop': 'ℹ️ आपकी कोई तय रिपोर्ट नहीं है।',
+    'report.weekdayMissing': '❌ साप्ताहिक रिपोर्ट के लिए दिन बताएँ, जैसे /report weekly mon 09:00 Europe/Berlin',
+    'report.timeInvalid': '❌ कृपया समय HH:MM (24 घंटे) में दें।\n\n{usage}',
+    'report.timezoneUnknown': '❌ अनजान time zone "{timezone}"। Asia/Kolkata, Europe/London या America/New_York जैसा नाम इस्तेमाल करें।',
+    'report.notAvailable': 'ℹ️ {provider} के लिए कमाई की रिपोर्ट उपलब्ध नहीं है।',
+    'report.scheduled': '✅ रिपोर्ट तय हो गई: {schedule}।\nअगली रिपोर्ट: {next} UTC',
+    'report.error': '❌ आपकी रिपोर्ट का समय सेव नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+    // /trend
+    'trend.usage': '❌ इस्तेमाल: /trend 7d या /trend 30d',
+    'trend.notAvailable': 'ℹ️ {provider} के लिए कमाई का इतिहास उपलब्ध नहीं है।',
+    'trend.noHistory': 'ℹ️ अभी कमाई का कोई इतिहास नहीं है। बैलेंस नियमित रूप से और हर बार /balance इस्तेमाल करने पर दर्ज होता है, इसलिए कल फिर देखें।',
+    'trend.error': '❌ आपकी कमाई का इतिहास लोड नहीं हो सका। कृपया फिर से कोशिश करें।',
+    'trend.title': '📈 कमाई का ट्रेंड: पिछले {days} दिन (अकाउंट "{account}")',
+    'trend.day': { one: '{label}: {count} व्यू · ${earnings} · CPM ${cpm}', other: '{label}: {count} व्यू · ${earnings} · CPM ${cpm}' },
+    'trend.noData': '{label}: कोई डेटा नहीं',
+    'trend.earningsChart': 'कमाई: {chart}',
+    'trend.cpmChart': 'CPM:   {chart}',
+    'trend.compared': 'उससे पहले के {days} दिनों की तुलना में:',
+    'trend.views': '👁 व्यू: {views} ({change})',
+    'trend.earnings': '💰 कमाई: ${earnings} ({change})',
+    'trend.cpm': '📊 CPM: ${cpm} ({change})',
+    'trend.noChange': 'लागू नहीं',
+    'trend.partial': 'ℹ️ {days} में से {recorded} दिनों का डेटा दर्ज है (पिछली अवधि में {previous})। इतिहास उसी समय से बनता है जब बैलेंस पहली बार दर्ज हुआ।',
+
+    // Balance alerts
+    'alerts.describe.balance': 'Publisher कमाई ≥ ${threshold}',
+    'alerts.describe.cpm_drop': 'आज का CPM महीने के औसत से {threshold}% कम',
+    'alerts.describe.no_views': { one: '{count} घंटे तक कोई व्यू नहीं', other: '{count} घंटे तक कोई व्यू नहीं' },
+    'alerts.fired.balance': '💰 आपकी publisher कमाई ${earnings} तक पहुँच गई (अलर्ट: ≥ ${threshold})।',
+    'alerts.fired.cpm_drop': '📉 आज का CPM ${todayCpm} है, जो इस महीने के औसत ${monthCpm} से {drop}% कम है।',
+    'alerts.fired.no_views': { one: '👀 आपके लिंक पर {count} घंटे से कोई नया व्यू नहीं आया।', other: '👀 आपके लिंक पर {count} घंटे से कोई नया व्यू नहीं आया।' },
+    'alerts.notification': '🔔 {text}\n\nअलर्ट: {alert}। अपने अलर्ट /alerts से संभालें।',
+    'alerts.list': { one: '🔔 आपके अलर्ट:\n\n{list}\n\nजब तक शर्त बनी रहे, हर अलर्ट ज़्यादा से ज़्यादा हर {count} घंटे में एक बार सूचना देता है।', other: '🔔 आपके अलर्ट:\n\n{list}\n\nजब तक शर्त बनी रहे, हर अलर्ट ज़्यादा से ज़्यादा हर {count} घंटे में एक बार सूचना देता है।' },
+    'alerts.deleteButton': '🗑 हटाएँ {number}. {alert}',
+    'alerts.usage': '❌ इस्तेमाल:\n{examples}\n\n(कमाई $ में, CPM गिरावट % में, बिना व्यू के 1-168 घंटे)',
+    'alerts.notAvailable': 'ℹ️ {provider} के लिए अलर्ट उपलब्ध नहीं हैं।',
+    'alerts.limit': '❌ आपके पहले से {count} अलर्ट हैं। पहले /alerts से कोई एक हटाएँ।',
+    'alerts.added': '✅ अकाउंट "{account}" के लिए अलर्ट जुड़ गया: {alert}।\nअपने सारे अलर्ट /alerts में देखें।',
+    'alerts.addError': '❌ आपका अलर्ट सेव नहीं हो सका। कृपया फिर से कोशिश करें।',
+    'alerts.none': '🔔 आपका कोई अलर्ट नहीं है। ऐसे जोड़ें:\n{examples}',
+    'alerts.loadError': '❌ आपके अलर्ट लोड नहीं हो सके। कृपया फिर से कोशिश करें।',
+    'alerts.deleted': 'अलर्ट हटा दिया गया',
+    'alerts.notFound': 'अलर्ट नहीं मिला',
+    'alerts.noneLeft': '🔔 कोई अलर्ट नहीं बचा। /alert से एक जोड़ें।',
+
+    // Admin commands
+    'admin.only': '❌ यह कमांड सिर्फ़ एडमिन के लिए है।',
+    'admin.never': 'कभी नहीं',
+    'admin.stats': '📊 बॉट के आँकड़े\n\n👥 यूज़र: {users}\n🟢 आज सक्रिय: {activeToday}\n📅 इस हफ़्ते सक्रिय: {activeWeek}\n🔗 छोटे किए गए लिंक: {links}\n📢 सक्रिय चैनल: {channels}\n🔕 घोषणाएँ बंद: {optedOut}\n🚫 बॉट को ब्लॉक किया: {blocked}\n\nहर दिन के लिंक (UTC):\n{days}',
+    'admin.statsError': '❌ आँकड़े नहीं मिल सके।',
+    'admin.userUsage': '❌ इस्तेमाल: /user <telegram-user-id>',
+    'admin.userNotFound': '❌ यूज़र {userId} का कोई डेटा नहीं है।',
+    'admin.user': '👤 यूज़र {userId}\n\n🔗 छोटे किए गए लिंक: {links} (हिस्ट्री में {history})\n📅 पहला इस्तेमाल: {firstUse}\n🕒 आख़िरी इस्तेमाल: {lastUse}\n📣 घोषणाएँ: {broadcasts}\n🔄 Convert mode: {convert}\n\nअकाउंट ({accountCount}):\n{accounts}\n\nचैनल ({channelCount}):\n{channels}',
+    'admin.userOptedOut': 'बंद',
+    'admin.userBlocked': ' (बॉट को ब्लॉक किया)',
+    'admin.userError': '❌ यूज़र की जानकारी नहीं मिल सकी।',
+    'admin.broadcastUsage': '❌ इस्तेमाल: /broadcast <message>, या किसी संदेश के जवाब में /broadcast',
+    'admin.broadcastRunning': '❌ एक broadcast पहले से चल रहा है। कृपया उसके पूरा होने तक रुकें।',
+    'admin.broadcastStarted': { one: '📣 {count} यूज़र को भेजा जा रहा है…', other: '📣 {count} यूज़र को भेजा जा रहा है…' },
+    'admin.broadcastProgress': 'भेजा जा रहा है',
+    'admin.broadcastFinished': '✅ Broadcast पूरा हुआ।\n\n📬 पहुँचा: {delivered}\n🚫 बॉट को ब्लॉक किया: {blocked}\n❌ विफल: {failed}',
+    'admin.broadcastError': '❌ Broadcast में गड़बड़ी हुई। लॉग देखें।',
+
+    // Shortening messages
+    'shorten.progress': 'छोटा किया जा रहा है',
+    'shorten.aliasFailure': '• {url} के लिए {{alias}}: {error}',
+    'shorten.aliasFailures': '❌ कुछ alias इस्तेमाल नहीं हो सके, इसलिए वे URL छोटे नहीं किए गए:\n{list}\n\nकोई दूसरा alias आज़माएँ।',
+    'shorten.noneShortened': '❌ कोई URL छोटा नहीं हो सका। कृपया अपना संदेश और API key जाँचें।',
+    'shorten.allSkipped': 'ℹ️ इस संदेश के सारे URL आपके डोमेन नियमों के कारण छोड़ दिए गए (/skip और /only देखें)।',
+    'shorten.error': '❌ URL छोटे करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें या अपनी API key जाँचें।',
+    'short.usage': '❌ इस्तेमाल: /short <लिंक वाला टेक्स्ट>, या लिंक वाले संदेश के जवाब में /short भेजें।',
+    'alias.usage': '❌ इस्तेमाल: /alias <url> <alias>\nउदाहरण: /alias https://example.com/page my-page',
+    'alias.invalidUrl': '❌ "{url}" सही URL नहीं है।',
+    'alias.invalid': '❌ गलत alias। 1-30 अक्षर, अंक, - या _ इस्तेमाल करें।',
+
+    // Bulk files (.txt/.csv documents)
+    'bulk.tooLarge': '❌ फ़ाइल बहुत बड़ी है। {size} KB तक की फ़ाइल भेजें।',
+    'bulk.readError': '❌ फ़ाइल पढ़ी नहीं जा सकी। UTF-8 वाली .txt या .csv फ़ाइल भेजें।',
+    'bulk.noLinks': 'ℹ️ इस फ़ाइल में छोटा करने लायक कोई लिंक नहीं मिला।',
+    'bulk.columnNotFound': '❌ "{column}" नाम का कोई कॉलम नहीं है। कॉलम: {columns}\n\nफ़ाइल दोबारा भेजें और caption में कॉलम का नाम या नंबर लिखें।',
+    'bulk.noLinkColumn': '❌ लिंक वाला कोई कॉलम नहीं मिला। फ़ाइल दोबारा भेजें और caption में कॉलम का नाम या नंबर लिखें।',
+    'bulk.tooManyRows': '❌ फ़ाइल में लिंक वाली {rows} पंक्तियाँ हैं, पर मैं एक फ़ाइल में ज़्यादा से ज़्यादा {max} छोटी करता हूँ। कृपया इसे छोटी फ़ाइलों में बाँटें।',
+    'bulk.tooManyUrls': '❌ फ़ाइल में {urls} लिंक हैं, पर मैं एक फ़ाइल में ज़्यादा से ज़्यादा {max} लिंक छोटे करता हूँ। कृपया इसे छोटी फ़ाइलों में बाँटें।',
+    'bulk.summary': '📄 लिंक वाली पंक्तियाँ: {rows}\n✅ छोटी की गईं: {ok}\n⚠️ कुछ लिंक छोटे हुए: {partial}\n❌ विफल: {failed}\n⏭ छोड़ी गईं (डोमेन नियम, पहले से छोटे या बदलने लायक नहीं): {skipped}',
+    'bulk.summaryNoLink': { one: '➖ {count} पंक्ति के चुने हुए कॉलम में कोई लिंक नहीं है', other: '➖ {count} पंक्तियों के चुने हुए कॉलम में कोई लिंक नहीं है' },
+    'bulk.noneShortened': '❌ फ़ाइल का कोई लिंक छोटा नहीं हो सका। रिपोर्ट में हर पंक्ति का नतीजा है।',
+    'bulk.report': '📋 हर पंक्ति की रिपोर्ट',
+    'bulk.error': '❌ फ़ाइल में गड़बड़ी हुई। कृपया फिर से कोशिश करें या अपनी API key जाँचें।',
+
+    // Inline mode
+    'inline.setKey': '🔑 लिंक छोटे करने के लिए अपनी API key सेट करें',
+    'inline.fullMessage': '📝 पूरा संदेश',
+
+    // Groups
+    'group.noLinks': 'ℹ️ मुझे वहाँ छोटा करने लायक कोई लिंक नहीं मिला।',
+    'group.noKey': '❌ यहाँ छोटा करने के लिए कोई API key नहीं है। ग्रुप एडमिन /group bind से एक जोड़ सकते हैं, या आप मेरे साथ निजी चैट में अपनी key सेट करें।',
+    'group.noneShortened': '❌ कोई URL छोटा नहीं हो सका।',
+    'group.error': '❌ URL छोटे करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'group.boundAccount': 'अकाउंट "{name}" ({provider}), एक एडमिन ने जोड़ा',
+    'group.memberKeys': 'हर सदस्य की अपनी key',
+    'group.settings': '⚙️ ग्रुप की सेटिंग\n\n🔑 किससे छोटा होता है: {key}\n🤖 Auto mode: {auto}\n🔕 गड़बड़ी के संदेश छिपाएँ: {silent}\n\nएडमिन इन्हें बदल सकते हैं:\n/group bind [account] - सबके लिए अपने अकाउंट से छोटा करें\n/group unbind - सदस्य अपनी key इस्तेमाल करें\n/group auto on|off - लिंक वाला हर संदेश छोटा करें\n/group silent on|off - गड़बड़ी के संदेश न भेजें\n\nAuto mode हर संदेश तभी देख पाता है जब मेरा privacy mode बंद हो (BotFather /setprivacy) या मैं एडमिन हूँ।',
+    'group.onlyInGroups': '❌ /group किसी ग्रुप चैट के अंदर इस्तेमाल करें, ताकि वहाँ मेरा व्यवहार बदला जा सके।',
+    'group.adminOnly': '❌ सिर्फ़ ग्रुप एडमिन ये सेटिंग बदल सकते हैं।',
+    'group.noAccountNamed': '❌ "{name}" नाम का आपका कोई अकाउंट नहीं है। मेरे साथ निजी चैट में /accounts देखें।',
+    'group.noAccount': '❌ आपकी अभी कोई API key नहीं है। पहले मेरे साथ निजी चैट में key सेट करें, फिर उसे यहाँ जोड़ें।',
+    'group.bound': '✅ इस ग्रुप के लिंक अब अकाउंट "{name}" से छोटे होंगे।',
+    'group.unbound': '✅ अब कोई अकाउंट नहीं जुड़ा है; सदस्यों की अपनी key इस्तेमाल होंगी।',
+    'group.auto': '✅ Auto mode {state}।',
+    'group.silent': '✅ गड़बड़ी के संदेश छिपाना {state}।',
+    'group.usage': '❌ इस्तेमाल: /group [bind [account] | unbind | auto on|off | silent on|off]',
+    'group.saveError': '❌ ग्रुप की सेटिंग नहीं बदल सकी। कृपया फिर से कोशिश करें।'
+};
@@ -0,0 +1,100 @@
+const util = require('util');
+
+/**
+ * Redacting logger
+ * Once installed, every console.log/info/warn/error line is scrubbed of
+ * registered secrets (API keys, the bot token) and of anything that looks
+ * like an API key parameter before it reaches stdout/stderr.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 6;
+
+// Most API keys kept for redaction. Every log line is checked against each
+// of them, so only the most recently used ones are kept; keys are registered
+// again whenever they are decrypted, and SECRET_PATTERNS still catch the rest.
+const MAX_SECRETS = 500;
+
+// Known secret values in order of last use, registered as they are loaded or received
+const secrets = new Set();
+
+// Secrets that are never dropped (bot token, webhook secret)
+const permanentSecrets = new Set();
+
+// Key-like parameters in URLs, query objects and JSON
+const SECRET_PATTERNS = [
+    /([?&](?:api|api_key|apikey|token)=)[^&\s'"]+/gi,
+    /((?:api|api_key|apiKey|token)['"]?\s*[:=]\s*['"])[^'"]+/g,
+    /(\/bot)\d+:[\w-]{30,}/g
+];
+
+let installed = false;
+
+/**
+ * Registers a secret value that must never appear in logs
+ * @param {string} secret - Value to redact
+ * @param {boolean} permanent - Keep it however many other secrets are registered
+ */
+function registerSecret(secret, permanent = false) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        return;
+    }
+    
+    if (permanent) {
+        permanentSecrets.add(secret);
+        return;
+    }
+    
+    // Re-adding moves the secret to the end, so the least recently used one goes first
+    secrets.delete(secret);
+    secrets.add(secret);
+    if (secrets.size > MAX_SECRETS) {
+        secrets.delete(secrets.values().next().value);
+    }
+}
+
+/**
+ * Removes secrets from a piece of text
+ * @param {string} text - Text to scrub
+ * @returns {string} - Text with secrets replaced by [REDACTED]
+ */
+function redact(text) {
+    let result = text;
+    
+    for (const known of [permanentSecrets, secrets]) {
+        for (const secret of known) {
+            if (result.includes(secret)) {
+                result = result.split(secret).join(REDACTED);
+            }
+        }
+    }
+    
+    for (const pattern of SECRET_PATTERNS) {
+        result = result.replace(pattern, `$1${REDACTED}`);
+    }
+    
+    return result;
+}
+
+/**
+ * Routes console output through redact(). Safe to call more than once.
+ */
+function installConsoleRedaction() {
+    if (installed) {
+        return;
+    }
+    installed = true;
+    
+    for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+        const original = console[level].bind(console);
+        console[level] = (...args) => original(redact(util.format(...args)));
+    }
+}
+
+module.exports = {
+    registerSecret,
+    redact,
+    installConsoleRedaction
+};
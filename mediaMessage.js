@@ -0,0 +1,118 @@
+const config = require('./config');
+
+/**
+ * Helpers for re-sending media messages (photos, videos, documents, albums)
+ * with a rewritten caption. Media is always re-sent by file_id, so nothing
+ * is downloaded or uploaded again.
+ */
+
+// Media types in the order they are checked on an incoming message
+const MEDIA_TYPES = ['photo', 'video', 'animation', 'document', 'audio', 'voice'];
+
+// Media types Telegram accepts inside sendMediaGroup
+const ALBUM_MEDIA_TYPES = ['photo', 'video', 'document', 'audio'];
+
+// Albums being collected: "chatId:mediaGroupId" -> { messages, timer }
+const pendingGroups = new Map();
+
+/**
+ * Finds the media attached to a message
+ * @param {object} msg - Telegram message
+ * @returns {{type: string, fileId: string}|null} - Media type and file_id, or null for non-media messages
+ */
+function getMediaInfo(msg) {
+    for (const type of MEDIA_TYPES) {
+        if (!msg[type]) {
+            continue;
+        }
+        
+        // Photos come as an array of sizes; the last one is the largest
+        const file = Array.isArray(msg[type]) ? msg[type][msg[type].length - 1] : msg[type];
+        return { type, fileId: file.file_id };
+    }
+    
+    return null;
+}
+
+/**
+ * Sends a single media item with a new caption
+ * @param {TelegramBot} bot - Bot instance
+ * @param {number|string} chatId - Target chat
+ * @param {{type: string, fileId: string}} media - Media from getMediaInfo
+ * @param {string} caption - Caption text
+ * @param {object[]} captionEntities - Caption entities
+ * @returns {Promise<object>} - The sent message
+ */
+function sendMedia(bot, chatId, media, caption, captionEntities = []) {
+    // Media methods send options in the query string, so entities must be serialised here
+    const options = {
+        caption,
+        caption_entities: JSON.stringify(captionEntities)
+    };
+    
+    switch (media.type) {
+        case 'photo':
+            return bot.sendPhoto(chatId, media.fileId, options);
+        case 'video':
+            return bot.sendVideo(chatId, media.fileId, options);
+        case 'animation':
+            return bot.sendAnimation(chatId, media.fileId, options);
+        case 'audio':
+            return bot.sendAudio(chatId, media.fileId, options);
+        case 'voice':
+            return bot.sendVoice(chatId, media.fileId, options);
+        default:
+            return bot.sendDocument(chatId, media.fileId, options);
+    }
+}
+
+/**
+ * Builds an InputMedia object for sendMediaGroup
+ * @param {{type: string, fileId: string}} media - Media from getMediaInfo
+ * @param {string} caption - Optional caption text
+ * @param {object[]} captionEntities - Optional caption entities
+ * @returns {object|null} - InputMedia object, or null if the type cannot be part of an album
+ */
+function toInputMedia(media, caption, captionEntities) {
+    if (!ALBUM_MEDIA_TYPES.includes(media.type)) {
+        return null;
+    }
+    
+    const inputMedia = { type: media.type, media: media.fileId };
+    if (caption) {
+        inputMedia.caption = caption;
+        if (captionEntities && captionEntities.length > 0) {
+            inputMedia.caption_entities = captionEntities;
+        }
+    }
+    return inputMedia;
+}
+
+/**
+ * Buffers the parts of an album. Telegram delivers every album item as its
+ * own message sharing a media_group_id; once no new part has arrived for
+ * MEDIA_GROUP_WAIT ms the whole album is passed to the callback.
+ * @param {object} msg - Telegram message with media_group_id
+ * @param {function(object[]): void} onComplete - Called with the album's messages in order
+ */
+function collectMediaGroup(msg, onComplete) {
+    const key = `${msg.chat.id}:${msg.media_group_id}`;
+    const group = pendingGroups.get(key) || { messages: [], timer: null };
+    
+    group.messages.push(msg);
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => {
+        pendingGroups.delete(key);
+        const messages = group.messages.sort((a, b) => a.message_id - b.message_id);
+        onComplete(messages);
+    }, config.MEDIA_GROUP_WAIT);
+    
+    pendingGroups.set(key, group);
+}
+
+module.exports = {
+    getMediaInfo,
+    sendMedia,
+    toInputMedia,
+    collectMediaGroup
+};
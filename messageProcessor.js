@@ -1,61 +1,395 @@
-const { shortenUrlWithRetry } = require('./urlShortener');
+const config = require('./config');
+const { shortenUrlWithRetry, shortenUrlWithAlias, isValidAlias } = require('./urlShortener');
+const { getProvider } = require('./shortenerProviders');
+const { recordShortenedLinks, updateUserStats } = require('./storage');
+const { getCachedLink, cacheLink } = require('./linkCache');
+const { mapWithConcurrency } = require('./throttle');
+const { shouldShortenUrl } = require('./domainRules');
+const { isKnownShortener, resolveRedirects } = require('./linkResolver');
+const { tokenizeUrls } = require('./urlTokenizer');
+const { messagesProcessed, urlsShortened, urlsFailed } = require('./metrics');
+
+// Entity types whose contents must never be rewritten
+const VERBATIM_ENTITY_TYPES = ['code', 'pre'];
+
+// Custom alias marker written right after a URL or text link: "https://example.com/page {my-alias}"
+const ALIAS_MARKER_AFTER = /^ ?\{([^{}\s]*)\}/;
+const ALIAS_MARKER_INSIDE = /\{([^{}\s]*)\}$/;
+
+/**
+ * Collects everything in a message that should be shortened: visible URLs
+ * (from url entities or, when Telegram did not tag them, the tokenizer) and
+ * the hidden targets of text_link entities
+ * @param {string} message - The message text
+ * @param {object[]} entities - Telegram message entities for the text
+ * @returns {object[]} - Targets of shape { url, offset, length } or { url, entity }
+ */
+function findUrlTargets(message, entities = []) {
+    const targets = [];
+    const covered = [];
+    
+    for (const entity of entities) {
+        if (entity.type === 'url') {
+            targets.push({
+                url: message.substr(entity.offset, entity.length),
+                offset: entity.offset,
+                length: entity.length
+            });
+            covered.push(entity);
+        } else if (entity.type === 'text_link') {
+            targets.push({ url: entity.url, entity });
+            covered.push(entity);
+        } else if (VERBATIM_ENTITY_TYPES.includes(entity.type)) {
+            covered.push(entity);
+        }
+    }
+    
+    // Pick up URLs Telegram did not tag, e.g. in text without entities
+    for (const token of tokenizeUrls(message)) {
+        const end = token.offset + token.length;
+        const overlaps = covered.some(e => token.offset < e.offset + e.length && end > e.offset);
+        if (!overlaps) {
+            targets.push(token);
+        }
+    }
+    
+    return targets;
+}
+
+/**
+ * Finds alias markers placed right after each target and records them on the
+ * target as `alias` plus the marker's range (`marker`), which is removed from
+ * the output. A marker that was taken in as part of a visible URL is split off.
+ * @param {string} message - The message text
+ * @param {object[]} targets - Targets from findUrlTargets, updated in place
+ */
+function attachAliases(message, targets) {
+    for (const target of targets) {
+        if (!target.entity) {
+            const inside = target.url.match(ALIAS_MARKER_INSIDE);
+            if (inside) {
+                target.url = target.url.slice(0, inside.index);
+                target.length = inside.index;
+                target.alias = inside[1];
+                target.marker = { offset: target.offset + inside.index, length: inside[0].length };
+                continue;
+            }
+        }
+        
+        const end = target.entity ? target.entity.offset + target.entity.length : target.offset + target.length;
+        const after = message.slice(end).match(ALIAS_MARKER_AFTER);
+        if (after) {
+            target.alias = after[1];
+            target.marker = { offset: end, length: after[0].length };
+        }
+    }
+}
+
+/**
+ * Replaces a range of the text and shifts or resizes the entities around it
+ * so formatting stays attached to the same characters. The replaced range is
+ * treated as one unit: entities that only partly overlap it are clamped to
+ * the text outside it, and entities lying entirely inside it are removed.
+ * @param {string} text - The current text
+ * @param {object[]} entities - Entities to adjust in place
+ * @param {number} offset - Start of the replaced range
+ * @param {number} length - Length of the replaced range
+ * @param {string} replacement - The new text for the range
+ * @returns {string} - The updated text
+ */
+function replaceRange(text, entities, offset, length, replacement) {
+    const end = offset + length;
+    const delta = replacement.length - length;
+    
+    // Backwards, so removing an entity does not skip the next one
+    for (let i = entities.length - 1; i >= 0; i--) {
+        const entity = entities[i];
+        const entityEnd = entity.offset + entity.length;
+        
+        if (entity.offset >= end) {
+            entity.offset += delta;
+        } else if (entityEnd <= offset) {
+            continue;
+        } else if (entity.offset <= offset && entityEnd >= end) {
+            entity.length += delta;
+        } else if (entity.offset < offset) {
+            // Ends inside the range: keep the part before it
+            entity.length = offset - entity.offset;
+        } else if (entityEnd > end) {
+            // Starts inside the range: keep the part after it
+            entity.offset = offset + replacement.length;
+            entity.length = entityEnd - end;
+        } else {
+            entities.splice(i, 1);
+        }
+    }
+    
+    return text.slice(0, offset) + replacement + text.slice(end);
+}
+
+/**
+ * Saves shortened links to the user's history and counts them in their stats.
+ * Failures are logged but never fail the message itself.
+ * @param {{userId: number, chatId: number}} history - Link source
+ * @param {number} accountId - Account that shortened the links
+ * @param {object[]} links - Pairs of { original_url, short_url }
+ */
+async function saveHistory(history, accountId, links) {
+    try {
+        await recordShortenedLinks(links.map(link => ({
+            ...link,
+            user_id: history.userId,
+            account_id: accountId || null,
+            chat_id: history.chatId || null
+        })));
+        await updateUserStats(history.userId, links.length);
+    } catch (error) {
+        console.error('Error saving link history:', error.message);
+    }
+}
+
+/**
+ * Convert mode: resolves a link from another shortener to its destination
+ * @param {string} url - Link on a known shortener domain
+ * @param {object} provider - Shortener provider adapter
+ * @param {object[]} domainRules - Domain rules, applied to the destination too
+ * @returns {Promise<string|null>} - Destination to shorten, or null to leave the link as it is
+ */
+async function resolveForConversion(url, provider, domainRules) {
+    let destination;
+    try {
+        // Stop at the first URL that isn't another shortener, so destinations are never requested
+        destination = await resolveRedirects(url, { follow: next => isKnownShortener(next) });
+    } catch (error) {
+        console.error(`Could not resolve ${url}:`, error.message);
+        return null;
+    }
+    
+    // Interstitial pages and links back to our own shortener can't be converted
+    if (isKnownShortener(destination) || provider.isShortened(destination)) {
+        console.log(`No convertible destination for ${url} (ended at ${destination})`);
+        return null;
+    }
+    
+    if (!shouldShortenUrl(destination, domainRules)) {
+        console.log(`Skipping ${url}: destination ${destination} is excluded by domain rules`);
+        return null;
+    }
+    
+    console.log(`Resolved ${url} -> ${destination}`);
+    return destination;
+}
+
+/**
+ * Works out which URL to shorten for a link, if any
+ * @param {string} url - URL found in the message
+ * @param {object} provider - Shortener provider adapter
+ * @param {object} options - processMessage options (convert, domainRules)
+ * @returns {Promise<string|null>} - URL to shorten, or null to leave the link as it is
+ */
+async function getShortenTarget(url, provider, options) {
+    // Check if URL already points at the provider's short domain
+    if (provider.isShortened(url)) {
+        console.log(`Skipping already shortened URL: ${url}`);
+        return null;
+    }
+    
+    // Convert mode: shorten where another shortener's link leads instead of wrapping it
+    if (options.convert && isKnownShortener(url)) {
+        return resolveForConversion(url, provider, options.domainRules);
+    }
+    return url;
+}
 
 /**
- * Processes a message and shortens all URLs found in it
+ * Shortens a single URL, reusing the account's cached short link when possible.
+ * URLs with a custom alias always get a new link, and their API errors are
+ * thrown so they can be reported to the user.
+ * @param {string} url - The URL to shorten
+ * @param {string} alias - Custom alias, or '' for none
+ * @param {string} apiKey - The user's API key
+ * @param {object} provider - Shortener provider adapter
+ * @param {object} options - processMessage options (accountId, fresh)
+ * @returns {Promise<string|null>} - The short URL, or null if it failed
+ */
+async function shortenOne(url, alias, apiKey, provider, options) {
+    console.log(`Processing URL: ${url}`);
+    
+    if (alias) {
+        return shortenUrlWithAlias(url, apiKey, alias, provider);
+    }
+    
+    // Reuse the short link this account already made for the URL
+    const cachedUrl = options.fresh ? null : await getCachedLink(options.accountId, url);
+    if (cachedUrl) {
+        return cachedUrl;
+    }
+    
+    const shortenedUrl = await shortenUrlWithRetry(url, apiKey, '', config.MAX_RETRIES, provider);
+    if (shortenedUrl === url) {
+        console.log(`URL shortening failed for: ${url}`);
+        urlsFailed.inc({ provider: provider.id });
+        return null;
+    }
+    
+    await cacheLink(options.accountId, url, shortenedUrl);
+    return shortenedUrl;
+}
+
+/**
+ * Processes a message and shortens all URLs found in it, including the
+ * targets of hidden text_link entities. Distinct URLs are shortened in
+ * parallel (SHORTEN_CONCURRENCY at a time), each only once. A "{alias}"
+ * marker right after a URL requests that custom alias and is removed,
+ * unless options.aliases is false.
  * @param {string} message - The original message
  * @param {string} apiKey - The user's API key
- * @returns {Promise<string>} - The message with shortened URLs
+ * @param {object[]} entities - Telegram message entities for the text
+ * @param {object} options - Processing options
+ * @param {object} options.provider - Shortener provider adapter (Linkara.xyz by default)
+ * @param {number} options.accountId - Account the API key belongs to; enables the short link cache
+ * @param {boolean} options.fresh - Always create new short links, ignoring the cache
+ * @param {boolean} options.convert - Resolve links from known third-party shorteners and shorten their destination
+ * @param {object[]} options.domainRules - Skip/only domain rules of the user or channel; URLs they exclude are left untouched
+ * @param {boolean} options.aliases - Read "{alias}" markers (default true); off for text whose braces are its own, like files
+ * @param {object} options.history - Where the links came from ({ userId, chatId }); when set, shortened links are saved to the user's history
+ * @param {function(number, number): void} options.onProgress - Called with (done, total) as URLs finish
+ * @returns {Promise<{text: string, entities: object[], shortened: number, skipped: number, skippedUrls: string[], failures: object[], links: object[]}>} - The message with shortened URLs, its adjusted entities, the number of URLs shortened, the number left untouched by domain rules, every URL left as it is on purpose (domain rules, already short, or nothing to convert), the custom aliases that failed ({ url, alias, error }) and each distinct link made ({ original_url, short_url })
  */
-async function processMessage(message, apiKey) {
+async function processMessage(message, apiKey, entities = [], options = {}) {
     if (!message || typeof message !== 'string') {
-        return message;
+        return { text: message, entities: [], shortened: 0, skipped: 0, skippedUrls: [], failures: [], links: [] };
     }
     
-    // Enhanced URL regex to capture various URL formats
-    const urlRegex = /(https?:\/\/[^\s<>"{}|\\^`\[\]]+|ftp:\/\/[^\s<>"{}|\\^`\[\]]+|www\.[^\s<>"{}|\\^`\[\]]+)/gi;
+    messagesProcessed.inc();
     
-    const urls = message.match(urlRegex) || [];
+    // Work on copies so the caller's msg.entities stay untouched
+    const processedEntities = (entities || []).map(entity => ({ ...entity }));
+    const targets = findUrlTargets(message, processedEntities);
     
-    if (urls.length === 0) {
-        return message;
+    if (targets.length === 0) {
+        return { text: message, entities: processedEntities, shortened: 0, skipped: 0, skippedUrls: [], failures: [], links: [] };
     }
     
-    console.log(`Found ${urls.length} URLs to process`);
+    if (options.aliases !== false) {
+        attachAliases(message, targets);
+    }
     
-    let processedMessage = message;
+    const provider = options.provider || getProvider();
+    const failures = [];
     
-    // Process each URL
-    for (const url of urls) {
+    // Each distinct URL + alias pair is shortened once
+    const jobKey = target => `${target.url.trim()}\n${target.alias || ''}`;
+    const jobs = new Map();
+    const skippedUrls = new Set();
+    let skipped = 0;
+    for (const target of targets) {
+        if (!shouldShortenUrl(target.url.trim(), options.domainRules)) {
+            console.log(`Skipping URL excluded by domain rules: ${target.url.trim()}`);
+            skippedUrls.add(target.url.trim());
+            skipped++;
+            continue;
+        }
+        jobs.set(jobKey(target), { url: target.url.trim(), alias: target.alias || '' });
+    }
+    
+    const shortUrls = new Map();
+    const total = jobs.size;
+    let done = 0;
+    
+    console.log(`Found ${total} URLs to process`);
+    
+    const reportProgress = () => {
+        if (options.onProgress) {
+            options.onProgress(done, total);
+        }
+    };
+    reportProgress();
+    
+    await mapWithConcurrency(Array.from(jobs), config.SHORTEN_CONCURRENCY, async ([key, { url, alias }]) => {
         try {
-            const cleanUrl = url.trim();
-            console.log(`Processing URL: ${cleanUrl}`);
-            
-            // Check if URL already appears to be shortened (linkara.xyz domain)
-            if (cleanUrl.includes('linkara.xyz')) {
-                console.log(`Skipping already shortened URL: ${cleanUrl}`);
-                continue;
+            if (alias && !isValidAlias(alias)) {
+                throw new Error(`Invalid alias "${alias}": use 1-30 letters, digits, - or _`);
             }
             
-            const shortenedUrl = await shortenUrlWithRetry(cleanUrl, apiKey);
-            
-            // Replace the URL in the message
-            if (shortenedUrl !== cleanUrl) {
-                // Use a more precise replacement to avoid replacing partial matches
-                const escapedUrl = cleanUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const urlRegexForReplace = new RegExp(escapedUrl, 'g');
-                processedMessage = processedMessage.replace(urlRegexForReplace, shortenedUrl);
-                console.log(`Replaced: ${cleanUrl} -> ${shortenedUrl}`);
-            } else {
-                console.log(`URL shortening failed for: ${cleanUrl}`);
+            const shortenTarget = await getShortenTarget(url, provider, options);
+            if (!shortenTarget) {
+                skippedUrls.add(url);
+                return;
             }
             
+            const shortenedUrl = await shortenOne(shortenTarget, alias, apiKey, provider, options);
+            if (shortenedUrl) {
+                shortUrls.set(key, { original_url: url, short_url: shortenedUrl });
+                console.log(`Replaced: ${url} -> ${shortenedUrl}`);
+            }
         } catch (error) {
             console.error(`Error processing URL ${url}:`, error.message);
+            urlsFailed.inc({ provider: provider.id });
+            if (alias) {
+                failures.push({ url, alias, error: error.message });
+            }
             // Continue processing other URLs even if one fails
+        } finally {
+            done++;
+            reportProgress();
+        }
+    });
+    
+    const replacements = [];
+    let shortened = 0;
+    
+    for (const target of targets) {
+        // Alias markers are always removed, even if the alias was rejected
+        if (target.marker) {
+            replacements.push({ ...target.marker, replacement: '' });
         }
+        
+        const link = shortUrls.get(jobKey(target));
+        if (!link) {
+            continue;
+        }
+        
+        if (target.entity) {
+            // Hidden link: only the target changes, the visible text stays
+            target.entity.url = link.short_url;
+        } else {
+            replacements.push({ offset: target.offset, length: target.length, replacement: link.short_url });
+        }
+        shortened++;
+    }
+    
+    // Replace from the end so earlier offsets stay valid
+    let processedMessage = message;
+    replacements.sort((a, b) => b.offset - a.offset);
+    for (const { offset, length, replacement } of replacements) {
+        processedMessage = replaceRange(processedMessage, processedEntities, offset, length, replacement);
+    }
+    
+    if (shortened > 0) {
+        urlsShortened.inc({ provider: provider.id }, shortened);
+    }
+    
+    const links = Array.from(shortUrls.values());
+    if (options.history && links.length > 0) {
+        await saveHistory(options.history, options.accountId, links);
+    }
+    
+    return { text: processedMessage, entities: processedEntities, shortened, skipped, skippedUrls: Array.from(skippedUrls), failures, links };
+}
+
+/**
+ * Checks whether a message has anything to shorten, visible or hidden
+ * @param {string} message - The message text
+ * @param {object[]} entities - Telegram message entities for the text
+ * @returns {boolean} - True if at least one URL or text link was found
+ */
+function containsUrls(message, entities = []) {
+    if (!message || typeof message !== 'string') {
+        return false;
     }
     
-    return processedMessage;
+    return findUrlTargets(message, entities || []).length > 0;
 }
 
 /**
@@ -68,8 +402,7 @@ function extractUrls(message) {
         return [];
     }
     
-    const urlRegex = /(https?:\/\/[^\s<>"{}|\\^`\[\]]+|ftp:\/\/[^\s<>"{}|\\^`\[\]]+|www\.[^\s<>"{}|\\^`\[\]]+)/gi;
-    return message.match(urlRegex) || [];
+    return tokenizeUrls(message).map(token => token.url);
 }
 
 /**
@@ -94,6 +427,8 @@ function isValidUrl(url) {
 
 module.exports = {
     processMessage,
+    containsUrls,
     extractUrls,
-    isValidUrl
+    isValidUrl,
+    replaceRange
 };
@@ -0,0 +1,171 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format on /metrics.
+ * Kept dependency-free: counters, gauges and histograms with labels.
+ */
+
+const PREFIX = 'shortener_bot_';
+
+// Seconds; shortener APIs normally answer well under a second
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+/**
+ * Turns a label object into a stable key and its rendered form
+ * @param {object} labels - e.g. { provider: 'linkara' }
+ * @returns {string} - e.g. {provider="linkara"}, or '' without labels
+ */
+function formatLabels(labels = {}) {
+    const parts = Object.keys(labels).sort().map(name => {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${name}="${value}"`;
+    });
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Adds an extra label to a rendered label set
+ * @param {string} labels - Rendered labels from formatLabels
+ * @param {string} extra - e.g. le="0.5"
+ * @returns {string} - Combined labels
+ */
+function withLabel(labels, extra) {
+    return labels ? `${labels.slice(0, -1)},${extra}}` : `{${extra}}`;
+}
+
+/**
+ * Creates a counter or gauge
+ * @param {string} type - 'counter' or 'gauge'
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @returns {object} - Metric with inc(labels, value) and set(labels, value)
+ */
+function createValueMetric(type, name, help) {
+    const values = new Map();
+    
+    const metric = {
+        inc(labels, value = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + value);
+        },
+        set(labels, value) {
+            values.set(formatLabels(labels), value);
+        },
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`];
+            for (const [labels, value] of values) {
+                lines.push(`${PREFIX}${name}${labels} ${value}`);
+            }
+            return lines.join('\n');
+        }
+    };
+    
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Description
+ * @param {number[]} buckets - Upper bounds, ascending
+ * @returns {object} - Metric with observe(labels, value) and startTimer(labels)
+ */
+function createHistogram(name, help, buckets) {
+    const series = new Map();
+    
+    const metric = {
+        observe(labels, value) {
+            const key = formatLabels(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) {
+                    entry.counts[i]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        // Returns a function that records the seconds elapsed, with extra labels known only at the end
+        startTimer(labels) {
+            const start = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                metric.observe({ ...labels, ...endLabels }, seconds);
+            };
+        },
+        render() {
+            const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+            for (const [labels, entry] of series) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${PREFIX}${name}_bucket${withLabel(labels, `le="${bound}"`)} ${entry.counts[i]}`);
+                });
+                lines.push(`${PREFIX}${name}_bucket${withLabel(labels, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${PREFIX}${name}_sum${labels} ${entry.sum}`);
+                lines.push(`${PREFIX}${name}_count${labels} ${entry.count}`);
+            }
+            return lines.join('\n');
+        }
+    };
+    
+    registry.push(metric);
+    return metric;
+}
+
+const messagesProcessed = createValueMetric('counter', 'messages_processed_total', 'Messages and captions checked for URLs');
+const urlsShortened = createValueMetric('counter', 'urls_shortened_total', 'URLs replaced with a short link');
+const urlsFailed = createValueMetric('counter', 'urls_failed_total', 'URLs that could not be shortened');
+const apiLatency = createHistogram('api_request_duration_seconds', 'Shortener API request duration', LATENCY_BUCKETS);
+const apiRetries = createValueMetric('counter', 'api_retries_total', 'Shortener API requests retried after an error');
+const dbErrors = createValueMetric('counter', 'db_errors_total', 'Storage operations that failed');
+const pollErrors = createValueMetric('counter', 'poll_errors_total', 'Failed getUpdates requests');
+const lastPollSuccess = createValueMetric('gauge', 'last_poll_success_timestamp_seconds', 'Time of the last successful getUpdates request');
+const uptime = createValueMetric('gauge', 'uptime_seconds', 'Seconds since the process started');
+
+// Outcome of the most recent getUpdates request, for /readyz
+const pollStatus = { ok: null, at: null, error: null };
+
+/**
+ * Wraps bot.getUpdates so every poll updates the poll metrics and status
+ * @param {TelegramBot} bot - Bot instance in polling mode
+ */
+function trackPolling(bot) {
+    const getUpdates = bot.getUpdates.bind(bot);
+    bot.getUpdates = async (...args) => {
+        try {
+            const updates = await getUpdates(...args);
+            Object.assign(pollStatus, { ok: true, at: new Date(), error: null });
+            lastPollSuccess.set({}, Math.floor(Date.now() / 1000));
+            return updates;
+        } catch (error) {
+            Object.assign(pollStatus, { ok: false, at: new Date(), error: error.message });
+            pollErrors.inc();
+            throw error;
+        }
+    };
+}
+
+/**
+ * Renders all metrics in the Prometheus text format
+ * @returns {string} - Exposition text
+ */
+function renderMetrics() {
+    uptime.set({}, Math.floor(process.uptime()));
+    return registry.map(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = {
+    messagesProcessed,
+    urlsShortened,
+    urlsFailed,
+    apiLatency,
+    apiRetries,
+    dbErrors,
+    pollStatus,
+    trackPolling,
+    renderMetrics
+};
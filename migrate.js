@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+require('dotenv').config(); // only DATABASE_URL is needed, not the bot's settings
+const { initializeDatabase, getSchemaStatus, closeDatabase } = require('./databaseStorage');
+
+/**
+ * Schema migrations from the command line (postgres driver only)
+ *
+ *   node migrate.js [up]    apply pending migrations
+ *   node migrate.js status  list migrations and when each was applied
+ *
+ * The bot also applies pending migrations when it starts; running them
+ * here first keeps deploys with long migrations from delaying startup.
+ */
+
+async function printStatus() {
+    const migrations = await getSchemaStatus();
+    for (const migration of migrations) {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(migration.id).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}`);
+    }
+    
+    const pending = migrations.filter(migration => !migration.appliedAt).length;
+    console.log(pending > 0 ? `\n${pending} pending migrations` : '\nSchema is up to date');
+}
+
+async function main() {
+    const command = process.argv[2] || 'up';
+    if (command === 'up') {
+        await initializeDatabase();
+    } else if (command === 'status') {
+        if (!process.env.DATABASE_URL) {
+            throw new Error('DATABASE_URL environment variable is required');
+        }
+        await printStatus();
+    } else {
+        console.error('Usage: node migrate.js [up|status]');
+        process.exitCode = 1;
+    }
+}
+
+main()
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => closeDatabase());
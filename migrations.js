@@ -0,0 +1,381 @@
+/**
+ * Versioned schema migrations for the postgres storage driver
+ *
+ * Each migration has a fixed, increasing id and runs once, in its own
+ * transaction together with the schema_migrations row that records it. A
+ * migration is never edited after release; schema changes go into a new one
+ * appended to the end of MIGRATIONS.
+ *
+ * Databases created before versioning (by releases that ran CREATE TABLE IF
+ * NOT EXISTS at startup) already hold some of these tables, so every step
+ * up to group_settings is written to be a no-op when its change exists.
+ *
+ * Instances starting together serialize on a session-level advisory lock;
+ * the one that waited finds everything applied and does nothing.
+ */
+
+// Arbitrary key shared by every instance of the bot ("lnkr" in ASCII)
+const MIGRATION_LOCK_ID = 0x6c6e6b72;
+
+const MIGRATIONS = [
+    {
+        id: 1,
+        name: 'initial_schema',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS user_api_keys (
+                    user_id BIGINT PRIMARY KEY,
+                    api_key TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS user_stats (
+                    user_id BIGINT PRIMARY KEY,
+                    total_urls_shortened INTEGER DEFAULT 0,
+                    first_use TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    last_use TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        id: 2,
+        name: 'channel_settings',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS channel_settings (
+                    channel_id BIGINT PRIMARY KEY,
+                    owner_id BIGINT NOT NULL,
+                    title TEXT,
+                    enabled BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        // One row per named account; each user has at most one active account.
+        // Keys of the single-key user_api_keys table become "default" accounts.
+        id: 3,
+        name: 'user_accounts',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS user_accounts (
+                    id SERIAL PRIMARY KEY,
+                    user_id BIGINT NOT NULL,
+                    name TEXT NOT NULL,
+                    api_key TEXT NOT NULL,
+                    provider TEXT NOT NULL DEFAULT 'linkara',
+                    provider_url TEXT,
+                    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (user_id, name)
+                )
+            `);
+            
+            const legacy = await client.query("SELECT to_regclass('user_api_keys') AS table_name");
+            if (legacy.rows[0].table_name) {
+                // Releases with provider support added these columns to user_api_keys
+                await client.query(`
+                    ALTER TABLE user_api_keys
+                        ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'linkara',
+                        ADD COLUMN IF NOT EXISTS provider_url TEXT
+                `);
+                const moved = await client.query(`
+                    INSERT INTO user_accounts (user_id, name, api_key, provider, provider_url, is_active, created_at, updated_at)
+                    SELECT user_id, 'default', api_key, provider, provider_url, TRUE, created_at, updated_at
+                    FROM user_api_keys
+                    ON CONFLICT (user_id, name) DO NOTHING
+                `);
+                await client.query('DROP TABLE user_api_keys');
+                if (moved.rowCount > 0) {
+                    console.log(`✅ Moved ${moved.rowCount} API keys to user_accounts`);
+                }
+            }
+            
+            // Account whose key shortens the channel's posts
+            await client.query(`
+                ALTER TABLE channel_settings ADD COLUMN IF NOT EXISTS account_id INTEGER
+            `);
+        }
+    },
+    {
+        id: 4,
+        name: 'shortened_links',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS shortened_links (
+                    id BIGSERIAL PRIMARY KEY,
+                    user_id BIGINT NOT NULL,
+                    account_id INTEGER,
+                    original_url TEXT NOT NULL,
+                    short_url TEXT NOT NULL,
+                    chat_id BIGINT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS shortened_links_user_created_idx
+                ON shortened_links (user_id, created_at DESC)
+            `);
+        }
+    },
+    {
+        id: 5,
+        name: 'link_cache',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS link_cache (
+                    account_id INTEGER NOT NULL,
+                    long_url TEXT NOT NULL,
+                    short_url TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (account_id, long_url)
+                )
+            `);
+        }
+    },
+    {
+        id: 6,
+        name: 'domain_rules',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS domain_rules (
+                    scope TEXT NOT NULL,
+                    scope_id BIGINT NOT NULL,
+                    rule_type TEXT NOT NULL,
+                    domain TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (scope, scope_id, rule_type, domain)
+                )
+            `);
+        }
+    },
+    {
+        id: 7,
+        name: 'user_settings',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS user_settings (
+                    user_id BIGINT PRIMARY KEY,
+                    convert_links BOOLEAN NOT NULL DEFAULT FALSE,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        // Broadcast opt-out and users who blocked the bot (admin console)
+        id: 8,
+        name: 'user_settings_broadcast',
+        up: async (client) => {
+            await client.query(`
+                ALTER TABLE user_settings
+                    ADD COLUMN IF NOT EXISTS broadcast_opt_out BOOLEAN NOT NULL DEFAULT FALSE,
+                    ADD COLUMN IF NOT EXISTS bot_blocked BOOLEAN NOT NULL DEFAULT FALSE
+            `);
+        }
+    },
+    {
+        // next_run_at is an absolute instant; the schedule itself is local to timezone
+        id: 9,
+        name: 'report_subscriptions',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS report_subscriptions (
+                    user_id BIGINT NOT NULL,
+                    frequency TEXT NOT NULL,
+                    weekday SMALLINT,
+                    time_of_day TEXT NOT NULL,
+                    timezone TEXT NOT NULL,
+                    next_run_at TIMESTAMPTZ NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, frequency)
+                )
+            `);
+            
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS report_subscriptions_next_run_idx
+                ON report_subscriptions (next_run_at)
+            `);
+        }
+    },
+    {
+        // Latest balance seen per account and day (day in BALANCE_TIMEZONE)
+        id: 10,
+        name: 'balance_snapshots',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS balance_snapshots (
+                    account_id INTEGER NOT NULL,
+                    day DATE NOT NULL,
+                    views BIGINT NOT NULL,
+                    earnings DOUBLE PRECISION NOT NULL,
+                    month_views BIGINT NOT NULL,
+                    month_earnings DOUBLE PRECISION NOT NULL,
+                    captured_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (account_id, day)
+                )
+            `);
+        }
+    },
+    {
+        // last_views/views_changed_at track when an account's views last moved (no_views alerts)
+        id: 11,
+        name: 'balance_alerts',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS balance_alerts (
+                    id SERIAL PRIMARY KEY,
+                    user_id BIGINT NOT NULL,
+                    account_id INTEGER NOT NULL,
+                    alert_type TEXT NOT NULL,
+                    threshold DOUBLE PRECISION NOT NULL,
+                    last_fired_at TIMESTAMPTZ,
+                    last_views BIGINT,
+                    views_changed_at TIMESTAMPTZ,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        id: 12,
+        name: 'group_settings',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS group_settings (
+                    chat_id BIGINT PRIMARY KEY,
+                    account_id INTEGER,
+                    auto_shorten BOOLEAN NOT NULL DEFAULT FALSE,
+                    silent_failures BOOLEAN NOT NULL DEFAULT FALSE,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        // Language chosen with /language; NULL follows the Telegram app's language
+        id: 13,
+        name: 'user_settings_language',
+        up: async (client) => {
+            await client.query(`
+                ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS language TEXT
+            `);
+        }
+    },
+    {
+        // Latest snapshot interval an instance claimed per account and day, so only one fetches it
+        id: 14,
+        name: 'balance_snapshot_claims',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS balance_snapshot_claims (
+                    account_id INTEGER NOT NULL,
+                    day DATE NOT NULL,
+                    slot TIMESTAMPTZ NOT NULL,
+                    PRIMARY KEY (account_id, day)
+                )
+            `);
+        }
+    }
+];
+
+/**
+ * Creates the table recording applied migrations
+ * @param {object} client - pg client or pool
+ */
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Reads the versions already applied
+ * @param {object} client - pg client or pool
+ * @returns {Promise<Map<number, Date>>} - applied_at by version
+ */
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    return new Map(result.rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Applies every pending migration in order
+ * @param {object} pool - pg Pool
+ * @returns {Promise<number[]>} - Versions applied by this call
+ */
+async function runMigrations(pool) {
+    const client = await pool.connect();
+    try {
+        // Held until unlocked below, across the per-migration transactions
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            await ensureMigrationsTable(client);
+            // Read after taking the lock, so migrations another instance just ran are skipped
+            const applied = await getAppliedVersions(client);
+            const ran = [];
+            
+            for (const migration of MIGRATIONS) {
+                if (applied.has(migration.id)) {
+                    continue;
+                }
+                
+                await client.query('BEGIN');
+                try {
+                    await migration.up(client);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                        [migration.id, migration.name]
+                    );
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw new Error(`Migration ${migration.id} (${migration.name}) failed: ${error.message}`);
+                }
+                
+                console.log(`✅ Applied migration ${migration.id} (${migration.name})`);
+                ran.push(migration.id);
+            }
+            
+            return ran;
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Lists every migration with whether and when it was applied
+ * @param {object} pool - pg Pool
+ * @returns {Promise<object[]>} - { id, name, appliedAt } in order; appliedAt is null while pending
+ */
+async function getMigrationStatus(pool) {
+    const table = await pool.query("SELECT to_regclass('schema_migrations') AS table_name");
+    const applied = table.rows[0].table_name ? await getAppliedVersions(pool) : new Map();
+    
+    return MIGRATIONS.map(migration => ({
+        id: migration.id,
+        name: migration.name,
+        appliedAt: applied.get(migration.id) || null
+    }));
+}
+
+module.exports = {
+    MIGRATIONS,
+    runMigrations,
+    getMigrationStatus
+};
@@ -0,0 +1,83 @@
+const config = require('./config');
+
+/**
+ * "Shortening 12/40…" status message for large messages. The message is only
+ * sent once a message has PROGRESS_MIN_URLS or more URLs, is edited at most
+ * every PROGRESS_EDIT_INTERVAL ms, and is finally replaced by the result.
+ */
+
+/**
+ * Creates a progress reporter for one chat
+ * @param {TelegramBot} bot - Bot instance
+ * @param {number|string} chatId - Chat to report in
+ * @param {string} label - What is in progress, e.g. "Shortening"
+ * @returns {{update: function(number, number): void, finish: function(string, object): Promise<boolean>, discard: function(): Promise<void>}} - Reporter
+ */
+function createProgressReporter(bot, chatId, label = 'Shortening') {
+    let messageId = null;
+    let lastEdit = 0;
+    // Telegram calls are chained so the message is sent before it is edited
+    let pending = Promise.resolve();
+    
+    /**
+     * Reports progress; cheap to call after every URL
+     * @param {number} done - URLs finished
+     * @param {number} total - URLs in the message
+     */
+    function update(done, total) {
+        if (total < config.PROGRESS_MIN_URLS) {
+            return;
+        }
+        
+        const now = Date.now();
+        const started = messageId !== null || lastEdit > 0;
+        if (started && done < total && now - lastEdit < config.PROGRESS_EDIT_INTERVAL) {
+            return;
+        }
+        lastEdit = now;
+        
+        const text = `⏳ ${label} ${done}/${total}…`;
+        pending = pending
+            .then(async () => {
+                if (messageId === null) {
+                    const sent = await bot.sendMessage(chatId, text);
+                    messageId = sent.message_id;
+                } else {
+                    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId });
+                }
+            })
+            .catch(error => console.error('Error updating progress message:', error.message));
+    }
+    
+    /**
+     * Replaces the progress message with the final text
+     * @param {string} text - Result text
+     * @param {object} options - editMessageText options (entities, reply_markup, ...)
+     * @returns {Promise<boolean>} - False if no progress message was shown, so the caller should send the result itself
+     */
+    async function finish(text, options = {}) {
+        await pending;
+        if (messageId === null) {
+            return false;
+        }
+        
+        await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId });
+        return true;
+    }
+    
+    /**
+     * Removes the progress message, e.g. when the result is sent as media
+     */
+    async function discard() {
+        await pending;
+        if (messageId !== null) {
+            await bot.deleteMessage(chatId, messageId).catch(() => {});
+        }
+    }
+    
+    return { update, finish, discard };
+}
+
+module.exports = {
+    createProgressReporter
+};
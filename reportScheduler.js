@@ -0,0 +1,179 @@
+const config = require('./config');
+const { getDueReportSubscriptions, claimReportRun } = require('./storage');
+
+/**
+ * Scheduled earnings reports
+ *
+ * Subscriptions live in storage with the absolute time of their next run
+ * (next_run_at), so they survive restarts. Every instance checks for due
+ * subscriptions each REPORT_CHECK_INTERVAL ms and claims a run by moving
+ * next_run_at forward only if it still holds the value it read; when
+ * several instances race for the same run, exactly one claim succeeds.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a string is an IANA time zone name known to the runtime
+ * @param {string} timeZone - e.g. Asia/Kolkata
+ * @returns {boolean} - True if valid
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses a 24-hour time of day
+ * @param {string} text - e.g. 21:00 or 7:30
+ * @returns {string|null} - Normalised HH:MM, or null if invalid
+ */
+function parseTimeOfDay(text) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(text || '');
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} - Local parts (month is 1-12)
+ */
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+    
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant
+ * @param {object} local - { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - The instant
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    
+    // Offset of the zone at a given instant, in ms
+    const offsetAt = instant => {
+        const p = getZonedParts(new Date(instant), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000;
+    };
+    
+    // The zone's offsets a day either side only differ around a DST change
+    const candidates = [asUtc - offsetAt(asUtc - DAY_MS), asUtc - offsetAt(asUtc + DAY_MS)];
+    const valid = candidates.filter(instant => offsetAt(instant) === asUtc - instant);
+    
+    // A time that occurs twice when clocks go back means the first one; a time
+    // skipped when they go forward is moved past the gap (02:30 becomes 03:30)
+    return new Date(valid.length > 0 ? Math.min(...valid) : candidates[0]);
+}
+
+/**
+ * Computes when a subscription should next run
+ * @param {object} subscription - { frequency, weekday, time_of_day, timezone }
+ * @param {Date} after - The run must be strictly later than this
+ * @returns {Date} - Next run time
+ */
+function computeNextRun(subscription, after = new Date()) {
+    const [hour, minute] = subscription.time_of_day.split(':').map(Number);
+    const today = getZonedParts(after, subscription.timezone);
+    
+    // Calendar arithmetic on the local date, done in UTC so days are always 24h
+    const localDate = new Date(Date.UTC(today.year, today.month - 1, today.day));
+    if (subscription.frequency === 'weekly') {
+        localDate.setUTCDate(localDate.getUTCDate() + (subscription.weekday - localDate.getUTCDay() + 7) % 7);
+    }
+    
+    const step = subscription.frequency === 'weekly' ? 7 : 1;
+    for (;;) {
+        const candidate = zonedTimeToDate({
+            year: localDate.getUTCFullYear(),
+            month: localDate.getUTCMonth() + 1,
+            day: localDate.getUTCDate(),
+            hour,
+            minute
+        }, subscription.timezone);
+        
+        if (candidate > after) {
+            return candidate;
+        }
+        localDate.setUTCDate(localDate.getUTCDate() + step);
+    }
+}
+
+/**
+ * Sends the reports that are due and claimed by this instance
+ * @param {function(object): Promise<void>} sendReport - Sends one subscription's report
+ */
+async function runDueReports(sendReport) {
+    const now = new Date();
+    const due = await getDueReportSubscriptions(now);
+    
+    for (const subscription of due) {
+        // A missed run (e.g. while the bot was down) is sent once, late, then the schedule resumes
+        const nextRunAt = computeNextRun(subscription, now);
+        const claimed = await claimReportRun(subscription.user_id, subscription.frequency, subscription.next_run_at, nextRunAt);
+        if (!claimed) {
+            continue; // Another instance took this run
+        }
+        
+        try {
+            await sendReport(subscription);
+        } catch (error) {
+            console.error(`Error sending ${subscription.frequency} report to user ${subscription.user_id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Starts checking for due reports
+ * @param {function(object): Promise<void>} sendReport - Sends one subscription's report
+ * @returns {function(): void} - Stops the scheduler
+ */
+function startReportScheduler(sendReport) {
+    let running = false;
+    
+    const tick = async () => {
+        if (running) {
+            return; // The previous check is still sending
+        }
+        running = true;
+        try {
+            await runDueReports(sendReport);
+        } catch (error) {
+            console.error('Error checking scheduled reports:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+    
+    const timer = setInterval(tick, config.REPORT_CHECK_INTERVAL);
+    tick();
+    
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimeZone,
+    parseTimeOfDay,
+    computeNextRun,
+    runDueReports,
+    startReportScheduler
+};
@@ -0,0 +1,237 @@
+const axios = require('axios');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const config = require('./config');
+const { redact } = require('./logger');
+
+/**
+ * URL shortener provider adapters
+ *
+ * Every provider exposes the same interface:
+ *   id            - Provider identifier stored with the user's key
+ *   name          - Human readable name
+ *   baseUrl       - API endpoint used for shortening
+ *   shorten(url, apiKey, alias)  - Resolves to the shortened URL, throws on API errors
+ *   fetchBalance(apiKey)         - Optional; resolves to the account balance data
+ *   isShortened(url)             - True if the URL already points at this provider
+ */
+
+const DEFAULT_PROVIDER = 'linkara';
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'Telegram-URL-Shortener-Bot/1.0'
+};
+
+// Addresses a user-supplied API URL must not reach: the bot's own host, private
+// networks, link-local (cloud metadata at 169.254.169.254), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Checks whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+function isPublicAddress(address) {
+    const type = net.isIP(address);
+    return type !== 0 && !BLOCKED_ADDRESSES.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to non-public addresses, so a
+ * user-supplied host can't be pointed at the bot's network after it was checked
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        
+        if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+            const blocked = new Error(`${hostname} does not resolve to a public address`);
+            blocked.code = 'ENOTFOUND';
+            callback(blocked);
+            return;
+        }
+        
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+// Connections to user-supplied API URLs only go to public addresses
+const publicHttpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Returns the hostname of a URL without a leading "www."
+ * @param {string} url - Any URL
+ * @returns {string|null} - Hostname or null if the URL cannot be parsed
+ */
+function getHostname(url) {
+    try {
+        const withProtocol = /^[a-z]+:\/\//i.test(url) ? url : 'https://' + url;
+        return new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates an adapter for AdLinkFly-style services, which shorten with
+ * GET <baseUrl>?api=<key>&url=<url>[&alias=<alias>] and answer with
+ * { status: 'success', shortenedUrl } or { status: 'error', message }
+ * @param {object} options - Adapter options
+ * @param {string} options.id - Provider identifier
+ * @param {string} options.name - Human readable name
+ * @param {string} options.baseUrl - Shortening API endpoint
+ * @param {string} options.balanceUrl - Optional balance API endpoint
+ * @param {string[]} options.domains - Domains of short links; defaults to the API host
+ * @param {boolean} options.publicOnly - For user-supplied URLs: only https to public addresses, no redirects
+ * @returns {object} - Provider adapter
+ */
+function createAdLinkFlyProvider({ id, name, baseUrl, balanceUrl = null, domains = null, publicOnly = false }) {
+    const shortDomains = domains || [getHostname(baseUrl)].filter(Boolean);
+    
+    const provider = {
+        id,
+        name,
+        baseUrl,
+        
+        async shorten(url, apiKey, alias = '') {
+            const params = new URLSearchParams({
+                api: apiKey,
+                url
+            });
+            
+            if (alias) {
+                params.append('alias', alias);
+            }
+            
+            // Keys stored before URLs were checked may still point at private hosts
+            if (publicOnly && !isValidProviderUrl(baseUrl)) {
+                throw new Error(`API Error: ${baseUrl} is not a public https:// URL`);
+            }
+            
+            const response = await axios.get(`${baseUrl}?${params.toString()}`, {
+                timeout: config.REQUEST_TIMEOUT,
+                headers: REQUEST_HEADERS,
+                ...(publicOnly ? { httpsAgent: publicHttpsAgent, maxRedirects: 0 } : {})
+            });
+            
+            const data = response.data || {};
+            
+            if (data.status === 'success' && data.shortenedUrl) {
+                return data.shortenedUrl;
+            }
+            
+            const message = Array.isArray(data.message) ? data.message.join(', ') : data.message;
+            console.error('API returned unsuccessful status:', redact(`${data.status} - ${message}`));
+            throw new Error(`API Error: ${message || 'Unknown error'}`);
+        },
+        
+        isShortened(url) {
+            const hostname = getHostname(url);
+            return Boolean(hostname) && shortDomains.some(domain => hostname === domain || hostname.endsWith('.' + domain));
+        }
+    };
+    
+    if (balanceUrl) {
+        provider.fetchBalance = async (apiKey) => {
+            const response = await axios.get(balanceUrl, {
+                params: { api: apiKey },
+                timeout: config.REQUEST_TIMEOUT,
+                headers: REQUEST_HEADERS
+            });
+            
+            const data = response.data;
+            if (data.status === 'error') {
+                throw new Error(`API Error: ${data.message || 'Unknown error'}`);
+            }
+            return data;
+        };
+    }
+    
+    return provider;
+}
+
+const linkara = createAdLinkFlyProvider({
+    id: 'linkara',
+    name: 'Linkara.xyz',
+    baseUrl: config.LINKARA_API_BASE_URL,
+    balanceUrl: config.LINKARA_BALANCE_URL,
+    domains: ['linkara.xyz']
+});
+
+/**
+ * Gets the adapter for a stored provider choice
+ * @param {string} providerId - 'linkara' or 'adlinkfly'
+ * @param {string} providerUrl - API base URL, required for 'adlinkfly'
+ * @returns {object} - Provider adapter
+ */
+function getProvider(providerId = DEFAULT_PROVIDER, providerUrl = null) {
+    if (!providerId || providerId === 'linkara') {
+        return linkara;
+    }
+    
+    if (providerId === 'adlinkfly') {
+        if (!providerUrl) {
+            throw new Error('AdLinkFly provider requires an API base URL');
+        }
+        
+        const hostname = getHostname(providerUrl);
+        return createAdLinkFlyProvider({
+            id: 'adlinkfly',
+            name: hostname || providerUrl,
+            baseUrl: providerUrl,
+            publicOnly: true
+        });
+    }
+    
+    throw new Error(`Unknown shortener provider: ${providerId}`);
+}
+
+/**
+ * Validates a user-supplied AdLinkFly API base URL. Host names are checked
+ * again when they are resolved (see lookupPublicAddress).
+ * @param {string} providerUrl - e.g. https://example.com/api
+ * @returns {boolean} - True if it is an https URL whose host isn't local or a private address
+ */
+function isValidProviderUrl(providerUrl) {
+    let parsed;
+    try {
+        parsed = new URL(providerUrl);
+    } catch (error) {
+        return false;
+    }
+    
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (parsed.protocol !== 'https:' || !hostname || hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return false;
+    }
+    
+    return net.isIP(hostname) === 0 || isPublicAddress(hostname);
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    createAdLinkFlyProvider,
+    getProvider,
+    getHostname,
+    isValidProviderUrl,
+    isPublicAddress,
+    lookupPublicAddress
+};
@@ -0,0 +1,268 @@
+const config = require('./config');
+const { isEncryptionEnabled, encryptApiKey, decryptApiKey, needsReencryption } = require('./apiKeyCrypto');
+const { dbErrors } = require('./metrics');
+
+/**
+ * Storage entry point: loads the driver selected by STORAGE_DRIVER
+ *
+ * Drivers:
+ *   postgres - databaseStorage.js, for production (requires DATABASE_URL)
+ *   file     - fileStorage.js, JSON file for small deployments
+ *   memory   - userStorage.js, non-persistent, for tests
+ *
+ * Every driver implements the same async interface (STORAGE_INTERFACE);
+ * rows are returned as plain objects with snake_case fields and numeric IDs.
+ * Drivers store API keys opaquely: this module encrypts them on the way in
+ * and decrypts them on the way out.
+ */
+
+const DRIVERS = {
+    postgres: './databaseStorage',
+    file: './fileStorage',
+    memory: './userStorage'
+};
+
+const STORAGE_INTERFACE = [
+    'initializeDatabase',
+    'setUserApiKey',
+    'getUserApiKey',
+    'getUserAccount',
+    'getUserAccounts',
+    'getAccountById',
+    'setActiveAccount',
+    'removeUserAccount',
+    'listStoredApiKeys',
+    'replaceStoredApiKey',
+    'hasApiKey',
+    'removeUserApiKey',
+    'updateUserStats',
+    'recordShortenedLinks',
+    'getLinkHistory',
+    'getCachedShortUrl',
+    'setCachedShortUrl',
+    'getDomainRules',
+    'addDomainRule',
+    'removeDomainRule',
+    'getUserSettings',
+    'setUserSetting',
+    'getGroupSettings',
+    'setGroupSetting',
+    'setReportSubscription',
+    'getReportSubscriptions',
+    'removeReportSubscription',
+    'getDueReportSubscriptions',
+    'claimReportRun',
+    'saveBalanceSnapshot',
+    'claimBalanceSnapshot',
+    'getBalanceSnapshots',
+    'addBalanceAlert',
+    'getUserAlerts',
+    'getAllBalanceAlerts',
+    'removeBalanceAlert',
+    'claimAlertFire',
+    'setAlertViews',
+    'getUserStats',
+    'getTotalUsers',
+    'getGlobalStats',
+    'getBroadcastRecipients',
+    'clearAllUserData',
+    'getAllUserIds',
+    'linkChannel',
+    'getChannel',
+    'getUserChannels',
+    'setChannelEnabled',
+    'unlinkChannel',
+    'ping',
+    'closeDatabase'
+];
+
+/**
+ * Loads a storage driver and checks it implements the full interface
+ * @param {string} name - Driver name (postgres, file or memory)
+ * @returns {object} - The driver module
+ */
+function loadDriver(name) {
+    if (!DRIVERS[name]) {
+        throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    
+    // Drivers are required lazily so unused ones (e.g. pg) are never loaded
+    const driver = require(DRIVERS[name]);
+    const missing = STORAGE_INTERFACE.filter(method => typeof driver[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage driver "${name}" is missing: ${missing.join(', ')}`);
+    }
+    
+    return driver;
+}
+
+// Per-user settings and their values for users who never changed them
+const USER_SETTING_DEFAULTS = {
+    convert_links: false,
+    broadcast_opt_out: false,
+    bot_blocked: false,
+    language: null // Chosen with /language; null follows the Telegram app's language
+};
+
+// Per-group-chat settings and their values for groups that never changed them
+const GROUP_SETTING_DEFAULTS = {
+    account_id: null, // Account bound by a group admin; members' own keys are used without one
+    auto_shorten: false,
+    silent_failures: false
+};
+
+/**
+ * Wraps every interface method so failures are counted in the db_errors metric
+ * @param {object} rawDriver - Driver module
+ * @returns {object} - Driver with instrumented interface methods
+ */
+function instrumentDriver(rawDriver) {
+    const instrumented = { ...rawDriver };
+    for (const method of STORAGE_INTERFACE) {
+        instrumented[method] = async (...args) => {
+            try {
+                return await rawDriver[method](...args);
+            } catch (error) {
+                dbErrors.inc({ operation: method });
+                throw error;
+            }
+        };
+    }
+    return instrumented;
+}
+
+const driver = instrumentDriver(loadDriver(config.STORAGE_DRIVER));
+console.log(`🗄️ Storage driver: ${config.STORAGE_DRIVER}`);
+
+/**
+ * Re-encrypts stored API keys that are plaintext or use an old master key
+ * @returns {Promise<number>} - Number of keys re-encrypted
+ */
+async function reencryptApiKeys() {
+    const rows = await driver.listStoredApiKeys();
+    let count = 0;
+    
+    for (const row of rows) {
+        if (needsReencryption(row.api_key)) {
+            await driver.replaceStoredApiKey(row.id, encryptApiKey(decryptApiKey(row.api_key)));
+            count++;
+        }
+    }
+    
+    return count;
+}
+
+/**
+ * Initializes the driver and brings stored keys up to the current master key
+ */
+async function initializeDatabase() {
+    await driver.initializeDatabase();
+    
+    if (!isEncryptionEnabled()) {
+        console.warn('⚠️ ALLOW_PLAINTEXT_KEYS is set; API keys are stored unencrypted');
+        return;
+    }
+    
+    const count = await reencryptApiKeys();
+    if (count > 0) {
+        console.log(`🔐 Re-encrypted ${count} stored API keys with the current master key`);
+    }
+}
+
+/**
+ * Sets the API key for a user; the key is stored encrypted
+ */
+async function setUserApiKey(userId, apiKey, ...rest) {
+    const storedKey = apiKey ? encryptApiKey(apiKey.trim()) : apiKey;
+    return driver.setUserApiKey(userId, storedKey, ...rest);
+}
+
+/**
+ * Gets the decrypted API key for a user
+ */
+async function getUserApiKey(userId) {
+    const storedKey = await driver.getUserApiKey(userId);
+    return storedKey ? decryptApiKey(storedKey) : null;
+}
+
+/**
+ * Decrypts the API key of an account row
+ */
+function decryptAccount(account) {
+    return account ? { ...account, api_key: decryptApiKey(account.api_key) } : null;
+}
+
+/**
+ * Gets the user's active account with its decrypted API key
+ */
+async function getUserAccount(userId) {
+    return decryptAccount(await driver.getUserAccount(userId));
+}
+
+/**
+ * Gets all accounts of a user with decrypted API keys
+ */
+async function getUserAccounts(userId) {
+    const accounts = await driver.getUserAccounts(userId);
+    return accounts.map(decryptAccount);
+}
+
+/**
+ * Gets an account by ID with its decrypted API key
+ */
+async function getAccountById(accountId) {
+    return decryptAccount(await driver.getAccountById(accountId));
+}
+
+/**
+ * Gets a user's settings, with defaults for those never changed
+ */
+async function getUserSettings(userId) {
+    const { user_id, updated_at, ...stored } = (await driver.getUserSettings(userId)) || {};
+    return { ...USER_SETTING_DEFAULTS, ...stored };
+}
+
+/**
+ * Changes one of the settings in USER_SETTING_DEFAULTS
+ */
+async function setUserSetting(userId, name, value) {
+    if (!(name in USER_SETTING_DEFAULTS)) {
+        throw new Error(`Unknown user setting: ${name}`);
+    }
+    return driver.setUserSetting(userId, name, value);
+}
+
+/**
+ * Gets a group chat's settings, with defaults for those never changed
+ */
+async function getGroupSettings(chatId) {
+    const { chat_id, updated_at, ...stored } = (await driver.getGroupSettings(chatId)) || {};
+    return { ...GROUP_SETTING_DEFAULTS, ...stored };
+}
+
+/**
+ * Changes one of the settings in GROUP_SETTING_DEFAULTS
+ */
+async function setGroupSetting(chatId, name, value) {
+    if (!(name in GROUP_SETTING_DEFAULTS)) {
+        throw new Error(`Unknown group setting: ${name}`);
+    }
+    return driver.setGroupSetting(chatId, name, value);
+}
+
+module.exports = {
+    ...driver,
+    initializeDatabase,
+    setUserApiKey,
+    getUserApiKey,
+    getUserAccount,
+    getUserAccounts,
+    getAccountById,
+    getUserSettings,
+    setUserSetting,
+    getGroupSettings,
+    setGroupSetting,
+    reencryptApiKeys,
+    STORAGE_INTERFACE,
+    loadDriver
+};
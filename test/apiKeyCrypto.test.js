@@ -0,0 +1,93 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * Loads apiKeyCrypto (and the config it reads its keys from) with the given
+ * master keys, as a bot started with that environment would
+ * @param {object} env - API_KEY_ENCRYPTION_KEY and API_KEY_ENCRYPTION_OLD_KEYS
+ * @returns {object} - A fresh apiKeyCrypto module
+ */
+function loadCrypto({ key = '', oldKeys = '' } = {}) {
+    process.env.API_KEY_ENCRYPTION_KEY = key;
+    process.env.API_KEY_ENCRYPTION_OLD_KEYS = oldKeys;
+    process.env.ALLOW_PLAINTEXT_KEYS = key ? '' : '1';
+    delete require.cache[require.resolve('../config')];
+    delete require.cache[require.resolve('../apiKeyCrypto')];
+    return require('../apiKeyCrypto');
+}
+
+/**
+ * Replaces one base64 part of an encrypted value with other bytes of the same length
+ */
+function tamper(stored, part) {
+    const parts = stored.split(':');
+    const bytes = Buffer.from(parts[part], 'base64');
+    bytes[0] ^= 0xff;
+    parts[part] = bytes.toString('base64');
+    return parts.join(':');
+}
+
+test('encrypts and decrypts a key', () => {
+    const crypto = loadCrypto({ key: 'master-one' });
+    const stored = crypto.encryptApiKey('my-api-key-123');
+    
+    assert.match(stored, /^enc1:[0-9a-f]{8}:[^:]+:[^:]+:[^:]+$/);
+    assert.ok(!stored.includes('my-api-key-123'));
+    assert.strictEqual(crypto.decryptApiKey(stored), 'my-api-key-123');
+    assert.strictEqual(crypto.isEncryptionEnabled(), true);
+});
+
+test('uses a new IV for every encryption', () => {
+    const crypto = loadCrypto({ key: 'master-one' });
+    
+    assert.notStrictEqual(crypto.encryptApiKey('my-api-key-123'), crypto.encryptApiKey('my-api-key-123'));
+});
+
+test('passes legacy plaintext keys through unchanged', () => {
+    const crypto = loadCrypto({ key: 'master-one' });
+    
+    assert.strictEqual(crypto.decryptApiKey('plain-key-123'), 'plain-key-123');
+    assert.strictEqual(crypto.decryptApiKey(null), null);
+});
+
+test('stores plaintext when plaintext keys are allowed instead of a master key', () => {
+    const crypto = loadCrypto();
+    
+    assert.strictEqual(crypto.isEncryptionEnabled(), false);
+    assert.strictEqual(crypto.encryptApiKey('my-api-key-123'), 'my-api-key-123');
+    assert.strictEqual(crypto.needsReencryption('my-api-key-123'), false);
+});
+
+test('decrypts with an old master key after rotation and asks for re-encryption', () => {
+    const before = loadCrypto({ key: 'master-one' });
+    const storedWithOld = before.encryptApiKey('my-api-key-123');
+    assert.strictEqual(before.needsReencryption(storedWithOld), false);
+    
+    const after = loadCrypto({ key: 'master-two', oldKeys: 'unrelated, master-one' });
+    assert.strictEqual(after.decryptApiKey(storedWithOld), 'my-api-key-123');
+    assert.strictEqual(after.needsReencryption(storedWithOld), true);
+    assert.strictEqual(after.needsReencryption('plain-key-123'), true);
+    assert.strictEqual(after.needsReencryption(null), false);
+    
+    const reencrypted = after.encryptApiKey(after.decryptApiKey(storedWithOld));
+    assert.strictEqual(after.needsReencryption(reencrypted), false);
+    assert.strictEqual(after.decryptApiKey(reencrypted), 'my-api-key-123');
+});
+
+test('refuses keys encrypted with a master key it does not have', () => {
+    const stored = loadCrypto({ key: 'master-one' }).encryptApiKey('my-api-key-123');
+    const other = loadCrypto({ key: 'master-two' });
+    
+    assert.throws(() => other.decryptApiKey(stored), /unknown master key [0-9a-f]{8}; add it to API_KEY_ENCRYPTION_OLD_KEYS/);
+});
+
+test('rejects a tampered ciphertext, auth tag or IV', () => {
+    const crypto = loadCrypto({ key: 'master-one' });
+    const stored = crypto.encryptApiKey('my-api-key-123');
+    
+    // Parts: enc1, key ID, IV, tag, ciphertext
+    for (const part of [2, 3, 4]) {
+        assert.throws(() => crypto.decryptApiKey(tamper(stored, part)), /unable to authenticate|Unsupported state/, `part ${part}`);
+    }
+});
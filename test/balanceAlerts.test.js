@@ -0,0 +1,156 @@
+require('./helpers');
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const storage = require('../storage');
+const providers = require('../shortenerProviders');
+const { parseAlert, evaluateAlert } = require('../balanceAlerts');
+
+const HOUR = 60 * 60 * 1000;
+
+const realGetProvider = providers.getProvider;
+
+/**
+ * Loads a separate copy of balanceAlerts, as another bot instance sharing the same storage would run
+ */
+function loadInstance() {
+    delete require.cache[require.resolve('../balanceAlerts')];
+    return require('../balanceAlerts');
+}
+
+/**
+ * Balance API data with the given publisher earnings, today and month figures
+ */
+function balance({ earnings = 0, today = [0, 0], month = [0, 0] } = {}) {
+    return {
+        balances: { publisher_earnings: String(earnings) },
+        today: { views: today[0], earnings: String(today[1]) },
+        this_month: { views: month[0], earnings: String(month[1]) }
+    };
+}
+
+/**
+ * Makes every provider answer balance requests with the given data
+ */
+function stubBalance(balanceData) {
+    providers.getProvider = () => ({ fetchBalance: async () => balanceData });
+}
+
+/**
+ * Stores an alert on a new account and returns it as checkAlerts reads it
+ */
+async function addAlert(alertType, threshold) {
+    const accountId = await storage.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+    await storage.addBalanceAlert({ user_id: 1, account_id: accountId, alert_type: alertType, threshold });
+    return (await storage.getUserAlerts(1))[0];
+}
+
+beforeEach(async () => {
+    await storage.clearAllUserData();
+});
+
+after(() => {
+    providers.getProvider = realGetProvider;
+});
+
+test('parses alert commands and rejects thresholds out of range', () => {
+    assert.deepStrictEqual(parseAlert('balance', '$5'), { alert_type: 'balance', threshold: 5 });
+    assert.deepStrictEqual(parseAlert('CPMDROP', '30%'), { alert_type: 'cpm_drop', threshold: 30 });
+    assert.deepStrictEqual(parseAlert('noviews', '6h'), { alert_type: 'no_views', threshold: 6 });
+    
+    for (const [command, value] of [['balance', '0'], ['cpmdrop', '100'], ['noviews', '200'], ['noviews', '0.5'], ['payout', '5'], ['balance', 'five'], [undefined, undefined]]) {
+        assert.strictEqual(parseAlert(command, value), null, `${command} ${value}`);
+    }
+});
+
+test('fires a balance alert once earnings reach the threshold', async () => {
+    const alert = { id: 1, alert_type: 'balance', threshold: 5 };
+    
+    assert.strictEqual(await evaluateAlert(alert, balance({ earnings: 4.999 }), new Date()), null);
+    assert.deepStrictEqual(await evaluateAlert(alert, balance({ earnings: 5 }), new Date()), {
+        key: 'alerts.fired.balance',
+        params: { earnings: '5.000', threshold: 5 }
+    });
+});
+
+test('fires a CPM drop alert only for a big enough drop on a day with enough views', async () => {
+    const alert = { id: 1, alert_type: 'cpm_drop', threshold: 30 };
+    
+    // Month CPM $2; today $1.20 is a 40% drop, $1.50 only 25%
+    assert.deepStrictEqual(await evaluateAlert(alert, balance({ today: [1000, 1.2], month: [10000, 20] }), new Date()), {
+        key: 'alerts.fired.cpm_drop',
+        params: { todayCpm: '1.200', drop: '40.0', monthCpm: '2.000' }
+    });
+    assert.strictEqual(await evaluateAlert(alert, balance({ today: [1000, 1.5], month: [10000, 20] }), new Date()), null);
+    
+    // Too few views today to judge, or nothing to compare with
+    assert.strictEqual(await evaluateAlert(alert, balance({ today: [99, 0], month: [10000, 20] }), new Date()), null);
+    assert.strictEqual(await evaluateAlert(alert, balance({ today: [1000, 0], month: [0, 0] }), new Date()), null);
+    assert.strictEqual(await evaluateAlert(alert, balance({ today: [1000, 0], month: [10000, 0] }), new Date()), null);
+});
+
+test('fires a no-views alert once views have not moved for the threshold', async () => {
+    await addAlert('no_views', 6);
+    const start = new Date('2024-03-01T00:00:00Z');
+    const check = async (views, hoursLater) => {
+        const [alert] = await storage.getUserAlerts(1);
+        return evaluateAlert(alert, balance({ month: [views, 1] }), new Date(start.getTime() + hoursLater * HOUR));
+    };
+    
+    // The first check only records the views
+    assert.strictEqual(await check(500, 0), null);
+    assert.strictEqual((await storage.getUserAlerts(1))[0].last_views, 500);
+    
+    assert.strictEqual(await check(500, 5), null);
+    assert.deepStrictEqual(await check(500, 6.5), { key: 'alerts.fired.no_views', params: { count: 6 } });
+    
+    // New views restart the count
+    assert.strictEqual(await check(501, 7), null);
+    assert.strictEqual(await check(501, 12), null);
+    assert.deepStrictEqual(await check(501, 13), { key: 'alerts.fired.no_views', params: { count: 6 } });
+});
+
+test('sends an alert that still holds again only after the cooldown', async () => {
+    stubBalance(balance({ earnings: 10 }));
+    const alert = await addAlert('balance', 5);
+    const sent = [];
+    const checker = loadInstance();
+    const sendAlert = async (firing, notice) => sent.push([firing.id, notice.key]);
+    
+    await checker.checkAlerts(sendAlert);
+    await checker.checkAlerts(sendAlert);
+    assert.deepStrictEqual(sent, [[alert.id, 'alerts.fired.balance']]);
+    
+    // Move the last firing back past the cooldown
+    const [fired] = await storage.getUserAlerts(1);
+    await storage.claimAlertFire(alert.id, fired.last_fired_at, new Date(Date.now() - config.ALERT_COOLDOWN - 1000));
+    await checker.checkAlerts(sendAlert);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('sends each alert from exactly one of several instances', async () => {
+    stubBalance(balance({ earnings: 10, today: [1000, 1], month: [10000, 20] }));
+    await addAlert('balance', 5);
+    const accountId = (await storage.getUserAccount(1)).id;
+    await storage.addBalanceAlert({ user_id: 1, account_id: accountId, alert_type: 'cpm_drop', threshold: 30 });
+    
+    const sent = [];
+    const instances = [loadInstance(), loadInstance(), loadInstance()];
+    await Promise.all(instances.map(instance => instance.checkAlerts(async (alert, notice) => {
+        sent.push(notice.key);
+    })));
+    
+    assert.deepStrictEqual(sent.sort(), ['alerts.fired.balance', 'alerts.fired.cpm_drop']);
+});
+
+test('removes the alerts of a removed account', async () => {
+    stubBalance(balance({ earnings: 10 }));
+    await addAlert('balance', 5);
+    await storage.removeUserAccount(1, 'main');
+    
+    const sent = [];
+    await loadInstance().checkAlerts(async alert => sent.push(alert.id));
+    
+    assert.deepStrictEqual(sent, []);
+    assert.deepStrictEqual(await storage.getAllBalanceAlerts(), []);
+});
@@ -0,0 +1,172 @@
+require('./helpers');
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const storage = require('../storage');
+const providers = require('../shortenerProviders');
+const { localDay, getDailyBalances, buildTrend, sparkline } = require('../balanceHistory');
+
+const HOUR = 60 * 60 * 1000;
+
+const realGetProvider = providers.getProvider;
+
+/**
+ * Loads a separate copy of balanceHistory, as another bot instance sharing the same storage would run
+ */
+function loadInstance() {
+    delete require.cache[require.resolve('../balanceHistory')];
+    return require('../balanceHistory');
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ */
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Stores daily views (earnings are views / 100) with month totals that add up,
+ * as a snapshot taken at the very end of each day would have them
+ * @param {number} accountId - Account ID
+ * @param {object} viewsByDay - YYYY-MM-DD -> views
+ */
+async function saveDays(accountId, viewsByDay) {
+    const monthTotals = new Map();
+    for (const day of Object.keys(viewsByDay).sort()) {
+        const views = viewsByDay[day];
+        const monthViews = (monthTotals.get(day.slice(0, 7)) || 0) + views;
+        monthTotals.set(day.slice(0, 7), monthViews);
+        await storage.saveBalanceSnapshot(accountId, {
+            day,
+            views,
+            earnings: views / 100,
+            month_views: monthViews,
+            month_earnings: monthViews / 100
+        });
+    }
+}
+
+/**
+ * Rounds earnings so sums of floats compare exactly
+ */
+function rounded(days) {
+    return days.map(({ day, views, earnings }) => [day, views, earnings === null ? null : Math.round(earnings * 1000) / 1000]);
+}
+
+beforeEach(async () => {
+    await storage.clearAllUserData();
+});
+
+after(() => {
+    providers.getProvider = realGetProvider;
+});
+
+test('leaves days without a snapshot empty', async () => {
+    await saveDays(1, { '2024-03-01': 10, '2024-03-03': 30 });
+    
+    const days = await getDailyBalances(1, '2024-02-29', '2024-03-04');
+    assert.deepStrictEqual(rounded(days), [
+        ['2024-02-29', null, null],
+        ['2024-03-01', 10, 0.1],
+        ['2024-03-02', null, null],
+        ['2024-03-03', 30, 0.3],
+        ['2024-03-04', null, null]
+    ]);
+});
+
+test('completes a day from the next day\'s month totals', async () => {
+    // Taken at 23:00: the last hour of 1 March (2 more views) is only in 2 March's month total
+    await storage.saveBalanceSnapshot(1, { day: '2024-03-01', views: 10, earnings: 0.1, month_views: 10, month_earnings: 0.1 });
+    await storage.saveBalanceSnapshot(1, { day: '2024-03-02', views: 5, earnings: 0.05, month_views: 17, month_earnings: 0.17 });
+    
+    const days = await getDailyBalances(1, '2024-03-01', '2024-03-02');
+    assert.deepStrictEqual(rounded(days), [
+        ['2024-03-01', 12, 0.12],
+        ['2024-03-02', 5, 0.05]
+    ]);
+});
+
+test('keeps a day\'s own totals when the next day would lower them', async () => {
+    // The provider corrected this month's totals down overnight
+    await storage.saveBalanceSnapshot(1, { day: '2024-03-04', views: 8, earnings: 0.08, month_views: 30, month_earnings: 0.3 });
+    await storage.saveBalanceSnapshot(1, { day: '2024-03-05', views: 4, earnings: 0.04, month_views: 20, month_earnings: 0.2 });
+    
+    const days = await getDailyBalances(1, '2024-03-04', '2024-03-05');
+    assert.deepStrictEqual(rounded(days), [
+        ['2024-03-04', 8, 0.08],
+        ['2024-03-05', 4, 0.04]
+    ]);
+});
+
+test('does not complete the last day of a month from the next month', async () => {
+    await storage.saveBalanceSnapshot(1, { day: '2024-03-31', views: 7, earnings: 0.07, month_views: 100, month_earnings: 1 });
+    await storage.saveBalanceSnapshot(1, { day: '2024-04-01', views: 3, earnings: 0.03, month_views: 3, month_earnings: 0.03 });
+    
+    const [lastOfMarch] = await getDailyBalances(1, '2024-03-31', '2024-03-31');
+    assert.deepStrictEqual(rounded([lastOfMarch]), [['2024-03-31', 7, 0.07]]);
+});
+
+test('compares a trend period with the one before it', async () => {
+    const today = localDay();
+    await saveDays(1, {
+        [addDays(today, -5)]: 10,
+        [addDays(today, -3)]: 20,
+        [addDays(today, -2)]: 30,
+        [addDays(today, -1)]: 40,
+        [today]: 50
+    });
+    await saveDays(2, { [today]: 1000 });
+    
+    const trend = await buildTrend(1, 3);
+    assert.deepStrictEqual(trend.days.map(day => [day.day, day.views]), [
+        [addDays(today, -2), 30],
+        [addDays(today, -1), 40],
+        [today, 50]
+    ]);
+    assert.deepStrictEqual({ ...trend.current, earnings: Math.round(trend.current.earnings * 100) / 100 }, { views: 120, earnings: 1.2, recorded: 3 });
+    assert.deepStrictEqual({ ...trend.previous, earnings: Math.round(trend.previous.earnings * 100) / 100 }, { views: 30, earnings: 0.3, recorded: 2 });
+    
+    const empty = await buildTrend(3, 7);
+    assert.strictEqual(empty.days.length, 7);
+    assert.deepStrictEqual(empty.current, { views: 0, earnings: 0, recorded: 0 });
+});
+
+test('draws sparklines with gaps, single points and negative values', () => {
+    assert.strictEqual(sparkline([1, 2, 3, 4, 5, 6, 7, 8]), '▁▂▃▄▅▆▇█');
+    assert.strictEqual(sparkline([1, null, 3]), '▁ █');
+    assert.strictEqual(sparkline([5]), '▁');
+    assert.strictEqual(sparkline([null, 5, null]), ' ▁ ');
+    assert.strictEqual(sparkline([4, 4, 4]), '▁▁▁');
+    assert.strictEqual(sparkline([-2, 0, 2]), '▁▅█');
+    assert.strictEqual(sparkline([3, -1]), '█▁');
+    assert.strictEqual(sparkline([null, null]), '  ');
+});
+
+test('fetches each balance once per interval however many instances run', async () => {
+    let fetches = 0;
+    providers.getProvider = () => ({
+        fetchBalance: async () => {
+            fetches++;
+            return { today: { views: 10 * fetches, earnings: '0.1' }, this_month: { views: 100, earnings: '1' } };
+        }
+    });
+    await storage.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+    await storage.setUserApiKey(1, 'key-two', 'linkara', null, 'work');
+    await storage.setUserApiKey(2, 'key-three', 'linkara', null, 'main');
+    
+    // A minute into an interval, so a second later is still the same one
+    const at = new Date(Math.floor(Date.now() / HOUR) * HOUR + 60000);
+    const instances = [loadInstance(), loadInstance()];
+    const counts = await Promise.all(instances.map(instance => instance.captureBalanceSnapshots(at)));
+    
+    assert.strictEqual(fetches, 3);
+    assert.strictEqual(counts[0] + counts[1], 3);
+    
+    // Later in the same interval nothing is fetched; in the next one everything is
+    await instances[1].captureBalanceSnapshots(new Date(at.getTime() + 1000));
+    assert.strictEqual(fetches, 3);
+    await instances[0].captureBalanceSnapshots(new Date(at.getTime() + HOUR));
+    assert.strictEqual(fetches, 6);
+});
@@ -0,0 +1,112 @@
+const { createFakeProvider } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Links to the local server below count as another shortener's, for convert mode
+process.env.KNOWN_SHORTENER_DOMAINS = '127.0.0.1';
+const { readTextFile, readCsvFile, shortenBulkFile } = require('../bulkFile');
+
+/**
+ * Another shortener's links, served locally:
+ *   /to-dest  redirects to https://example.com/dest
+ *   anything else answers 200, like an interstitial page
+ */
+const server = http.createServer((req, res) => {
+    if (req.url === '/to-dest') {
+        res.writeHead(302, { Location: 'https://example.com/dest' });
+    }
+    res.end();
+});
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('numbers text rows by their line', () => {
+    const file = readTextFile('intro\nhttps://example.com/a\n\nsee https://example.com/b and https://example.com/c\n');
+    
+    assert.deepStrictEqual(file.rows.map(row => [row.row, row.urls.length]), [[2, 1], [4, 2]]);
+});
+
+test('numbers CSV rows by the line they start on, past multi-line fields and blank lines', () => {
+    const text = [
+        'name,link',
+        '"Two',
+        'lines",https://example.com/a',
+        '',
+        'plain,https://example.com/b',
+        '"Three\r\nmore\rlines",https://example.com/c'
+    ].join('\n');
+    const file = readCsvFile(text, '');
+    
+    assert.deepStrictEqual(file.rows.map(row => [row.row, row.text]), [
+        [2, 'https://example.com/a'],
+        [5, 'https://example.com/b'],
+        [6, 'https://example.com/c']
+    ]);
+});
+
+test('reports CSV rows by line and writes each short URL next to its own record', async () => {
+    const text = 'name,link\r\n"Multi\r\nline",https://example.com/a\r\nother,https://example.com/b\r\n';
+    const file = readCsvFile(text, 'link');
+    
+    const result = await shortenBulkFile(file, 'key', { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.text, [
+        'name,link,short_url',
+        '"Multi\r\nline",https://example.com/a,https://sho.rt/1',
+        'other,https://example.com/b,https://sho.rt/2',
+        ''
+    ].join('\r\n'));
+    assert.strictEqual(result.report, [
+        'row,status,links,shortened,failed_links',
+        '2,ok,1,1,',
+        '4,ok,1,1,',
+        ''
+    ].join('\r\n'));
+    assert.deepStrictEqual(result.counts, { ok: 2, partial: 0, failed: 0, skipped: 0, no_link: 0 });
+});
+
+test('keeps braces in the file instead of reading them as aliases', async () => {
+    const provider = createFakeProvider();
+    const file = readTextFile('https://example.com/a {not-an-alias}\nhttps://example.com/b/{id}\n');
+    
+    const result = await shortenBulkFile(file, 'key', { provider });
+    
+    // Links end before a brace, which stays in the text
+    assert.strictEqual(result.text, 'https://sho.rt/1 {not-an-alias}\nhttps://sho.rt/2{id}\n');
+    assert.deepStrictEqual(provider.calls, ['https://example.com/a', 'https://example.com/b/']);
+    assert.deepStrictEqual(result.counts, { ok: 2, partial: 0, failed: 0, skipped: 0, no_link: 0 });
+});
+
+test('reports links left as they are in convert mode as skipped, not failed', async () => {
+    const provider = createFakeProvider({ failOn: 'broken' });
+    const file = readTextFile([
+        'https://example.com/a',
+        `${baseUrl}/interstitial`,
+        `${baseUrl}/to-dest https://sho.rt/99`,
+        'https://example.com/broken',
+        `${baseUrl}/interstitial https://example.com/broken`
+    ].join('\n'));
+    
+    const result = await shortenBulkFile(file, 'key', { provider, convert: true });
+    
+    assert.deepStrictEqual(provider.calls.filter(url => !url.includes('broken')), ['https://example.com/a', 'https://example.com/dest']);
+    assert.strictEqual(result.report, [
+        'row,status,links,shortened,failed_links',
+        '1,ok,1,1,',
+        '2,skipped,1,0,',
+        '3,ok,2,1,',
+        '4,failed,1,0,https://example.com/broken',
+        '5,failed,2,0,https://example.com/broken',
+        ''
+    ].join('\r\n'));
+    assert.deepStrictEqual(result.counts, { ok: 2, partial: 0, failed: 2, skipped: 1, no_link: 0 });
+});
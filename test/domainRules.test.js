@@ -0,0 +1,92 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDomainPattern, matchesDomain, shouldShortenUrl } = require('../domainRules');
+
+/**
+ * Builds storage-shaped rules from { skip, only } domain lists
+ */
+function rules({ skip = [], only = [] }) {
+    return [
+        ...skip.map(domain => ({ rule_type: 'skip', domain: parseDomainPattern(domain) })),
+        ...only.map(domain => ({ rule_type: 'only', domain: parseDomainPattern(domain) }))
+    ];
+}
+
+test('normalises typed domain patterns', () => {
+    const patterns = [
+        ['t.me', 't.me'],
+        ['T.ME', 't.me'],
+        ['www.t.me', 't.me'],
+        ['  *.Example.com ', '*.example.com'],
+        ['https://t.me:8443/joinchat/abc', 't.me'],
+        ['bücher.de', 'xn--bcher-kva.de'],
+        ['*.bücher.de', '*.xn--bcher-kva.de'],
+        ['xn--bcher-kva.de', 'xn--bcher-kva.de']
+    ];
+    
+    for (const [input, expected] of patterns) {
+        assert.strictEqual(parseDomainPattern(input), expected, input);
+    }
+});
+
+test('rejects patterns that are not domains', () => {
+    for (const input of ['', null, 'localhost', '*.com', 'exa mple.com', 'under_score.com', '*']) {
+        assert.strictEqual(parseDomainPattern(input), null, String(input));
+    }
+});
+
+test('matches plain domains exactly and wildcards with their subdomains', () => {
+    assert.strictEqual(matchesDomain('t.me', 't.me'), true);
+    assert.strictEqual(matchesDomain('web.t.me', 't.me'), false);
+    assert.strictEqual(matchesDomain('example.com', '*.example.com'), true);
+    assert.strictEqual(matchesDomain('a.b.example.com', '*.example.com'), true);
+    assert.strictEqual(matchesDomain('notexample.com', '*.example.com'), false);
+    assert.strictEqual(matchesDomain('example.com.evil.io', '*.example.com'), false);
+});
+
+test('ignores www., case and ports in URLs', () => {
+    const skipTelegram = rules({ skip: ['t.me'] });
+    
+    for (const url of ['https://t.me/x', 'https://www.t.me/x', 'HTTPS://WWW.T.ME/x', 'https://t.me:443/x', 't.me/x', 'www.t.me']) {
+        assert.strictEqual(shouldShortenUrl(url, skipTelegram), false, url);
+    }
+    assert.strictEqual(shouldShortenUrl('https://web.t.me/x', skipTelegram), true);
+});
+
+test('matches internationalised domains in either form', () => {
+    for (const pattern of ['bücher.de', 'xn--bcher-kva.de']) {
+        const skipBooks = rules({ skip: [pattern] });
+        
+        for (const url of ['https://bücher.de/x', 'https://BÜCHER.de/x', 'https://xn--bcher-kva.de/x', 'bücher.de']) {
+            assert.strictEqual(shouldShortenUrl(url, skipBooks), false, `${pattern} ${url}`);
+        }
+        assert.strictEqual(shouldShortenUrl('https://buecher.de/x', skipBooks), true, pattern);
+    }
+});
+
+test('shortens only URLs on "only" domains when there are any', () => {
+    const onlyExample = rules({ only: ['*.example.com', 'x.ai'] });
+    
+    assert.strictEqual(shouldShortenUrl('https://example.com/a', onlyExample), true);
+    assert.strictEqual(shouldShortenUrl('https://shop.example.com/a', onlyExample), true);
+    assert.strictEqual(shouldShortenUrl('https://x.ai/a', onlyExample), true);
+    assert.strictEqual(shouldShortenUrl('https://other.com/a', onlyExample), false);
+});
+
+test('lets "skip" win over "only" for the same URL', () => {
+    const mixed = rules({ skip: ['pay.example.com'], only: ['*.example.com'] });
+    
+    assert.strictEqual(shouldShortenUrl('https://shop.example.com/a', mixed), true);
+    assert.strictEqual(shouldShortenUrl('https://pay.example.com/a', mixed), false);
+    assert.strictEqual(shouldShortenUrl('https://other.com/a', mixed), false);
+    
+    const sameDomain = rules({ skip: ['*.example.com'], only: ['*.example.com'] });
+    assert.strictEqual(shouldShortenUrl('https://example.com/a', sameDomain), false);
+});
+
+test('shortens everything without rules or a readable host', () => {
+    assert.strictEqual(shouldShortenUrl('https://t.me/x', []), true);
+    assert.strictEqual(shouldShortenUrl('https://t.me/x', null), true);
+    assert.strictEqual(shouldShortenUrl('https://exa mple.com', rules({ only: ['example.com'] })), true);
+});
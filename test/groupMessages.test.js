@@ -0,0 +1,113 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getGroupRequest } = require('../groupMessages');
+
+const me = { id: 999, username: 'ShortBot' };
+
+/**
+ * Asks getGroupRequest about a group message, with auto mode on or off
+ */
+function decide(msg, { auto = false } = {}) {
+    let askedAuto = false;
+    const request = getGroupRequest(msg, msg.text, msg.entities, {
+        me,
+        isAutoShorten: async () => {
+            askedAuto = true;
+            return auto;
+        }
+    });
+    return request.then(result => ({ result, askedAuto }));
+}
+
+/**
+ * A group message with a url entity for every link in it
+ */
+function message(text, extra = {}) {
+    const entities = [];
+    for (const match of text.matchAll(/https?:\/\/\S+/g)) {
+        entities.push({ type: 'url', offset: match.index, length: match[0].length });
+    }
+    return { message_id: 1, chat: { id: -100, type: 'supergroup' }, from: { id: 5 }, text, entities, ...extra };
+}
+
+test('shortens the rest of a message that starts with the mention', async () => {
+    const { result } = await decide(message('@ShortBot https://example.com/a'));
+    
+    assert.deepStrictEqual(result, {
+        text: 'https://example.com/a',
+        entities: [{ type: 'url', offset: 0, length: 21 }],
+        explicit: true
+    });
+});
+
+test('accepts the mention anywhere in the message, in any case', async () => {
+    const middle = await decide(message('see https://example.com/a @shortbot and https://example.com/b'));
+    assert.deepStrictEqual(middle.result, {
+        text: 'see https://example.com/a and https://example.com/b',
+        entities: [{ type: 'url', offset: 4, length: 21 }, { type: 'url', offset: 30, length: 21 }],
+        explicit: true
+    });
+    
+    const end = await decide(message('https://example.com/a\n@ShortBot'));
+    assert.deepStrictEqual(end.result, {
+        text: 'https://example.com/a',
+        entities: [{ type: 'url', offset: 0, length: 21 }],
+        explicit: true
+    });
+});
+
+test('does not take other usernames or links with the name for a mention', async () => {
+    for (const text of ['@ShortBotty https://example.com/a', 'https://medium.com/@ShortBot', 'mail me@ShortBot.com']) {
+        const { result } = await decide(message(text));
+        assert.strictEqual(result, null, text);
+    }
+});
+
+test('drops the entity of the mention and keeps formatting around it', async () => {
+    const msg = message('@ShortBot bold https://example.com/a', {
+        entities: [
+            { type: 'mention', offset: 0, length: 9 },
+            { type: 'bold', offset: 10, length: 4 },
+            { type: 'url', offset: 15, length: 21 }
+        ]
+    });
+    
+    const { result } = await decide(msg);
+    
+    assert.deepStrictEqual(result.entities, [{ type: 'bold', offset: 0, length: 4 }, { type: 'url', offset: 5, length: 21 }]);
+    // The message's own entities are left alone
+    assert.strictEqual(msg.entities[1].offset, 10);
+});
+
+test('a mention on its own shortens the message it replies to', async () => {
+    const replied = { message_id: 2, from: { id: 6 }, caption: 'photo https://example.com/a', caption_entities: [{ type: 'url', offset: 6, length: 21 }] };
+    
+    const { result } = await decide(message(' @ShortBot ', { reply_to_message: replied }));
+    
+    assert.deepStrictEqual(result, { text: replied.caption, entities: replied.caption_entities, explicit: true });
+    
+    // Without a reply there is nothing to shorten, which the member is told
+    assert.deepStrictEqual((await decide(message('@ShortBot'))).result, { text: '', entities: [], explicit: true });
+});
+
+test('shortens replies to the bot', async () => {
+    const { result } = await decide(message('and https://example.com/a', { reply_to_message: { message_id: 2, from: me } }));
+    
+    assert.deepStrictEqual(result, { text: 'and https://example.com/a', entities: [{ type: 'url', offset: 4, length: 21 }], explicit: true });
+});
+
+test('shortens other messages with links only in auto mode, and quietly', async () => {
+    const msg = message('new post https://example.com/a', { reply_to_message: { message_id: 2, from: { id: 6 } } });
+    
+    assert.deepStrictEqual(await decide(msg), { result: null, askedAuto: true });
+    assert.deepStrictEqual((await decide(msg, { auto: true })).result, {
+        text: msg.text,
+        entities: msg.entities,
+        explicit: false
+    });
+    
+    // Messages without links never need the group's settings
+    assert.deepStrictEqual(await decide(message('hello everyone'), { auto: true }), { result: null, askedAuto: false });
+    assert.deepStrictEqual(await decide({ ...message(''), text: undefined, photo: [] }), { result: null, askedAuto: false });
+});
@@ -0,0 +1,88 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { trackHandlers } = require('../handlerTracker');
+
+/**
+ * Minimal stand-in for TelegramBot's handler registration
+ */
+function createBot() {
+    const listeners = [];
+    return {
+        listeners,
+        on: (event, listener) => listeners.push(listener),
+        onText: (regexp, callback) => listeners.push(callback)
+    };
+}
+
+/**
+ * A promise with its resolve function, to hold a handler until the test lets it finish
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+test('counts handlers until they finish', async () => {
+    const bot = createBot();
+    const tracker = trackHandlers(bot);
+    const gate = deferred();
+    bot.on('message', async () => gate.promise);
+    bot.onText(/^\/start/, () => 'sync');
+    
+    const running = bot.listeners[0]({ text: 'hi' });
+    await bot.listeners[1]({ text: '/start' });
+    await new Promise(setImmediate);
+    assert.strictEqual(tracker.pending(), 1);
+    
+    gate.resolve();
+    await running;
+    await new Promise(setImmediate);
+    assert.strictEqual(tracker.pending(), 0);
+});
+
+test('drains running handlers, or gives up at the timeout', async () => {
+    const bot = createBot();
+    const tracker = trackHandlers(bot);
+    const gate = deferred();
+    bot.on('message', async () => gate.promise);
+    bot.listeners[0]({});
+    bot.listeners[0]({});
+    
+    const started = Date.now();
+    assert.strictEqual(await tracker.drain(50), false);
+    assert.ok(Date.now() - started >= 45);
+    assert.strictEqual(tracker.pending(), 2);
+    
+    setTimeout(gate.resolve, 20);
+    assert.strictEqual(await tracker.drain(1000), true);
+    assert.strictEqual(tracker.pending(), 0);
+    assert.strictEqual(await tracker.drain(0), true);
+});
+
+test('stops tracking handlers that throw', async () => {
+    const bot = createBot();
+    const tracker = trackHandlers(bot);
+    bot.on('message', async () => {
+        throw new Error('handler failed');
+    });
+    
+    await assert.rejects(bot.listeners[0]({}), /handler failed/);
+    assert.strictEqual(await tracker.drain(100), true);
+    assert.strictEqual(tracker.pending(), 0);
+});
+
+test('calls handlers with the bot as this', async () => {
+    const bot = createBot();
+    trackHandlers(bot);
+    let self = null;
+    bot.on('message', function () {
+        self = this;
+    });
+    
+    await bot.listeners[0].call(bot, {});
+    assert.strictEqual(self, bot);
+});
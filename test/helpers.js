@@ -0,0 +1,41 @@
+/**
+ * Shared test setup: require it before any module of the bot.
+ * config.js exits without a bot token or an encryption key, and modules
+ * that use storage run against the in-memory driver.
+ */
+
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '123456:test-token';
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+process.env.API_KEY_ENCRYPTION_KEY = process.env.API_KEY_ENCRYPTION_KEY || 'test-master-key';
+
+// The bot's logs go to stderr. node --test reads each test file's results
+// from its stdout and can misread a log line that lands right after a result
+// ("✅ Loaded storage file ..."), failing the whole file at random.
+console.log = console.error;
+console.info = console.error;
+
+/**
+ * Creates a shortener provider that answers without network calls
+ * @param {object} options - failOn: URLs containing this text fail
+ * @returns {object} - Provider adapter; calls lists every URL it was asked to shorten
+ */
+function createFakeProvider({ failOn = null } = {}) {
+    const calls = [];
+    return {
+        id: 'fake',
+        name: 'Fake',
+        calls,
+        isShortened: url => url.startsWith('https://sho.rt/'),
+        shorten: async (url) => {
+            calls.push(url);
+            if (failOn && url.includes(failOn)) {
+                throw new Error('API Error: 400 - Bad Request');
+            }
+            return `https://sho.rt/${calls.length}`;
+        }
+    };
+}
+
+module.exports = {
+    createFakeProvider
+};
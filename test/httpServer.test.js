@@ -0,0 +1,131 @@
+require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const storage = require('../storage');
+const { pollStatus } = require('../metrics');
+
+// httpServer takes storage's ping when loaded, so the stub has to be in place first
+const realPing = storage.ping;
+let pingResult = () => Promise.resolve();
+storage.ping = () => pingResult();
+const { createHttpServer } = require('../httpServer');
+
+const webhookRequests = [];
+const server = createHttpServer({
+    handle: (req, res) => {
+        webhookRequests.push(req.url);
+        res.writeHead(200);
+        res.end();
+    }
+});
+
+/**
+ * Sends a request to the server
+ * @param {string} path - Request path
+ * @param {string} method - HTTP method
+ * @returns {Promise<{status: number, headers: object, body: string}>} - The answer
+ */
+function request(path, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, method, path }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+beforeEach(() => {
+    pingResult = () => Promise.resolve();
+    Object.assign(pollStatus, { ok: true, at: new Date('2024-03-01T12:00:00Z'), error: null });
+    webhookRequests.length = 0;
+});
+
+after(async () => {
+    storage.ping = realPing;
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('answers liveness checks', async () => {
+    const res = await request('/healthz');
+    
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(res.body), { status: 'ok' });
+});
+
+test('stays alive while storage is down', async () => {
+    pingResult = () => Promise.reject(new Error('connect ECONNREFUSED'));
+    
+    assert.strictEqual((await request('/healthz')).status, 200);
+});
+
+test('is ready when storage answers and the last poll succeeded', async () => {
+    const res = await request('/readyz');
+    
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(JSON.parse(res.body), {
+        status: 'ok',
+        database: { ok: true },
+        polling: { ok: true, last_poll_at: '2024-03-01T12:00:00.000Z', error: null }
+    });
+});
+
+test('is not ready while storage is down', async () => {
+    pingResult = () => Promise.reject(new Error('connect ECONNREFUSED'));
+    
+    const res = await request('/readyz');
+    
+    assert.strictEqual(res.status, 503);
+    const report = JSON.parse(res.body);
+    assert.strictEqual(report.status, 'unavailable');
+    assert.deepStrictEqual(report.database, { ok: false, error: 'connect ECONNREFUSED' });
+});
+
+test('is not ready while storage does not answer', async () => {
+    pingResult = () => new Promise(() => {});
+    
+    const res = await request('/readyz');
+    
+    assert.strictEqual(res.status, 503);
+    assert.deepStrictEqual(JSON.parse(res.body).database, { ok: false, error: 'No answer within 2000ms' });
+});
+
+test('is not ready while polling Telegram fails', async () => {
+    Object.assign(pollStatus, { ok: false, error: 'ETELEGRAM: 502 Bad Gateway' });
+    
+    const res = await request('/readyz');
+    
+    assert.strictEqual(res.status, 503);
+    assert.deepStrictEqual(JSON.parse(res.body).polling, {
+        ok: false,
+        last_poll_at: '2024-03-01T12:00:00.000Z',
+        error: 'ETELEGRAM: 502 Bad Gateway'
+    });
+});
+
+test('serves metrics in the Prometheus text format', async () => {
+    const res = await request('/metrics');
+    
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(res.body, /^# TYPE shortener_bot_messages_processed_total counter$/m);
+});
+
+test('passes the webhook path to the webhook handler and answers 404 elsewhere', async () => {
+    assert.strictEqual((await request('/telegram/webhook?x=1', 'POST')).status, 200);
+    assert.deepStrictEqual(webhookRequests, ['/telegram/webhook?x=1']);
+    
+    assert.strictEqual((await request('/')).status, 200);
+    assert.strictEqual((await request('/nope')).status, 404);
+});
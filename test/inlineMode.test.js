@@ -0,0 +1,124 @@
+const { createFakeProvider } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const storage = require('../storage');
+const { buildInlineResults, buildInlineAnswer } = require('../inlineMode');
+
+let nextUserId = 1;
+
+/**
+ * A shortener for a new user, so answers cached for earlier tests never match
+ */
+function createShortener(providerOptions) {
+    const userId = nextUserId++;
+    return { userId, shortener: { apiKey: 'key', provider: createFakeProvider(providerOptions), account: { id: userId } } };
+}
+
+beforeEach(async () => {
+    await storage.clearAllUserData();
+});
+
+test('offers a single link shortened, without a full message result', async () => {
+    const { userId, shortener } = createShortener();
+    
+    const results = await buildInlineResults('  https://example.com/page  ', userId, shortener);
+    
+    assert.deepStrictEqual(results, [{
+        type: 'article',
+        id: 'link:0',
+        title: 'https://sho.rt/1',
+        description: 'https://example.com/page',
+        input_message_content: { message_text: 'https://sho.rt/1' }
+    }]);
+});
+
+test('offers each link and the whole text with every link replaced', async () => {
+    const { userId, shortener } = createShortener();
+    
+    const results = await buildInlineResults('see example.com/a and https://example.org/b', userId, shortener, { fullMessageTitle: '📝 Whole text' });
+    
+    assert.deepStrictEqual(results.map(result => [result.id, result.title, result.description]), [
+        ['link:0', 'https://sho.rt/1', 'example.com/a'],
+        ['link:1', 'https://sho.rt/2', 'https://example.org/b'],
+        ['full', '📝 Whole text', 'see https://sho.rt/1 and https://sho.rt/2']
+    ]);
+    // The full text reuses the cached links instead of shortening them again
+    assert.strictEqual(shortener.provider.calls.length, 2);
+    assert.deepStrictEqual(results[2].input_message_content, {
+        message_text: 'see https://sho.rt/1 and https://sho.rt/2',
+        entities: results[2].input_message_content.entities
+    });
+});
+
+test('skips links that are repeated, already short or excluded by domain rules', async () => {
+    const { userId, shortener } = createShortener();
+    const domainRules = [{ domain: 'skip.com', rule_type: 'skip' }];
+    
+    const results = await buildInlineResults('https://sho.rt/9 https://skip.com/x https://example.com/a https://example.com/a', userId, shortener, { domainRules });
+    
+    assert.deepStrictEqual(shortener.provider.calls, ['https://example.com/a']);
+    assert.deepStrictEqual(results.map(result => [result.id, result.description]), [
+        ['link:0', 'https://example.com/a'],
+        ['full', 'https://sho.rt/9 https://skip.com/x https://sho.rt/1 https://sho.rt/1']
+    ]);
+});
+
+test('does not shorten links still being typed, not even in the full text', async () => {
+    const { userId, shortener } = createShortener();
+    
+    assert.deepStrictEqual(await buildInlineResults('https://exa', userId, shortener), []);
+    
+    const results = await buildInlineResults('https://example.com/a https://example.c', userId, shortener);
+    
+    assert.deepStrictEqual(shortener.provider.calls, ['https://example.com/a']);
+    assert.deepStrictEqual(results.map(result => result.id), ['link:0']);
+});
+
+test('offers at most 10 links, and all of them in the full text', async () => {
+    const { userId, shortener } = createShortener();
+    const query = Array.from({ length: 12 }, (value, i) => `https://example.com/${i}`).join(' ');
+    
+    const results = await buildInlineResults(query, userId, shortener);
+    
+    assert.strictEqual(results.filter(result => result.id.startsWith('link:')).length, 10);
+    assert.strictEqual(results[10].id, 'full');
+    assert.doesNotMatch(results[10].description, /example\.com/);
+});
+
+test('leaves out links that fail and answers the same query from the cache', async () => {
+    const { userId, shortener } = createShortener({ failOn: 'broken' });
+    const query = 'https://example.com/broken';
+    
+    assert.deepStrictEqual(await buildInlineResults(query, userId, shortener), []);
+    
+    const results = await buildInlineResults('https://example.com/ok', userId, shortener);
+    const calls = shortener.provider.calls.length;
+    assert.deepStrictEqual(await buildInlineResults('https://example.com/ok', userId, shortener), results);
+    assert.strictEqual(shortener.provider.calls.length, calls);
+});
+
+test('answers with a button to set the API key when the user has none', async () => {
+    const answer = await buildInlineAnswer('https://example.com', 1, null, { setKeyText: '🔑 Key please' });
+    
+    assert.deepStrictEqual(answer, {
+        results: [],
+        options: {
+            is_personal: true,
+            cache_time: 0,
+            button: JSON.stringify({ text: '🔑 Key please', start_parameter: 'inline' })
+        }
+    });
+});
+
+test('answers with no results when the query has no links', async () => {
+    const { userId, shortener } = createShortener();
+    
+    for (const query of ['', 'just some words', 'example', 'https://exa']) {
+        assert.deepStrictEqual(await buildInlineAnswer(query, userId, shortener), {
+            results: [],
+            options: { is_personal: true, cache_time: config.INLINE_CACHE_TTL }
+        }, query);
+    }
+    assert.deepStrictEqual(shortener.provider.calls, []);
+});
@@ -0,0 +1,134 @@
+require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isKnownShortener, resolveRedirects } = require('../linkResolver');
+
+/**
+ * Redirect chains are served by a local HTTP server:
+ *   /hop/<n>     redirects to /hop/<n-1>, and /hop/0 to /final
+ *   /final       200
+ *   /no-head     405 for HEAD, a redirect to /final for GET
+ *   /relative    redirects to "final" (relative Location)
+ *   /ftp         redirects to an ftp:// URL
+ *   /slow/<n>    like /hop/<n> but each answer takes 80 ms, ending at /final
+ *   /slow        never answers
+ */
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        const redirect = location => {
+            res.writeHead(302, { Location: location });
+            res.end();
+        };
+        
+        const hop = /^\/hop\/(\d+)$/.exec(req.url);
+        const slowHop = /^\/slow\/(\d+)$/.exec(req.url);
+        if (slowHop) {
+            const n = parseInt(slowHop[1], 10);
+            setTimeout(() => redirect(n > 0 ? `${baseUrl}/slow/${n - 1}` : `${baseUrl}/final`), 80);
+        } else if (hop) {
+            const n = parseInt(hop[1], 10);
+            redirect(n > 0 ? `${baseUrl}/hop/${n - 1}` : `${baseUrl}/final`);
+        } else if (req.url === '/final') {
+            res.end('ok');
+        } else if (req.url === '/no-head') {
+            if (req.method === 'HEAD') {
+                res.writeHead(405);
+                res.end();
+            } else {
+                redirect('/final');
+            }
+        } else if (req.url === '/relative') {
+            redirect('final');
+        } else if (req.url === '/ftp') {
+            redirect('ftp://files.example/file');
+        } else if (req.url !== '/slow') {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+beforeEach(() => {
+    requests.length = 0;
+});
+
+test('follows a redirect chain to its destination', async () => {
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/hop/2`, { maxHops: 5 }), `${baseUrl}/final`);
+    assert.deepStrictEqual(requests, ['HEAD /hop/2', 'HEAD /hop/1', 'HEAD /hop/0', 'HEAD /final']);
+});
+
+test('returns a URL that does not redirect as it is', async () => {
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/final`), `${baseUrl}/final`);
+});
+
+test('follows exactly maxHops redirects and fails on one more', async () => {
+    // /hop/2 reaches /final after 3 redirects
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/hop/2`, { maxHops: 3 }), `${baseUrl}/final`);
+    await assert.rejects(resolveRedirects(`${baseUrl}/hop/2`, { maxHops: 2 }), /Too many redirects .* \(more than 2\)/);
+});
+
+test('stops at the first hop that should not be followed, without requesting it', async () => {
+    const follow = url => !url.endsWith('/hop/0');
+    
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/hop/2`, { follow }), `${baseUrl}/hop/0`);
+    assert.deepStrictEqual(requests, ['HEAD /hop/2', 'HEAD /hop/1']);
+});
+
+test('asks follow about every hop but the first', async () => {
+    const asked = [];
+    await resolveRedirects(`${baseUrl}/hop/1`, { follow: url => asked.push(url) > 0 });
+    
+    assert.deepStrictEqual(asked, [`${baseUrl}/hop/0`, `${baseUrl}/final`]);
+});
+
+test('falls back to GET when HEAD is not allowed', async () => {
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/no-head`), `${baseUrl}/final`);
+    assert.deepStrictEqual(requests.slice(0, 2), ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('resolves relative Location headers', async () => {
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/relative`), `${baseUrl}/final`);
+});
+
+test('refuses redirects to other protocols', async () => {
+    await assert.rejects(resolveRedirects(`${baseUrl}/ftp`), /Unsupported redirect to ftp:/);
+});
+
+test('gives up when the chain takes longer than the timeout', async () => {
+    const started = Date.now();
+    await assert.rejects(resolveRedirects(`${baseUrl}/slow`, { timeout: 200 }), /timeout/i);
+    assert.ok(Date.now() - started < 2000);
+});
+
+test('counts the timeout for the whole chain, not for each hop', async () => {
+    // Each of the four slow hops fits in the timeout, but together they don't
+    assert.strictEqual(await resolveRedirects(`${baseUrl}/slow/3`, { timeout: 2000 }), `${baseUrl}/final`);
+    await assert.rejects(resolveRedirects(`${baseUrl}/slow/3`, { timeout: 250 }), /time/i);
+});
+
+test('recognizes known shortener domains and their subdomains', () => {
+    const domains = ['bit.ly', 't.co'];
+    
+    assert.strictEqual(isKnownShortener('https://bit.ly/abc', domains), true);
+    assert.strictEqual(isKnownShortener('bit.ly/abc', domains), true);
+    assert.strictEqual(isKnownShortener('https://go.BIT.ly/abc', domains), true);
+    assert.strictEqual(isKnownShortener('https://notbit.ly/abc', domains), false);
+    assert.strictEqual(isKnownShortener('https://bit.ly.example.com/abc', domains), false);
+    assert.strictEqual(isKnownShortener('https://example.com/bit.ly', domains), false);
+    assert.strictEqual(isKnownShortener('not a url', domains), false);
+});
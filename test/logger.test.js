@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerSecret, redact } = require('../logger');
+
+test('redacts registered secrets and key parameters', () => {
+    registerSecret('secret-key-1');
+    registerSecret('short');
+    
+    assert.strictEqual(redact('key secret-key-1 used twice: secret-key-1'), 'key [REDACTED] used twice: [REDACTED]');
+    assert.strictEqual(redact('GET /api?api=abc123&url=x'), 'GET /api?api=[REDACTED]&url=x');
+    assert.strictEqual(redact('short stays'), 'short stays');
+});
+
+test('keeps only the most recently used keys, but never drops permanent secrets', () => {
+    registerSecret('bot-token-value', true);
+    registerSecret('first-key-000');
+    for (let i = 0; i < 600; i++) {
+        registerSecret(`user-key-${String(i).padStart(3, '0')}`);
+        if (i === 300) {
+            // Used again, so it counts as recent
+            registerSecret('user-key-000');
+        }
+    }
+    
+    assert.strictEqual(redact('first-key-000'), 'first-key-000');
+    assert.strictEqual(redact('user-key-050'), 'user-key-050');
+    assert.strictEqual(redact('user-key-000'), '[REDACTED]');
+    assert.strictEqual(redact('user-key-599'), '[REDACTED]');
+    assert.strictEqual(redact('bot-token-value'), '[REDACTED]');
+});
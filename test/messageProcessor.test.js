@@ -0,0 +1,110 @@
+const { createFakeProvider } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { processMessage } = require('../messageProcessor');
+
+/**
+ * Returns the text each entity covers, to compare formatting before and after
+ */
+function covered(text, entities) {
+    return entities.map(entity => `${entity.type}:${text.substr(entity.offset, entity.length)}`);
+}
+
+test('keeps entities that contain or follow a URL attached to the same text', async () => {
+    const text = 'Read https://example.com/a now';
+    const entities = [
+        { type: 'bold', offset: 0, length: 30 },
+        { type: 'url', offset: 5, length: 21 },
+        { type: 'italic', offset: 27, length: 3 }
+    ];
+    
+    const result = await processMessage(text, 'key', entities, { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.text, 'Read https://sho.rt/1 now');
+    assert.deepStrictEqual(covered(result.text, result.entities), [
+        'bold:Read https://sho.rt/1 now',
+        'url:https://sho.rt/1',
+        'italic:now'
+    ]);
+});
+
+test('clamps entities that only partly overlap a replaced URL', async () => {
+    const text = 'see https://example.com/path here';
+    const entities = [
+        // Starts before the URL and ends inside it
+        { type: 'bold', offset: 0, length: 16 },
+        // Starts inside the URL and ends after it
+        { type: 'italic', offset: 20, length: 13 }
+    ];
+    
+    const result = await processMessage(text, 'key', entities, { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.text, 'see https://sho.rt/1 here');
+    assert.deepStrictEqual(covered(result.text, result.entities), [
+        'bold:see ',
+        'italic: here'
+    ]);
+});
+
+test('drops entities lying entirely inside a replaced URL', async () => {
+    const text = 'https://example.com/page!';
+    const entities = [{ type: 'underline', offset: 8, length: 7 }];
+    
+    const result = await processMessage(text, 'key', entities, { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.text, 'https://sho.rt/1!');
+    assert.deepStrictEqual(result.entities, []);
+});
+
+test('handles several URLs with entities between and on them', async () => {
+    const text = 'a.io/x and b.io/y';
+    const entities = [
+        // From inside the first URL up to the second one
+        { type: 'bold', offset: 2, length: 9 },
+        // Exactly the second URL
+        { type: 'italic', offset: 11, length: 6 }
+    ];
+    
+    const result = await processMessage(text, 'key', entities, { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.shortened, 2);
+    assert.match(result.text, /^https:\/\/sho\.rt\/\d and https:\/\/sho\.rt\/\d$/);
+    assert.deepStrictEqual(covered(result.text, result.entities), [
+        'bold: and ',
+        `italic:${result.text.slice(-16)}`
+    ]);
+});
+
+test('shortens text_link targets without changing the visible text', async () => {
+    const text = 'click here';
+    const entities = [{ type: 'text_link', offset: 0, length: 5, url: 'https://example.com/hidden' }];
+    
+    const result = await processMessage(text, 'key', entities, { provider: createFakeProvider() });
+    
+    assert.strictEqual(result.text, 'click here');
+    assert.strictEqual(result.entities[0].url, 'https://sho.rt/1');
+    assert.deepStrictEqual(result.links, [{ original_url: 'https://example.com/hidden', short_url: 'https://sho.rt/1' }]);
+});
+
+test('leaves code entities and text without URLs untouched', async () => {
+    const text = 'run `curl https://example.com`';
+    const entities = [{ type: 'code', offset: 4, length: 26 }];
+    const provider = createFakeProvider();
+    
+    const result = await processMessage(text, 'key', entities, { provider });
+    
+    assert.strictEqual(result.text, text);
+    assert.strictEqual(result.shortened, 0);
+    assert.deepStrictEqual(provider.calls, []);
+});
+
+test('shortens bare domains Telegram tagged as links even where the tokenizer would not', async () => {
+    const text = 'Visit EXAMPLE.IO today.So long';
+    const entities = [{ type: 'url', offset: 6, length: 10 }];
+    const provider = createFakeProvider();
+    
+    const result = await processMessage(text, 'key', entities, { provider });
+    
+    assert.strictEqual(result.text, 'Visit https://sho.rt/1 today.So long');
+    assert.deepStrictEqual(provider.calls, ['https://EXAMPLE.IO']);
+});
@@ -0,0 +1,91 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { urlsShortened, apiLatency, pollStatus, trackPolling, renderMetrics } = require('../metrics');
+
+/**
+ * Lines of the rendered metrics that start with a metric name
+ */
+function linesOf(name) {
+    return renderMetrics().split('\n').filter(line => line.startsWith(`shortener_bot_${name}`));
+}
+
+test('renders HELP and TYPE for every metric and ends with a newline', () => {
+    const text = renderMetrics();
+    
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# HELP shortener_bot_urls_shortened_total URLs replaced with a short link$/m);
+    assert.match(text, /^# TYPE shortener_bot_urls_shortened_total counter$/m);
+    assert.match(text, /^# TYPE shortener_bot_api_request_duration_seconds histogram$/m);
+    assert.match(text, /^shortener_bot_uptime_seconds \d+$/m);
+    
+    // Every sample line is "name{labels} value"
+    for (const line of text.split('\n').filter(line => line && !line.startsWith('#'))) {
+        assert.match(line, /^[a-z_]+(\{.*\})? -?[\d.e+-]+$/, line);
+    }
+});
+
+test('escapes backslashes, quotes and newlines in label values', () => {
+    urlsShortened.inc({ provider: 'a"b\\c\nd' });
+    urlsShortened.inc({ provider: 'a"b\\c\nd' }, 2);
+    
+    assert.ok(linesOf('urls_shortened_total').includes('shortener_bot_urls_shortened_total{provider="a\\"b\\\\c\\nd"} 3'));
+});
+
+test('sorts labels so the same set always lands in the same series', () => {
+    urlsShortened.inc({ provider: 'p', chat: 'private' });
+    urlsShortened.inc({ chat: 'private', provider: 'p' });
+    
+    assert.ok(linesOf('urls_shortened_total').includes('shortener_bot_urls_shortened_total{chat="private",provider="p"} 2'));
+});
+
+test('renders cumulative histogram buckets with +Inf, sum and count', () => {
+    apiLatency.observe({ provider: 'hist' }, 0.3);
+    apiLatency.observe({ provider: 'hist' }, 0.05);
+    apiLatency.observe({ provider: 'hist' }, 12);
+    
+    const lines = linesOf('api_request_duration_seconds').filter(line => line.includes('provider="hist"'));
+    assert.deepStrictEqual(lines, [
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="0.05"} 1',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="0.1"} 1',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="0.25"} 1',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="0.5"} 2',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="1"} 2',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="2.5"} 2',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="5"} 2',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="10"} 2',
+        'shortener_bot_api_request_duration_seconds_bucket{provider="hist",le="+Inf"} 3',
+        'shortener_bot_api_request_duration_seconds_sum{provider="hist"} 12.35',
+        'shortener_bot_api_request_duration_seconds_count{provider="hist"} 3'
+    ]);
+});
+
+test('adds the labels known only when a timer stops', () => {
+    const stop = apiLatency.startTimer({ provider: 'timed' });
+    stop({ outcome: 'error' });
+    
+    assert.ok(linesOf('api_request_duration_seconds_count').includes('shortener_bot_api_request_duration_seconds_count{outcome="error",provider="timed"} 1'));
+});
+
+test('records the outcome of every poll', async () => {
+    let fail = false;
+    const bot = {
+        getUpdates: async () => {
+            if (fail) {
+                throw new Error('ETELEGRAM: 502 Bad Gateway');
+            }
+            return [{ update_id: 1 }];
+        }
+    };
+    trackPolling(bot);
+    
+    assert.deepStrictEqual(await bot.getUpdates(), [{ update_id: 1 }]);
+    assert.strictEqual(pollStatus.ok, true);
+    assert.match(linesOf('last_poll_success_timestamp_seconds')[0], /^shortener_bot_last_poll_success_timestamp_seconds \d+$/);
+    
+    fail = true;
+    await assert.rejects(bot.getUpdates(), /502/);
+    assert.strictEqual(pollStatus.ok, false);
+    assert.strictEqual(pollStatus.error, 'ETELEGRAM: 502 Bad Gateway');
+    assert.deepStrictEqual(linesOf('poll_errors_total'), ['shortener_bot_poll_errors_total 1']);
+});
@@ -0,0 +1,113 @@
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const storage = require('../storage');
+const { computeNextRun, parseTimeOfDay } = require('../reportScheduler');
+
+/**
+ * Loads a separate copy of the scheduler, as another bot instance sharing the same storage would run
+ */
+function loadInstance() {
+    delete require.cache[require.resolve('../reportScheduler')];
+    return require('../reportScheduler');
+}
+
+/**
+ * Next run as an ISO string, for readable assertions
+ */
+function nextRun(subscription, after) {
+    return computeNextRun(subscription, new Date(after)).toISOString();
+}
+
+const newYork = { frequency: 'daily', time_of_day: '09:00', timezone: 'America/New_York' };
+const london = { frequency: 'daily', time_of_day: '01:30', timezone: 'Europe/London' };
+
+beforeEach(async () => {
+    await storage.clearAllUserData();
+});
+
+test('normalises times of day', () => {
+    assert.strictEqual(parseTimeOfDay('7:30'), '07:30');
+    assert.strictEqual(parseTimeOfDay('21:00'), '21:00');
+    for (const text of ['24:00', '9:60', '9', 'noon', '', undefined]) {
+        assert.strictEqual(parseTimeOfDay(text), null, String(text));
+    }
+});
+
+test('runs daily reports at the same local time on both sides of a DST change', () => {
+    // New York moves from UTC-5 to UTC-4 on 8 March 2026 and back on 1 November
+    assert.strictEqual(nextRun(newYork, '2026-03-07T15:00:00Z'), '2026-03-08T13:00:00.000Z');
+    assert.strictEqual(nextRun(newYork, '2026-03-08T13:00:00Z'), '2026-03-09T13:00:00.000Z');
+    assert.strictEqual(nextRun(newYork, '2026-10-31T13:00:00Z'), '2026-11-01T14:00:00.000Z');
+    assert.strictEqual(nextRun(newYork, '2026-11-01T14:00:00Z'), '2026-11-02T14:00:00.000Z');
+    
+    // Zones without DST keep a fixed offset
+    const kolkata = { frequency: 'daily', time_of_day: '21:00', timezone: 'Asia/Kolkata' };
+    assert.strictEqual(nextRun(kolkata, '2026-10-18T15:29:00Z'), '2026-10-18T15:30:00.000Z');
+    assert.strictEqual(nextRun(kolkata, '2026-10-18T15:30:00Z'), '2026-10-19T15:30:00.000Z');
+});
+
+test('moves a time skipped by clocks going forward past the gap', () => {
+    const skipped = { ...newYork, time_of_day: '02:30' };
+    
+    // 02:30 doesn't exist in New York on 8 March; 03:30 EDT does
+    assert.strictEqual(nextRun(skipped, '2026-03-07T12:00:00Z'), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(nextRun(skipped, '2026-03-08T07:30:00Z'), '2026-03-09T06:30:00.000Z');
+    
+    // 01:30 doesn't exist in London on 29 March; 02:30 BST does
+    assert.strictEqual(nextRun(london, '2026-03-28T12:00:00Z'), '2026-03-29T01:30:00.000Z');
+});
+
+test('runs a time repeated by clocks going back once, at its first occurrence', () => {
+    const repeated = { ...newYork, time_of_day: '01:30' };
+    
+    assert.strictEqual(nextRun(repeated, '2026-10-31T12:00:00Z'), '2026-11-01T05:30:00.000Z');
+    assert.strictEqual(nextRun(repeated, '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+    
+    assert.strictEqual(nextRun(london, '2026-10-24T12:00:00Z'), '2026-10-25T00:30:00.000Z');
+    assert.strictEqual(nextRun(london, '2026-10-25T00:30:00Z'), '2026-10-26T01:30:00.000Z');
+});
+
+test('runs weekly reports on the chosen weekday across DST changes', () => {
+    const sundays = { ...newYork, frequency: 'weekly', weekday: 0 };
+    
+    assert.strictEqual(nextRun(sundays, '2026-03-01T14:00:00Z'), '2026-03-08T13:00:00.000Z');
+    assert.strictEqual(nextRun(sundays, '2026-03-08T13:00:00Z'), '2026-03-15T13:00:00.000Z');
+    assert.strictEqual(nextRun(sundays, '2026-10-25T13:00:00Z'), '2026-11-01T14:00:00.000Z');
+    
+    // Later the same day and later the same week
+    assert.strictEqual(nextRun(sundays, '2026-03-08T12:59:00Z'), '2026-03-08T13:00:00.000Z');
+    assert.strictEqual(nextRun({ ...sundays, weekday: 3 }, '2026-03-07T00:00:00Z'), '2026-03-11T13:00:00.000Z');
+});
+
+test('sends a due report from exactly one of several instances', async () => {
+    const dueAt = new Date(Date.now() - 60000);
+    await storage.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: dueAt });
+    await storage.setReportSubscription({ user_id: 2, frequency: 'weekly', weekday: 1, time_of_day: '09:00', timezone: 'UTC', next_run_at: dueAt });
+    
+    const sent = [];
+    const instances = [loadInstance(), loadInstance(), loadInstance()];
+    await Promise.all(instances.map(instance => instance.runDueReports(async subscription => {
+        sent.push(`${subscription.user_id}:${subscription.frequency}`);
+    })));
+    
+    assert.deepStrictEqual(sent.sort(), ['1:daily', '2:weekly']);
+    
+    // The claim moved both schedules forward, so the next check sends nothing
+    await loadInstance().runDueReports(async subscription => sent.push(subscription.user_id));
+    assert.strictEqual(sent.length, 2);
+    
+    const [daily] = await storage.getReportSubscriptions(1);
+    assert.ok(daily.next_run_at > new Date(), 'daily run moved to the future');
+});
+
+test('keeps the schedule going when sending a report fails', async () => {
+    await storage.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: new Date(Date.now() - 1000) });
+    
+    await loadInstance().runDueReports(async () => {
+        throw new Error('chat not found');
+    });
+    
+    const [daily] = await storage.getReportSubscriptions(1);
+    assert.ok(daily.next_run_at > new Date());
+});
@@ -0,0 +1,57 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getProvider, isValidProviderUrl, isPublicAddress, lookupPublicAddress } = require('../shortenerProviders');
+
+test('accepts public https API URLs', () => {
+    for (const url of ['https://short.example.com/api', 'https://93.184.216.34/api', 'https://[2606:4700::1111]/api']) {
+        assert.strictEqual(isValidProviderUrl(url), true, url);
+    }
+});
+
+test('rejects API URLs without https or on local and private hosts', () => {
+    const rejected = [
+        'http://short.example.com/api',
+        'ftp://short.example.com/api',
+        'not a url',
+        'https://localhost/api',
+        'https://api.localhost/api',
+        'https://127.0.0.1/api',
+        'https://2130706433/api',
+        'https://10.1.2.3/api',
+        'https://172.16.0.1/api',
+        'https://192.168.1.1:8443/api',
+        'https://169.254.169.254/latest/meta-data',
+        'https://100.64.0.1/api',
+        'https://0.0.0.0/api',
+        'https://[::1]/api',
+        'https://[::ffff:127.0.0.1]/api',
+        'https://[fd00::1]/api',
+        'https://[fe80::1]/api'
+    ];
+    
+    for (const url of rejected) {
+        assert.strictEqual(isValidProviderUrl(url), false, url);
+    }
+});
+
+test('tells public addresses from private ones', () => {
+    assert.strictEqual(isPublicAddress('8.8.8.8'), true);
+    assert.strictEqual(isPublicAddress('2001:4860:4860::8888'), true);
+    assert.strictEqual(isPublicAddress('192.168.0.10'), false);
+    assert.strictEqual(isPublicAddress('::ffff:10.0.0.1'), false);
+    assert.strictEqual(isPublicAddress('not an address'), false);
+});
+
+test('fails lookups of host names that resolve to the local machine', async () => {
+    for (const all of [false, true]) {
+        const error = await new Promise(resolve => lookupPublicAddress('localhost', { all }, resolve));
+        assert.match(error.message, /does not resolve to a public address/);
+    }
+});
+
+test('refuses to call a stored API URL on a private host', async () => {
+    const provider = getProvider('adlinkfly', 'http://169.254.169.254/api');
+    
+    await assert.rejects(provider.shorten('https://example.com', 'key'), /is not a public https:\/\/ URL/);
+});
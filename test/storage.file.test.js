@@ -0,0 +1,44 @@
+require('./helpers');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Before anything loads config.js
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_FILE = path.join(tempDir, 'storage.json');
+
+const { runStorageConformance } = require('./storageConformance');
+const fileStorage = require('../fileStorage');
+const memoryStorage = require('../userStorage');
+
+runStorageConformance('file', () => fileStorage);
+
+test('file storage driver reloads its data after a restart', async () => {
+    await fileStorage.initializeDatabase();
+    await fileStorage.clearAllUserData();
+    const accountId = await fileStorage.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+    await fileStorage.recordShortenedLinks([
+        { user_id: 1, account_id: accountId, original_url: 'https://example.com/a', short_url: 'https://sho.rt/a', chat_id: 1 }
+    ]);
+    await fileStorage.closeDatabase();
+    
+    // Forget everything in memory, as a new process would
+    memoryStorage.importState({});
+    assert.strictEqual(await fileStorage.hasApiKey(1), false);
+    
+    await fileStorage.initializeDatabase();
+    const account = await fileStorage.getUserAccount(1);
+    assert.strictEqual(account.id, accountId);
+    assert.strictEqual(account.name, 'main');
+    assert.ok(account.created_at instanceof Date);
+    
+    const history = await fileStorage.getLinkHistory(1);
+    assert.deepStrictEqual(history.links.map(link => link.short_url), ['https://sho.rt/a']);
+    await fileStorage.closeDatabase();
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,4 @@
+require('./helpers');
+const { runStorageConformance } = require('./storageConformance');
+
+runStorageConformance('memory', () => require('../userStorage'));
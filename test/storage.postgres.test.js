@@ -0,0 +1,15 @@
+require('./helpers');
+const { runStorageConformance } = require('./storageConformance');
+
+/**
+ * Runs only when TEST_DATABASE_URL is set. The suite deletes all data,
+ * so point it at a throwaway database.
+ */
+const databaseUrl = process.env.TEST_DATABASE_URL;
+if (databaseUrl) {
+    process.env.DATABASE_URL = databaseUrl;
+}
+
+runStorageConformance('postgres', () => require('../databaseStorage'), {
+    skip: databaseUrl ? false : 'set TEST_DATABASE_URL to run against PostgreSQL'
+});
@@ -0,0 +1,488 @@
+require('./helpers');
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { STORAGE_INTERFACE } = require('../storage');
+
+/**
+ * Storage driver conformance suite
+ *
+ * Every driver (memory, file, postgres) runs these same tests through its
+ * own *.test.js file, so the drivers stay interchangeable. Each test starts
+ * from empty storage (clearAllUserData), and IDs are only compared with
+ * each other, never with fixed numbers.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Registers the conformance tests for one driver
+ * @param {string} name - Driver name, shown in the test output
+ * @param {function(): object} getDriver - Returns the driver module; called once the suite starts
+ * @param {object} options - skip: reason to skip the whole suite
+ */
+function runStorageConformance(name, getDriver, { skip = false } = {}) {
+    describe(`${name} storage driver`, { skip }, () => {
+        let driver;
+        
+        before(async () => {
+            driver = getDriver();
+            await driver.initializeDatabase();
+        });
+        
+        beforeEach(async () => {
+            await driver.clearAllUserData();
+        });
+        
+        after(async () => {
+            await driver.closeDatabase();
+        });
+        
+        test('implements the whole storage interface', () => {
+            const missing = STORAGE_INTERFACE.filter(method => typeof driver[method] !== 'function');
+            assert.deepStrictEqual(missing, []);
+        });
+        
+        test('ping answers', async () => {
+            await driver.ping();
+        });
+        
+        describe('accounts', () => {
+            test('stores a key as the active default account', async () => {
+                const accountId = await driver.setUserApiKey(1, ' key-one ');
+                
+                assert.strictEqual(await driver.getUserApiKey(1), 'key-one');
+                assert.strictEqual(await driver.hasApiKey(1), true);
+                
+                const account = await driver.getUserAccount(1);
+                assert.strictEqual(account.id, accountId);
+                assert.strictEqual(account.user_id, 1);
+                assert.strictEqual(account.name, 'default');
+                assert.strictEqual(account.provider, 'linkara');
+                assert.strictEqual(account.provider_url, null);
+                assert.strictEqual(account.is_active, true);
+                assert.ok(account.created_at instanceof Date);
+            });
+            
+            test('knows nothing about users without a key', async () => {
+                assert.strictEqual(await driver.getUserApiKey(2), null);
+                assert.strictEqual(await driver.getUserAccount(2), null);
+                assert.deepStrictEqual(await driver.getUserAccounts(2), []);
+                assert.strictEqual(await driver.hasApiKey(2), false);
+                assert.strictEqual(await driver.getAccountById(987654), null);
+            });
+            
+            test('rejects a missing user ID or key', async () => {
+                await assert.rejects(driver.setUserApiKey(null, 'key'));
+                await assert.rejects(driver.setUserApiKey(1, ''));
+            });
+            
+            test('makes a newly added account active and lists accounts oldest first', async () => {
+                const first = await driver.setUserApiKey(1, 'key-one');
+                const second = await driver.setUserApiKey(1, 'key-two', 'adlinkfly', 'https://short.example/api', 'work');
+                
+                const accounts = await driver.getUserAccounts(1);
+                assert.deepStrictEqual(accounts.map(a => [a.id, a.name, a.is_active]), [
+                    [first, 'default', false],
+                    [second, 'work', true]
+                ]);
+                
+                const work = await driver.getAccountById(second);
+                assert.strictEqual(work.provider, 'adlinkfly');
+                assert.strictEqual(work.provider_url, 'https://short.example/api');
+                assert.strictEqual(await driver.getUserApiKey(1), 'key-two');
+            });
+            
+            test('replaces the key when saving under an existing name', async () => {
+                const first = await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+                const again = await driver.setUserApiKey(1, 'key-new', 'linkara', null, 'main');
+                
+                assert.strictEqual(again, first);
+                assert.strictEqual((await driver.getUserAccounts(1)).length, 1);
+                assert.strictEqual(await driver.getUserApiKey(1), 'key-new');
+            });
+            
+            test('switches the active account by name', async () => {
+                await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'a');
+                await driver.setUserApiKey(1, 'key-two', 'linkara', null, 'b');
+                
+                assert.strictEqual(await driver.setActiveAccount(1, 'a'), true);
+                assert.strictEqual((await driver.getUserAccount(1)).name, 'a');
+                assert.strictEqual(await driver.setActiveAccount(1, 'missing'), false);
+                assert.strictEqual((await driver.getUserAccount(1)).name, 'a');
+            });
+            
+            test('activates the oldest remaining account when the active one is removed', async () => {
+                await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'a');
+                await driver.setUserApiKey(1, 'key-two', 'linkara', null, 'b');
+                await driver.setUserApiKey(1, 'key-three', 'linkara', null, 'c');
+                
+                assert.strictEqual(await driver.removeUserAccount(1, 'c'), true);
+                assert.strictEqual((await driver.getUserAccount(1)).name, 'a');
+                assert.strictEqual(await driver.removeUserAccount(1, 'c'), false);
+            });
+            
+            test('removes all accounts of one user only', async () => {
+                await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'a');
+                await driver.setUserApiKey(1, 'key-two', 'linkara', null, 'b');
+                await driver.setUserApiKey(2, 'key-other');
+                
+                assert.strictEqual(await driver.removeUserApiKey(1), true);
+                assert.strictEqual(await driver.hasApiKey(1), false);
+                assert.strictEqual(await driver.hasApiKey(2), true);
+                assert.strictEqual(await driver.removeUserApiKey(1), false);
+            });
+            
+            test('empties an account\'s link cache when its key or provider is replaced', async () => {
+                const main = await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+                const other = await driver.setUserApiKey(1, 'key-other', 'linkara', null, 'other');
+                await driver.setCachedShortUrl(main, 'https://example.com/a', 'https://sho.rt/old');
+                await driver.setCachedShortUrl(other, 'https://example.com/a', 'https://sho.rt/other');
+                
+                await driver.setUserApiKey(1, 'key-two', 'linkara', null, 'main');
+                assert.strictEqual(await driver.getCachedShortUrl(main, 'https://example.com/a'), null);
+                assert.strictEqual(await driver.getCachedShortUrl(other, 'https://example.com/a'), 'https://sho.rt/other');
+                
+                await driver.setCachedShortUrl(main, 'https://example.com/a', 'https://sho.rt/new');
+                await driver.setUserApiKey(1, 'key-two', 'adlinkfly', 'https://short.example/api', 'main');
+                assert.strictEqual(await driver.getCachedShortUrl(main, 'https://example.com/a'), null);
+            });
+            
+            test('keeps the link cache when a stored key is only re-encrypted', async () => {
+                const accountId = await driver.setUserApiKey(1, 'key-one');
+                await driver.setCachedShortUrl(accountId, 'https://example.com/a', 'https://sho.rt/a');
+                
+                await driver.replaceStoredApiKey(accountId, 'enc1:stored');
+                assert.strictEqual(await driver.getCachedShortUrl(accountId, 'https://example.com/a'), 'https://sho.rt/a');
+            });
+            
+            test('lists and replaces stored key values as they are', async () => {
+                const accountId = await driver.setUserApiKey(1, 'key-one');
+                
+                assert.deepStrictEqual(await driver.listStoredApiKeys(), [{ id: accountId, api_key: 'key-one' }]);
+                await driver.replaceStoredApiKey(accountId, 'enc1:stored');
+                assert.strictEqual(await driver.getUserApiKey(1), 'enc1:stored');
+            });
+        });
+        
+        describe('users and stats', () => {
+            test('starts stats with the first key and adds shortened URLs', async () => {
+                await driver.setUserApiKey(1, 'key-one');
+                await driver.updateUserStats(1, 3);
+                await driver.updateUserStats(1);
+                
+                const stats = await driver.getUserStats(1);
+                assert.strictEqual(stats.total_urls_shortened, 4);
+                assert.ok(stats.first_use instanceof Date);
+                assert.ok(stats.last_use instanceof Date);
+                assert.strictEqual(await driver.getUserStats(2), null);
+            });
+            
+            test('counts users with an account', async () => {
+                await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'a');
+                await driver.setUserApiKey(1, 'key-two', 'linkara', null, 'b');
+                await driver.setUserApiKey(2, 'key-other');
+                
+                assert.strictEqual(await driver.getTotalUsers(), 2);
+                assert.deepStrictEqual((await driver.getAllUserIds()).sort((a, b) => a - b), [1, 2]);
+            });
+            
+            test('leaves users who opted out or blocked the bot out of broadcasts', async () => {
+                for (const userId of [1, 2, 3, 4]) {
+                    await driver.setUserApiKey(userId, `key-${userId}`);
+                }
+                await driver.setUserSetting(2, 'broadcast_opt_out', true);
+                await driver.setUserSetting(3, 'bot_blocked', true);
+                await driver.setUserSetting(4, 'broadcast_opt_out', false);
+                
+                assert.deepStrictEqual(await driver.getBroadcastRecipients(), [1, 4]);
+            });
+            
+            test('reports bot-wide totals and links per day', async () => {
+                const accountId = await driver.setUserApiKey(1, 'key-one');
+                await driver.setUserApiKey(2, 'key-two');
+                await driver.updateUserStats(1, 2);
+                await driver.recordShortenedLinks([
+                    { user_id: 1, account_id: accountId, original_url: 'https://example.com/a', short_url: 'https://sho.rt/a', chat_id: 1 },
+                    { user_id: 1, account_id: accountId, original_url: 'https://example.com/b', short_url: 'https://sho.rt/b', chat_id: 1 }
+                ]);
+                await driver.linkChannel(-100, 1, 'News', accountId);
+                await driver.linkChannel(-200, 1, 'Old', accountId);
+                await driver.setChannelEnabled(-200, false);
+                await driver.setUserSetting(2, 'broadcast_opt_out', true);
+                
+                const stats = await driver.getGlobalStats(7);
+                assert.strictEqual(stats.total_users, 2);
+                assert.strictEqual(stats.active_today, 2);
+                assert.strictEqual(stats.active_week, 2);
+                assert.strictEqual(stats.total_links, 2);
+                assert.strictEqual(stats.channels, 1);
+                assert.strictEqual(stats.opted_out, 1);
+                assert.strictEqual(stats.blocked, 0);
+                assert.deepStrictEqual(stats.links_per_day, [{ day: new Date().toISOString().slice(0, 10), count: 2 }]);
+            });
+        });
+        
+        describe('link history', () => {
+            test('pages and searches a user\'s links, newest first', async () => {
+                const accountId = await driver.setUserApiKey(1, 'key-one', 'linkara', null, 'main');
+                await driver.recordShortenedLinks([
+                    { user_id: 1, account_id: accountId, original_url: 'https://example.com/first', short_url: 'https://sho.rt/1', chat_id: 10 },
+                    { user_id: 1, account_id: accountId, original_url: 'https://Example.com/Second', short_url: 'https://sho.rt/2', chat_id: 10 },
+                    { user_id: 2, account_id: null, original_url: 'https://example.com/other', short_url: 'https://sho.rt/3', chat_id: null }
+                ]);
+                await driver.recordShortenedLinks([
+                    { user_id: 1, account_id: accountId, original_url: 'https://news.example/third', short_url: 'https://sho.rt/4', chat_id: 10 }
+                ]);
+                
+                const all = await driver.getLinkHistory(1);
+                assert.strictEqual(all.total, 3);
+                assert.deepStrictEqual(all.links.map(link => link.short_url), ['https://sho.rt/4', 'https://sho.rt/2', 'https://sho.rt/1']);
+                assert.strictEqual(all.links[0].account_name, 'main');
+                assert.strictEqual(all.links[0].original_url, 'https://news.example/third');
+                assert.ok(all.links[0].created_at instanceof Date);
+                
+                const page = await driver.getLinkHistory(1, { limit: 1, offset: 1 });
+                assert.strictEqual(page.total, 3);
+                assert.deepStrictEqual(page.links.map(link => link.short_url), ['https://sho.rt/2']);
+                
+                const found = await driver.getLinkHistory(1, { search: 'example.COM' });
+                assert.strictEqual(found.total, 2);
+                assert.deepStrictEqual(found.links.map(link => link.short_url), ['https://sho.rt/2', 'https://sho.rt/1']);
+                
+                const byShortUrl = await driver.getLinkHistory(1, { search: 'sho.rt/4' });
+                assert.strictEqual(byShortUrl.total, 1);
+            });
+            
+            test('caches short links per account', async () => {
+                await driver.setCachedShortUrl(1, 'https://example.com/a', 'https://sho.rt/a');
+                
+                assert.strictEqual(await driver.getCachedShortUrl(1, 'https://example.com/a'), 'https://sho.rt/a');
+                assert.strictEqual(await driver.getCachedShortUrl(1, 'https://example.com/a', 3600), 'https://sho.rt/a');
+                assert.strictEqual(await driver.getCachedShortUrl(2, 'https://example.com/a'), null);
+                assert.strictEqual(await driver.getCachedShortUrl(1, 'https://example.com/b'), null);
+                
+                await driver.setCachedShortUrl(1, 'https://example.com/a', 'https://sho.rt/new');
+                assert.strictEqual(await driver.getCachedShortUrl(1, 'https://example.com/a'), 'https://sho.rt/new');
+            });
+        });
+        
+        describe('domain rules', () => {
+            test('adds, lists and removes rules per scope', async () => {
+                assert.strictEqual(await driver.addDomainRule('user', 1, 'skip', 't.me'), true);
+                assert.strictEqual(await driver.addDomainRule('user', 1, 'skip', 't.me'), false);
+                await driver.addDomainRule('user', 1, 'only', '*.example.com');
+                await driver.addDomainRule('user', 1, 'skip', 'paypal.me');
+                await driver.addDomainRule('channel', 1, 'skip', 'other.example');
+                
+                assert.deepStrictEqual(await driver.getDomainRules('user', 1), [
+                    { rule_type: 'only', domain: '*.example.com' },
+                    { rule_type: 'skip', domain: 'paypal.me' },
+                    { rule_type: 'skip', domain: 't.me' }
+                ]);
+                
+                assert.strictEqual(await driver.removeDomainRule('user', 1, 'skip', 't.me'), true);
+                assert.strictEqual(await driver.removeDomainRule('user', 1, 'skip', 't.me'), false);
+                assert.strictEqual((await driver.getDomainRules('user', 1)).length, 2);
+                assert.deepStrictEqual(await driver.getDomainRules('user', 2), []);
+            });
+        });
+        
+        describe('settings', () => {
+            test('stores user settings one at a time', async () => {
+                assert.strictEqual(await driver.getUserSettings(1), null);
+                
+                await driver.setUserSetting(1, 'convert_links', true);
+                await driver.setUserSetting(1, 'language', 'hi');
+                
+                const settings = await driver.getUserSettings(1);
+                assert.strictEqual(settings.convert_links, true);
+                assert.strictEqual(settings.language, 'hi');
+                
+                await driver.setUserSetting(1, 'language', null);
+                assert.strictEqual((await driver.getUserSettings(1)).language, null);
+                assert.strictEqual((await driver.getUserSettings(1)).convert_links, true);
+            });
+            
+            test('stores group settings one at a time', async () => {
+                assert.strictEqual(await driver.getGroupSettings(-5), null);
+                
+                await driver.setGroupSetting(-5, 'auto_shorten', true);
+                await driver.setGroupSetting(-5, 'account_id', 42);
+                
+                const settings = await driver.getGroupSettings(-5);
+                assert.strictEqual(settings.auto_shorten, true);
+                assert.strictEqual(settings.account_id, 42);
+            });
+        });
+        
+        describe('channels', () => {
+            test('links, lists, toggles and unlinks channels', async () => {
+                const accountId = await driver.setUserApiKey(1, 'key-one');
+                await driver.linkChannel(-100, 1, 'News', accountId);
+                await driver.linkChannel(-200, 1, 'Deals');
+                await driver.linkChannel(-300, 2, 'Someone else');
+                
+                const channel = await driver.getChannel(-100);
+                assert.strictEqual(channel.owner_id, 1);
+                assert.strictEqual(channel.title, 'News');
+                assert.strictEqual(channel.account_id, accountId);
+                assert.strictEqual(channel.enabled, true);
+                assert.deepStrictEqual((await driver.getUserChannels(1)).map(c => c.channel_id), [-100, -200]);
+                
+                assert.strictEqual(await driver.setChannelEnabled(-100, false), true);
+                assert.strictEqual((await driver.getChannel(-100)).enabled, false);
+                assert.strictEqual(await driver.setChannelEnabled(-999, false), false);
+                
+                assert.strictEqual(await driver.unlinkChannel(-100), true);
+                assert.strictEqual(await driver.getChannel(-100), null);
+                assert.strictEqual(await driver.unlinkChannel(-100), false);
+            });
+            
+            test('removes a channel\'s domain rules when it is unlinked', async () => {
+                await driver.linkChannel(-100, 1, 'News');
+                await driver.addDomainRule('channel', -100, 'skip', 't.me');
+                await driver.addDomainRule('user', 1, 'skip', 't.me');
+                
+                await driver.unlinkChannel(-100);
+                assert.deepStrictEqual(await driver.getDomainRules('channel', -100), []);
+                assert.strictEqual((await driver.getDomainRules('user', 1)).length, 1);
+            });
+            
+            test('rejects a missing channel or owner ID', async () => {
+                await assert.rejects(driver.linkChannel(null, 1));
+                await assert.rejects(driver.linkChannel(-100, null));
+            });
+        });
+        
+        describe('report subscriptions', () => {
+            test('stores one subscription per user and frequency', async () => {
+                const nextRun = new Date(Date.now() + DAY);
+                await driver.setReportSubscription({ user_id: 1, frequency: 'weekly', weekday: 1, time_of_day: '09:00', timezone: 'UTC', next_run_at: nextRun });
+                await driver.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '21:00', timezone: 'Asia/Kolkata', next_run_at: nextRun });
+                await driver.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '22:00', timezone: 'Asia/Kolkata', next_run_at: nextRun });
+                
+                const subscriptions = await driver.getReportSubscriptions(1);
+                assert.deepStrictEqual(subscriptions.map(s => [s.frequency, s.weekday, s.time_of_day]), [
+                    ['daily', null, '22:00'],
+                    ['weekly', 1, '09:00']
+                ]);
+                assert.strictEqual(subscriptions[0].timezone, 'Asia/Kolkata');
+                assert.strictEqual(subscriptions[0].next_run_at.getTime(), nextRun.getTime());
+                
+                assert.strictEqual(await driver.removeReportSubscription(1, 'weekly'), true);
+                assert.strictEqual((await driver.getReportSubscriptions(1)).length, 1);
+                assert.strictEqual(await driver.removeReportSubscription(1), true);
+                assert.strictEqual(await driver.removeReportSubscription(1), false);
+            });
+            
+            test('finds due subscriptions, most overdue first', async () => {
+                const now = new Date();
+                await driver.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: new Date(now - 1000) });
+                await driver.setReportSubscription({ user_id: 2, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: new Date(now - 60000) });
+                await driver.setReportSubscription({ user_id: 3, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: new Date(now.getTime() + 60000) });
+                
+                const due = await driver.getDueReportSubscriptions(now);
+                assert.deepStrictEqual(due.map(s => s.user_id), [2, 1]);
+                assert.strictEqual((await driver.getDueReportSubscriptions(now, 1)).length, 1);
+            });
+            
+            test('lets only one claim of a run succeed', async () => {
+                const runAt = new Date(Date.now() - 1000);
+                const nextRun = new Date(runAt.getTime() + DAY);
+                await driver.setReportSubscription({ user_id: 1, frequency: 'daily', time_of_day: '09:00', timezone: 'UTC', next_run_at: runAt });
+                
+                assert.strictEqual(await driver.claimReportRun(1, 'daily', runAt, nextRun), true);
+                assert.strictEqual(await driver.claimReportRun(1, 'daily', runAt, nextRun), false);
+                assert.strictEqual(await driver.claimReportRun(2, 'daily', runAt, nextRun), false);
+                assert.strictEqual((await driver.getReportSubscriptions(1))[0].next_run_at.getTime(), nextRun.getTime());
+            });
+        });
+        
+        describe('balance history and alerts', () => {
+            test('keeps the last snapshot of each day', async () => {
+                const values = { views: 10, earnings: 0.5, month_views: 100, month_earnings: 5 };
+                await driver.saveBalanceSnapshot(1, { day: '2024-03-01', ...values });
+                await driver.saveBalanceSnapshot(1, { day: '2024-03-02', ...values });
+                await driver.saveBalanceSnapshot(1, { day: '2024-03-02', ...values, views: 20, earnings: 1.25 });
+                await driver.saveBalanceSnapshot(2, { day: '2024-03-02', ...values });
+                
+                const snapshots = await driver.getBalanceSnapshots(1, '2024-03-01');
+                assert.deepStrictEqual(snapshots.map(s => [s.day, s.views, s.earnings, s.month_views, s.month_earnings]), [
+                    ['2024-03-01', 10, 0.5, 100, 5],
+                    ['2024-03-02', 20, 1.25, 100, 5]
+                ]);
+                assert.strictEqual((await driver.getBalanceSnapshots(1, '2024-03-02')).length, 1);
+            });
+            
+            test('lets one claim per account, day and snapshot interval succeed', async () => {
+                const tenOClock = new Date('2024-03-02T10:00:00Z');
+                const elevenOClock = new Date('2024-03-02T11:00:00Z');
+                
+                const racing = await Promise.all([1, 2, 3, 4].map(() => driver.claimBalanceSnapshot(1, '2024-03-02', tenOClock)));
+                assert.strictEqual(racing.filter(Boolean).length, 1);
+                
+                assert.strictEqual(await driver.claimBalanceSnapshot(2, '2024-03-02', tenOClock), true);
+                assert.strictEqual(await driver.claimBalanceSnapshot(1, '2024-03-03', tenOClock), true);
+                assert.strictEqual(await driver.claimBalanceSnapshot(1, '2024-03-02', elevenOClock), true);
+                assert.strictEqual(await driver.claimBalanceSnapshot(1, '2024-03-02', elevenOClock), false);
+                assert.strictEqual(await driver.claimBalanceSnapshot(1, '2024-03-02', tenOClock), false);
+            });
+            
+            test('adds, lists and removes alerts', async () => {
+                const first = await driver.addBalanceAlert({ user_id: 1, account_id: 7, alert_type: 'balance', threshold: 10 });
+                const second = await driver.addBalanceAlert({ user_id: 1, account_id: 3, alert_type: 'no_views', threshold: 6 });
+                await driver.addBalanceAlert({ user_id: 2, account_id: 5, alert_type: 'cpm_drop', threshold: 25.5 });
+                
+                const alerts = await driver.getUserAlerts(1);
+                assert.deepStrictEqual(alerts.map(a => [a.id, a.alert_type, a.threshold]), [[first, 'balance', 10], [second, 'no_views', 6]]);
+                assert.strictEqual(alerts[0].last_fired_at, null);
+                assert.strictEqual(alerts[0].last_views, null);
+                assert.deepStrictEqual((await driver.getAllBalanceAlerts()).map(a => a.account_id), [3, 5, 7]);
+                
+                assert.strictEqual(await driver.removeBalanceAlert(2, first), false);
+                assert.strictEqual(await driver.removeBalanceAlert(1, first), true);
+                assert.deepStrictEqual((await driver.getUserAlerts(1)).map(a => a.id), [second]);
+            });
+            
+            test('lets only one claim of an alert firing succeed', async () => {
+                const alertId = await driver.addBalanceAlert({ user_id: 1, account_id: 7, alert_type: 'balance', threshold: 10 });
+                const firedAt = new Date();
+                
+                const racing = await Promise.all([1, 2, 3].map(() => driver.claimAlertFire(alertId, null, firedAt)));
+                assert.strictEqual(racing.filter(Boolean).length, 1);
+                assert.strictEqual(await driver.claimAlertFire(alertId, null, new Date()), false);
+                assert.strictEqual(await driver.claimAlertFire(alertId, firedAt, new Date(firedAt.getTime() + 1000)), true);
+            });
+            
+            test('stores the views a no_views alert last saw', async () => {
+                const alertId = await driver.addBalanceAlert({ user_id: 1, account_id: 7, alert_type: 'no_views', threshold: 6 });
+                const changedAt = new Date();
+                await driver.setAlertViews(alertId, 1234, changedAt);
+                
+                const [alert] = await driver.getUserAlerts(1);
+                assert.strictEqual(alert.last_views, 1234);
+                assert.strictEqual(alert.views_changed_at.getTime(), changedAt.getTime());
+            });
+        });
+        
+        test('clears all user data', async () => {
+            const accountId = await driver.setUserApiKey(1, 'key-one');
+            await driver.linkChannel(-100, 1, 'News', accountId);
+            await driver.setUserSetting(1, 'convert_links', true);
+            await driver.addBalanceAlert({ user_id: 1, account_id: accountId, alert_type: 'balance', threshold: 10 });
+            const slot = new Date('2024-03-02T10:00:00Z');
+            await driver.claimBalanceSnapshot(accountId, '2024-03-02', slot);
+            
+            await driver.clearAllUserData();
+            assert.strictEqual(await driver.hasApiKey(1), false);
+            assert.strictEqual(await driver.getChannel(-100), null);
+            assert.strictEqual(await driver.getUserSettings(1), null);
+            assert.deepStrictEqual(await driver.getAllBalanceAlerts(), []);
+            assert.strictEqual(await driver.claimBalanceSnapshot(accountId, '2024-03-02', slot), true);
+        });
+    });
+}
+
+module.exports = {
+    runStorageConformance
+};
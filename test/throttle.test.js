@@ -0,0 +1,71 @@
+require('./helpers');
+process.env.SHORTEN_RATE_LIMIT = '20';
+const test = require('node:test');
+const assert = require('node:assert');
+const { acquireRateLimit, mapWithConcurrency } = require('../throttle');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('returns results in the order of the items', async () => {
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+        await wait(delay);
+        return `${index}:${delay}`;
+    });
+    
+    assert.deepStrictEqual(results, ['0:30', '1:10', '2:20', '3:0']);
+});
+
+test('never runs more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async item => {
+        running++;
+        peak = Math.max(peak, running);
+        await wait(5 + (item % 3) * 5);
+        running--;
+    });
+    
+    assert.strictEqual(peak, 3);
+    assert.deepStrictEqual(await mapWithConcurrency([], 3, async () => 1), []);
+});
+
+test('settles with the first rejection instead of stalling the pool', async () => {
+    const started = [];
+    
+    const run = mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+        started.push(item);
+        await wait(5);
+        if (item === 2) {
+            throw new Error('item 2 failed');
+        }
+        return item;
+    });
+    
+    await assert.rejects(run, /item 2 failed/);
+    
+    // The other worker keeps draining the queue rather than hanging on the failed one
+    await wait(50);
+    assert.deepStrictEqual(started.sort(), [1, 2, 3, 4, 5]);
+});
+
+test('spaces requests with the same API key and not across keys', async () => {
+    // SHORTEN_RATE_LIMIT=20 allows one request every 50 ms per key
+    const start = Date.now();
+    const elapsed = async key => {
+        await acquireRateLimit(key);
+        return Date.now() - start;
+    };
+    
+    const [first, second, third, other] = await Promise.all([
+        elapsed('key-a'),
+        elapsed('key-a'),
+        elapsed('key-a'),
+        elapsed('key-b')
+    ]);
+    
+    assert.ok(first < 40, `first ${first}`);
+    assert.ok(second >= 45 && second < 140, `second ${second}`);
+    assert.ok(third >= 95 && third < 190, `third ${third}`);
+    assert.ok(other < 40, `other key ${other}`);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeUrls } = require('../urlTokenizer');
+
+/**
+ * Corpus of message texts and the URLs the tokenizer must find in them
+ */
+const CORPUS = {
+    'schemes and www.': [
+        ['https://example.com', ['https://example.com']],
+        ['Visit https://example.com/path?q=1#top now', ['https://example.com/path?q=1#top']],
+        ['http://a.b/c and ftp://files.example.org/f.zip', ['http://a.b/c', 'ftp://files.example.org/f.zip']],
+        ['www.example.com/page', ['www.example.com/page']],
+        ['HTTPS://EXAMPLE.COM/A', ['HTTPS://EXAMPLE.COM/A']],
+        ['https://localhost:3000/x', ['https://localhost:3000/x']]
+    ],
+    'trailing punctuation': [
+        ['End of sentence https://example.com/a.', ['https://example.com/a']],
+        ['Wow https://example.com/a!!!', ['https://example.com/a']],
+        ['list: https://a.com/x, https://b.com/y;', ['https://a.com/x', 'https://b.com/y']],
+        ['quote "https://example.com/a"', ['https://example.com/a']],
+        ['«https://example.com/a»', ['https://example.com/a']],
+        ['https://example.com…', ['https://example.com']],
+        ['Really? https://example.com/a?', ['https://example.com/a']],
+        ['<https://example.com/a>', ['https://example.com/a']],
+        ['https://example.com/?q=a.b', ['https://example.com/?q=a.b']]
+    ],
+    'parentheses': [
+        ['(see https://x.com/a).', ['https://x.com/a']],
+        ['https://en.wikipedia.org/wiki/Foo_(bar)', ['https://en.wikipedia.org/wiki/Foo_(bar)']],
+        ['(https://en.wikipedia.org/wiki/Foo_(bar))', ['https://en.wikipedia.org/wiki/Foo_(bar)']],
+        ['https://example.com/a)', ['https://example.com/a']],
+        ['(example.com)', ['example.com']]
+    ],
+    'Unicode': [
+        ['Emoji 🎉 https://example.com/🎉 ok', ['https://example.com/🎉']],
+        ['🎉https://example.com', ['https://example.com']],
+        ['https://münchen.de/straße', ['https://münchen.de/straße']],
+        ['Ссылка: https://пример.рф/путь.', ['https://пример.рф/путь']],
+        ['http://例子.测试', ['http://例子.测试']],
+        ['लिंक https://example.com/पृष्ठ देखें', ['https://example.com/पृष्ठ']]
+    ],
+    'IDN and punycode': [
+        ['münchen.de', ['münchen.de']],
+        ['xn--mnchen-3ya.de', ['xn--mnchen-3ya.de']],
+        ['пример.рф', ['пример.рф']],
+        ['example.xn--p1ai/path', ['example.xn--p1ai/path']]
+    ],
+    'bare domains': [
+        ['example.com', ['example.com']],
+        ['example.com/path?x=1', ['example.com/path?x=1']],
+        ['sub.domain.co.uk/a', ['sub.domain.co.uk/a']],
+        ['example.com:8080/x', ['example.com:8080/x']],
+        ['EXAMPLE.IO/path', ['EXAMPLE.IO/path']],
+        ['Example.com', ['Example.com']],
+        ['WORK.ME:8080', ['WORK.ME:8080']],
+        ['x.ai and t.me/channel', ['x.ai', 't.me/channel']],
+        ['text-example.com', ['text-example.com']]
+    ],
+    'not links': [
+        ['notes.txt app.js index.html file.pdf readme.md', []],
+        ['version v1.2 or 3.14', []],
+        ['e.g. this', []],
+        ['e.g.me', []],
+        ['i.e.so it goes', []],
+        ['I went home.So what', []],
+        ['Call me.In the morning', []],
+        ['Nice work.Me too', []],
+        ['EXAMPLE.IO', []],
+        ['user@example.com', []],
+        ['mail a.b@example.com', []],
+        ['/path/example.com', []],
+        ['foo_example.com', []],
+        ['https:// and www. alone', []],
+        ['localhost:3000', []],
+        ['', []]
+    ]
+};
+
+for (const [group, cases] of Object.entries(CORPUS)) {
+    test(`finds URLs: ${group}`, () => {
+        for (const [text, expected] of cases) {
+            assert.deepStrictEqual(tokenizeUrls(text).map(token => token.url), expected, text);
+        }
+    });
+}
+
+test('gives offsets and lengths in UTF-16 code units', () => {
+    const text = '🎉 Read (https://example.com/ü) and münchen.de!';
+    const tokens = tokenizeUrls(text);
+    
+    assert.deepStrictEqual(tokens, [
+        { url: 'https://example.com/ü', offset: 9, length: 21 },
+        { url: 'münchen.de', offset: 36, length: 10 }
+    ]);
+    for (const token of tokens) {
+        assert.strictEqual(text.substr(token.offset, token.length), token.url);
+    }
+});
+
+test('accepts bare domains only on known, punycode or non-Latin TLDs', () => {
+    const accepted = ['example.com', 'example.io', 'example.in', 'example.xyz', 'example.eu', 'example.xn--p1ai', 'пример.рф', 'example.中国'];
+    const rejected = ['example.zz', 'example.txt', 'example.js', 'example.exe', 'example.local', 'example.internal', 'site.example'];
+    
+    for (const domain of accepted) {
+        assert.deepStrictEqual(tokenizeUrls(domain).map(token => token.url), [domain], domain);
+    }
+    for (const domain of rejected) {
+        assert.deepStrictEqual(tokenizeUrls(domain), [], domain);
+    }
+});
+
+test('accepts any TLD when the link has a scheme or www.', () => {
+    for (const url of ['https://example.zz', 'http://build.local/x', 'www.example.internal']) {
+        assert.deepStrictEqual(tokenizeUrls(url).map(token => token.url), [url], url);
+    }
+});
+
+test('ignores input that is not a string', () => {
+    assert.deepStrictEqual(tokenizeUrls(null), []);
+    assert.deepStrictEqual(tokenizeUrls(undefined), []);
+    assert.deepStrictEqual(tokenizeUrls(42), []);
+});
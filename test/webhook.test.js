@@ -0,0 +1,98 @@
+require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createWebhookHandler } = require('../webhook');
+
+const SECRET = 'webhook-secret-123';
+
+const updates = [];
+const webhook = createWebhookHandler({ processUpdate: update => updates.push(update) }, SECRET);
+const server = http.createServer(webhook.handle);
+
+/**
+ * Sends a request to the webhook server
+ * @param {object} options - method, secret, body (string or Buffer) and extra headers
+ * @returns {Promise<{status: number, headers: object}>} - The answer
+ */
+function request({ method = 'POST', secret = SECRET, body = '{}', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port: server.address().port,
+            method,
+            path: '/webhook',
+            headers: { ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}), ...headers }
+        }, res => {
+            res.resume();
+            resolve({ status: res.statusCode, headers: res.headers });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+beforeEach(() => {
+    updates.length = 0;
+    webhook.setAccepting(true);
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('passes updates on and answers right away', async () => {
+    const update = { update_id: 1, message: { message_id: 2, text: 'hi' } };
+    
+    const res = await request({ body: JSON.stringify(update) });
+    
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(updates, [update]);
+});
+
+test('rejects requests without the right secret token', async () => {
+    for (const secret of [null, 'wrong', `${SECRET}x`, SECRET.slice(0, -1)]) {
+        const res = await request({ secret, body: '{"update_id":1}' });
+        assert.strictEqual(res.status, 401, String(secret));
+    }
+    assert.deepStrictEqual(updates, []);
+});
+
+test('only accepts POST', async () => {
+    const res = await request({ method: 'GET', body: '' });
+    
+    assert.strictEqual(res.status, 405);
+    assert.strictEqual(res.headers.allow, 'POST');
+});
+
+test('asks Telegram to retry later while starting or draining', async () => {
+    webhook.setAccepting(false);
+    
+    const res = await request({ body: '{"update_id":1}' });
+    
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.headers['retry-after'], '5');
+    assert.deepStrictEqual(updates, []);
+});
+
+test('refuses bodies over 1 MB, declared or not', async () => {
+    const body = Buffer.alloc(1024 * 1024 + 1, ' ');
+    
+    assert.strictEqual((await request({ body })).status, 413);
+    assert.strictEqual((await request({ body, headers: { 'Transfer-Encoding': 'chunked' } })).status, 413);
+    
+    // A body of exactly 1 MB is still read
+    const padded = Buffer.concat([Buffer.from('{"update_id":1}'), Buffer.alloc(1024 * 1024 - 15, ' ')]);
+    assert.strictEqual((await request({ body: padded })).status, 200);
+    assert.deepStrictEqual(updates, [{ update_id: 1 }]);
+});
+
+test('answers 400 to bodies that are not JSON', async () => {
+    const res = await request({ body: 'not json' });
+    
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(updates, []);
+});
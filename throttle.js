@@ -0,0 +1,67 @@
+const config = require('./config');
+
+/**
+ * Concurrency and rate limiting helpers for calls to shortener APIs
+ */
+
+// Earliest time (ms) the next request may start, per API key
+const nextSlots = new Map();
+
+/**
+ * Waits until another request may be made with an API key. Requests with the
+ * same key are spaced 1000 / SHORTEN_RATE_LIMIT ms apart, across all chats.
+ * @param {string} apiKey - Key the request is made with
+ * @returns {Promise<void>} - Resolves when the request may start
+ */
+async function acquireRateLimit(apiKey) {
+    const interval = 1000 / config.SHORTEN_RATE_LIMIT;
+    const now = Date.now();
+    
+    // Forget keys that have been idle, so the map doesn't grow forever
+    if (nextSlots.size > 1000) {
+        for (const [key, slot] of nextSlots) {
+            if (slot < now) {
+                nextSlots.delete(key);
+            }
+        }
+    }
+    
+    const slot = Math.max(now, nextSlots.get(apiKey) || 0);
+    nextSlots.set(apiKey, slot + interval);
+    
+    if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+}
+
+/**
+ * Runs an async function over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    return results;
+}
+
+module.exports = {
+    acquireRateLimit,
+    mapWithConcurrency
+};
@@ -1,14 +1,19 @@
-const axios = require('axios');
 const config = require('./config');
+const { getProvider } = require('./shortenerProviders');
+const { acquireRateLimit } = require('./throttle');
+const { apiLatency, apiRetries } = require('./metrics');
+const { redact } = require('./logger');
 
 /**
- * Shortens a URL using the Linkara.xyz API
+ * Shortens a URL using the given provider (Linkara.xyz by default)
  * @param {string} url - The URL to shorten
  * @param {string} apiKey - The user's API key
  * @param {string} alias - Optional custom alias
+ * @param {object} provider - Shortener provider adapter
  * @returns {Promise<string>} - The shortened URL
  */
-async function shortenUrl(url, apiKey, alias = '') {
+async function shortenUrl(url, apiKey, alias = '', provider = getProvider()) {
+    let recordLatency = null;
     try {
         // Ensure URL has protocol
         let processedUrl = url;
@@ -16,42 +21,29 @@ async function shortenUrl(url, apiKey, alias = '') {
             processedUrl = 'https://' + url;
         }
         
-        // Build API request URL
-        const params = new URLSearchParams({
-            api: apiKey,
-            url: processedUrl
-        });
+        // Stay under the provider's per-key limits, however many messages are in flight
+        await acquireRateLimit(apiKey);
         
-        if (alias) {
-            params.append('alias', alias);
-        }
-        
-        const apiUrl = `${config.LINKARA_API_BASE_URL}?${params.toString()}`;
+        console.log(`Shortening URL via ${provider.name}: ${processedUrl}`);
         
-        console.log(`Shortening URL: ${processedUrl}`);
+        recordLatency = apiLatency.startTimer({ provider: provider.id });
+        const shortenedUrl = await provider.shorten(processedUrl, apiKey, alias);
+        recordLatency({ outcome: 'success' });
         
-        const response = await axios.get(apiUrl, {
-            timeout: config.REQUEST_TIMEOUT,
-            headers: {
-                'User-Agent': 'Telegram-URL-Shortener-Bot/1.0'
-            }
-        });
-        
-        const data = response.data;
-        
-        if (data.status === 'success' && data.shortenedUrl) {
-            console.log(`Successfully shortened: ${processedUrl} -> ${data.shortenedUrl}`);
-            return data.shortenedUrl;
-        } else {
-            console.error('API returned unsuccessful status:', data);
-            throw new Error(`API Error: ${data.message || 'Unknown error'}`);
-        }
+        console.log(`Successfully shortened: ${processedUrl} -> ${shortenedUrl}`);
+        return shortenedUrl;
         
     } catch (error) {
         console.error('Error shortening URL:', error.message);
         
+        if (recordLatency) {
+            recordLatency({ outcome: error.response || error.message.startsWith('API Error') ? 'api_error' : 'network_error' });
+        }
+        
         if (error.response) {
-            console.error('API Response:', error.response.data);
+            // Responses can echo the request, API key included
+            const data = error.response.data;
+            console.error('API Response:', redact(typeof data === 'string' ? data : JSON.stringify(data)));
             throw new Error(`API Error: ${error.response.status} - ${error.response.statusText}`);
         } else if (error.request) {
             throw new Error('Network error: Unable to reach URL shortening service');
@@ -67,16 +59,18 @@ async function shortenUrl(url, apiKey, alias = '') {
  * @param {string} apiKey - The user's API key
  * @param {string} alias - Optional custom alias
  * @param {number} retries - Number of retries remaining
+ * @param {object} provider - Shortener provider adapter
  * @returns {Promise<string>} - The shortened URL or original URL if failed
  */
-async function shortenUrlWithRetry(url, apiKey, alias = '', retries = config.MAX_RETRIES) {
+async function shortenUrlWithRetry(url, apiKey, alias = '', retries = config.MAX_RETRIES, provider = getProvider()) {
     try {
-        return await shortenUrl(url, apiKey, alias);
+        return await shortenUrl(url, apiKey, alias, provider);
     } catch (error) {
         if (retries > 0) {
             console.log(`Retrying URL shortening. Retries left: ${retries - 1}`);
+            apiRetries.inc({ provider: provider.id });
             await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-            return await shortenUrlWithRetry(url, apiKey, alias, retries - 1);
+            return await shortenUrlWithRetry(url, apiKey, alias, retries - 1, provider);
         } else {
             console.error(`Failed to shorten URL after ${config.MAX_RETRIES} attempts:`, url);
             return url; // Return original URL if all retries failed
@@ -84,7 +78,48 @@ async function shortenUrlWithRetry(url, apiKey, alias = '', retries = config.MAX
     }
 }
 
+// Aliases accepted by AdLinkFly-style services
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]{1,30}$/;
+
+/**
+ * Checks whether a custom alias has a format the shortener accepts
+ * @param {string} alias - Custom alias
+ * @returns {boolean} - True if valid
+ */
+function isValidAlias(alias) {
+    return ALIAS_PATTERN.test(alias);
+}
+
+/**
+ * Shortens a URL with a custom alias. Network failures are retried, but API
+ * rejections (alias taken, invalid alias) are thrown right away with the
+ * provider's message so the user can pick another alias.
+ * @param {string} url - The URL to shorten
+ * @param {string} apiKey - The user's API key
+ * @param {string} alias - Custom alias
+ * @param {object} provider - Shortener provider adapter
+ * @param {number} retries - Number of retries remaining
+ * @returns {Promise<string>} - The shortened URL
+ */
+async function shortenUrlWithAlias(url, apiKey, alias, provider = getProvider(), retries = config.MAX_RETRIES) {
+    try {
+        return await shortenUrl(url, apiKey, alias, provider);
+    } catch (error) {
+        const message = error.message.replace(/^Error: /, '');
+        if (message.startsWith('API Error: ') || retries <= 0) {
+            throw new Error(message.replace(/^API Error: /, ''));
+        }
+        
+        console.log(`Retrying URL shortening. Retries left: ${retries - 1}`);
+        apiRetries.inc({ provider: provider.id });
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+        return await shortenUrlWithAlias(url, apiKey, alias, provider, retries - 1);
+    }
+}
+
 module.exports = {
     shortenUrl,
-    shortenUrlWithRetry
+    shortenUrlWithRetry,
+    shortenUrlWithAlias,
+    isValidAlias
 };
@@ -0,0 +1,154 @@
+/**
+ * URL tokenizer shared by everything that looks for links in message text
+ *
+ * Finds http(s)/ftp URLs, "www." links and bare domains such as
+ * example.com/path, including IDN hosts (münchen.de) and punycode
+ * (xn--mnchen-3ya.de). Trailing punctuation and unbalanced closing
+ * parentheses are left out, so "(see https://x.com/a)." yields
+ * "https://x.com/a" while "https://en.wikipedia.org/wiki/Foo_(bar)" is kept
+ * whole. Every token carries its offset and length in UTF-16 code units,
+ * the same units as Telegram entity offsets.
+ */
+
+// Characters that can't be part of a URL (besides whitespace)
+const URL_BODY = '[^\\s<>"{}|\\\\^`\\[\\]]';
+
+// Host label of letters (any script), digits and inner hyphens
+const LABEL = String.raw`[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?`;
+
+const CANDIDATE_PATTERN = new RegExp(
+    // Explicit scheme or www. prefix
+    String.raw`(?<![\p{L}\p{N}])(?:(?:https?|ftp):\/\/|www\.)${URL_BODY}+` +
+    // Bare domain with optional port and path; not part of an email, path or longer word.
+    // Punycode TLDs come first, or "xn" alone would match as the TLD.
+    String.raw`|(?<![\p{L}\p{N}@.\/_-])(?:${LABEL}\.)+(?:xn--[a-z0-9-]+|\p{L}{2,63})(?::\d{1,5})?(?:[\/?#]${URL_BODY}*)?`,
+    'giu'
+);
+
+// Punctuation that ends a sentence rather than a URL
+const TRAILING_PUNCTUATION = '.,:;!?\'"*…»”’';
+
+// Closing brackets that are only kept when the URL opened them
+const BRACKET_PAIRS = { ')': '(' };
+
+// Top-level domains accepted for bare domains (links with a scheme or www. accept any host).
+// Kept to common ones so file names like notes.txt or app.js aren't taken for links.
+const BARE_DOMAIN_TLDS = new Set([
+    'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'name', 'pro', 'mobi',
+    'app', 'dev', 'io', 'co', 'ai', 'me', 'tv', 'gg', 'cc', 'ly', 'to', 'fm', 'am', 'ws', 'so',
+    'xyz', 'online', 'site', 'store', 'shop', 'tech', 'blog', 'link', 'club', 'live', 'news',
+    'top', 'icu', 'vip', 'fun', 'one', 'space', 'website', 'page', 'cloud', 'digital', 'world',
+    'today', 'network', 'media', 'email', 'life', 'art', 'design', 'games', 'tk', 'ml',
+    'in', 'uk', 'us', 'ca', 'au', 'nz', 'de', 'fr', 'it', 'es', 'nl', 'be', 'ch', 'at', 'se',
+    'no', 'dk', 'fi', 'pl', 'cz', 'gr', 'pt', 'ie', 'ru', 'ua', 'by', 'kz', 'uz', 'su', 'tr',
+    'ir', 'ae', 'sa', 'eg', 'za', 'ng', 'ke', 'br', 'mx', 'ar', 'cl', 'pe', 'jp', 'cn', 'kr',
+    'tw', 'hk', 'pk', 'bd', 'np', 'lk', 'id', 'my', 'sg', 'ph', 'th', 'vn', 'eu'
+]);
+
+/**
+ * Drops trailing punctuation and unbalanced closing brackets from a candidate
+ * @param {string} candidate - Matched text
+ * @returns {string} - The URL part of it
+ */
+function trimTrailing(candidate) {
+    let url = candidate;
+    
+    while (url.length > 0) {
+        const last = url[url.length - 1];
+        
+        if (TRAILING_PUNCTUATION.includes(last)) {
+            url = url.slice(0, -1);
+            continue;
+        }
+        
+        const open = BRACKET_PAIRS[last];
+        if (open) {
+            const opened = url.split(open).length - 1;
+            const closed = url.split(last).length - 1;
+            if (closed > opened) {
+                url = url.slice(0, -1);
+                continue;
+            }
+        }
+        
+        break;
+    }
+    
+    return url;
+}
+
+/**
+ * Checks that a bare domain ends in a top-level domain people actually link to
+ * @param {string} url - Bare domain URL, e.g. example.com/path
+ * @returns {boolean} - True if the host's TLD is accepted
+ */
+function hasKnownTld(url) {
+    const host = url.split(/[:/?#]/)[0];
+    const tld = host.slice(host.lastIndexOf('.') + 1).toLowerCase();
+    
+    // Punycode and non-Latin TLDs (xn--p1ai, рф) are always links
+    return BARE_DOMAIN_TLDS.has(tld) || tld.startsWith('xn--') || /[^\x00-\x7f]/.test(tld);
+}
+
+/**
+ * Tells a bare domain from words run together across a missing space
+ * ("I went home.So what", "e.g.me"). Telegram tags real links like these as
+ * url entities, which are taken as they are.
+ * @param {string} url - Bare domain URL, e.g. example.com/path
+ * @returns {boolean} - True if it reads as a link
+ */
+function looksLikeBareDomain(url) {
+    const host = url.split(/[:/?#]/)[0];
+    
+    // A port or path makes it a link whatever the host looks like
+    if (host.length < url.length) {
+        return true;
+    }
+    
+    const labels = host.split('.');
+    const tld = labels[labels.length - 1];
+    
+    // "home.So", "me.In": a sentence starting right after a full stop
+    if (tld !== tld.toLowerCase()) {
+        return false;
+    }
+    
+    // "e.g.me", "i.e.so": an abbreviation followed by a word
+    return labels.length < 3 || labels.slice(0, -1).some(label => label.length > 1);
+}
+
+/**
+ * Finds all URLs in a text
+ * @param {string} text - Message text
+ * @returns {{url: string, offset: number, length: number}[]} - URLs in order of appearance
+ */
+function tokenizeUrls(text) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+    
+    const tokens = [];
+    
+    for (const match of text.matchAll(CANDIDATE_PATTERN)) {
+        const url = trimTrailing(match[0]);
+        const explicit = /^(?:(?:https?|ftp):\/\/|www\.)/i.test(url);
+        
+        // "https://" or "www." on its own is not a link
+        if (explicit && !/^(?:(?:https?|ftp):\/\/|www\.)[\p{L}\p{N}]/iu.test(url)) {
+            continue;
+        }
+        
+        // Bare domains: skip file names, run-together words and the local part of email addresses
+        if (!explicit && (!hasKnownTld(url) || !looksLikeBareDomain(url) || text[match.index + match[0].length] === '@')) {
+            continue;
+        }
+        
+        tokens.push({ url, offset: match.index, length: url.length });
+    }
+    
+    return tokens;
+}
+
+module.exports = {
+    tokenizeUrls
+};
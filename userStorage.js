@@ -1,68 +1,332 @@
 /**
- * In-memory storage for user API keys
- * This is a simple implementation for demonstration purposes
- * In production, consider using a persistent database
+ * In-memory storage driver
+ * Data lives only as long as the process; used for tests and throwaway
+ * instances, and as the base of the file driver (fileStorage.js), which
+ * snapshots this state to disk after every change.
  */
 
-// Map to store user API keys: userId -> apiKey
-const userApiKeys = new Map();
+// Map to store named accounts: accountId -> { id, user_id, name, api_key, provider, provider_url, is_active, created_at }
+const userAccounts = new Map();
 
-// Map to store user statistics (optional)
+// Map to store user statistics: userId -> { user_id, total_urls_shortened, first_use, last_use }
 const userStats = new Map();
 
+// Map to store linked channels: channelId -> settings
+const channels = new Map();
+
+// Map to store shortened link history: linkId -> { id, user_id, account_id, original_url, short_url, chat_id, created_at }
+const shortenedLinks = new Map();
+
+// Map to store cached short links: "accountId|longUrl" -> { short_url, created_at }
+const linkCache = new Map();
+
+// Map to store user settings: userId -> { user_id, ...settings, updated_at }
+const userSettings = new Map();
+
+// Map to store group chat settings: chatId -> { chat_id, ...settings, updated_at }
+const groupSettings = new Map();
+
+// Map to store report subscriptions: "userId|frequency" -> { user_id, frequency, weekday, time_of_day, timezone, next_run_at, created_at }
+const reportSubscriptions = new Map();
+
+// Map to store balance snapshots: "accountId|day" -> { account_id, day, views, earnings, month_views, month_earnings, captured_at }
+const balanceSnapshots = new Map();
+
+// Map to store balance snapshot claims: "accountId|day" -> start of the latest interval claimed
+const balanceSnapshotClaims = new Map();
+
+// Map to store balance alerts: alertId -> { id, user_id, account_id, alert_type, threshold, last_fired_at, last_views, views_changed_at, created_at }
+const balanceAlerts = new Map();
+
+// Map to store domain rules: "scope|scopeId|ruleType|domain" -> { scope, scope_id, rule_type, domain, created_at }
+const domainRules = new Map();
+
+// Next IDs to hand out
+let nextAccountId = 1;
+let nextLinkId = 1;
+let nextAlertId = 1;
+
+// Listeners notified after every write (see onChange)
+const changeListeners = [];
+
 /**
- * Sets the API key for a user
+ * Notifies change listeners that the state was modified
+ */
+function notifyChange() {
+    for (const listener of changeListeners) {
+        listener();
+    }
+}
+
+/**
+ * Registers a listener called after every write
+ * @param {function(): void} listener - Change listener
+ */
+function onChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Returns the whole state as a JSON-serialisable object
+ * @returns {object} - Snapshot of all collections
+ */
+function exportState() {
+    return {
+        nextAccountId,
+        nextLinkId,
+        nextAlertId,
+        userAccounts: Array.from(userAccounts.entries()),
+        shortenedLinks: Array.from(shortenedLinks.entries()),
+        linkCache: Array.from(linkCache.entries()),
+        domainRules: Array.from(domainRules.entries()),
+        userSettings: Array.from(userSettings.entries()),
+        groupSettings: Array.from(groupSettings.entries()),
+        reportSubscriptions: Array.from(reportSubscriptions.entries()),
+        balanceSnapshots: Array.from(balanceSnapshots.entries()),
+        balanceSnapshotClaims: Array.from(balanceSnapshotClaims.entries()),
+        balanceAlerts: Array.from(balanceAlerts.entries()),
+        userStats: Array.from(userStats.entries()),
+        channels: Array.from(channels.entries())
+    };
+}
+
+/**
+ * Replaces the whole state with a snapshot from exportState
+ * @param {object} state - Snapshot of all collections
+ */
+function importState(state = {}) {
+    const collections = { userAccounts, userStats, channels, shortenedLinks, linkCache, domainRules, userSettings, groupSettings, reportSubscriptions, balanceSnapshots, balanceSnapshotClaims, balanceAlerts };
+    for (const [name, map] of Object.entries(collections)) {
+        map.clear();
+        for (const [key, value] of state[name] || []) {
+            map.set(key, value);
+        }
+    }
+    nextAccountId = state.nextAccountId || 1;
+    nextLinkId = state.nextLinkId || 1;
+    nextAlertId = state.nextAlertId || 1;
+    
+    // Snapshots from before multi-account support hold one key per user
+    for (const [userId, legacy] of state.userApiKeys || []) {
+        const id = nextAccountId++;
+        userAccounts.set(id, { ...legacy, id, user_id: userId, name: 'default', is_active: true });
+    }
+}
+
+/**
+ * Initializes the storage (nothing to set up in memory)
+ */
+async function initializeDatabase() {
+    console.log('✅ Using in-memory storage');
+}
+
+/**
+ * Gets the accounts of a user, oldest first
  * @param {number} userId - Telegram user ID
- * @param {string} apiKey - User's Linkara.xyz API key
+ * @returns {object[]} - Stored account objects (not copies)
  */
-function setUserApiKey(userId, apiKey) {
+function accountsOf(userId) {
+    return Array.from(userAccounts.values())
+        .filter(account => account.user_id === userId)
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id);
+}
+
+/**
+ * Stores an API key as a named account and makes it the user's active one.
+ * Saving under an existing name replaces that account's key and provider, and
+ * empties its link cache: those short links earn for the previous key.
+ * @param {number} userId - Telegram user ID
+ * @param {string} apiKey - User's shortener API key
+ * @param {string} provider - Shortener provider ID
+ * @param {string} providerUrl - API base URL for generic providers
+ * @param {string} name - Account name
+ * @returns {Promise<number>} - Account ID
+ */
+async function setUserApiKey(userId, apiKey, provider = 'linkara', providerUrl = null, name = 'default') {
     if (!userId || !apiKey) {
         throw new Error('User ID and API key are required');
     }
     
-    userApiKeys.set(userId, apiKey.trim());
+    const accounts = accountsOf(userId);
+    for (const account of accounts) {
+        account.is_active = false;
+    }
+    
+    let account = accounts.find(a => a.name === name);
+    if (!account) {
+        account = { id: nextAccountId++, user_id: userId, name, created_at: new Date() };
+        userAccounts.set(account.id, account);
+    }
+    Object.assign(account, {
+        api_key: apiKey.trim(),
+        provider,
+        provider_url: providerUrl,
+        is_active: true,
+        updated_at: new Date()
+    });
+    
+    for (const key of linkCache.keys()) {
+        if (key.startsWith(`${account.id}|`)) {
+            linkCache.delete(key);
+        }
+    }
     
     // Initialize user stats if not exists
-    if (!userStats.has(userId)) {
+    const stats = userStats.get(userId);
+    if (stats) {
+        stats.last_use = new Date();
+    } else {
         userStats.set(userId, {
-            totalUrlsShortened: 0,
-            firstUse: new Date(),
-            lastUse: new Date()
+            user_id: userId,
+            total_urls_shortened: 0,
+            first_use: new Date(),
+            last_use: new Date()
         });
     }
     
-    console.log(`API key set for user ${userId}`);
+    notifyChange();
+    console.log(`API key set for user ${userId} (account ${name})`);
+    return account.id;
+}
+
+/**
+ * Copies the public fields of an account
+ * @param {object} account - Stored account
+ * @returns {object} - Account row
+ */
+function toAccountRow(account) {
+    const { id, user_id, name, api_key, provider, provider_url, is_active, created_at } = account;
+    return { id, user_id, name, api_key, provider, provider_url, is_active, created_at };
+}
+
+/**
+ * Gets the API key of the user's active account
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<string|null>} - User's API key or null if not set
+ */
+async function getUserApiKey(userId) {
+    const account = accountsOf(userId).find(a => a.is_active);
+    return account ? account.api_key : null;
 }
 
 /**
- * Gets the API key for a user
+ * Gets the user's active account with its API key and provider settings
  * @param {number} userId - Telegram user ID
- * @returns {string|null} - User's API key or null if not set
+ * @returns {Promise<object|null>} - Account row or null if not set
  */
-function getUserApiKey(userId) {
-    return userApiKeys.get(userId) || null;
+async function getUserAccount(userId) {
+    const account = accountsOf(userId).find(a => a.is_active);
+    return account ? toAccountRow(account) : null;
+}
+
+/**
+ * Gets all accounts of a user, oldest first
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<object[]>} - Account rows
+ */
+async function getUserAccounts(userId) {
+    return accountsOf(userId).map(toAccountRow);
+}
+
+/**
+ * Gets an account by its ID
+ * @param {number} accountId - Account ID
+ * @returns {Promise<object|null>} - Account row or null if not found
+ */
+async function getAccountById(accountId) {
+    const account = userAccounts.get(accountId);
+    return account ? toAccountRow(account) : null;
+}
+
+/**
+ * Makes the named account the user's active one
+ * @param {number} userId - Telegram user ID
+ * @param {string} name - Account name
+ * @returns {Promise<boolean>} - False if the user has no such account
+ */
+async function setActiveAccount(userId, name) {
+    const accounts = accountsOf(userId);
+    if (!accounts.some(a => a.name === name)) {
+        return false;
+    }
+    
+    for (const account of accounts) {
+        account.is_active = account.name === name;
+    }
+    notifyChange();
+    return true;
+}
+
+/**
+ * Removes one named account; if it was active, the oldest remaining account becomes active
+ * @param {number} userId - Telegram user ID
+ * @param {string} name - Account name
+ * @returns {Promise<boolean>} - True if the account existed
+ */
+async function removeUserAccount(userId, name) {
+    const account = accountsOf(userId).find(a => a.name === name);
+    if (!account) {
+        return false;
+    }
+    
+    userAccounts.delete(account.id);
+    const remaining = accountsOf(userId);
+    if (account.is_active && remaining.length > 0) {
+        remaining[0].is_active = true;
+    }
+    
+    notifyChange();
+    console.log(`Account ${name} removed for user ${userId}`);
+    return true;
+}
+
+/**
+ * Gets every stored API key value as-is (used to re-encrypt keys)
+ * @returns {Promise<object[]>} - Rows of { id, api_key }
+ */
+async function listStoredApiKeys() {
+    return Array.from(userAccounts.values()).map(account => ({ id: account.id, api_key: account.api_key }));
+}
+
+/**
+ * Overwrites a stored API key value without touching other fields
+ * @param {number} accountId - Account ID
+ * @param {string} storedKey - Value to store
+ */
+async function replaceStoredApiKey(accountId, storedKey) {
+    const account = userAccounts.get(accountId);
+    if (account) {
+        account.api_key = storedKey;
+        notifyChange();
+    }
 }
 
 /**
  * Checks if a user has an API key set
  * @param {number} userId - Telegram user ID
- * @returns {boolean} - True if user has API key set
+ * @returns {Promise<boolean>} - True if user has at least one account
  */
-function hasApiKey(userId) {
-    return userApiKeys.has(userId);
+async function hasApiKey(userId) {
+    return accountsOf(userId).length > 0;
 }
 
 /**
- * Removes the API key for a user
+ * Removes all of a user's accounts
  * @param {number} userId - Telegram user ID
- * @returns {boolean} - True if key was removed, false if didn't exist
+ * @returns {Promise<boolean>} - True if any account was removed
  */
-function removeUserApiKey(userId) {
-    const removed = userApiKeys.delete(userId);
-    if (removed) {
-        console.log(`API key removed for user ${userId}`);
+async function removeUserApiKey(userId) {
+    const accounts = accountsOf(userId);
+    for (const account of accounts) {
+        userAccounts.delete(account.id);
     }
-    return removed;
+    
+    if (accounts.length > 0) {
+        notifyChange();
+        console.log(`API keys removed for user ${userId}`);
+        return true;
+    }
+    return false;
 }
 
 /**
@@ -70,57 +334,655 @@ function removeUserApiKey(userId) {
  * @param {number} userId - Telegram user ID
  * @param {number} urlCount - Number of URLs processed
  */
-function updateUserStats(userId, urlCount = 1) {
-    if (userStats.has(userId)) {
-        const stats = userStats.get(userId);
-        stats.totalUrlsShortened += urlCount;
-        stats.lastUse = new Date();
-        userStats.set(userId, stats);
+async function updateUserStats(userId, urlCount = 1) {
+    const stats = userStats.get(userId) || {
+        user_id: userId,
+        total_urls_shortened: 0,
+        first_use: new Date()
+    };
+    
+    stats.total_urls_shortened += urlCount;
+    stats.last_use = new Date();
+    userStats.set(userId, stats);
+    notifyChange();
+}
+
+/**
+ * Saves shortened links to the history
+ * @param {object[]} links - Rows of { user_id, account_id, original_url, short_url, chat_id }
+ */
+async function recordShortenedLinks(links) {
+    for (const link of links) {
+        const id = nextLinkId++;
+        shortenedLinks.set(id, {
+            id,
+            user_id: link.user_id,
+            account_id: link.account_id,
+            original_url: link.original_url,
+            short_url: link.short_url,
+            chat_id: link.chat_id,
+            created_at: new Date()
+        });
+    }
+    notifyChange();
+}
+
+/**
+ * Gets a page of a user's link history, newest first
+ * @param {number} userId - Telegram user ID
+ * @param {object} options - { search, limit, offset }; search matches either URL, case-insensitively
+ * @returns {Promise<{links: object[], total: number}>} - The page and the number of matching links
+ */
+async function getLinkHistory(userId, { search = '', limit = 10, offset = 0 } = {}) {
+    const needle = search.toLowerCase();
+    const matching = Array.from(shortenedLinks.values())
+        .filter(link => link.user_id === userId)
+        .filter(link => link.original_url.toLowerCase().includes(needle) || link.short_url.toLowerCase().includes(needle))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+    
+    const links = matching.slice(offset, offset + limit).map(link => {
+        const account = userAccounts.get(link.account_id);
+        return { ...link, account_name: account ? account.name : null };
+    });
+    
+    return { links, total: matching.length };
+}
+
+/**
+ * Gets the cached short link for a normalised long URL
+ * @param {number} accountId - Account ID
+ * @param {string} longUrl - Normalised long URL
+ * @param {number} maxAgeSeconds - Ignore entries older than this (0 = any age)
+ * @returns {Promise<string|null>} - Short URL or null on a miss
+ */
+async function getCachedShortUrl(accountId, longUrl, maxAgeSeconds = 0) {
+    const entry = linkCache.get(`${accountId}|${longUrl}`);
+    if (!entry) {
+        return null;
+    }
+    
+    if (maxAgeSeconds > 0 && Date.now() - entry.created_at > maxAgeSeconds * 1000) {
+        return null;
+    }
+    return entry.short_url;
+}
+
+/**
+ * Caches the short link for a normalised long URL
+ * @param {number} accountId - Account ID
+ * @param {string} longUrl - Normalised long URL
+ * @param {string} shortUrl - Short URL
+ */
+async function setCachedShortUrl(accountId, longUrl, shortUrl) {
+    linkCache.set(`${accountId}|${longUrl}`, { short_url: shortUrl, created_at: new Date() });
+    notifyChange();
+}
+
+/**
+ * Gets the domain rules of a user or channel
+ * @param {string} scope - 'user' or 'channel'
+ * @param {number} scopeId - Telegram user or channel ID
+ * @returns {Promise<object[]>} - Rules ({ rule_type, domain }) sorted by type and domain
+ */
+async function getDomainRules(scope, scopeId) {
+    return Array.from(domainRules.values())
+        .filter(rule => rule.scope === scope && rule.scope_id === scopeId)
+        .map(({ rule_type, domain }) => ({ rule_type, domain }))
+        .sort((a, b) => a.rule_type.localeCompare(b.rule_type) || a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Adds a domain rule
+ * @param {string} scope - 'user' or 'channel'
+ * @param {number} scopeId - Telegram user or channel ID
+ * @param {string} ruleType - 'skip' or 'only'
+ * @param {string} domain - Domain pattern, e.g. t.me or *.example.com
+ * @returns {Promise<boolean>} - False if the rule already existed
+ */
+async function addDomainRule(scope, scopeId, ruleType, domain) {
+    const key = `${scope}|${scopeId}|${ruleType}|${domain}`;
+    if (domainRules.has(key)) {
+        return false;
+    }
+    
+    domainRules.set(key, { scope, scope_id: scopeId, rule_type: ruleType, domain, created_at: new Date() });
+    notifyChange();
+    return true;
+}
+
+/**
+ * Removes a domain rule
+ * @param {string} scope - 'user' or 'channel'
+ * @param {number} scopeId - Telegram user or channel ID
+ * @param {string} ruleType - 'skip' or 'only'
+ * @param {string} domain - Domain pattern
+ * @returns {Promise<boolean>} - False if there was no such rule
+ */
+async function removeDomainRule(scope, scopeId, ruleType, domain) {
+    const removed = domainRules.delete(`${scope}|${scopeId}|${ruleType}|${domain}`);
+    if (removed) {
+        notifyChange();
+    }
+    return removed;
+}
+
+/**
+ * Gets the stored settings of a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<object|null>} - Settings, or null if none were ever changed
+ */
+async function getUserSettings(userId) {
+    const settings = userSettings.get(userId);
+    return settings ? { ...settings } : null;
+}
+
+/**
+ * Changes one user setting
+ * @param {number} userId - Telegram user ID
+ * @param {string} name - Setting name, e.g. convert_links
+ * @param {*} value - New value
+ */
+async function setUserSetting(userId, name, value) {
+    const settings = userSettings.get(userId) || { user_id: userId };
+    userSettings.set(userId, { ...settings, [name]: value, updated_at: new Date() });
+    notifyChange();
+}
+
+/**
+ * Gets the stored settings of a group chat
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Promise<object|null>} - Settings, or null if none were ever changed
+ */
+async function getGroupSettings(chatId) {
+    const settings = groupSettings.get(chatId);
+    return settings ? { ...settings } : null;
+}
+
+/**
+ * Changes one group chat setting
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} name - Setting name, e.g. auto_shorten
+ * @param {*} value - New value
+ */
+async function setGroupSetting(chatId, name, value) {
+    const settings = groupSettings.get(chatId) || { chat_id: chatId };
+    groupSettings.set(chatId, { ...settings, [name]: value, updated_at: new Date() });
+    notifyChange();
+}
+
+/**
+ * Creates or replaces a user's daily or weekly report subscription
+ * @param {object} subscription - { user_id, frequency, weekday, time_of_day, timezone, next_run_at }
+ */
+async function setReportSubscription({ user_id, frequency, weekday = null, time_of_day, timezone, next_run_at }) {
+    const key = `${user_id}|${frequency}`;
+    const existing = reportSubscriptions.get(key);
+    reportSubscriptions.set(key, {
+        user_id,
+        frequency,
+        weekday,
+        time_of_day,
+        timezone,
+        next_run_at,
+        created_at: existing ? existing.created_at : new Date()
+    });
+    notifyChange();
+}
+
+/**
+ * Gets a user's report subscriptions
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<object[]>} - Subscriptions sorted by frequency
+ */
+async function getReportSubscriptions(userId) {
+    return Array.from(reportSubscriptions.values())
+        .filter(subscription => subscription.user_id === userId)
+        .sort((a, b) => a.frequency.localeCompare(b.frequency))
+        .map(subscription => ({ ...subscription }));
+}
+
+/**
+ * Removes one report subscription, or all of the user's if no frequency is given
+ * @param {number} userId - Telegram user ID
+ * @param {string} frequency - 'daily', 'weekly' or null for both
+ * @returns {Promise<boolean>} - True if anything was removed
+ */
+async function removeReportSubscription(userId, frequency = null) {
+    let removed = false;
+    for (const [key, subscription] of reportSubscriptions) {
+        if (subscription.user_id === userId && (!frequency || subscription.frequency === frequency)) {
+            reportSubscriptions.delete(key);
+            removed = true;
+        }
+    }
+    if (removed) {
+        notifyChange();
+    }
+    return removed;
+}
+
+/**
+ * Gets subscriptions whose next run is at or before `now`
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of subscriptions
+ * @returns {Promise<object[]>} - Due subscriptions, most overdue first
+ */
+async function getDueReportSubscriptions(now, limit = 100) {
+    return Array.from(reportSubscriptions.values())
+        .filter(subscription => subscription.next_run_at <= now)
+        .sort((a, b) => a.next_run_at - b.next_run_at)
+        .slice(0, limit)
+        .map(subscription => ({ ...subscription }));
+}
+
+/**
+ * Moves a subscription's next run forward if it is still expectedRunAt
+ * @param {number} userId - Telegram user ID
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} expectedRunAt - next_run_at as read by the caller
+ * @param {Date} nextRunAt - New next run time
+ * @returns {Promise<boolean>} - False if the run was already claimed
+ */
+async function claimReportRun(userId, frequency, expectedRunAt, nextRunAt) {
+    const subscription = reportSubscriptions.get(`${userId}|${frequency}`);
+    if (!subscription || subscription.next_run_at.getTime() !== expectedRunAt.getTime()) {
+        return false;
+    }
+    
+    subscription.next_run_at = nextRunAt;
+    notifyChange();
+    return true;
+}
+
+/**
+ * Stores an account's balance for a day, replacing an earlier snapshot of the same day
+ * @param {number} accountId - Account ID
+ * @param {object} snapshot - { day (YYYY-MM-DD), views, earnings, month_views, month_earnings }
+ */
+async function saveBalanceSnapshot(accountId, { day, views, earnings, month_views, month_earnings }) {
+    balanceSnapshots.set(`${accountId}|${day}`, {
+        account_id: accountId,
+        day,
+        views,
+        earnings,
+        month_views,
+        month_earnings,
+        captured_at: new Date()
+    });
+    notifyChange();
+}
+
+/**
+ * Claims the fetch of an account's balance for one snapshot interval, so
+ * that only one instance calls the balance API for it
+ * @param {number} accountId - Account ID
+ * @param {string} day - Day the snapshot is filed under (YYYY-MM-DD)
+ * @param {Date} slot - Start of the interval being claimed
+ * @returns {Promise<boolean>} - False if this interval or a later one was already claimed
+ */
+async function claimBalanceSnapshot(accountId, day, slot) {
+    const key = `${accountId}|${day}`;
+    const claimed = balanceSnapshotClaims.get(key);
+    if (claimed && claimed >= slot) {
+        return false;
+    }
+    
+    balanceSnapshotClaims.set(key, slot);
+    notifyChange();
+    return true;
+}
+
+/**
+ * Gets an account's balance snapshots
+ * @param {number} accountId - Account ID
+ * @param {string} fromDay - First day to include (YYYY-MM-DD)
+ * @returns {Promise<object[]>} - Snapshots, oldest first
+ */
+async function getBalanceSnapshots(accountId, fromDay) {
+    return Array.from(balanceSnapshots.values())
+        .filter(snapshot => snapshot.account_id === accountId && snapshot.day >= fromDay)
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(({ account_id, ...snapshot }) => snapshot);
+}
+
+/**
+ * Adds a balance alert
+ * @param {object} alert - { user_id, account_id, alert_type, threshold }
+ * @returns {Promise<number>} - Alert ID
+ */
+async function addBalanceAlert({ user_id, account_id, alert_type, threshold }) {
+    const id = nextAlertId++;
+    balanceAlerts.set(id, {
+        id,
+        user_id,
+        account_id,
+        alert_type,
+        threshold,
+        last_fired_at: null,
+        last_views: null,
+        views_changed_at: null,
+        created_at: new Date()
+    });
+    notifyChange();
+    return id;
+}
+
+/**
+ * Gets a user's balance alerts
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<object[]>} - Alerts, oldest first
+ */
+async function getUserAlerts(userId) {
+    return Array.from(balanceAlerts.values())
+        .filter(alert => alert.user_id === userId)
+        .sort((a, b) => a.id - b.id)
+        .map(alert => ({ ...alert }));
+}
+
+/**
+ * Gets every balance alert (for the alert checker)
+ * @returns {Promise<object[]>} - Alerts ordered by account
+ */
+async function getAllBalanceAlerts() {
+    return Array.from(balanceAlerts.values())
+        .sort((a, b) => a.account_id - b.account_id || a.id - b.id)
+        .map(alert => ({ ...alert }));
+}
+
+/**
+ * Removes one of a user's balance alerts
+ * @param {number} userId - Telegram user ID
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<boolean>} - False if the user has no such alert
+ */
+async function removeBalanceAlert(userId, alertId) {
+    const alert = balanceAlerts.get(alertId);
+    if (!alert || alert.user_id !== userId) {
+        return false;
+    }
+    
+    balanceAlerts.delete(alertId);
+    notifyChange();
+    return true;
+}
+
+/**
+ * Records that an alert fires now if last_fired_at is still expectedFiredAt
+ * @param {number} alertId - Alert ID
+ * @param {Date|null} expectedFiredAt - last_fired_at as read by the caller
+ * @param {Date} firedAt - Time the alert fires
+ * @returns {Promise<boolean>} - False if the alert was already fired
+ */
+async function claimAlertFire(alertId, expectedFiredAt, firedAt) {
+    const alert = balanceAlerts.get(alertId);
+    const current = alert && alert.last_fired_at ? alert.last_fired_at.getTime() : null;
+    const expected = expectedFiredAt ? expectedFiredAt.getTime() : null;
+    if (!alert || current !== expected) {
+        return false;
+    }
+    
+    alert.last_fired_at = firedAt;
+    notifyChange();
+    return true;
+}
+
+/**
+ * Stores the views last seen by a no_views alert and when they last changed
+ * @param {number} alertId - Alert ID
+ * @param {number} views - Views last seen
+ * @param {Date} changedAt - When the views last changed
+ */
+async function setAlertViews(alertId, views, changedAt) {
+    const alert = balanceAlerts.get(alertId);
+    if (alert) {
+        alert.last_views = views;
+        alert.views_changed_at = changedAt;
+        notifyChange();
     }
 }
 
 /**
  * Gets user statistics
  * @param {number} userId - Telegram user ID
- * @returns {object|null} - User stats object or null if not found
+ * @returns {Promise<object|null>} - User stats object or null if not found
  */
-function getUserStats(userId) {
-    return userStats.get(userId) || null;
+async function getUserStats(userId) {
+    const stats = userStats.get(userId);
+    return stats ? { ...stats } : null;
 }
 
 /**
  * Gets the total number of registered users
- * @returns {number} - Number of users with API keys
+ * @returns {Promise<number>} - Number of users with API keys
  */
-function getTotalUsers() {
-    return userApiKeys.size;
+async function getTotalUsers() {
+    return (await getAllUserIds()).length;
+}
+
+/**
+ * Gets bot-wide totals and the number of links shortened on each of the last days (UTC)
+ * @param {number} days - Number of days, including today
+ * @returns {Promise<object>} - Totals and links_per_day ([{ day: 'YYYY-MM-DD', count }])
+ */
+async function getGlobalStats(days = 7) {
+    const now = Date.now();
+    const stats = Array.from(userStats.values());
+    const settings = Array.from(userSettings.values());
+    const activeSince = ms => stats.filter(s => s.last_use && now - s.last_use < ms).length;
+    
+    const today = new Date(now);
+    const since = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - (days - 1) * 86400000;
+    const perDay = new Map();
+    for (const link of shortenedLinks.values()) {
+        if (link.created_at >= since) {
+            const day = link.created_at.toISOString().slice(0, 10);
+            perDay.set(day, (perDay.get(day) || 0) + 1);
+        }
+    }
+    
+    return {
+        total_users: await getTotalUsers(),
+        active_today: activeSince(86400000),
+        active_week: activeSince(7 * 86400000),
+        total_links: stats.reduce((sum, s) => sum + s.total_urls_shortened, 0),
+        channels: Array.from(channels.values()).filter(c => c.enabled).length,
+        opted_out: settings.filter(s => s.broadcast_opt_out).length,
+        blocked: settings.filter(s => s.bot_blocked).length,
+        links_per_day: Array.from(perDay, ([day, count]) => ({ day, count })).sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+/**
+ * Gets the users a broadcast goes to: users with an account who neither opted out nor blocked the bot
+ * @returns {Promise<number[]>} - User IDs
+ */
+async function getBroadcastRecipients() {
+    const userIds = await getAllUserIds();
+    return userIds
+        .filter(userId => {
+            const settings = userSettings.get(userId) || {};
+            return !settings.broadcast_opt_out && !settings.bot_blocked;
+        })
+        .sort((a, b) => a - b);
 }
 
 /**
  * Clears all user data (for maintenance purposes)
  */
-function clearAllUserData() {
-    userApiKeys.clear();
+async function clearAllUserData() {
+    userAccounts.clear();
     userStats.clear();
+    channels.clear();
+    shortenedLinks.clear();
+    linkCache.clear();
+    domainRules.clear();
+    userSettings.clear();
+    groupSettings.clear();
+    reportSubscriptions.clear();
+    balanceSnapshots.clear();
+    balanceSnapshotClaims.clear();
+    balanceAlerts.clear();
+    notifyChange();
     console.log('All user data cleared');
 }
 
 /**
  * Gets all user IDs (for admin purposes)
- * @returns {number[]} - Array of user IDs
+ * @returns {Promise<number[]>} - Array of user IDs
+ */
+async function getAllUserIds() {
+    return Array.from(new Set(Array.from(userAccounts.values()).map(account => account.user_id)));
+}
+
+/**
+ * Links a channel to the user and account whose API key shortens its posts
+ * @param {number} channelId - Telegram channel ID
+ * @param {number} ownerId - Telegram user ID of the channel owner
+ * @param {string} title - Channel title for display
+ * @param {number} accountId - Account used for the channel's posts
+ */
+async function linkChannel(channelId, ownerId, title = null, accountId = null) {
+    if (!channelId || !ownerId) {
+        throw new Error('Channel ID and owner ID are required');
+    }
+    
+    const existing = channels.get(channelId);
+    channels.set(channelId, {
+        channel_id: channelId,
+        owner_id: ownerId,
+        title,
+        account_id: accountId,
+        enabled: true,
+        created_at: existing ? existing.created_at : new Date(),
+        updated_at: new Date()
+    });
+    
+    notifyChange();
+    console.log(`Channel ${channelId} linked to user ${ownerId}`);
+}
+
+/**
+ * Gets the settings of a linked channel
+ * @param {number} channelId - Telegram channel ID
+ * @returns {Promise<object|null>} - Channel settings or null if not linked
+ */
+async function getChannel(channelId) {
+    const channel = channels.get(channelId);
+    return channel ? { ...channel } : null;
+}
+
+/**
+ * Gets all channels linked by a user
+ * @param {number} ownerId - Telegram user ID
+ * @returns {Promise<object[]>} - Channel settings, oldest first
+ */
+async function getUserChannels(ownerId) {
+    return Array.from(channels.values())
+        .filter(channel => channel.owner_id === ownerId)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(channel => ({ ...channel }));
+}
+
+/**
+ * Turns auto-shortening on or off for a channel
+ * @param {number} channelId - Telegram channel ID
+ * @param {boolean} enabled - New state
+ * @returns {Promise<boolean>} - True if the channel exists
  */
-function getAllUserIds() {
-    return Array.from(userApiKeys.keys());
+async function setChannelEnabled(channelId, enabled) {
+    const channel = channels.get(channelId);
+    if (!channel) {
+        return false;
+    }
+    
+    channel.enabled = enabled;
+    channel.updated_at = new Date();
+    notifyChange();
+    return true;
 }
 
+/**
+ * Unlinks a channel
+ * @param {number} channelId - Telegram channel ID
+ * @returns {Promise<boolean>} - True if the channel was linked
+ */
+async function unlinkChannel(channelId) {
+    const removed = channels.delete(channelId);
+    for (const [key, rule] of domainRules) {
+        if (rule.scope === 'channel' && rule.scope_id === channelId) {
+            domainRules.delete(key);
+        }
+    }
+    if (removed) {
+        notifyChange();
+        console.log(`Channel ${channelId} unlinked`);
+    }
+    return removed;
+}
+
+/**
+ * Checks that the storage answers (always true in memory)
+ */
+async function ping() {}
+
+/**
+ * Closes the storage (nothing to release in memory)
+ */
+async function closeDatabase() {}
+
 module.exports = {
+    initializeDatabase,
     setUserApiKey,
     getUserApiKey,
+    getUserAccount,
+    getUserAccounts,
+    getAccountById,
+    setActiveAccount,
+    removeUserAccount,
+    listStoredApiKeys,
+    replaceStoredApiKey,
     hasApiKey,
     removeUserApiKey,
     updateUserStats,
+    recordShortenedLinks,
+    getLinkHistory,
+    getCachedShortUrl,
+    setCachedShortUrl,
+    getDomainRules,
+    addDomainRule,
+    removeDomainRule,
+    getUserSettings,
+    setUserSetting,
+    getGroupSettings,
+    setGroupSetting,
+    setReportSubscription,
+    getReportSubscriptions,
+    removeReportSubscription,
+    getDueReportSubscriptions,
+    claimReportRun,
+    saveBalanceSnapshot,
+    claimBalanceSnapshot,
+    getBalanceSnapshots,
+    addBalanceAlert,
+    getUserAlerts,
+    getAllBalanceAlerts,
+    removeBalanceAlert,
+    claimAlertFire,
+    setAlertViews,
     getUserStats,
     getTotalUsers,
+    getGlobalStats,
+    getBroadcastRecipients,
     clearAllUserData,
-    getAllUserIds
+    getAllUserIds,
+    linkChannel,
+    getChannel,
+    getUserChannels,
+    setChannelEnabled,
+    unlinkChannel,
+    ping,
+    closeDatabase,
+    onChange,
+    exportState,
+    importState
 };
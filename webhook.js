@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Webhook mode: Telegram POSTs updates to WEBHOOK_PATH on the bot's own
+ * HTTP server instead of the bot polling for them
+ */
+
+// Updates are small; anything bigger is not from Telegram
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Compares the secret token header without leaking timing information
+ * @param {string} received - Header value
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - True if they match
+ */
+function secretMatches(received, expected) {
+    const a = Buffer.from(received || '');
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Creates the request handler for webhook updates
+ * @param {TelegramBot} bot - Bot instance the updates are passed to
+ * @param {string} secret - Expected X-Telegram-Bot-Api-Secret-Token
+ * @returns {{handle: function(http.IncomingMessage, http.ServerResponse): void, setAccepting: function(boolean): void}} - Handler; updates are refused until setAccepting(true)
+ */
+function createWebhookHandler(bot, secret) {
+    let accepting = false;
+    
+    function handle(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'POST' });
+            res.end();
+            return;
+        }
+        
+        if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], secret)) {
+            console.warn('Rejected webhook request with a wrong secret token');
+            res.writeHead(401);
+            res.end();
+            return;
+        }
+        
+        // While starting or draining, Telegram keeps the update and retries it later
+        if (!accepting) {
+            res.writeHead(503, { 'Retry-After': '5' });
+            res.end();
+            return;
+        }
+        
+        // Refused before reading it when the size is declared, otherwise once it gets too big
+        if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+            res.writeHead(413, { Connection: 'close' });
+            res.end(() => req.destroy());
+            return;
+        }
+        
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            if (res.headersSent) {
+                return;
+            }
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // The connection is closed only once the answer is out
+                res.writeHead(413, { Connection: 'close' });
+                res.end(() => req.destroy());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        req.on('end', () => {
+            if (res.headersSent) {
+                return;
+            }
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+            
+            // Answer right away; Telegram resends updates that take too long
+            res.writeHead(200);
+            res.end();
+            bot.processUpdate(update);
+        });
+    }
+    
+    return {
+        handle,
+        setAccepting: value => {
+            accepting = value;
+        }
+    };
+}
+
+/**
+ * Registers the webhook with Telegram
+ * @param {TelegramBot} bot - Bot instance
+ * @returns {Promise<string>} - The registered URL
+ */
+async function registerWebhook(bot) {
+    const url = new URL(config.WEBHOOK_PATH, config.WEBHOOK_URL).href;
+    await bot.setWebHook(url, {
+        secret_token: config.WEBHOOK_SECRET
+    });
+    return url;
+}
+
+/**
+ * Removes the webhook; updates wait at Telegram until it is registered again
+ * @param {TelegramBot} bot - Bot instance
+ */
+async function unregisterWebhook(bot) {
+    await bot.deleteWebHook();
+}
+
+module.exports = {
+    createWebhookHandler,
+    registerWebhook,
+    unregisterWebhook
+};